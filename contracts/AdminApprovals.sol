@@ -0,0 +1,347 @@
+pragma solidity 0.4.25;
+
+import "openzeppelin-solidity/contracts/access/Roles.sol";
+
+/**
+ * @title Admin approvals
+ *
+ * AdminApprovals is a multi-signature contract with a time delay, guarding the
+ * destructive administrative functions of a security token: `burn`, `pause`,
+ * `unpause`, `migrate`, `cancelAndReissue`, `forceTransfer`, `startSplit`,
+ * `setOperatorRegistry` and `removeTransferRestriction`. Once the token points to this contract through
+ * `setApprovalManager`, those functions can only be called through a proposal
+ * that has been approved by enough approvers and has waited out the delay,
+ * giving shareholders a notice window. Contracts acting on the token, such as
+ * Redemptions, are called through proposals as well, and may call the guarded
+ * functions while the proposal is executed.
+ *
+ * The contract has to be granted the token roles that the guarded functions require.
+ * Changes to the approvers, threshold and delay go through proposals as well.
+ *
+ * Only the approvals of current approvers count: an approver that is removed takes its
+ * approvals along, and does not get them back if it is added again. The delay runs from
+ * the approval that brings a proposal up to the threshold.
+ */
+contract AdminApprovals {
+    using Roles for Roles.Role;
+
+    struct Proposal {
+        address target;
+        bytes data;
+        address proposer;
+        uint256 createdAt;
+        uint256 thresholdReachedAt;
+        bool executed;
+        bool cancelled;
+    }
+
+    address public token;
+    address public executingTarget;
+    uint256 public approverCount;
+    uint256 public threshold;
+    uint256 public delay;
+
+    Roles.Role private approvers;
+    address[] private approverList;
+    mapping(address => uint256) private approverTerms;
+    Proposal[] private proposals;
+    mapping(uint256 => mapping(address => uint256)) private approvedBy;
+
+    event ProposalCreated(uint256 indexed id, address indexed proposer, address target, bytes data);
+    event ProposalApproved(uint256 indexed id, address indexed approver);
+    event ProposalThresholdReached(uint256 indexed id, uint256 executableAt);
+    event ProposalCancelled(uint256 indexed id, address indexed sender);
+    event ProposalExecuted(uint256 indexed id, address indexed sender);
+    event ApproverAdded(address indexed account);
+    event ApproverRemoved(address indexed account);
+    event ThresholdChanged(uint256 threshold);
+    event DelayChanged(uint256 delay);
+
+    modifier onlyApprover() {
+        require(approvers.has(msg.sender), "Caller is not an approver");
+        _;
+    }
+
+    modifier onlySelf() {
+        require(msg.sender == address(this), "Can only be called through an approved proposal");
+        _;
+    }
+
+    modifier isPending(uint256 id) {
+        require(id < proposals.length, "Unknown proposal");
+        require(!proposals[id].executed && !proposals[id].cancelled, "Proposal is no longer pending");
+        _;
+    }
+
+    /**
+     *  @param _token The security token guarded by this contract.
+     *  @param _approvers The accounts allowed to propose, approve and cancel actions.
+     *  @param _threshold The number of approvals a proposal needs before it can be executed.
+     *  @param _delay The number of seconds between reaching the threshold and executing an action.
+     */
+    constructor(address _token, address[] _approvers, uint256 _threshold, uint256 _delay)
+        public
+    {
+        require(_token != address(0), "Invalid token address provided");
+
+        token = _token;
+        for (uint256 i = 0; i < _approvers.length; i++) {
+            addApproverInternal(_approvers[i]);
+        }
+        changeThresholdInternal(_threshold);
+        changeDelayInternal(_delay);
+    }
+
+    /**
+     *  Propose a call to the token, to this contract, or to a contract acting on the token.
+     *  The proposer approves it right away.
+     *  @param target The contract to call.
+     *  @param data The ABI-encoded function call.
+     *  @return The id of the proposal.
+     */
+    function propose(address target, bytes data)
+        public
+        onlyApprover
+        returns (uint256)
+    {
+        require(target != address(0), "Invalid target provided");
+
+        uint256 id = proposals.push(Proposal(target, data, msg.sender, now, 0, false, false)) - 1;
+        emit ProposalCreated(id, msg.sender, target, data);
+
+        approveProposal(id);
+        return id;
+    }
+
+    /**
+     *  Approve a pending proposal. The first approval that brings it up to or past
+     *  the threshold starts the delay.
+     *  @param id The id of the proposal.
+     */
+    function approveProposal(uint256 id)
+        public
+        onlyApprover
+        isPending(id)
+    {
+        require(approvedBy[id][msg.sender] != approverTerms[msg.sender], "Proposal has been approved by the sender already");
+
+        approvedBy[id][msg.sender] = approverTerms[msg.sender];
+        emit ProposalApproved(id, msg.sender);
+
+        if (proposals[id].thresholdReachedAt == 0 && approvalCount(id) >= threshold) {
+            proposals[id].thresholdReachedAt = now;
+            emit ProposalThresholdReached(id, now + delay);
+        }
+    }
+
+    /**
+     *  Cancel a pending proposal. Any approver can cancel a proposal.
+     *  @param id The id of the proposal.
+     */
+    function cancelProposal(uint256 id)
+        public
+        onlyApprover
+        isPending(id)
+    {
+        proposals[id].cancelled = true;
+        emit ProposalCancelled(id, msg.sender);
+    }
+
+    /**
+     *  Execute a proposal that has enough approvals of current approvers, once the delay
+     *  has passed since it reached the threshold. While the call is made, the target is
+     *  available as `executingTarget`, which the token allows to call its guarded functions.
+     *  @param id The id of the proposal.
+     */
+    function executeProposal(uint256 id)
+        public
+        onlyApprover
+        isPending(id)
+    {
+        Proposal storage proposal = proposals[id];
+        require(approvalCount(id) >= threshold && proposal.thresholdReachedAt != 0, "Proposal does not have enough approvals");
+        require(now >= proposal.thresholdReachedAt + delay, "Proposal is still in its delay period");
+
+        proposal.executed = true;
+        executingTarget = proposal.target;
+        require(proposal.target.call(proposal.data), "Proposal execution failed");
+        executingTarget = address(0);
+        emit ProposalExecuted(id, msg.sender);
+    }
+
+    /**
+     *  Add an approver. Can only be called through an approved proposal.
+     *  @param account The account to add.
+     */
+    function addApprover(address account)
+        public
+        onlySelf
+    {
+        addApproverInternal(account);
+    }
+
+    /**
+     *  Remove an approver. Can only be called through an approved proposal.
+     *  The threshold can not exceed the remaining number of approvers.
+     *  The approvals of the approver no longer count.
+     *  @param account The account to remove.
+     */
+    function removeApprover(address account)
+        public
+        onlySelf
+    {
+        require(approverCount > threshold, "Removing the approver would make the threshold unreachable");
+
+        approvers.remove(account);
+        uint256 i = 0;
+        while (approverList[i] != account) {
+            i++;
+        }
+        approverList[i] = approverList[approverList.length - 1];
+        approverList.length--;
+        approverCount--;
+        emit ApproverRemoved(account);
+    }
+
+    /**
+     *  Change the number of approvals a proposal needs. Can only be called through an approved proposal.
+     *  @param _threshold The new threshold.
+     */
+    function changeThreshold(uint256 _threshold)
+        public
+        onlySelf
+    {
+        changeThresholdInternal(_threshold);
+    }
+
+    /**
+     *  Change the delay between reaching the threshold and executing. Can only be called through an approved proposal.
+     *  @param _delay The new delay, in seconds.
+     */
+    function changeDelay(uint256 _delay)
+        public
+        onlySelf
+    {
+        changeDelayInternal(_delay);
+    }
+
+    /**
+     *  @param account The account to check.
+     *  @return A boolean indicating whether the account is an approver.
+     */
+    function isApprover(address account)
+        public
+        view
+        returns (bool)
+    {
+        return approvers.has(account);
+    }
+
+    /**
+     *  @param id The id of the proposal.
+     *  @param account The account to check.
+     *  @return A boolean indicating whether the account is an approver that approved the proposal.
+     */
+    function hasApproved(uint256 id, address account)
+        public
+        view
+        returns (bool)
+    {
+        return approvers.has(account) && approvedBy[id][account] == approverTerms[account];
+    }
+
+    /**
+     *  @param id The id of the proposal.
+     *  @return The number of current approvers that approved the proposal.
+     */
+    function approvalCount(uint256 id)
+        public
+        view
+        returns (uint256)
+    {
+        uint256 count = 0;
+        for (uint256 i = 0; i < approverList.length; i++) {
+            if (approvedBy[id][approverList[i]] == approverTerms[approverList[i]]) {
+                count++;
+            }
+        }
+        return count;
+    }
+
+    /**
+     *  @return The number of proposals ever made.
+     */
+    function proposalCount()
+        public
+        view
+        returns (uint256)
+    {
+        return proposals.length;
+    }
+
+    /**
+     *  @param id The id of the proposal.
+     *  @return The target, call data, proposer, creation time, number of approvals of current
+     *  approvers, the time it last reached the threshold or `0`, and whether the proposal has
+     *  been executed or cancelled.
+     */
+    function getProposal(uint256 id)
+        public
+        view
+        returns (address, bytes, address, uint256, uint256, uint256, bool, bool)
+    {
+        Proposal storage proposal = proposals[id];
+        return (
+            proposal.target,
+            proposal.data,
+            proposal.proposer,
+            proposal.createdAt,
+            approvalCount(id),
+            proposal.thresholdReachedAt,
+            proposal.executed,
+            proposal.cancelled
+        );
+    }
+
+    /**
+     *  Add an approver without checking who is calling. Approvals it gave in an
+     *  earlier term as an approver do not count.
+     *  @param account The account to add.
+     */
+    function addApproverInternal(address account)
+        internal
+    {
+        approvers.add(account);
+        approverList.push(account);
+        approverTerms[account]++;
+        approverCount++;
+        emit ApproverAdded(account);
+    }
+
+    /**
+     *  Change the threshold without checking who is calling.
+     *  The threshold has to be reachable with the current approvers.
+     *  @param _threshold The new threshold.
+     */
+    function changeThresholdInternal(uint256 _threshold)
+        internal
+    {
+        require(_threshold > 0 && _threshold <= approverCount, "Invalid threshold provided");
+
+        threshold = _threshold;
+        emit ThresholdChanged(_threshold);
+    }
+
+    /**
+     *  Change the delay without checking who is calling. The delay can not be zero.
+     *  @param _delay The new delay, in seconds.
+     */
+    function changeDelayInternal(uint256 _delay)
+        internal
+    {
+        require(_delay > 0, "A delay is mandatory");
+
+        delay = _delay;
+        emit DelayChanged(_delay);
+    }
+}
@@ -0,0 +1,301 @@
+pragma solidity 0.4.25;
+
+import "openzeppelin-solidity/contracts/math/SafeMath.sol";
+import "openzeppelin-solidity/contracts/token/ERC20/IERC20.sol";
+import "./SecurityToken.sol";
+
+/**
+ * @title Distributions
+ *
+ * Distributions pays out dividends and other distributions to the shareholders of
+ * a security token, pro-rata to their balances at a snapshot of the register. The
+ * issuer deposits ETH or an ERC-20 token against a snapshot, after which every
+ * shareholder can claim their share until the deadline. Whatever has not been
+ * claimed by then can be reclaimed by the issuer.
+ *
+ * The share of a superseded address is paid to the address that ultimately holds
+ * its share, as returned by `getCurrentFor`. For this, the contract has to be
+ * granted the auditor role on the token. How superseded and locked addresses are
+ * treated is determined by the policy at the time a distribution is created. Only
+ * addresses locked as a whole through `lock` on the token count as locked: shares
+ * under a lockup of `LockupRestriction` or a pending redemption request are still
+ * held by the holder, and their share is paid out as usual.
+ */
+contract Distributions {
+    using SafeMath for uint256;
+
+    struct Distribution {
+        uint256 snapshotId;
+        address asset;
+        uint256 amount;
+        uint256 claimed;
+        uint256 deadline;
+        bool withholdLocked;
+        bool withholdSuperseded;
+        bool reclaimed;
+    }
+
+    SecurityToken public token;
+
+    bool public withholdLocked;
+    bool public withholdSuperseded;
+
+    Distribution[] private distributions;
+    mapping(uint256 => mapping(address => bool)) private claimedBy;
+
+    event DistributionCreated(
+        uint256 indexed id,
+        uint256 indexed snapshotId,
+        address asset,
+        uint256 amount,
+        uint256 deadline,
+        address indexed sender
+    );
+    event Claimed(uint256 indexed id, address indexed holder, address indexed payee, uint256 amount);
+    event Reclaimed(uint256 indexed id, uint256 amount, address indexed sender);
+    event PolicySet(bool withholdLocked, bool withholdSuperseded, address indexed sender);
+
+    modifier onlyIssuer() {
+        require(token.isIssuer(msg.sender), "Caller is not an issuer");
+        _;
+    }
+
+    modifier isDistribution(uint256 id) {
+        require(id < distributions.length, "Unknown distribution");
+        _;
+    }
+
+    /**
+     *  @param _token The security token whose shareholders receive the distributions.
+     */
+    constructor(address _token)
+        public
+    {
+        require(_token != address(0), "Invalid token address provided");
+
+        token = SecurityToken(_token);
+    }
+
+    /**
+     *  Set the policy for distributions created from now on.
+     *  @param _withholdLocked Whether addresses locked through `lock` on the token can not
+     *  claim while they are locked. Lockups and pending redemptions are not taken into account.
+     *  @param _withholdSuperseded Whether the share of a superseded address is withheld,
+     *  instead of being paid to its replacement.
+     */
+    function setPolicy(bool _withholdLocked, bool _withholdSuperseded)
+        public
+        onlyIssuer
+    {
+        withholdLocked = _withholdLocked;
+        withholdSuperseded = _withholdSuperseded;
+        emit PolicySet(_withholdLocked, _withholdSuperseded, msg.sender);
+    }
+
+    /**
+     *  Deposit ETH to be distributed to the shareholders at a snapshot.
+     *  @param snapshotId The id of the snapshot taken on the record date.
+     *  @param deadline The time until which shareholders can claim their share.
+     *  @return The id of the distribution.
+     */
+    function distributeEther(uint256 snapshotId, uint256 deadline)
+        public
+        payable
+        onlyIssuer
+        returns (uint256)
+    {
+        return createDistribution(snapshotId, address(0), msg.value, deadline);
+    }
+
+    /**
+     *  Deposit an ERC-20 token to be distributed to the shareholders at a snapshot.
+     *  The contract has to be allowed to transfer `amount` tokens from the sender.
+     *  @param snapshotId The id of the snapshot taken on the record date.
+     *  @param asset The ERC-20 token to distribute.
+     *  @param amount The amount of tokens to distribute.
+     *  @param deadline The time until which shareholders can claim their share.
+     *  @return The id of the distribution.
+     */
+    function distributeTokens(uint256 snapshotId, address asset, uint256 amount, uint256 deadline)
+        public
+        onlyIssuer
+        returns (uint256)
+    {
+        require(asset != address(0), "Invalid asset address provided");
+        require(IERC20(asset).transferFrom(msg.sender, address(this), amount), "Deposit failed");
+
+        return createDistribution(snapshotId, asset, amount, deadline);
+    }
+
+    /**
+     *  Claim the share of a shareholder. Anybody can trigger a claim, the share is
+     *  always paid to the address that currently holds the shareholder's tokens.
+     *  @param id The id of the distribution.
+     *  @param holder The address that held the tokens at the snapshot.
+     */
+    function claim(uint256 id, address holder)
+        public
+        isDistribution(id)
+    {
+        Distribution storage distribution = distributions[id];
+        require(now < distribution.deadline, "Distribution has ended");
+        require(!claimedBy[id][holder], "Share has been claimed already");
+
+        address payee = token.getCurrentFor(holder);
+        require(payee == holder || !distribution.withholdSuperseded, "Share of a superseded address is withheld");
+        require(!distribution.withholdLocked || !token.isLocked(payee), "Share of a locked address is withheld");
+
+        uint256 share = shareOf(distribution, holder);
+        require(share > 0, "Nothing to claim");
+
+        claimedBy[id][holder] = true;
+        distribution.claimed = distribution.claimed.add(share);
+        pay(distribution.asset, payee, share);
+        emit Claimed(id, holder, payee, share);
+    }
+
+    /**
+     *  Reclaim whatever has not been claimed once the deadline has passed.
+     *  @param id The id of the distribution.
+     */
+    function reclaim(uint256 id)
+        public
+        onlyIssuer
+        isDistribution(id)
+    {
+        Distribution storage distribution = distributions[id];
+        require(now >= distribution.deadline, "Distribution has not ended yet");
+        require(!distribution.reclaimed, "Distribution has been reclaimed already");
+
+        uint256 remaining = distribution.amount.sub(distribution.claimed);
+        distribution.reclaimed = true;
+        pay(distribution.asset, msg.sender, remaining);
+        emit Reclaimed(id, remaining, msg.sender);
+    }
+
+    /**
+     *  @return The number of distributions ever made.
+     */
+    function distributionCount()
+        public
+        view
+        returns (uint256)
+    {
+        return distributions.length;
+    }
+
+    /**
+     *  @param id The id of the distribution.
+     *  @return The snapshot id, asset (the zero address for ETH), amount, claimed amount,
+     *  deadline, policy, and whether the distribution has been reclaimed.
+     */
+    function getDistribution(uint256 id)
+        public
+        view
+        returns (uint256, address, uint256, uint256, uint256, bool, bool, bool)
+    {
+        Distribution storage distribution = distributions[id];
+        return (
+            distribution.snapshotId,
+            distribution.asset,
+            distribution.amount,
+            distribution.claimed,
+            distribution.deadline,
+            distribution.withholdLocked,
+            distribution.withholdSuperseded,
+            distribution.reclaimed
+        );
+    }
+
+    /**
+     *  @param id The id of the distribution.
+     *  @param holder The address that held the tokens at the snapshot.
+     *  @return The share that has not been claimed yet.
+     */
+    function claimableAmount(uint256 id, address holder)
+        public
+        view
+        isDistribution(id)
+        returns (uint256)
+    {
+        if (claimedBy[id][holder]) {
+            return 0;
+        }
+        return shareOf(distributions[id], holder);
+    }
+
+    /**
+     *  @param id The id of the distribution.
+     *  @param holder The address that held the tokens at the snapshot.
+     *  @return A boolean indicating whether the share has been claimed.
+     */
+    function hasClaimed(uint256 id, address holder)
+        public
+        view
+        returns (bool)
+    {
+        return claimedBy[id][holder];
+    }
+
+    /**
+     *  Store a distribution, after checking the snapshot and deadline.
+     *  @param snapshotId The id of the snapshot taken on the record date.
+     *  @param asset The asset to distribute, or the zero address for ETH.
+     *  @param amount The amount to distribute.
+     *  @param deadline The time until which shareholders can claim their share.
+     *  @return The id of the distribution.
+     */
+    function createDistribution(uint256 snapshotId, address asset, uint256 amount, uint256 deadline)
+        internal
+        returns (uint256)
+    {
+        require(snapshotId > 0 && snapshotId <= token.currentSnapshotId(), "Unknown snapshot");
+        require(token.totalSupplyAt(snapshotId) > 0, "No tokens at the snapshot");
+        require(amount > 0, "Invalid amount provided");
+        require(deadline > now, "Invalid deadline provided");
+
+        uint256 id = distributions.push(Distribution(
+            snapshotId,
+            asset,
+            amount,
+            0,
+            deadline,
+            withholdLocked,
+            withholdSuperseded,
+            false
+        )) - 1;
+        emit DistributionCreated(id, snapshotId, asset, amount, deadline, msg.sender);
+        return id;
+    }
+
+    /**
+     *  Calculate the pro-rata share of a shareholder. Rounding remainders can be reclaimed.
+     *  @param distribution The distribution.
+     *  @param holder The address that held the tokens at the snapshot.
+     *  @return The share of the shareholder.
+     */
+    function shareOf(Distribution storage distribution, address holder)
+        internal
+        view
+        returns (uint256)
+    {
+        uint256 balance = token.balanceOfAt(holder, distribution.snapshotId);
+        return distribution.amount.mul(balance).div(token.totalSupplyAt(distribution.snapshotId));
+    }
+
+    /**
+     *  Send ETH or ERC-20 tokens.
+     *  @param asset The asset to send, or the zero address for ETH.
+     *  @param to The address to send the asset to.
+     *  @param amount The amount to send.
+     */
+    function pay(address asset, address to, uint256 amount)
+        internal
+    {
+        if (asset == address(0)) {
+            to.transfer(amount);
+        } else {
+            require(IERC20(asset).transfer(to, amount), "Payment failed");
+        }
+    }
+}
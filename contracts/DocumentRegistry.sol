@@ -0,0 +1,174 @@
+pragma solidity 0.4.25;
+
+import "./SecurityToken.sol";
+
+/**
+ * @title Document registry
+ *
+ * DocumentRegistry links a security token to its legal documents, such as the
+ * prospectus, the articles of association and the shareholder agreement, following
+ * ERC-1643. A document is identified by its name, and stored with a URI, the hash of
+ * its contents and the time it was last modified.
+ *
+ * Every change is kept as a version of the document, so that the version that applied
+ * at any point in time can be looked up afterwards. Documents are managed by the
+ * super-admins of the token.
+ *
+ * @dev Ref https://github.com/ethereum/EIPs/issues/1643
+ */
+contract DocumentRegistry {
+    struct Version {
+        string uri;
+        bytes32 documentHash;
+        uint256 timestamp;
+    }
+
+    SecurityToken public token;
+
+    bytes32[] private names;
+    mapping(bytes32 => uint256) private nameIndices;
+    mapping(bytes32 => Version[]) private versions;
+
+    event DocumentUpdated(bytes32 indexed name, string uri, bytes32 documentHash);
+    event DocumentRemoved(bytes32 indexed name, string uri, bytes32 documentHash);
+
+    modifier onlySuperAdmin() {
+        require(token.isSuperAdmin(msg.sender), "Caller is not a super-admin");
+        _;
+    }
+
+    /**
+     *  @param _token The security token the documents belong to.
+     */
+    constructor(address _token)
+        public
+    {
+        require(_token != address(0), "Invalid token address provided");
+
+        token = SecurityToken(_token);
+    }
+
+    /**
+     *  Add a document, or update it if a document with the same name exists.
+     *  @param name The name of the document, e.g. `prospectus`.
+     *  @param uri The location of the document.
+     *  @param documentHash The hash of the contents of the document.
+     */
+    function setDocument(bytes32 name, string uri, bytes32 documentHash)
+        public
+        onlySuperAdmin
+    {
+        require(name != bytes32(0), "Invalid document name provided");
+        require(bytes(uri).length > 0, "Invalid document URI provided");
+        require(documentHash != bytes32(0), "Invalid document hash provided");
+
+        if (nameIndices[name] == 0) {
+            nameIndices[name] = names.push(name);
+        }
+
+        versions[name].push(Version(uri, documentHash, now));
+        emit DocumentUpdated(name, uri, documentHash);
+    }
+
+    /**
+     *  Remove a document. Its versions remain available through `getDocumentVersion`.
+     *  The last document in the list takes over the position of the removed one.
+     *  @param name The name of the document.
+     */
+    function removeDocument(bytes32 name)
+        public
+        onlySuperAdmin
+    {
+        uint256 index = nameIndices[name];
+        require(index != 0, "Unknown document");
+
+        Version storage current = versions[name][versions[name].length - 1];
+        emit DocumentRemoved(name, current.uri, current.documentHash);
+        versions[name].push(Version("", bytes32(0), now));
+
+        bytes32 last = names[names.length - 1];
+        names[index - 1] = last;
+        nameIndices[last] = index;
+        names.length--;
+        nameIndices[name] = 0;
+    }
+
+    /**
+     *  @param name The name of the document.
+     *  @return The URI, the content hash and the last-modified time of the current version.
+     */
+    function getDocument(bytes32 name)
+        public
+        view
+        returns (string, bytes32, uint256)
+    {
+        require(nameIndices[name] != 0, "Unknown document");
+
+        Version storage version = versions[name][versions[name].length - 1];
+        return (version.uri, version.documentHash, version.timestamp);
+    }
+
+    /**
+     *  @return The names of all current documents.
+     */
+    function getAllDocuments()
+        public
+        view
+        returns (bytes32[])
+    {
+        return names;
+    }
+
+    /**
+     *  @param name The name of the document.
+     *  @return The number of versions of the document, including removals.
+     */
+    function documentVersionCount(bytes32 name)
+        public
+        view
+        returns (uint256)
+    {
+        return versions[name].length;
+    }
+
+    /**
+     *  @param name The name of the document.
+     *  @param index The index of the version, in the order of changes.
+     *  @return The URI, the content hash and the time of the version. A removal has an empty
+     *  URI and hash.
+     */
+    function getDocumentVersion(bytes32 name, uint256 index)
+        public
+        view
+        returns (string, bytes32, uint256)
+    {
+        require(index < versions[name].length, "Unknown version");
+
+        Version storage version = versions[name][index];
+        return (version.uri, version.documentHash, version.timestamp);
+    }
+
+    /**
+     *  Look up the version of a document that applied at a given time.
+     *  @param name The name of the document.
+     *  @param time The time to look up.
+     *  @return The URI, the content hash and the time of the version. The URI and hash are
+     *  empty if the document did not exist, or had been removed, at the time.
+     */
+    function getDocumentAt(bytes32 name, uint256 time)
+        public
+        view
+        returns (string, bytes32, uint256)
+    {
+        Version[] storage all = versions[name];
+        uint256 i = all.length;
+        while (i > 0 && all[i - 1].timestamp > time) {
+            i--;
+        }
+
+        if (i == 0) {
+            return ("", bytes32(0), 0);
+        }
+        return (all[i - 1].uri, all[i - 1].documentHash, all[i - 1].timestamp);
+    }
+}
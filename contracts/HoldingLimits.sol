@@ -0,0 +1,265 @@
+pragma solidity 0.4.25;
+
+import "openzeppelin-solidity/contracts/math/SafeMath.sol";
+import "./SecurityToken.sol";
+import "./TransferRestriction.sol";
+import "./IdentityVerifier.sol";
+
+/**
+ * @title Holding limits
+ *
+ * HoldingLimits is a rule module that limits the number of shareholders of a security
+ * token, such as the 2,000 holder registration threshold, and how much of the token a
+ * single address may hold, both as a share of the total supply and as an amount per
+ * investor type. The limits are checked on every transfer and issuance that gives an
+ * address tokens, and are managed by the compliance officers of the token.
+ *
+ * The investor type of an address is either set by a compliance officer, or proven by
+ * disclosing the `investorType` field of its identity commitment through the
+ * IdentityVerifier. Addresses without an investor type are not limited per type.
+ *
+ * Exempt addresses, such as the issuer's treasury, are not limited in how much they
+ * hold, but still count towards the number of shareholders.
+ */
+contract HoldingLimits is TransferRestriction {
+    using SafeMath for uint256;
+
+    uint8 constant public HOLDER_LIMIT_EXCEEDED = 66;
+    uint8 constant public OWNERSHIP_LIMIT_EXCEEDED = 67;
+    uint8 constant public INVESTOR_TYPE_LIMIT_EXCEEDED = 68;
+
+    uint256 constant public BASIS_POINTS = 10000;
+
+    SecurityToken public token;
+    IdentityVerifier public identityVerifier;
+
+    uint256 public maxHolders;
+    uint256 public maxOwnership;
+
+    mapping(address => bool) private exemptions;
+    mapping(address => string) private investorTypes;
+    mapping(bytes32 => uint256) private investorTypeLimits;
+
+    event HolderLimitSet(uint256 maxHolders, address indexed sender);
+    event OwnershipLimitSet(uint256 maxOwnership, address indexed sender);
+    event InvestorTypeLimitSet(string investorType, uint256 maxBalance, address indexed sender);
+    event InvestorTypeSet(address indexed addr, string investorType, address indexed sender);
+    event ExemptionSet(address indexed addr, bool exempt, address indexed sender);
+    event IdentityVerifierSet(address indexed verifier, address indexed sender);
+
+    modifier onlyComplianceOfficer() {
+        require(token.isComplianceOfficer(msg.sender), "Caller is not a compliance officer");
+        _;
+    }
+
+    /**
+     *  @param _token The security token whose holdings are limited.
+     */
+    constructor(address _token)
+        public
+    {
+        require(_token != address(0), "Invalid token address provided");
+
+        token = SecurityToken(_token);
+    }
+
+    /**
+     *  Limit the number of shareholders.
+     *  @param _maxHolders The maximum number of shareholders, or `0` for no limit.
+     */
+    function setHolderLimit(uint256 _maxHolders)
+        public
+        onlyComplianceOfficer
+    {
+        maxHolders = _maxHolders;
+        emit HolderLimitSet(_maxHolders, msg.sender);
+    }
+
+    /**
+     *  Limit the share of the total supply a single address may hold.
+     *  @param _maxOwnership The maximum share in basis points, e.g. `1000` for 10%, or `0` for no limit.
+     */
+    function setOwnershipLimit(uint256 _maxOwnership)
+        public
+        onlyComplianceOfficer
+    {
+        require(_maxOwnership <= BASIS_POINTS, "Invalid ownership limit provided");
+
+        maxOwnership = _maxOwnership;
+        emit OwnershipLimitSet(_maxOwnership, msg.sender);
+    }
+
+    /**
+     *  Limit the amount of tokens a single address of an investor type may hold.
+     *  @param investorType The investor type, e.g. `retail`.
+     *  @param maxBalance The maximum amount of tokens, or `0` for no limit.
+     */
+    function setInvestorTypeLimit(string investorType, uint256 maxBalance)
+        public
+        onlyComplianceOfficer
+    {
+        require(bytes(investorType).length > 0, "Invalid investor type provided");
+
+        investorTypeLimits[keccak256(bytes(investorType))] = maxBalance;
+        emit InvestorTypeLimitSet(investorType, maxBalance, msg.sender);
+    }
+
+    /**
+     *  Exempt an address from the ownership and investor type limits, or lift the exemption.
+     *  @param addr The address.
+     *  @param exempt Whether the address is exempt.
+     */
+    function setExempt(address addr, bool exempt)
+        public
+        onlyComplianceOfficer
+    {
+        exemptions[addr] = exempt;
+        emit ExemptionSet(addr, exempt, msg.sender);
+    }
+
+    /**
+     *  Set the investor type of an address.
+     *  @param addr The address.
+     *  @param investorType The investor type, or an empty string to clear it.
+     */
+    function setInvestorType(address addr, string investorType)
+        public
+        onlyComplianceOfficer
+    {
+        investorTypes[addr] = investorType;
+        emit InvestorTypeSet(addr, investorType, msg.sender);
+    }
+
+    /**
+     *  Set the verifier through which investor types are proven.
+     *  @param verifier The IdentityVerifier of the token, or the zero address to stop accepting proofs.
+     */
+    function setIdentityVerifier(address verifier)
+        public
+        onlyComplianceOfficer
+    {
+        identityVerifier = IdentityVerifier(verifier);
+        emit IdentityVerifierSet(verifier, msg.sender);
+    }
+
+    /**
+     *  Set the investor type of an address by disclosing the `investorType` field of its
+     *  identity commitment. Can be called by anybody, as the disclosure is checked.
+     *  @param addr The verified address.
+     *  @param investorType The canonical investor type, e.g. `retail`.
+     *  @param salt The salt of the field.
+     *  @param proof The sibling nodes on the path from the leaf of the field to the root.
+     */
+    function proveInvestorType(address addr, string investorType, bytes32 salt, bytes32[] proof)
+        public
+    {
+        require(address(identityVerifier) != address(0), "No identity verifier has been set");
+        require(identityVerifier.verifyAttribute(addr, "investorType", investorType, salt, proof), "Invalid disclosure provided");
+
+        investorTypes[addr] = investorType;
+        emit InvestorTypeSet(addr, investorType, msg.sender);
+    }
+
+    /**
+     *  @param addr The address to check.
+     *  @return A boolean indicating whether the address is exempt from the ownership and investor type limits.
+     */
+    function isExempt(address addr)
+        public
+        view
+        returns (bool)
+    {
+        return exemptions[addr];
+    }
+
+    /**
+     *  @param addr The address to check.
+     *  @return The investor type of the address, or an empty string.
+     */
+    function investorTypeOf(address addr)
+        public
+        view
+        returns (string)
+    {
+        return investorTypes[addr];
+    }
+
+    /**
+     *  @param investorType The investor type to check.
+     *  @return The maximum amount of tokens an address of the investor type may hold, or `0` for no limit.
+     */
+    function investorTypeLimit(string investorType)
+        public
+        view
+        returns (uint256)
+    {
+        return investorTypeLimits[keccak256(bytes(investorType))];
+    }
+
+    /**
+     *  Restricts transfers and issuance that would exceed one of the limits.
+     *  @param from The address sending the tokens, or the zero address for an issuance.
+     *  @param to The address receiving the tokens.
+     *  @param value The amount of tokens being transferred.
+     *  @return `HOLDER_LIMIT_EXCEEDED`, `OWNERSHIP_LIMIT_EXCEEDED` or `INVESTOR_TYPE_LIMIT_EXCEEDED`
+     *  if the receiver would exceed a limit, `0` otherwise.
+     */
+    function detectTransferRestriction(address from, address to, uint256 value)
+        public
+        view
+        returns (uint8)
+    {
+        if (from == to || value == 0) {
+            return 0;
+        }
+
+        uint256 balance = token.balanceOf(to);
+        if (maxHolders != 0 && balance == 0) {
+            uint256 holders = token.holderCount();
+            if (from != address(0) && token.balanceOf(from) == value) {
+                holders--;
+            }
+            if (holders >= maxHolders) {
+                return HOLDER_LIMIT_EXCEEDED;
+            }
+        }
+
+        if (exemptions[to]) {
+            return 0;
+        }
+
+        balance = balance.add(value);
+        uint256 supply = from == address(0) ? token.totalSupply().add(value) : token.totalSupply();
+        if (maxOwnership != 0 && balance.mul(BASIS_POINTS) > supply.mul(maxOwnership)) {
+            return OWNERSHIP_LIMIT_EXCEEDED;
+        }
+
+        uint256 limit = investorTypeLimits[keccak256(bytes(investorTypes[to]))];
+        if (bytes(investorTypes[to]).length > 0 && limit != 0 && balance > limit) {
+            return INVESTOR_TYPE_LIMIT_EXCEEDED;
+        }
+
+        return 0;
+    }
+
+    /**
+     *  @param restrictionCode A restriction code returned by `detectTransferRestriction`.
+     *  @return The message for the codes of this module, an empty string otherwise.
+     */
+    function messageForTransferRestriction(uint8 restrictionCode)
+        public
+        view
+        returns (string)
+    {
+        if (restrictionCode == HOLDER_LIMIT_EXCEEDED) {
+            return "Maximum number of shareholders reached";
+        }
+        if (restrictionCode == OWNERSHIP_LIMIT_EXCEEDED) {
+            return "Receiver would exceed the maximum share of the total supply";
+        }
+        if (restrictionCode == INVESTOR_TYPE_LIMIT_EXCEEDED) {
+            return "Receiver would exceed the limit of its investor type";
+        }
+        return "";
+    }
+}
@@ -0,0 +1,82 @@
+pragma solidity 0.4.25;
+
+import "./SecurityToken.sol";
+
+/**
+ * @title Identity verifier
+ *
+ * IdentityVerifier checks single fields of an investor record against the hash
+ * stored for an address on a security token, without the rest of the record.
+ *
+ * This requires the hash to be the root of a Merkle tree with one salted leaf per
+ * field, as built by `lib/identity.js`. A leaf is the hash of the ABI encoded salt
+ * of the field, its name and its canonical value. Pairs of nodes are hashed in
+ * sorted order, like OpenZeppelin's MerkleProof does.
+ */
+contract IdentityVerifier {
+    SecurityToken public token;
+
+    /**
+     *  @param _token The security token storing the investor hashes.
+     */
+    constructor(address _token)
+        public
+    {
+        require(_token != address(0), "Invalid token address provided");
+
+        token = SecurityToken(_token);
+    }
+
+    /**
+     *  Checks that a field is part of the record the hash of an address commits to.
+     *  @param addr The verified address.
+     *  @param field The name of the field, e.g. `jurisdiction`.
+     *  @param value The canonical value of the field, e.g. `NL`.
+     *  @param salt The salt of the field.
+     *  @param proof The sibling nodes on the path from the leaf of the field to the root.
+     *  @return A boolean indicating whether the address is verified and the field is part of its record.
+     */
+    function verifyAttribute(address addr, string field, string value, bytes32 salt, bytes32[] proof)
+        public
+        view
+        returns (bool)
+    {
+        return token.isVerified(addr) && token.hasHash(addr, computeRoot(attributeLeaf(salt, field, value), proof));
+    }
+
+    /**
+     *  @param salt The salt of the field.
+     *  @param field The name of the field.
+     *  @param value The canonical value of the field.
+     *  @return The leaf of the field.
+     */
+    function attributeLeaf(bytes32 salt, string field, string value)
+        public
+        pure
+        returns (bytes32)
+    {
+        return keccak256(abi.encode(salt, field, value));
+    }
+
+    /**
+     *  Hash a leaf up to the root of its tree.
+     *  @param leaf The leaf.
+     *  @param proof The sibling nodes on the path from the leaf to the root.
+     *  @return The root of the tree.
+     */
+    function computeRoot(bytes32 leaf, bytes32[] proof)
+        internal
+        pure
+        returns (bytes32)
+    {
+        bytes32 node = leaf;
+        for (uint256 i = 0; i < proof.length; i++) {
+            if (node < proof[i]) {
+                node = keccak256(abi.encodePacked(node, proof[i]));
+            } else {
+                node = keccak256(abi.encodePacked(proof[i], node));
+            }
+        }
+        return node;
+    }
+}
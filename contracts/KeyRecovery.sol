@@ -0,0 +1,286 @@
+pragma solidity 0.4.25;
+
+import "./SecurityToken.sol";
+
+/**
+ * @title Key recovery
+ *
+ * KeyRecovery lets a shareholder who has lost the key to its address recover its
+ * shares on-chain, instead of through an off-chain request to the transfer agent.
+ * A recovery is requested by one of the guardians the holder has registered
+ * beforehand, or by the holder itself, either with the original key or from a
+ * replacement address that has been verified with the same identity hash as the
+ * original. A request of the holder supersedes a pending request of a guardian, so
+ * a guardian can not keep the holder from recovering its shares.
+ *
+ * Every request goes through a challenge period of at least `MIN_CHALLENGE_PERIOD`,
+ * in which the original key can veto it, so a stolen guardian key or a forged identity
+ * can not take over a balance unnoticed. Afterwards, a transfer agent finalises the
+ * request, which supersedes the original address through `cancelAndReissue`. For this,
+ * the contract has to be granted the transfer agent role on the token. Once an approval
+ * manager guards `cancelAndReissue`, requests are finalised through proposals of the
+ * manager that call `finalizeRecovery`.
+ */
+contract KeyRecovery {
+    uint256 constant public MIN_CHALLENGE_PERIOD = 1 days;
+
+    struct Request {
+        address original;
+        address replacement;
+        address initiator;
+        uint256 createdAt;
+        bool byGuardian;
+        bool vetoed;
+        bool finalized;
+    }
+
+    SecurityToken public token;
+    uint256 public challengePeriod;
+
+    mapping(address => mapping(address => bool)) private guardians;
+    mapping(address => uint256) private openRequests;
+    Request[] private requests;
+
+    event GuardianAdded(address indexed holder, address indexed guardian);
+    event GuardianRemoved(address indexed holder, address indexed guardian);
+    event RecoveryRequested(uint256 indexed id, address indexed original, address indexed replacement, address initiator);
+    event RecoveryVetoed(uint256 indexed id, address indexed sender);
+    event RecoverySuperseded(uint256 indexed id, address indexed sender);
+    event RecoveryFinalized(uint256 indexed id, address indexed sender);
+    event ChallengePeriodChanged(uint256 challengePeriod, address indexed sender);
+
+    modifier onlySuperAdmin() {
+        require(token.isSuperAdmin(msg.sender), "Caller is not a super-admin");
+        _;
+    }
+
+    modifier onlyTransferAgent() {
+        require(token.isTransferAgent(msg.sender), "Caller is not a transfer agent");
+        _;
+    }
+
+    modifier isPending(uint256 id) {
+        require(id < requests.length, "Unknown recovery request");
+        require(!requests[id].vetoed && !requests[id].finalized, "Recovery request is no longer pending");
+        _;
+    }
+
+    /**
+     *  @param _token The security token whose holders can recover their shares.
+     *  @param _challengePeriod The number of seconds in which a request can be vetoed.
+     */
+    constructor(address _token, uint256 _challengePeriod)
+        public
+    {
+        require(_token != address(0), "Invalid token address provided");
+        require(_challengePeriod >= MIN_CHALLENGE_PERIOD, "Challenge period is too short");
+
+        token = SecurityToken(_token);
+        challengePeriod = _challengePeriod;
+    }
+
+    /**
+     *  Change the challenge period. Applies to pending requests as well.
+     *  @param _challengePeriod The number of seconds in which a request can be vetoed.
+     */
+    function setChallengePeriod(uint256 _challengePeriod)
+        public
+        onlySuperAdmin
+    {
+        require(_challengePeriod >= MIN_CHALLENGE_PERIOD, "Challenge period is too short");
+
+        challengePeriod = _challengePeriod;
+        emit ChallengePeriodChanged(_challengePeriod, msg.sender);
+    }
+
+    /**
+     *  Register a guardian that can request the recovery of the caller's address.
+     *  @param guardian The address of the guardian, e.g. a relative or a custodian.
+     */
+    function addGuardian(address guardian)
+        public
+    {
+        require(guardian != address(0) && guardian != msg.sender, "Invalid guardian address provided");
+        require(!guardians[msg.sender][guardian], "Guardian has been added already");
+
+        guardians[msg.sender][guardian] = true;
+        emit GuardianAdded(msg.sender, guardian);
+    }
+
+    /**
+     *  Remove a guardian of the caller's address. Requests it has opened remain pending.
+     *  @param guardian The address of the guardian.
+     */
+    function removeGuardian(address guardian)
+        public
+    {
+        require(guardians[msg.sender][guardian], "Guardian has not been added");
+
+        guardians[msg.sender][guardian] = false;
+        emit GuardianRemoved(msg.sender, guardian);
+    }
+
+    /**
+     *  Request the recovery of a holder's address, as one of its guardians, or as the
+     *  holder with the original key, e.g. to redirect a request of a guardian.
+     *  @param original The address whose key has been lost.
+     *  @param replacement The verified address that will supersede the original.
+     *  @return The id of the request.
+     */
+    function requestRecovery(address original, address replacement)
+        public
+        returns (uint256)
+    {
+        require(
+            msg.sender == original || guardians[original][msg.sender],
+            "Caller is not the holder or a guardian of the address"
+        );
+
+        return openRequest(original, replacement, msg.sender != original);
+    }
+
+    /**
+     *  Request the recovery of an address from its replacement, which has to be verified
+     *  with the same identity hash as the original.
+     *  @param original The address whose key has been lost.
+     *  @param hash The identity hash of both addresses.
+     *  @return The id of the request.
+     */
+    function requestOwnRecovery(address original, bytes32 hash)
+        public
+        returns (uint256)
+    {
+        require(
+            token.hasHash(original, hash) && token.hasHash(msg.sender, hash),
+            "Caller is not verified with the identity hash of the address"
+        );
+
+        return openRequest(original, msg.sender, false);
+    }
+
+    /**
+     *  Veto a pending request. Can be called with the original key at any time before the
+     *  request is finalised, or by a transfer agent rejecting the request.
+     *  @param id The id of the request.
+     */
+    function vetoRecovery(uint256 id)
+        public
+        isPending(id)
+    {
+        Request storage request = requests[id];
+        require(msg.sender == request.original || token.isTransferAgent(msg.sender), "Caller can not veto the request");
+
+        request.vetoed = true;
+        openRequests[request.original] = 0;
+        emit RecoveryVetoed(id, msg.sender);
+    }
+
+    /**
+     *  Finalise a request once its challenge period has passed, superseding the original
+     *  address by the replacement through `cancelAndReissue`.
+     *  @param id The id of the request.
+     */
+    function finalizeRecovery(uint256 id)
+        public
+        onlyTransferAgent
+        isPending(id)
+    {
+        Request storage request = requests[id];
+        require(now >= request.createdAt + challengePeriod, "Recovery request is still in its challenge period");
+
+        request.finalized = true;
+        openRequests[request.original] = 0;
+        token.cancelAndReissue(request.original, request.replacement);
+        emit RecoveryFinalized(id, msg.sender);
+    }
+
+    /**
+     *  @param holder The address to check.
+     *  @param guardian The guardian to check.
+     *  @return A boolean indicating whether the guardian can request the recovery of the address.
+     */
+    function isGuardian(address holder, address guardian)
+        public
+        view
+        returns (bool)
+    {
+        return guardians[holder][guardian];
+    }
+
+    /**
+     *  @return The number of requests, including vetoed and finalised ones.
+     */
+    function recoveryCount()
+        public
+        view
+        returns (uint256)
+    {
+        return requests.length;
+    }
+
+    /**
+     *  @param original The address to check.
+     *  @return A boolean indicating whether a request is pending for the address, and its id.
+     */
+    function pendingRecoveryFor(address original)
+        public
+        view
+        returns (bool, uint256)
+    {
+        uint256 index = openRequests[original];
+        return index == 0 ? (false, 0) : (true, index - 1);
+    }
+
+    /**
+     *  @param id The id of the request.
+     *  @return The original, replacement and initiator of the request, the time it was
+     *  opened, and whether it has been vetoed or superseded, or finalised.
+     */
+    function getRecovery(uint256 id)
+        public
+        view
+        returns (address, address, address, uint256, bool, bool)
+    {
+        require(id < requests.length, "Unknown recovery request");
+
+        Request storage request = requests[id];
+        return (
+            request.original,
+            request.replacement,
+            request.initiator,
+            request.createdAt,
+            request.vetoed,
+            request.finalized
+        );
+    }
+
+    /**
+     *  Open a request, after the caller has been checked. A request of the holder
+     *  supersedes a pending request of a guardian.
+     *  @param original The address whose key has been lost.
+     *  @param replacement The verified address that will supersede the original.
+     *  @param byGuardian Whether the request is made by a guardian rather than the holder.
+     *  @return The id of the request.
+     */
+    function openRequest(address original, address replacement, bool byGuardian)
+        internal
+        returns (uint256)
+    {
+        require(token.isHolder(original), "Address is not a shareholder");
+        require(token.isVerified(replacement), "Replacement is not a verified address");
+        require(!token.isHolder(replacement), "Replacement is already a shareholder");
+
+        if (openRequests[original] != 0) {
+            Request storage pending = requests[openRequests[original] - 1];
+            require(!byGuardian && pending.byGuardian, "A recovery of the address is pending already");
+
+            pending.vetoed = true;
+            emit RecoverySuperseded(openRequests[original] - 1, msg.sender);
+        }
+
+        uint256 id = requests.push(Request(original, replacement, msg.sender, now, byGuardian, false, false)) - 1;
+        openRequests[original] = id + 1;
+        emit RecoveryRequested(id, original, replacement, msg.sender);
+        return id;
+    }
+}
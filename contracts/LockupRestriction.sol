@@ -0,0 +1,306 @@
+pragma solidity 0.4.25;
+
+import "openzeppelin-solidity/contracts/math/SafeMath.sol";
+import "./SecurityToken.sol";
+import "./TransferObserver.sol";
+
+/**
+ * @title Lockup restriction
+ *
+ * LockupRestriction is a rule module that locks up part of an address' balance
+ * according to one or more schedules. A schedule locks an amount of tokens, and
+ * releases it either all at once at a given time, or linearly between a start and
+ * an end time, optionally with a cliff before which nothing is released. Transfers
+ * can only be made out of the unlocked part of a balance.
+ *
+ * Schedules are managed by the transfer agents of the token. They are tied to an
+ * address, so they have to be recreated for the replacement address after
+ * `cancelAndReissue`. Splits scale the locked amounts along with the balances.
+ * Fully released lockups are removed once tokens next move to or from the address.
+ */
+contract LockupRestriction is TransferObserver {
+    using SafeMath for uint256;
+
+    uint8 constant public LOCKED_UP = 64;
+
+    struct Lockup {
+        uint256 amount;
+        uint256 start;
+        uint256 cliff;
+        uint256 end;
+    }
+
+    SecurityToken public token;
+
+    mapping(address => Lockup[]) private lockups;
+
+    event LockupCreated(
+        address indexed addr,
+        uint256 index,
+        uint256 amount,
+        uint256 start,
+        uint256 cliff,
+        uint256 end,
+        address indexed sender
+    );
+    event LockupReleased(address indexed addr, uint256 index, uint256 amount, address indexed sender);
+
+    modifier onlyTransferAgent() {
+        require(token.isTransferAgent(msg.sender), "Caller is not a transfer agent");
+        _;
+    }
+
+    /**
+     *  @param _token The security token whose balances are locked up.
+     */
+    constructor(address _token)
+        public
+    {
+        require(_token != address(0), "Invalid token address provided");
+
+        token = SecurityToken(_token);
+    }
+
+    /**
+     *  Lock up an amount of tokens of an address until the given time.
+     *  Typically used for holding periods, such as under Reg S or Rule 144.
+     *  @param addr The address to lock the tokens of.
+     *  @param amount The amount of tokens to lock up.
+     *  @param releaseTime The time at which all of the tokens are released.
+     *  @return The index of the lockup.
+     */
+    function addLockup(address addr, uint256 amount, uint256 releaseTime)
+        public
+        onlyTransferAgent
+        returns (uint256)
+    {
+        return createLockup(addr, amount, releaseTime, releaseTime, releaseTime);
+    }
+
+    /**
+     *  Lock up an amount of tokens of an address and release them linearly between
+     *  `start` and `end`. Nothing is released before `cliff`, at which point everything
+     *  vested since `start` is released at once. Typically used for employee share plans.
+     *  @param addr The address to lock the tokens of.
+     *  @param amount The amount of tokens to lock up.
+     *  @param start The time at which vesting starts.
+     *  @param cliff The time before which no tokens are released.
+     *  @param end The time at which all of the tokens are released.
+     *  @return The index of the lockup.
+     */
+    function addVesting(address addr, uint256 amount, uint256 start, uint256 cliff, uint256 end)
+        public
+        onlyTransferAgent
+        returns (uint256)
+    {
+        return createLockup(addr, amount, start, cliff, end);
+    }
+
+    /**
+     *  Remove a lockup. Anybody can remove a lockup once it has been fully released,
+     *  a transfer agent can release the remaining tokens of a lockup early.
+     *  The last lockup of the address takes over the index of the removed one.
+     *  @param addr The address the tokens are locked up for.
+     *  @param index The index of the lockup.
+     */
+    function releaseLockup(address addr, uint256 index)
+        public
+    {
+        require(index < lockups[addr].length, "Unknown lockup");
+
+        uint256 remaining = lockedAmount(lockups[addr][index]);
+        require(remaining == 0 || token.isTransferAgent(msg.sender), "Lockup has not been released yet");
+
+        removeLockup(addr, index, remaining);
+    }
+
+    /**
+     *  @param addr The address to check.
+     *  @return The number of lockups of the address.
+     */
+    function lockupCount(address addr)
+        public
+        view
+        returns (uint256)
+    {
+        return lockups[addr].length;
+    }
+
+    /**
+     *  @param addr The address to check.
+     *  @param index The index of the lockup.
+     *  @return The locked amount, start, cliff and end time of the lockup.
+     */
+    function getLockup(address addr, uint256 index)
+        public
+        view
+        returns (uint256, uint256, uint256, uint256)
+    {
+        Lockup storage lockup = lockups[addr][index];
+        return (lockup.amount, lockup.start, lockup.cliff, lockup.end);
+    }
+
+    /**
+     *  @param addr The address to check.
+     *  @return The amount of tokens that is currently locked up for the address.
+     */
+    function lockedBalanceOf(address addr)
+        public
+        view
+        returns (uint256)
+    {
+        uint256 locked = 0;
+        for (uint256 i = 0; i < lockups[addr].length; i++) {
+            locked = locked.add(lockedAmount(lockups[addr][i]));
+        }
+        return locked;
+    }
+
+    /**
+     *  @param addr The address to check.
+     *  @return The amount of tokens the address can currently transfer.
+     */
+    function transferableBalanceOf(address addr)
+        public
+        view
+        returns (uint256)
+    {
+        uint256 balance = token.balanceOf(addr);
+        uint256 locked = lockedBalanceOf(addr);
+        return balance > locked ? balance - locked : 0;
+    }
+
+    /**
+     *  Restricts transfers exceeding the transferable balance of the sender.
+     *  Issuance and reissues through `cancelAndReissue` are not restricted.
+     *  @param from The address sending the tokens.
+     *  @param value The amount of tokens being transferred.
+     *  @return `LOCKED_UP` if the tokens are locked up, `0` otherwise.
+     */
+    function detectTransferRestriction(address from, address, uint256 value)
+        public
+        view
+        returns (uint8)
+    {
+        return from != address(0) && value > transferableBalanceOf(from) && from != token.reissuing() ? LOCKED_UP : 0;
+    }
+
+    /**
+     *  @param restrictionCode A restriction code returned by `detectTransferRestriction`.
+     *  @return The message for `LOCKED_UP`, an empty string otherwise.
+     */
+    function messageForTransferRestriction(uint8 restrictionCode)
+        public
+        view
+        returns (string)
+    {
+        return restrictionCode == LOCKED_UP ? "Tokens are locked up" : "";
+    }
+
+    /**
+     *  Removes the lockups of the sender and the receiver that have been fully released
+     *  since, emitting `LockupReleased` with the token as the sender.
+     *  @param from The address the tokens were taken from, or the zero address for an issuance.
+     *  @param to The address that received the tokens, or the zero address for a burn.
+     */
+    function afterTransfer(address from, address to, uint256)
+        public
+    {
+        require(msg.sender == address(token), "Caller is not the token");
+
+        removeReleased(from);
+        removeReleased(to);
+    }
+
+    /**
+     *  Scales the lockups of a holder by the ratio of a split, rounding down like the balance.
+     *  @param holder The address whose balance has been split.
+     *  @param numerator The number of new shares per `denominator` old shares.
+     *  @param denominator The number of old shares per `numerator` new shares.
+     */
+    function afterSplit(address holder, uint256 numerator, uint256 denominator)
+        public
+    {
+        require(msg.sender == address(token), "Caller is not the token");
+
+        for (uint256 i = 0; i < lockups[holder].length; i++) {
+            lockups[holder][i].amount = lockups[holder][i].amount.mul(numerator) / denominator;
+        }
+    }
+
+    /**
+     *  Store a lockup, after checking its schedule.
+     *  @param addr The address to lock the tokens of.
+     *  @param amount The amount of tokens to lock up.
+     *  @param start The time at which vesting starts.
+     *  @param cliff The time before which no tokens are released.
+     *  @param end The time at which all of the tokens are released.
+     *  @return The index of the lockup.
+     */
+    function createLockup(address addr, uint256 amount, uint256 start, uint256 cliff, uint256 end)
+        internal
+        returns (uint256)
+    {
+        require(addr != address(0), "Invalid address provided");
+        require(amount > 0, "Invalid amount provided");
+        require(start <= cliff && cliff <= end, "Invalid schedule provided");
+        require(end > now, "Schedule has ended already");
+
+        uint256 index = lockups[addr].push(Lockup(amount, start, cliff, end)) - 1;
+        emit LockupCreated(addr, index, amount, start, cliff, end, msg.sender);
+        return index;
+    }
+
+    /**
+     *  Remove a lockup, moving the last lockup of the address into its index.
+     *  @param addr The address the tokens are locked up for.
+     *  @param index The index of the lockup.
+     *  @param remaining The amount of tokens the lockup still held back.
+     */
+    function removeLockup(address addr, uint256 index, uint256 remaining)
+        internal
+    {
+        uint256 last = lockups[addr].length - 1;
+        lockups[addr][index] = lockups[addr][last];
+        lockups[addr].length--;
+        emit LockupReleased(addr, index, remaining, msg.sender);
+    }
+
+    /**
+     *  Remove the lockups of an address that have been fully released.
+     *  @param addr The address to check.
+     */
+    function removeReleased(address addr)
+        internal
+    {
+        uint256 i = 0;
+        while (i < lockups[addr].length) {
+            if (now >= lockups[addr][i].end) {
+                removeLockup(addr, i, 0);
+            } else {
+                i++;
+            }
+        }
+    }
+
+    /**
+     *  Calculate the amount of tokens a lockup currently holds back.
+     *  @param lockup The lockup.
+     *  @return The amount of tokens that has not been released yet.
+     */
+    function lockedAmount(Lockup storage lockup)
+        internal
+        view
+        returns (uint256)
+    {
+        if (now < lockup.cliff) {
+            return lockup.amount;
+        }
+        if (now >= lockup.end) {
+            return 0;
+        }
+
+        uint256 released = lockup.amount.mul(now - lockup.start).div(lockup.end - lockup.start);
+        return lockup.amount - released;
+    }
+}
@@ -0,0 +1,125 @@
+pragma solidity 0.4.25;
+
+import "./SecurityToken.sol";
+
+/**
+ * @title Operator registry
+ *
+ * OperatorRegistry keeps track of the custodians and brokers that may act on behalf
+ * of the holders of a security token. Operators are approved by the compliance officers
+ * of the token, after which holders can authorise them to transfer their tokens.
+ *
+ * The token consults the registry once it has been set with `setOperatorRegistry`:
+ * approved operators can be given allowances without being verified themselves, and
+ * authorised operators can call `transferFrom` for a holder without an allowance. The
+ * transfer restrictions of the token apply to these transfers as to any other.
+ */
+contract OperatorRegistry {
+    SecurityToken public token;
+
+    mapping(address => bool) private operators;
+    mapping(address => mapping(address => bool)) private authorizations;
+
+    event OperatorAdded(address indexed operator, address indexed sender);
+    event OperatorRemoved(address indexed operator, address indexed sender);
+    event AuthorizedOperator(address indexed operator, address indexed holder);
+    event RevokedOperator(address indexed operator, address indexed holder);
+
+    modifier onlyComplianceOfficer() {
+        require(token.isComplianceOfficer(msg.sender), "Caller is not a compliance officer");
+        _;
+    }
+
+    /**
+     *  @param _token The security token whose holders are served by the operators.
+     */
+    constructor(address _token)
+        public
+    {
+        require(_token != address(0), "Invalid token address provided");
+
+        token = SecurityToken(_token);
+    }
+
+    /**
+     *  Approve an address to act as an operator, e.g. a custodian or broker.
+     *  @param operator The address to approve.
+     */
+    function addOperator(address operator)
+        public
+        onlyComplianceOfficer
+    {
+        require(operator != address(0), "Invalid operator address provided");
+        require(!operators[operator], "Operator has been added already");
+
+        operators[operator] = true;
+        emit OperatorAdded(operator, msg.sender);
+    }
+
+    /**
+     *  Revoke the approval of an operator. The authorisations holders have given the
+     *  operator remain recorded, but can not be used until it is approved again.
+     *  @param operator The address to revoke the approval of.
+     */
+    function removeOperator(address operator)
+        public
+        onlyComplianceOfficer
+    {
+        require(operators[operator], "Operator has not been added");
+
+        operators[operator] = false;
+        emit OperatorRemoved(operator, msg.sender);
+    }
+
+    /**
+     *  Authorise an approved operator to transfer all tokens of the caller, without an allowance.
+     *  @param operator The operator to authorise.
+     */
+    function authorizeOperator(address operator)
+        public
+    {
+        require(operators[operator], "Operator has not been approved");
+        require(!authorizations[msg.sender][operator], "Operator has been authorised already");
+
+        authorizations[msg.sender][operator] = true;
+        emit AuthorizedOperator(operator, msg.sender);
+    }
+
+    /**
+     *  Revoke an authorisation given by `authorizeOperator`.
+     *  @param operator The operator to revoke the authorisation of.
+     */
+    function revokeOperator(address operator)
+        public
+    {
+        require(authorizations[msg.sender][operator], "Operator has not been authorised");
+
+        authorizations[msg.sender][operator] = false;
+        emit RevokedOperator(operator, msg.sender);
+    }
+
+    /**
+     *  @param operator The address to check.
+     *  @return A boolean indicating whether the address is an approved operator.
+     */
+    function isOperator(address operator)
+        public
+        view
+        returns (bool)
+    {
+        return operators[operator];
+    }
+
+    /**
+     *  @param operator The address to check.
+     *  @param holder The holder to check the authorisation of.
+     *  @return A boolean indicating whether the operator is approved and authorised by the holder.
+     */
+    function isOperatorFor(address operator, address holder)
+        public
+        view
+        returns (bool)
+    {
+        return operators[operator] && authorizations[holder][operator];
+    }
+}
@@ -0,0 +1,326 @@
+pragma solidity 0.4.25;
+
+import "openzeppelin-solidity/contracts/math/Math.sol";
+import "openzeppelin-solidity/contracts/math/SafeMath.sol";
+import "./SecurityToken.sol";
+import "./TransferObserver.sol";
+
+/**
+ * @title Partitions
+ *
+ * Partitions splits the balances of a security token into share classes or tranches,
+ * such as common and preferred shares, or restricted and free-trading tokens of the
+ * same class, following ERC-1410. The balance of an address on the token remains the
+ * sum of its partitions, so `balanceOf` and `holderCount` keep their meaning.
+ *
+ * Every token that has not been assigned to a named partition is part of the default
+ * partition, and can be transferred as usual. Tokens in a named partition can only be
+ * transferred through `transferByPartition`, which restricts plain transfers as a rule
+ * module. For this, the contract has to be approved in the token's operator registry and
+ * authorised by the holder, and it needs the issuer role to issue by partition.
+ *
+ * Burning, forced transfers and cancellations act on the balance of the token.
+ * Whenever they leave an address with fewer tokens than it holds in named partitions,
+ * the token notifies the module, which takes the difference out of the named partitions
+ * in the order the address first received them, and moves it into the same partitions
+ * of the receiver, if any. Tokens received this way keep their partition. Splits scale
+ * the named partitions of every holder, so the sum of the partitions of an address
+ * always equals its balance.
+ */
+contract Partitions is TransferObserver {
+    using SafeMath for uint256;
+
+    bytes32 constant public DEFAULT_PARTITION = bytes32(0);
+
+    uint8 constant public PARTITIONED = 65;
+
+    SecurityToken public token;
+
+    mapping(address => mapping(bytes32 => uint256)) private balances;
+    mapping(address => uint256) private partitioned;
+    mapping(address => bytes32[]) private holderPartitions;
+    mapping(bytes32 => uint256) private supplies;
+    uint256 private partitionedSupply;
+
+    event IssuedByPartition(bytes32 indexed partition, address indexed to, uint256 value, address indexed sender);
+    event TransferByPartition(bytes32 indexed partition, address indexed from, address indexed to, uint256 value);
+    event ChangedPartition(
+        address indexed holder,
+        bytes32 indexed fromPartition,
+        bytes32 indexed toPartition,
+        uint256 value,
+        address sender
+    );
+
+    modifier onlyIssuer() {
+        require(token.isIssuer(msg.sender), "Caller is not an issuer");
+        _;
+    }
+
+    modifier onlyTransferAgent() {
+        require(token.isTransferAgent(msg.sender), "Caller is not a transfer agent");
+        _;
+    }
+
+    /**
+     *  @param _token The security token whose balances are partitioned.
+     */
+    constructor(address _token)
+        public
+    {
+        require(_token != address(0), "Invalid token address provided");
+
+        token = SecurityToken(_token);
+    }
+
+    /**
+     *  Issue tokens into a partition.
+     *  @param partition The partition to issue the tokens into.
+     *  @param to The address that will receive the tokens.
+     *  @param value The amount of tokens to issue.
+     */
+    function issueByPartition(bytes32 partition, address to, uint256 value)
+        public
+        onlyIssuer
+    {
+        token.issue(to, value);
+        credit(to, partition, value);
+        emit IssuedByPartition(partition, to, value, msg.sender);
+    }
+
+    /**
+     *  Transfer tokens of the caller out of a partition. The receiver gets them in the same partition.
+     *  @param partition The partition to transfer the tokens from.
+     *  @param to The address to send the tokens to.
+     *  @param value The amount of tokens to send.
+     */
+    function transferByPartition(bytes32 partition, address to, uint256 value)
+        public
+    {
+        debit(msg.sender, partition, value);
+        token.transferFrom(msg.sender, to, value);
+        credit(to, partition, value);
+        emit TransferByPartition(partition, msg.sender, to, value);
+    }
+
+    /**
+     *  Move tokens of a holder from one partition to another, e.g. once a restriction lifts.
+     *  @param holder The address holding the tokens.
+     *  @param fromPartition The partition to take the tokens from.
+     *  @param toPartition The partition to move the tokens to.
+     *  @param value The amount of tokens to move.
+     */
+    function changePartition(address holder, bytes32 fromPartition, bytes32 toPartition, uint256 value)
+        public
+        onlyTransferAgent
+    {
+        require(fromPartition != toPartition, "Partitions are identical");
+
+        debit(holder, fromPartition, value);
+        credit(holder, toPartition, value);
+        emit ChangedPartition(holder, fromPartition, toPartition, value, msg.sender);
+    }
+
+    /**
+     *  @param partition The partition to check.
+     *  @param holder The address to check.
+     *  @return The amount of tokens the address holds in the partition.
+     */
+    function balanceOfByPartition(bytes32 partition, address holder)
+        public
+        view
+        returns (uint256)
+    {
+        if (partition != DEFAULT_PARTITION) {
+            return balances[holder][partition];
+        }
+
+        uint256 balance = token.balanceOf(holder);
+        return balance > partitioned[holder] ? balance - partitioned[holder] : 0;
+    }
+
+    /**
+     *  @param holder The address to check.
+     *  @return The named partitions the address holds tokens in.
+     */
+    function partitionsOf(address holder)
+        public
+        view
+        returns (bytes32[])
+    {
+        bytes32[] storage all = holderPartitions[holder];
+        uint256 count = 0;
+        uint256 i;
+        for (i = 0; i < all.length; i++) {
+            if (balances[holder][all[i]] > 0) {
+                count++;
+            }
+        }
+
+        bytes32[] memory result = new bytes32[](count);
+        count = 0;
+        for (i = 0; i < all.length; i++) {
+            if (balances[holder][all[i]] > 0) {
+                result[count++] = all[i];
+            }
+        }
+        return result;
+    }
+
+    /**
+     *  @param partition The partition to check.
+     *  @return The total amount of tokens in the partition.
+     */
+    function totalSupplyByPartition(bytes32 partition)
+        public
+        view
+        returns (uint256)
+    {
+        if (partition != DEFAULT_PARTITION) {
+            return supplies[partition];
+        }
+
+        uint256 supply = token.totalSupply();
+        return supply > partitionedSupply ? supply - partitionedSupply : 0;
+    }
+
+    /**
+     *  Restricts plain transfers exceeding the default partition of the sender.
+     *  Issuance and reissues through `cancelAndReissue` are not restricted.
+     *  @param from The address sending the tokens.
+     *  @param value The amount of tokens being transferred.
+     *  @return `PARTITIONED` if the tokens are in a named partition, `0` otherwise.
+     */
+    function detectTransferRestriction(address from, address, uint256 value)
+        public
+        view
+        returns (uint8)
+    {
+        return from != address(0) && value > balanceOfByPartition(DEFAULT_PARTITION, from) && from != token.reissuing()
+            ? PARTITIONED
+            : 0;
+    }
+
+    /**
+     *  @param restrictionCode A restriction code returned by `detectTransferRestriction`.
+     *  @return The message for `PARTITIONED`, an empty string otherwise.
+     */
+    function messageForTransferRestriction(uint8 restrictionCode)
+        public
+        view
+        returns (string)
+    {
+        return restrictionCode == PARTITIONED ? "Tokens have to be transferred by partition" : "";
+    }
+
+    /**
+     *  Follows the movements of tokens that bypass `transferByPartition`. Whatever an
+     *  address holds in named partitions beyond its balance is taken out of its named
+     *  partitions, in the order it first received them, and credited to the same
+     *  partitions of the receiver, unless the tokens were burned.
+     *  @param from The address the tokens were taken from, or the zero address for an issuance.
+     *  @param to The address that received the tokens, or the zero address for a burn.
+     */
+    function afterTransfer(address from, address to, uint256)
+        public
+    {
+        require(msg.sender == address(token), "Caller is not the token");
+
+        uint256 balance = token.balanceOf(from);
+        if (from == address(0) || partitioned[from] <= balance) {
+            return;
+        }
+
+        uint256 excess = partitioned[from] - balance;
+        bytes32[] storage all = holderPartitions[from];
+        for (uint256 i = 0; i < all.length && excess > 0; i++) {
+            uint256 value = Math.min(balances[from][all[i]], excess);
+            if (value == 0) {
+                continue;
+            }
+
+            excess -= value;
+            debit(from, all[i], value);
+            if (to != address(0)) {
+                credit(to, all[i], value);
+            }
+            emit TransferByPartition(all[i], from, to, value);
+        }
+    }
+
+    /**
+     *  Scales the named partitions of a holder by the ratio of a split, rounding down.
+     *  The default partition takes up the difference with the new balance.
+     *  @param holder The address whose balance has been split.
+     *  @param numerator The number of new shares per `denominator` old shares.
+     *  @param denominator The number of old shares per `numerator` new shares.
+     */
+    function afterSplit(address holder, uint256 numerator, uint256 denominator)
+        public
+    {
+        require(msg.sender == address(token), "Caller is not the token");
+
+        bytes32[] storage all = holderPartitions[holder];
+        for (uint256 i = 0; i < all.length; i++) {
+            uint256 balance = balances[holder][all[i]];
+            uint256 scaled = balance.mul(numerator) / denominator;
+
+            balances[holder][all[i]] = scaled;
+            partitioned[holder] = partitioned[holder].sub(balance).add(scaled);
+            supplies[all[i]] = supplies[all[i]].sub(balance).add(scaled);
+            partitionedSupply = partitionedSupply.sub(balance).add(scaled);
+        }
+    }
+
+    /**
+     *  Add tokens of an address to a partition. The default partition holds whatever
+     *  is not in a named partition, so it needs no bookkeeping of its own.
+     *  @param holder The address holding the tokens.
+     *  @param partition The partition to add the tokens to.
+     *  @param value The amount of tokens.
+     */
+    function credit(address holder, bytes32 partition, uint256 value)
+        internal
+    {
+        if (partition == DEFAULT_PARTITION) {
+            return;
+        }
+
+        if (balances[holder][partition] == 0) {
+            bytes32[] storage all = holderPartitions[holder];
+            uint256 i = 0;
+            while (i < all.length && all[i] != partition) {
+                i++;
+            }
+            if (i == all.length) {
+                all.push(partition);
+            }
+        }
+
+        balances[holder][partition] = balances[holder][partition].add(value);
+        partitioned[holder] = partitioned[holder].add(value);
+        supplies[partition] = supplies[partition].add(value);
+        partitionedSupply = partitionedSupply.add(value);
+    }
+
+    /**
+     *  Take tokens of an address out of a partition.
+     *  @param holder The address holding the tokens.
+     *  @param partition The partition to take the tokens from.
+     *  @param value The amount of tokens.
+     */
+    function debit(address holder, bytes32 partition, uint256 value)
+        internal
+    {
+        require(value > 0 && value <= balanceOfByPartition(partition, holder), "Insufficient balance in partition");
+
+        if (partition == DEFAULT_PARTITION) {
+            return;
+        }
+
+        balances[holder][partition] -= value;
+        partitioned[holder] -= value;
+        supplies[partition] -= value;
+        partitionedSupply -= value;
+    }
+}
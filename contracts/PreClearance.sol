@@ -0,0 +1,368 @@
+pragma solidity 0.4.25;
+
+import "openzeppelin-solidity/contracts/cryptography/ECDSA.sol";
+import "./SecurityToken.sol";
+import "./OperatorRegistry.sol";
+import "./TransferObserver.sol";
+
+/**
+ * @title Pre-clearance
+ *
+ * PreClearance is a rule module that requires every transfer of a security token to be
+ * approved by a transfer agent beforehand. Instead of sending a transaction per trade,
+ * an authorised signer signs an approval off-chain, following EIP-712, which binds the
+ * sender, receiver, amount, a nonce and an expiry. The holder then transfers through
+ * `transferWithApproval`, which checks the approval and marks its nonce as used.
+ *
+ * The module moves the tokens by calling `transferFrom` on behalf of the holder, so it
+ * has to be approved in the token's operator registry and authorised by the holder.
+ * Transfers that have to be made by another contract, such as `transferByPartition` of
+ * Partitions, are pre-cleared with `preClearTransfer` instead, and can then be made once.
+ * Any other transfer is restricted, issuance is not. Approvals can be produced and
+ * checked with `lib/preclearance.js`.
+ */
+contract PreClearance is TransferObserver {
+    using ECDSA for bytes32;
+
+    uint8 constant public NOT_PRE_CLEARED = 69;
+
+    bytes32 constant public DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+    );
+    bytes32 constant public APPROVAL_TYPEHASH = keccak256(
+        "TransferApproval(address from,address to,uint256 value,uint256 nonce,uint256 expiry)"
+    );
+
+    struct Clearance {
+        address to;
+        uint256 value;
+        uint256 expiry;
+    }
+
+    SecurityToken public token;
+    uint256 public chainId;
+    bytes32 public domainSeparator;
+
+    mapping(address => bool) private signers;
+    mapping(address => mapping(uint256 => bool)) private usedNonces;
+    bytes32 private cleared;
+    mapping(address => Clearance) private clearances;
+
+    event SignerAdded(address indexed signer, address indexed sender);
+    event SignerRemoved(address indexed signer, address indexed sender);
+    event ApprovalUsed(address indexed from, uint256 nonce, address indexed signer);
+    event ApprovalRevoked(address indexed from, uint256 nonce, address indexed sender);
+    event TransferPreCleared(address indexed from, address indexed to, uint256 value, uint256 expiry);
+
+    modifier onlyTransferAgent() {
+        require(token.isTransferAgent(msg.sender), "Caller is not a transfer agent");
+        _;
+    }
+
+    /**
+     *  @param _token The security token whose transfers have to be pre-cleared.
+     *  @param _chainId The id of the chain the module is deployed on, as in EIP-155.
+     */
+    constructor(address _token, uint256 _chainId)
+        public
+    {
+        require(_token != address(0), "Invalid token address provided");
+
+        token = SecurityToken(_token);
+        chainId = _chainId;
+        domainSeparator = keccak256(abi.encode(
+            DOMAIN_TYPEHASH,
+            keccak256("PreClearance"),
+            keccak256("1"),
+            _chainId,
+            address(this)
+        ));
+    }
+
+    /**
+     *  Authorise an address to sign approvals.
+     *  @param signer The address to authorise.
+     */
+    function addSigner(address signer)
+        public
+        onlyTransferAgent
+    {
+        require(signer != address(0), "Invalid signer address provided");
+        require(!signers[signer], "Signer has been added already");
+
+        signers[signer] = true;
+        emit SignerAdded(signer, msg.sender);
+    }
+
+    /**
+     *  Revoke the authorisation of a signer. Approvals it has signed can no longer be used.
+     *  @param signer The address to revoke the authorisation of.
+     */
+    function removeSigner(address signer)
+        public
+        onlyTransferAgent
+    {
+        require(signers[signer], "Signer has not been added");
+
+        signers[signer] = false;
+        emit SignerRemoved(signer, msg.sender);
+    }
+
+    /**
+     *  Revoke an approval that has not been used yet, by marking its nonce as used.
+     *  @param from The address the approval was given for.
+     *  @param nonce The nonce of the approval.
+     */
+    function revokeApproval(address from, uint256 nonce)
+        public
+    {
+        require(signers[msg.sender] || token.isTransferAgent(msg.sender), "Caller is not a signer or transfer agent");
+        require(!usedNonces[from][nonce], "Approval has been used already");
+
+        usedNonces[from][nonce] = true;
+        emit ApprovalRevoked(from, nonce, msg.sender);
+    }
+
+    /**
+     *  Transfer tokens of the caller with a signed approval.
+     *  @param to The address to send the tokens to.
+     *  @param value The amount of tokens to send.
+     *  @param nonce The nonce of the approval.
+     *  @param expiry The time until which the approval can be used.
+     *  @param signature The signature of the approval by an authorised signer.
+     */
+    function transferWithApproval(address to, uint256 value, uint256 nonce, uint256 expiry, bytes signature)
+        public
+    {
+        clearTransfer(msg.sender, to, value, nonce, expiry, signature);
+    }
+
+    /**
+     *  Transfer tokens of a holder with a signed approval, as an operator the holder has
+     *  authorised in the token's operator registry.
+     *  @param from The address to send the tokens from.
+     *  @param to The address to send the tokens to.
+     *  @param value The amount of tokens to send.
+     *  @param nonce The nonce of the approval.
+     *  @param expiry The time until which the approval can be used.
+     *  @param signature The signature of the approval by an authorised signer.
+     */
+    function transferFromWithApproval(address from, address to, uint256 value, uint256 nonce, uint256 expiry, bytes signature)
+        public
+    {
+        address registry = token.operatorRegistry();
+        require(
+            registry != address(0) && OperatorRegistry(registry).isOperatorFor(msg.sender, from),
+            "Caller is not an operator for the sender"
+        );
+
+        clearTransfer(from, to, value, nonce, expiry, signature);
+    }
+
+    /**
+     *  Use an approval to pre-clear a transfer of the caller that another contract makes,
+     *  such as `transferByPartition` of Partitions. The transfer can then be made once,
+     *  until the approval expires. A holder has one pre-cleared transfer at a time, which
+     *  replaces any earlier one, and a split voids it.
+     *  @param to The address to send the tokens to.
+     *  @param value The amount of tokens to send.
+     *  @param nonce The nonce of the approval.
+     *  @param expiry The time until which the approval can be used.
+     *  @param signature The signature of the approval by an authorised signer.
+     */
+    function preClearTransfer(address to, uint256 value, uint256 nonce, uint256 expiry, bytes signature)
+        public
+    {
+        useApproval(msg.sender, to, value, nonce, expiry, signature);
+
+        clearances[msg.sender] = Clearance(to, value, expiry);
+        emit TransferPreCleared(msg.sender, to, value, expiry);
+    }
+
+    /**
+     *  @param from The address to check.
+     *  @return The receiver, amount and expiry of the transfer pre-cleared for the address,
+     *  which has been made, voided or has expired if the expiry has passed or is `0`.
+     */
+    function preClearanceOf(address from)
+        public
+        view
+        returns (address, uint256, uint256)
+    {
+        Clearance storage clearance = clearances[from];
+        return (clearance.to, clearance.value, clearance.expiry);
+    }
+
+    /**
+     *  @param signer The address to check.
+     *  @return A boolean indicating whether the address is authorised to sign approvals.
+     */
+    function isSigner(address signer)
+        public
+        view
+        returns (bool)
+    {
+        return signers[signer];
+    }
+
+    /**
+     *  @param from The address the approval was given for.
+     *  @param nonce The nonce to check.
+     *  @return A boolean indicating whether the nonce has been used or revoked.
+     */
+    function isNonceUsed(address from, uint256 nonce)
+        public
+        view
+        returns (bool)
+    {
+        return usedNonces[from][nonce];
+    }
+
+    /**
+     *  @param from The address to send the tokens from.
+     *  @param to The address to send the tokens to.
+     *  @param value The amount of tokens to send.
+     *  @param nonce The nonce of the approval.
+     *  @param expiry The time until which the approval can be used.
+     *  @return The EIP-712 hash of the approval, which the signer signs.
+     */
+    function approvalHash(address from, address to, uint256 value, uint256 nonce, uint256 expiry)
+        public
+        view
+        returns (bytes32)
+    {
+        bytes32 structHash = keccak256(abi.encode(APPROVAL_TYPEHASH, from, to, value, nonce, expiry));
+        return keccak256(abi.encodePacked("\x19\x01", domainSeparator, structHash));
+    }
+
+    /**
+     *  Checks an approval, without using it.
+     *  @param from The address to send the tokens from.
+     *  @param to The address to send the tokens to.
+     *  @param value The amount of tokens to send.
+     *  @param nonce The nonce of the approval.
+     *  @param expiry The time until which the approval can be used.
+     *  @param signature The signature of the approval.
+     *  @return A boolean indicating whether the approval is signed by an authorised signer,
+     *  has not expired and has not been used.
+     */
+    function isValidApproval(address from, address to, uint256 value, uint256 nonce, uint256 expiry, bytes signature)
+        public
+        view
+        returns (bool)
+    {
+        return expiry >= now &&
+            !usedNonces[from][nonce] &&
+            signers[approvalHash(from, to, value, nonce, expiry).recover(signature)];
+    }
+
+    /**
+     *  Restricts every transfer that is neither being made through this module nor pre-cleared.
+     *  Issuance and reissues through `cancelAndReissue` are not restricted.
+     *  @param from The address sending the tokens.
+     *  @param to The address receiving the tokens.
+     *  @param value The amount of tokens being transferred.
+     *  @return `NOT_PRE_CLEARED` if the transfer has not been approved, `0` otherwise.
+     */
+    function detectTransferRestriction(address from, address to, uint256 value)
+        public
+        view
+        returns (uint8)
+    {
+        if (from == address(0) || cleared == keccak256(abi.encodePacked(from, to, value)) || from == token.reissuing()) {
+            return 0;
+        }
+
+        Clearance storage clearance = clearances[from];
+        if (clearance.to == to && clearance.value == value && clearance.expiry >= now) {
+            return 0;
+        }
+        return NOT_PRE_CLEARED;
+    }
+
+    /**
+     *  @param restrictionCode A restriction code returned by `detectTransferRestriction`.
+     *  @return The message for `NOT_PRE_CLEARED`, an empty string otherwise.
+     */
+    function messageForTransferRestriction(uint8 restrictionCode)
+        public
+        view
+        returns (string)
+    {
+        return restrictionCode == NOT_PRE_CLEARED ? "Transfer has not been pre-cleared" : "";
+    }
+
+    /**
+     *  Uses up the transfer pre-cleared for the sender once it has been made. Transfers
+     *  made through this module leave it in place.
+     *  @param from The address the tokens were taken from, or the zero address for an issuance.
+     *  @param to The address that received the tokens, or the zero address for a burn.
+     *  @param value The amount of tokens.
+     */
+    function afterTransfer(address from, address to, uint256 value)
+        public
+    {
+        require(msg.sender == address(token), "Caller is not the token");
+
+        Clearance storage clearance = clearances[from];
+        if (cleared == bytes32(0) && clearance.expiry != 0 && clearance.to == to && clearance.value == value) {
+            delete clearances[from];
+        }
+    }
+
+    /**
+     *  Voids the transfer pre-cleared for a holder, as its amount no longer matches the balance.
+     *  @param holder The address whose balance has been split.
+     */
+    function afterSplit(address holder, uint256, uint256)
+        public
+    {
+        require(msg.sender == address(token), "Caller is not the token");
+
+        if (clearances[holder].expiry != 0) {
+            delete clearances[holder];
+        }
+    }
+
+    /**
+     *  Check an approval, use its nonce and make the transfer. The transfer is marked as
+     *  cleared for the duration of the call to the token only.
+     *  @param from The address to send the tokens from.
+     *  @param to The address to send the tokens to.
+     *  @param value The amount of tokens to send.
+     *  @param nonce The nonce of the approval.
+     *  @param expiry The time until which the approval can be used.
+     *  @param signature The signature of the approval.
+     */
+    function clearTransfer(address from, address to, uint256 value, uint256 nonce, uint256 expiry, bytes signature)
+        internal
+    {
+        useApproval(from, to, value, nonce, expiry, signature);
+
+        cleared = keccak256(abi.encodePacked(from, to, value));
+        token.transferFrom(from, to, value);
+        cleared = bytes32(0);
+    }
+
+    /**
+     *  Check an approval and use its nonce.
+     *  @param from The address to send the tokens from.
+     *  @param to The address to send the tokens to.
+     *  @param value The amount of tokens to send.
+     *  @param nonce The nonce of the approval.
+     *  @param expiry The time until which the approval can be used.
+     *  @param signature The signature of the approval.
+     */
+    function useApproval(address from, address to, uint256 value, uint256 nonce, uint256 expiry, bytes signature)
+        internal
+    {
+        require(expiry >= now, "Approval has expired");
+        require(!usedNonces[from][nonce], "Approval has been used already");
+
+        address signer = approvalHash(from, to, value, nonce, expiry).recover(signature);
+        require(signers[signer], "Approval is not signed by an authorised signer");
+
+        usedNonces[from][nonce] = true;
+        emit ApprovalUsed(from, nonce, signer);
+    }
+}
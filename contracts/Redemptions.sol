@@ -0,0 +1,452 @@
+pragma solidity 0.4.25;
+
+import "openzeppelin-solidity/contracts/math/Math.sol";
+import "openzeppelin-solidity/contracts/math/SafeMath.sol";
+import "./SecurityToken.sol";
+import "./TransferObserver.sol";
+
+/**
+ * @title Redemptions
+ *
+ * Redemptions lets holders of a security token ask the issuer to redeem their shares,
+ * instead of relying on an unexplained `burn`. A holder submits a request for an amount
+ * of its shares, which are locked until the request is settled: as a rule module, the
+ * contract restricts transfers out of the shares under request. The issuer accepts or
+ * rejects every request with a reference to the off-chain settlement, such as the
+ * payment, and accepted requests burn the shares through `burn`, which keeps the list
+ * of shareholders up to date.
+ *
+ * Buybacks initiated by the issuer use the same mechanism. The issuer publishes an
+ * offer for a maximum amount of shares, and every holder accepting it submits a request
+ * against the offer, to be settled like any other.
+ *
+ * Splits scale the amounts of pending requests along with the balances. The contract
+ * keeps the ratios of the splits of a holder with open requests, and scales a request
+ * once it is read or settled, so that a split takes the same gas for every holder,
+ * however many requests it has. Buyback offers are not scaled, so the issuer should
+ * close them before a split and offer again.
+ * Shares that leave a holder without a transfer, through a forced transfer, a burn or a
+ * cancellation, are no longer locked, and requests are only accepted for shares the
+ * holder still has.
+ *
+ * Once an approval manager guards `burn`, requests are accepted through proposals of
+ * the manager that call `acceptRedemption`.
+ *
+ * The contract has to be granted the issuer role on the token, and plugged in through
+ * `addTransferRestriction`.
+ */
+contract Redemptions is TransferObserver {
+    using SafeMath for uint256;
+
+    uint8 constant public REDEMPTION_PENDING = 70;
+
+    struct Request {
+        address holder;
+        uint256 amount;
+        uint256 splits;
+        uint256 offer;
+        bytes32 settlement;
+        bool accepted;
+        bool closed;
+    }
+
+    struct Offer {
+        bytes32 terms;
+        uint256 remaining;
+        uint256 expiry;
+        bool closed;
+    }
+
+    struct Ratio {
+        uint256 numerator;
+        uint256 denominator;
+    }
+
+    SecurityToken public token;
+
+    Request[] private requests;
+    Offer[] private offers;
+    mapping(address => uint256) private pending;
+    mapping(address => uint256) private openRequests;
+    mapping(address => Ratio[]) private splits;
+
+    event RedemptionRequested(uint256 indexed id, address indexed holder, uint256 amount, uint256 offer);
+    event RedemptionAccepted(uint256 indexed id, address indexed holder, uint256 amount, bytes32 settlement, address indexed sender);
+    event RedemptionRejected(uint256 indexed id, address indexed holder, uint256 amount, bytes32 settlement, address indexed sender);
+    event RedemptionWithdrawn(uint256 indexed id, address indexed holder, uint256 amount);
+    event BuybackOffered(uint256 indexed offer, bytes32 terms, uint256 amount, uint256 expiry, address indexed sender);
+    event BuybackClosed(uint256 indexed offer, address indexed sender);
+
+    modifier onlyIssuer() {
+        require(token.isIssuer(msg.sender), "Caller is not an issuer");
+        _;
+    }
+
+    modifier isPending(uint256 id) {
+        require(id < requests.length, "Unknown redemption request");
+        require(!requests[id].closed, "Redemption request is no longer pending");
+        _;
+    }
+
+    /**
+     *  @param _token The security token whose shares are redeemed.
+     */
+    constructor(address _token)
+        public
+    {
+        require(_token != address(0), "Invalid token address provided");
+
+        token = SecurityToken(_token);
+    }
+
+    /**
+     *  Ask the issuer to redeem shares of the caller. The shares are locked until the
+     *  request is settled or withdrawn.
+     *  @param amount The amount of shares to redeem.
+     *  @return The id of the request.
+     */
+    function requestRedemption(uint256 amount)
+        public
+        returns (uint256)
+    {
+        return openRequest(amount, 0);
+    }
+
+    /**
+     *  Withdraw a pending request of the caller, unlocking its shares.
+     *  Shares requested under a buyback offer become available to other holders again.
+     *  @param id The id of the request.
+     */
+    function withdrawRedemption(uint256 id)
+        public
+        isPending(id)
+    {
+        Request storage request = requests[id];
+        require(request.holder == msg.sender, "Caller is not the holder of the request");
+
+        scale(request);
+        closeRequest(request);
+        emit RedemptionWithdrawn(id, request.holder, request.amount);
+    }
+
+    /**
+     *  Accept a pending request, burning the shares. The holder has to hold them still.
+     *  @param id The id of the request.
+     *  @param settlement A reference to the off-chain settlement, e.g. the hash of the payment.
+     */
+    function acceptRedemption(uint256 id, bytes32 settlement)
+        public
+        onlyIssuer
+        isPending(id)
+    {
+        require(settlement != bytes32(0), "Invalid settlement reference provided");
+
+        Request storage request = requests[id];
+        scale(request);
+        require(request.amount <= token.balanceOf(request.holder), "Holder no longer holds the shares under request");
+
+        request.accepted = true;
+        request.closed = true;
+        request.settlement = settlement;
+        release(request.holder, request.amount);
+
+        token.burn(request.holder, request.amount);
+        emit RedemptionAccepted(id, request.holder, request.amount, settlement, msg.sender);
+    }
+
+    /**
+     *  Reject a pending request, unlocking its shares.
+     *  @param id The id of the request.
+     *  @param settlement A reference to the reason of the rejection.
+     */
+    function rejectRedemption(uint256 id, bytes32 settlement)
+        public
+        onlyIssuer
+        isPending(id)
+    {
+        require(settlement != bytes32(0), "Invalid settlement reference provided");
+
+        Request storage request = requests[id];
+        request.settlement = settlement;
+        scale(request);
+        closeRequest(request);
+        emit RedemptionRejected(id, request.holder, request.amount, settlement, msg.sender);
+    }
+
+    /**
+     *  Offer to buy back shares from the holders.
+     *  @param terms A reference to the terms of the offer, e.g. the hash of the offer document.
+     *  @param amount The maximum amount of shares to buy back.
+     *  @param expiry The time until which holders can accept the offer.
+     *  @return The id of the offer.
+     */
+    function offerBuyback(bytes32 terms, uint256 amount, uint256 expiry)
+        public
+        onlyIssuer
+        returns (uint256)
+    {
+        require(terms != bytes32(0), "Invalid offer terms provided");
+        require(amount > 0, "Invalid amount provided");
+        require(expiry > now, "Invalid expiry provided");
+
+        uint256 offer = offers.push(Offer(terms, amount, expiry, false)) - 1;
+        emit BuybackOffered(offer, terms, amount, expiry, msg.sender);
+        return offer;
+    }
+
+    /**
+     *  Close an offer before it expires. Requests submitted under it remain pending.
+     *  @param offer The id of the offer.
+     */
+    function closeBuyback(uint256 offer)
+        public
+        onlyIssuer
+    {
+        require(offer < offers.length, "Unknown buyback offer");
+        require(!offers[offer].closed, "Buyback offer has been closed already");
+
+        offers[offer].closed = true;
+        emit BuybackClosed(offer, msg.sender);
+    }
+
+    /**
+     *  Accept a buyback offer for shares of the caller, submitting a redemption request
+     *  against the offer.
+     *  @param offer The id of the offer.
+     *  @param amount The amount of shares to sell.
+     *  @return The id of the request.
+     */
+    function acceptBuyback(uint256 offer, uint256 amount)
+        public
+        returns (uint256)
+    {
+        require(offer < offers.length, "Unknown buyback offer");
+
+        Offer storage terms = offers[offer];
+        require(!terms.closed && terms.expiry >= now, "Buyback offer is no longer open");
+        require(amount <= terms.remaining, "Amount exceeds the remainder of the offer");
+
+        terms.remaining -= amount;
+        return openRequest(amount, offer + 1);
+    }
+
+    /**
+     *  @param holder The address to check.
+     *  @return The amount of shares of the address under pending requests.
+     */
+    function pendingRedemptionOf(address holder)
+        public
+        view
+        returns (uint256)
+    {
+        return pending[holder];
+    }
+
+    /**
+     *  @return The number of requests, including settled and withdrawn ones.
+     */
+    function redemptionCount()
+        public
+        view
+        returns (uint256)
+    {
+        return requests.length;
+    }
+
+    /**
+     *  @param id The id of the request.
+     *  @return The holder, the amount, whether it was submitted against an offer and its
+     *  id, the settlement reference, and whether it has been accepted or closed.
+     */
+    function getRedemption(uint256 id)
+        public
+        view
+        returns (address, uint256, bool, uint256, bytes32, bool, bool)
+    {
+        require(id < requests.length, "Unknown redemption request");
+
+        Request storage request = requests[id];
+        return (
+            request.holder,
+            scaledAmount(request),
+            request.offer != 0,
+            request.offer == 0 ? 0 : request.offer - 1,
+            request.settlement,
+            request.accepted,
+            request.closed
+        );
+    }
+
+    /**
+     *  @return The number of buyback offers, including closed ones.
+     */
+    function buybackCount()
+        public
+        view
+        returns (uint256)
+    {
+        return offers.length;
+    }
+
+    /**
+     *  @param offer The id of the offer.
+     *  @return The terms reference, the amount of shares still wanted, the expiry,
+     *  and whether the offer has been closed.
+     */
+    function getBuyback(uint256 offer)
+        public
+        view
+        returns (bytes32, uint256, uint256, bool)
+    {
+        require(offer < offers.length, "Unknown buyback offer");
+
+        Offer storage terms = offers[offer];
+        return (terms.terms, terms.remaining, terms.expiry, terms.closed);
+    }
+
+    /**
+     *  Restricts transfers out of shares under pending requests.
+     *  Issuance and reissues through `cancelAndReissue` are not restricted.
+     *  @param from The address sending the tokens.
+     *  @param value The amount of tokens being transferred.
+     *  @return `REDEMPTION_PENDING` if the transfer would use shares under request, `0` otherwise.
+     */
+    function detectTransferRestriction(address from, address, uint256 value)
+        public
+        view
+        returns (uint8)
+    {
+        return from != address(0) && pending[from] > 0 && value.add(pending[from]) > token.balanceOf(from) &&
+            from != token.reissuing()
+            ? REDEMPTION_PENDING
+            : 0;
+    }
+
+    /**
+     *  @param restrictionCode A restriction code returned by `detectTransferRestriction`.
+     *  @return The message for `REDEMPTION_PENDING`, an empty string otherwise.
+     */
+    function messageForTransferRestriction(uint8 restrictionCode)
+        public
+        view
+        returns (string)
+    {
+        return restrictionCode == REDEMPTION_PENDING ? "Shares are under a pending redemption request" : "";
+    }
+
+    /**
+     *  Unlocks the shares that have left a holder while under request, through a forced
+     *  transfer, a burn or a cancellation, so that the holder is not kept from transferring
+     *  shares received later on.
+     *  @param from The address the shares were taken from, or the zero address for an issuance.
+     */
+    function afterTransfer(address from, address, uint256)
+        public
+    {
+        require(msg.sender == address(token), "Caller is not the token");
+
+        uint256 balance = token.balanceOf(from);
+        if (pending[from] > balance) {
+            pending[from] = balance;
+        }
+    }
+
+    /**
+     *  Scales the shares of a holder under pending requests by the ratio of a split,
+     *  rounding down like the balance, and keeps the ratio to scale the requests by once
+     *  they are read or settled. No more than the new balance stays locked.
+     *  @param holder The address whose balance has been split.
+     *  @param numerator The number of new shares per `denominator` old shares.
+     *  @param denominator The number of old shares per `numerator` new shares.
+     */
+    function afterSplit(address holder, uint256 numerator, uint256 denominator)
+        public
+    {
+        require(msg.sender == address(token), "Caller is not the token");
+
+        if (openRequests[holder] > 0) {
+            splits[holder].push(Ratio(numerator, denominator));
+            pending[holder] = Math.min(pending[holder].mul(numerator) / denominator, token.balanceOf(holder));
+        }
+    }
+
+    /**
+     *  Submit a request for shares of the caller that are not under request yet.
+     *  @param amount The amount of shares to redeem.
+     *  @param offer The id of the offer plus one, or `0` for a request without an offer.
+     *  @return The id of the request.
+     */
+    function openRequest(uint256 amount, uint256 offer)
+        internal
+        returns (uint256)
+    {
+        require(amount > 0, "Invalid amount provided");
+        require(pending[msg.sender].add(amount) <= token.balanceOf(msg.sender), "Insufficient unlocked shares");
+
+        pending[msg.sender] = pending[msg.sender].add(amount);
+        openRequests[msg.sender] = openRequests[msg.sender].add(1);
+        uint256 id = requests.push(Request(msg.sender, amount, splits[msg.sender].length, offer, bytes32(0), false, false)) - 1;
+        emit RedemptionRequested(id, msg.sender, amount, offer == 0 ? 0 : offer - 1);
+        return id;
+    }
+
+    /**
+     *  Close a request without burning its shares, unlocking them and returning them to
+     *  the offer they were requested under.
+     *  @param request The request.
+     */
+    function closeRequest(Request storage request)
+        internal
+    {
+        request.closed = true;
+        release(request.holder, request.amount);
+        if (request.offer != 0) {
+            Offer storage terms = offers[request.offer - 1];
+            terms.remaining = terms.remaining.add(request.amount);
+        }
+    }
+
+    /**
+     *  Scale a request by the splits of its holder since it was submitted or last scaled.
+     *  @param request The request.
+     */
+    function scale(Request storage request)
+        internal
+    {
+        request.amount = scaledAmount(request);
+        request.splits = splits[request.holder].length;
+    }
+
+    /**
+     *  @param request The request.
+     *  @return The amount of the request, scaled by the splits of its holder since it was
+     *  submitted or last scaled. Closed requests keep the amount they were closed for.
+     */
+    function scaledAmount(Request storage request)
+        internal
+        view
+        returns (uint256)
+    {
+        Ratio[] storage ratios = splits[request.holder];
+        uint256 amount = request.amount;
+        for (uint256 i = request.splits; !request.closed && i < ratios.length; i++) {
+            amount = amount.mul(ratios[i].numerator) / ratios[i].denominator;
+        }
+        return amount;
+    }
+
+    /**
+     *  Unlock the shares of a request that is no longer pending. Less may be locked than
+     *  the request was for, once shares have left the holder without a transfer. Scaling
+     *  the shares under request as a whole rounds down less than scaling every request,
+     *  so the remainder is unlocked along with the last open request of the holder.
+     *  @param holder The holder of the request.
+     *  @param amount The amount of the request.
+     */
+    function release(address holder, uint256 amount)
+        internal
+    {
+        openRequests[holder] = openRequests[holder].sub(1);
+        pending[holder] = pending[holder] > amount && openRequests[holder] > 0 ? pending[holder] - amount : 0;
+    }
+}
@@ -0,0 +1,147 @@
+pragma solidity 0.4.25;
+
+import "./SecurityToken.sol";
+
+/**
+ * @title Register reader
+ *
+ * RegisterReader lists the shareholders and verified addresses of a security token
+ * in pages, together with their balances, lock and verification status, so that a
+ * register of any size can be read in a handful of calls.
+ *
+ * The lists of the token are only readable by auditors. The contract has to be granted
+ * the auditor role on the token, and checks that its own callers are auditors as well,
+ * so read access is granted through `addAuditor` without any other rights.
+ */
+contract RegisterReader {
+    SecurityToken public token;
+
+    modifier onlyAuditor() {
+        require(token.isAuditor(msg.sender), "Caller is not an auditor");
+        _;
+    }
+
+    /**
+     *  @param _token The security token whose register is read.
+     */
+    constructor(address _token)
+        public
+    {
+        require(_token != address(0), "Invalid token address provided");
+
+        token = SecurityToken(_token);
+    }
+
+    /**
+     *  List a page of shareholders, in the order of `holderAt`.
+     *  @param start The index of the first shareholder.
+     *  @param count The maximum number of shareholders to return.
+     *  @return The addresses, balances, lock status, verification status and
+     *  verification expiries of the shareholders.
+     */
+    function getHolders(uint256 start, uint256 count)
+        public
+        view
+        onlyAuditor
+        returns (address[], uint256[], bool[], bool[], uint256[])
+    {
+        address[] memory addrs = new address[](pageSize(token.holderCount(), start, count));
+        for (uint256 i = 0; i < addrs.length; i++) {
+            addrs[i] = token.holderAt(start + i);
+        }
+        return describe(addrs);
+    }
+
+    /**
+     *  List a page of verified addresses, whether or not they hold tokens, in the order of `verifiedAt`.
+     *  @param start The index of the first verified address.
+     *  @param count The maximum number of verified addresses to return.
+     *  @return The addresses, balances, lock status, verification status and
+     *  verification expiries of the verified addresses.
+     */
+    function getVerifiedAddresses(uint256 start, uint256 count)
+        public
+        view
+        onlyAuditor
+        returns (address[], uint256[], bool[], bool[], uint256[])
+    {
+        address[] memory addrs = new address[](pageSize(token.verifiedCount(), start, count));
+        for (uint256 i = 0; i < addrs.length; i++) {
+            addrs[i] = token.verifiedAt(start + i);
+        }
+        return describe(addrs);
+    }
+
+    /**
+     *  List the shareholders in a page whose verification expires before the given time,
+     *  including those that have expired already.
+     *  @param time The time to check against, e.g. a month from now.
+     *  @param start The index of the first shareholder to check.
+     *  @param count The maximum number of shareholders to check.
+     *  @return The addresses of the shareholders that need to be re-verified.
+     */
+    function holdersExpiringBefore(uint256 time, uint256 start, uint256 count)
+        public
+        view
+        onlyAuditor
+        returns (address[])
+    {
+        address[] memory addrs = new address[](pageSize(token.holderCount(), start, count));
+        uint256 found = 0;
+        for (uint256 i = 0; i < addrs.length; i++) {
+            address addr = token.holderAt(start + i);
+            uint256 expiry = token.verificationExpiry(addr);
+            if (expiry != 0 && expiry < time) {
+                addrs[found++] = addr;
+            }
+        }
+
+        address[] memory holders = new address[](found);
+        for (i = 0; i < found; i++) {
+            holders[i] = addrs[i];
+        }
+        return holders;
+    }
+
+    /**
+     *  Calculate the number of entries in a page.
+     *  @param total The total number of entries.
+     *  @param start The index of the first entry.
+     *  @param count The maximum number of entries.
+     *  @return The number of entries from `start`, at most `count`.
+     */
+    function pageSize(uint256 total, uint256 start, uint256 count)
+        internal
+        pure
+        returns (uint256)
+    {
+        if (start >= total) {
+            return 0;
+        }
+        return total - start < count ? total - start : count;
+    }
+
+    /**
+     *  Look up the state of a list of addresses.
+     *  @param addrs The addresses.
+     *  @return The addresses, balances, lock status, verification status and
+     *  verification expiries of the addresses.
+     */
+    function describe(address[] addrs)
+        internal
+        view
+        returns (address[], uint256[], bool[], bool[], uint256[])
+    {
+        uint256[] memory balances = new uint256[](addrs.length);
+        bool[] memory locked = new bool[](addrs.length);
+        bool[] memory verified = new bool[](addrs.length);
+        uint256[] memory expiries = new uint256[](addrs.length);
+        for (uint256 i = 0; i < addrs.length; i++) {
+            balances[i] = token.balanceOf(addrs[i]);
+            locked[i] = token.isLocked(addrs[i]);
+            verified[i] = token.isVerified(addrs[i]);
+            expiries[i] = token.verificationExpiry(addrs[i]);
+        }
+        return (addrs, balances, locked, verified, expiries);
+    }
+}
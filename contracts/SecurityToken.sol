@@ -1,8 +1,14 @@
 pragma solidity 0.4.25;
 
+import "openzeppelin-solidity/contracts/utils/Address.sol";
 import "./SecurityTokenInterface.sol";
-import "openzeppelin-solidity/contracts/token/ERC20/ERC20Mintable.sol";
-import "openzeppelin-solidity/contracts/ownership/Ownable.sol";
+import "./SecurityTokenRoles.sol";
+import "./SecurityTokenSnapshots.sol";
+import "./OperatorRegistry.sol";
+import "./TransferRestriction.sol";
+import "./SecurityTokenImport.sol";
+import "./SecurityTokenRestrictions.sol";
+import "./AdminApprovals.sol";
 
 /**
  * @title Security token
@@ -13,26 +19,72 @@ import "openzeppelin-solidity/contracts/ownership/Ownable.sol";
  * 
  * @dev Ref https://github.com/ethereum/EIPs/blob/master/EIPS/eip-884.md
  */
-contract SecurityToken is SecurityTokenInterface, ERC20Mintable, Ownable {
+contract SecurityToken is SecurityTokenInterface, SecurityTokenRoles, SecurityTokenSnapshots {
     bytes32 constant private ZERO_BYTES = bytes32(0);
     address constant private ZERO_ADDRESS = address(0);
 
+    uint8 constant public SUCCESS = 0;
+    uint8 constant public PAUSED = 1;
+    uint8 constant public IMPORTING = 2;
+    uint8 constant public SENDER_LOCKED = 3;
+    uint8 constant public RECEIVER_LOCKED = 4;
+    uint8 constant public RECEIVER_NOT_VERIFIED = 5;
+    uint8 constant public INSUFFICIENT_BALANCE = 6;
+    uint8 constant public RECEIVER_VERIFICATION_EXPIRED = 7;
+    uint8 constant public SPLIT_IN_PROGRESS = 8;
+
+    uint8 constant public PAUSE_TRANSFERS = 1;
+    uint8 constant public PAUSE_ISSUANCE = 2;
+    uint8 constant public PAUSE_BURNING = 4;
+    uint8 constant public PAUSE_WHITELISTING = 8;
+    uint8 constant public PAUSE_ALL = 15;
+
     uint8 public decimals = 0; // Has to be zero in all cases
     string public name;
     string public symbol;
 
     mapping(address => bytes32) private verified;
+    mapping(address => uint256) private verificationExpiries;
     mapping(address => address) private cancellations;
     mapping(address => uint256) private holderIndices;
     mapping(address => bool) private locked;
 
     address[] private shareholders;
+    address[] private verifiedAddresses;
+    mapping(address => uint256) private verifiedIndices;
+    address[] private transferRestrictions;
 
-    bool public frozen = false;
+    uint8 public pausedScopes;
     bool public migrated = false;
 
+    address public approvalManager;
+
+    address public operatorRegistry;
+
+    address public successor;
+    SecurityToken public predecessor;
+
+    // The original address while `cancelAndReissue` consults the rule modules, see there
+    address public reissuing;
+    uint256 public importedHolders;
+    bool public importSealed = false;
+
+    uint256 public splitNumerator;
+    uint256 public splitDenominator;
+    uint256 public splitIndex;
+
+    // Allowances are scaled by the splits started since they were set, see `allowance`
+    struct Allowance {
+        uint256 value;
+        uint256 splits;
+    }
+
+    mapping(address => mapping(address => Allowance)) private allowances;
+    uint256[] private splitNumerators;
+    uint256[] private splitDenominators;
+
     modifier isVerifiedAddress(address addr) {
-        require(verified[addr] != ZERO_BYTES, "Not a verified address");
+        checkVerified(addr);
         _;
     }
 
@@ -51,18 +103,43 @@ contract SecurityToken is SecurityTokenInterface, ERC20Mintable, Ownable {
         _;
     }
 
-    modifier isNotFrozen() {
-        require(!frozen, "Token contract is currently frozen");
+    modifier isTransferAllowed(address from, address to, uint256 value) {
+        checkRestriction(detectTransferRestriction(from, to, value));
+        _;
+    }
+    
+    modifier isNotMigrated() {
+        checkNotMigrated();
+        _;
+    }
+
+    modifier isImporting() {
+        checkImporting();
         _;
     }
 
-    modifier isNotLocked(address addr) {
-        require(!locked[addr], "Address is currently locked");
+    modifier isNotImporting() {
+        checkNotImporting();
         _;
     }
-    
-    modifier isNotMigrated() {
-        require(!migrated, "Token contract has been migrated and is no longer functional");
+
+    modifier isNotSplitting() {
+        checkNotSplitting();
+        _;
+    }
+
+    modifier isNotPaused(uint8 scope) {
+        checkNotPaused(scope);
+        _;
+    }
+
+    modifier isApproved() {
+        checkApproved();
+        _;
+    }
+
+    modifier onlyAuditorOrSuccessor() {
+        checkAuditorOrSuccessor();
         _;
     }
 
@@ -91,19 +168,51 @@ contract SecurityToken is SecurityTokenInterface, ERC20Mintable, Ownable {
     /**
      *  Issue an amount of tokens to the specified address. If the address was
      *  not holding any tokens beforehand, they get added to the shareholders array.
+     *  The rule modules are consulted as for a transfer from the zero address.
      *  @param to The address that will receive the issued tokens.
      *  @param amount The amount of tokens to issue.
      *  @return A boolean that indicates if the operation was successful.
      */
     function issue(address to, uint256 amount)
         public
-        onlyOwner
+        onlyIssuer
         isNotMigrated
-        isVerifiedAddress(to)
+        isNotPaused(PAUSE_ISSUANCE)
+        isNotImporting
+        isNotSplitting
         returns (bool)
     {
+        checkIssuance(to, amount);
         updateShareholders(to);
-        return super.mint(to, amount);
+        _mint(to, amount);
+        return true;
+    }
+
+    /**
+     *  Extension to the ERC884 standard, issues tokens to a batch of addresses in a single transaction.
+     *  Every address has to be verified, and receives its tokens the same way as in `issue`.
+     *  The batch is atomic: if a single entry is invalid, no tokens are issued at all.
+     *  @param to The addresses that will receive the issued tokens.
+     *  @param amounts The amounts of tokens to issue to each address.
+     *  @return A boolean that indicates if the operation was successful.
+     */
+    function issueBatch(address[] to, uint256[] amounts)
+        external
+        onlyIssuer
+        isNotMigrated
+        isNotPaused(PAUSE_ISSUANCE)
+        isNotImporting
+        isNotSplitting
+        returns (bool)
+    {
+        require(to.length == amounts.length, "Array lengths are not identical");
+
+        for (uint256 i = 0; i < to.length; i++) {
+            checkIssuance(to[i], amounts[i]);
+            updateShareholders(to[i]);
+            _mint(to[i], amounts[i]);
+        }
+        return true;
     }
 
     /**
@@ -116,16 +225,54 @@ contract SecurityToken is SecurityTokenInterface, ERC20Mintable, Ownable {
      */
     function addVerified(address addr, bytes32 hash)
         public
-        onlyOwner
+        onlyComplianceOfficer
         isNotMigrated
+        isNotPaused(PAUSE_WHITELISTING)
         isNotCancelled(addr)
     {
-        require(addr != ZERO_ADDRESS, "Invalid address provided");
-        require(hash != ZERO_BYTES, "Invalid data hash provided");
-        require(verified[addr] == ZERO_BYTES, "Address has been verified already");
+        verify(addr, hash, 0);
+    }
 
-        verified[addr] = hash;
-        emit VerifiedAddressAdded(addr, hash, msg.sender);
+    /**
+     *  Extension to the ERC884 standard, adds a verified address whose verification
+     *  expires at the given time. Afterwards, the address can no longer receive tokens
+     *  until it is re-verified through `updateVerifiedUntil`.
+     *  This function MUST emit `VerifiedAddressAdded` and `VerificationExpirySet`.
+     *  @param addr The address of the person represented by the supplied hash.
+     *  @param hash A cryptographic hash of the address holder's verified information.
+     *  @param expiry The time at which the verification expires.
+     */
+    function addVerifiedUntil(address addr, bytes32 hash, uint256 expiry)
+        public
+        onlyComplianceOfficer
+        isNotMigrated
+        isNotPaused(PAUSE_WHITELISTING)
+        isNotCancelled(addr)
+    {
+        require(expiry > now, "Invalid expiry provided");
+        verify(addr, hash, expiry);
+    }
+
+    /**
+     *  Extension to the ERC884 standard, adds a batch of verified addresses in a single transaction.
+     *  Every address is checked the same way as in `addVerified`, and emits its own
+     *  `VerifiedAddressAdded` event. The batch is atomic: if a single entry is invalid,
+     *  none of the addresses are added.
+     *  @param addrs The addresses of the people represented by the supplied hashes.
+     *  @param hashes Cryptographic hashes of the address holders' verified information.
+     */
+    function addVerifiedBatch(address[] addrs, bytes32[] hashes)
+        external
+        onlyComplianceOfficer
+        isNotMigrated
+        isNotPaused(PAUSE_WHITELISTING)
+    {
+        require(addrs.length == hashes.length, "Array lengths are not identical");
+
+        for (uint256 i = 0; i < addrs.length; i++) {
+            require(cancellations[addrs[i]] == ZERO_ADDRESS, "Given address is cancelled");
+            verify(addrs[i], hashes[i], 0);
+        }
     }
 
     /**
@@ -137,13 +284,14 @@ contract SecurityToken is SecurityTokenInterface, ERC20Mintable, Ownable {
      */
     function removeVerified(address addr)
         public
-        onlyOwner
+        onlyComplianceOfficer
         isNotMigrated
+        isNotPaused(PAUSE_WHITELISTING)
     {
         require(balanceOf(addr) == 0, "Address still holds tokens - please empty the account before removing it from the list");
 
         if (verified[addr] != ZERO_BYTES) {
-            verified[addr] = ZERO_BYTES;
+            unverify(addr);
             emit VerifiedAddressRemoved(addr, msg.sender);
         }
     }
@@ -160,10 +308,11 @@ contract SecurityToken is SecurityTokenInterface, ERC20Mintable, Ownable {
      */
     function updateVerified(address addr, bytes32 hash)
         public
-        onlyOwner
+        onlyComplianceOfficer
         isNotMigrated
-        isVerifiedAddress(addr)
+        isNotPaused(PAUSE_WHITELISTING)
     {
+        require(verified[addr] != ZERO_BYTES, "Not a verified address");
         require(hash != ZERO_BYTES, "Invalid data hash provided");
         
         bytes32 oldHash = verified[addr];
@@ -173,52 +322,123 @@ contract SecurityToken is SecurityTokenInterface, ERC20Mintable, Ownable {
         }
     }
 
+    /**
+     *  Extension to the ERC884 standard, re-verifies an address, which may have expired
+     *  already, with a new hash and expiry. Emits `VerifiedAddressUpdated` even if the
+     *  hash has not changed, as well as `VerificationExpirySet`.
+     *  @param addr The verified address of the person whose information has been re-verified.
+     *  @param hash A new cryptographic hash of the address holder's verified information.
+     *  @param expiry The time at which the new verification expires, or `0` if it does not expire.
+     */
+    function updateVerifiedUntil(address addr, bytes32 hash, uint256 expiry)
+        public
+        onlyComplianceOfficer
+        isNotMigrated
+        isNotPaused(PAUSE_WHITELISTING)
+    {
+        require(verified[addr] != ZERO_BYTES, "Not a verified address");
+        require(hash != ZERO_BYTES, "Invalid data hash provided");
+        require(expiry == 0 || expiry > now, "Invalid expiry provided");
+
+        bytes32 oldHash = verified[addr];
+        verified[addr] = hash;
+        verificationExpiries[addr] = expiry;
+        emit VerifiedAddressUpdated(addr, oldHash, hash, msg.sender);
+        emit VerificationExpirySet(addr, expiry, msg.sender);
+    }
+
     /**
      *  Cancel the original address and reissue the Tokens to the replacement address.
      *  Access to this function MUST be strictly controlled.
      *  The `original` address MUST be removed from the set of verified addresses.
      *  Throw if the `original` address supplied is not a shareholder.
      *  Throw if the replacement address is not a verified address.
+     *  The rule modules are consulted as for a transfer of the balance from the original to
+     *  the replacement, so that the replacement has to meet the limits placed on receivers,
+     *  such as its share of the supply. Meanwhile, `reissuing` returns the original, for
+     *  modules restricting senders to let the shares go, as they stay with the same investor.
      *  This function MUST emit the `VerifiedAddressSuperseded` event.
      *  @param original The address to be superseded. This address MUST NOT be reused.
      *  @param replacement The address that supersedes the original. This address MUST be verified.
      */
     function cancelAndReissue(address original, address replacement)
         public
-        onlyOwner
+        onlyTransferAgent
         isNotMigrated
+        isApproved
+        isNotImporting
+        isNotSplitting
         isShareholder(original)
         isNotShareholder(replacement)
         isVerifiedAddress(replacement)
     {
-        // Replace the original address in the shareholders array
-        // and update all the associated mappings.
-        verified[original] = ZERO_BYTES;
+        uint256 balance = balanceOf(original);
+        uint256 index = holderIndices[original];
+        unverify(original);
         cancellations[original] = replacement;
-        uint256 holderIndex = holderIndices[original] - 1;
-        shareholders[holderIndex] = replacement;
-        holderIndices[replacement] = holderIndices[original];
-        holderIndices[original] = 0;
-        super._transfer(original, replacement, balanceOf(original));
+        reissuing = original;
+        checkRestriction(detectModuleRestriction(original, replacement, balance));
+        reissuing = ZERO_ADDRESS;
+        pruneShareholders(original, balance);
+        updateShareholders(replacement);
+
+        // Swap the replacement into the slot of the original, keeping the order of the shareholders
+        address moved = shareholders[index - 1];
+        shareholders[index - 1] = replacement;
+        shareholders[shareholders.length - 1] = moved;
+        holderIndices[moved] = shareholders.length;
+        holderIndices[replacement] = index;
+        _transfer(original, replacement, balance);
         emit VerifiedAddressSuperseded(original, replacement, msg.sender);
     }
 
+    /**
+     *  Extension to the ERC884 standard, moves part or all of a balance between two
+     *  verified addresses on the authority of a court order, an estate settlement or
+     *  a similar legal instrument. Unlike `cancelAndReissue`, neither address is
+     *  cancelled or unverified. Transfer restrictions do not apply, including the limits
+     *  of the rule modules: the legal instrument takes precedence over them.
+     *  This function MUST emit the `ForcedTransfer` event.
+     *  @param from The address to take the tokens from.
+     *  @param to The address to give the tokens to. The address MUST be verified.
+     *  @param value The amount of tokens to move.
+     *  @param reason A code for the legal ground of the transfer.
+     *  @param document A reference to the off-chain document ordering the transfer, e.g. its hash.
+     */
+    function forceTransfer(address from, address to, uint256 value, uint8 reason, bytes32 document)
+        public
+        onlyTransferAgent
+        isNotMigrated
+        isApproved
+        isNotImporting
+        isNotSplitting
+        isShareholder(from)
+        isVerifiedAddress(to)
+    {
+        require(verified[from] != ZERO_BYTES, "Not a verified address");
+        require(from != to, "Can not transfer to the same address");
+        require(value > 0 && value <= balanceOf(from), "Invalid amount provided");
+
+        updateShareholders(to);
+        pruneShareholders(from, value);
+        _transfer(from, to, value);
+        emit ForcedTransfer(from, to, value, reason, document, msg.sender);
+    }
+
     /**
      *  The `transfer` function MUST NOT allow transfers to addresses that
      *  have not been verified and added to the contract.
      *  If the `to` address is not currently a shareholder then it MUST become one.
      *  If the transfer will reduce `msg.sender`'s balance to 0 then that address
      *  MUST be removed from the list of shareholders.
-     *  If the `to` address is locked, then the transfer will fail.
+     *  If `detectTransferRestriction` returns a restriction code, then the transfer will fail
+     *  with the corresponding message.
      *  @param to The address to send the tokens to. The address MUST be verified.
      *  @param value The amount of tokens to send.
      */
     function transfer(address to, uint256 value)
         public
-        isNotFrozen
-        isNotLocked(msg.sender)
-        isNotLocked(to)
-        isVerifiedAddress(to)
+        isTransferAllowed(msg.sender, to, value)
         returns (bool)
     {
         updateShareholders(to);
@@ -232,22 +452,92 @@ contract SecurityToken is SecurityTokenInterface, ERC20Mintable, Ownable {
      *  If the `to` address is not currently a shareholder then it MUST become one.
      *  If the transfer will reduce `from`'s balance to 0 then that address
      *  MUST be removed from the list of shareholders.
-     *  If either account is locked, then the transfer will fail.
+     *  If `detectTransferRestriction` returns a restriction code, then the transfer will fail
+     *  with the corresponding message.
      *  @param from The address to send the tokens from.
      *  @param to The address to send the tokens to. The address MUST be verified.
      *  @param value The amount of tokens to send.
      */
     function transferFrom(address from, address to, uint256 value)
         public
-        isNotFrozen
-        isNotLocked(from)
-        isNotLocked(to)
-        isVerifiedAddress(to)
+        isTransferAllowed(from, to, value)
         returns (bool)
     {
+        checkSpender(msg.sender);
         updateShareholders(to);
         pruneShareholders(from, value);
-        return super.transferFrom(from, to, value);
+        if (operatorRegistry != ZERO_ADDRESS && OperatorRegistry(operatorRegistry).isOperatorFor(msg.sender, from)) {
+            _transfer(from, to, value);
+            return true;
+        }
+
+        allowances[from][msg.sender] = Allowance(scaledAllowance(from, msg.sender).sub(value), splitNumerators.length);
+        _transfer(from, to, value);
+        return true;
+    }
+
+    /**
+     *  Allowances can only be given to approved operators and verified addresses.
+     *  @param spender The address that may spend the tokens.
+     *  @param value The amount of tokens that may be spent.
+     *  @return A boolean that indicates if the operation was successful.
+     */
+    function approve(address spender, uint256 value)
+        public
+        returns (bool)
+    {
+        checkSpender(spender);
+        setAllowance(spender, value);
+        return true;
+    }
+
+    /**
+     *  Allowances can only be given to approved operators and verified addresses.
+     *  Decreasing an allowance is always possible.
+     *  @param spender The address that may spend the tokens.
+     *  @param addedValue The amount of tokens to increase the allowance by.
+     *  @return A boolean that indicates if the operation was successful.
+     */
+    function increaseAllowance(address spender, uint256 addedValue)
+        public
+        returns (bool)
+    {
+        checkSpender(spender);
+        setAllowance(spender, scaledAllowance(msg.sender, spender).add(addedValue));
+        return true;
+    }
+
+    /**
+     *  Decrease the allowance of a spender, which is always possible.
+     *  @param spender The address that may spend the tokens.
+     *  @param subtractedValue The amount of tokens to decrease the allowance by.
+     *  @return A boolean that indicates if the operation was successful.
+     */
+    function decreaseAllowance(address spender, uint256 subtractedValue)
+        public
+        returns (bool)
+    {
+        setAllowance(spender, scaledAllowance(msg.sender, spender).sub(subtractedValue));
+        return true;
+    }
+
+    /**
+     *  The allowances of locked and cancelled addresses are ignored. Allowances are
+     *  scaled by every split started since they were set, rounding down, so that they
+     *  keep covering the same part of a holding.
+     *  @param owner The address owning the tokens.
+     *  @param spender The address that may spend the tokens.
+     *  @return The amount of tokens the spender may still spend.
+     */
+    function allowance(address owner, address spender)
+        public
+        view
+        returns (uint256)
+    {
+        if (locked[owner] || cancellations[owner] != ZERO_ADDRESS) {
+            return 0;
+        }
+        return scaledAllowance(owner, spender);
     }
 
     /**
@@ -259,24 +549,52 @@ contract SecurityToken is SecurityTokenInterface, ERC20Mintable, Ownable {
      */
     function burn(address from, uint256 amount) 
         public
-        onlyOwner
+        onlyIssuer
         isNotMigrated
+        isApproved
+        isNotPaused(PAUSE_BURNING)
+        isNotImporting
+        isNotSplitting
     {
         pruneShareholders(from, amount);
-        super._burn(from, amount);
+        _burn(from, amount);
     }
 
     /**
-     *  Extension to the ERC884 standard, a toggle function allowing the administrator
-     *  to freeze/unfreeze all transfers.
+     *  Extension to the ERC884 standard, pauses transfers, issuance, burning, whitelisting,
+     *  or any combination of them. Pausing a scope that is paused already changes nothing,
+     *  so a repeated call does not undo an earlier one.
+     *  @param scopes The scopes to pause, e.g. `PAUSE_ISSUANCE | PAUSE_BURNING` or `PAUSE_ALL`.
+     *  @param reason A code for the reason of the pause, recorded in the `Paused` event.
      */
-    function freeze() 
-        public 
-        onlyOwner 
+    function pause(uint8 scopes, uint8 reason)
+        public
+        onlySuperAdmin
+        isNotMigrated
+        isApproved
+    {
+        require(scopes != 0 && scopes <= PAUSE_ALL, "Invalid scope provided");
+
+        pausedScopes |= scopes;
+        emit Paused(scopes, reason, msg.sender);
+    }
+
+    /**
+     *  Extension to the ERC884 standard, resumes the given scopes. Unpausing a scope that
+     *  is not paused changes nothing.
+     *  @param scopes The scopes to resume.
+     *  @param reason A code for the reason of resuming, recorded in the `Unpaused` event.
+     */
+    function unpause(uint8 scopes, uint8 reason)
+        public
+        onlySuperAdmin
         isNotMigrated
+        isApproved
     {
-        frozen = !frozen;
-        emit Freeze(frozen);
+        require(scopes != 0 && scopes <= PAUSE_ALL, "Invalid scope provided");
+
+        pausedScopes &= ~scopes;
+        emit Unpaused(scopes, reason, msg.sender);
     }
 
     /**
@@ -287,26 +605,351 @@ contract SecurityToken is SecurityTokenInterface, ERC20Mintable, Ownable {
      */
     function migrate()
         public
-        onlyOwner
+        onlySuperAdmin
         isNotMigrated
+        isNotSplitting
+        isApproved
     {
-        frozen = true;
+        pausedScopes = PAUSE_ALL;
         migrated = true;
         emit Migrate();
     }
 
     /**
-     *  Extension to the ERC884 standard, a toggle function allowing the administrator
-     *  to freeze funds of a specific individual.
-     *  @param addr The address to lock/unlock.
+     *  Extension to the ERC884 standard, hands `burn`, `pause`, `unpause`, `migrate`, `cancelAndReissue`,
+     *  `forceTransfer`, `startSplit`, `setOperatorRegistry` and `removeTransferRestriction` over to a
+     *  multi-signature approval manager.
+     *  Once set, those functions can only be called by the manager, or by the contract one of its
+     *  proposals calls while the proposal is executed, and the manager can only be replaced or
+     *  removed through its own proposals.
+     *  @param manager The approval manager, which has to be a contract, or the zero address to remove it.
+     */
+    function setApprovalManager(address manager)
+        public
+        onlySuperAdmin
+        isNotMigrated
+        isApproved
+    {
+        require(manager == ZERO_ADDRESS || Address.isContract(manager), "Invalid approval manager provided");
+
+        approvalManager = manager;
+        emit ApprovalManagerSet(manager);
+    }
+
+    /**
+     *  Extension to the ERC884 standard, sets the registry of the custodians and brokers
+     *  that may act on behalf of holders. Approved operators can be given allowances without
+     *  being verified, and operators authorised by a holder can transfer its tokens without one.
+     *  @param registry The operator registry, or the zero address to remove it.
+     */
+    function setOperatorRegistry(address registry)
+        public
+        onlySuperAdmin
+        isNotMigrated
+        isApproved
+    {
+        operatorRegistry = registry;
+        emit OperatorRegistrySet(registry);
+    }
+
+    /**
+     *  Extension to the ERC884 standard, adds a rule module that every transfer has to pass.
+     *  Modules are consulted after the built-in checks, in the order they were added.
+     *  @param module The address of a contract implementing `TransferRestriction`.
+     */
+    function addTransferRestriction(address module)
+        public
+        onlyComplianceOfficer
+        isNotMigrated
+    {
+        require(module != ZERO_ADDRESS && module != address(this), "Invalid module address provided");
+        for (uint256 i = 0; i < transferRestrictions.length; i++) {
+            require(transferRestrictions[i] != module, "Module has been added already");
+        }
+
+        transferRestrictions.push(module);
+        emit TransferRestrictionAdded(module, msg.sender);
+    }
+
+    /**
+     *  Extension to the ERC884 standard, removes a rule module. The order of the
+     *  remaining modules is kept. Removing a module lifts its rules at once, so it is
+     *  guarded by the approval manager, whereas adding one is not.
+     *  @param module The address of the module to remove.
+     */
+    function removeTransferRestriction(address module)
+        public
+        onlyComplianceOfficer
+        isNotMigrated
+        isApproved
+    {
+        uint256 length = transferRestrictions.length;
+        uint256 i = 0;
+        while (i < length && transferRestrictions[i] != module) {
+            i++;
+        }
+        require(i < length, "Module has not been added");
+
+        for (; i < length - 1; i++) {
+            transferRestrictions[i] = transferRestrictions[i + 1];
+        }
+        transferRestrictions.length--;
+        emit TransferRestrictionRemoved(module, msg.sender);
+    }
+
+    /**
+     *  Extension to the ERC884 standard, records the contract that takes over the
+     *  register after migration. The successor is allowed to read the register
+     *  in order to import it. Can only be set once, and only after migration.
+     *  @param _successor The address of the token contract succeeding this one.
+     */
+    function setSuccessor(address _successor)
+        public
+        onlySuperAdmin
+        isNotSplitting
+    {
+        require(migrated, "Token contract has to be migrated before setting a successor");
+        require(successor == ZERO_ADDRESS, "Successor has been set already");
+        require(_successor != ZERO_ADDRESS && _successor != address(this), "Invalid successor address provided");
+
+        successor = _successor;
+        emit SuccessorSet(_successor);
+    }
+
+    /**
+     *  Extension to the ERC884 standard, starts importing the register of a migrated
+     *  token contract. The predecessor MUST have recorded this contract as its successor,
+     *  and this contract MUST NOT hold any tokens yet. Issuance, burning, canceling and
+     *  transfers are disabled until the import is sealed.
+     *  @param _predecessor The migrated token contract to import the register from.
+     */
+    function setPredecessor(address _predecessor)
+        public
+        onlySuperAdmin
+        isNotMigrated
+    {
+        require(address(predecessor) == ZERO_ADDRESS, "Predecessor has been set already");
+        SecurityTokenImport.checkPredecessor(SecurityToken(_predecessor));
+        require(totalSupply() == 0 && shareholders.length == 0, "Token contract already holds a register");
+
+        predecessor = SecurityToken(_predecessor);
+        emit PredecessorSet(_predecessor);
+    }
+
+    /**
+     *  Extension to the ERC884 standard, imports the next chunk of shareholders from the
+     *  predecessor, in the order of its `holderAt` list. Every holder is verified with the
+     *  supplied hash, which MUST match the predecessor's hash, and receives its balance
+     *  and lock status as recorded on the predecessor.
+     *  @param hashes The verification hashes of the next `hashes.length` shareholders.
+     */
+    function importHolders(bytes32[] hashes)
+        external
+        onlySuperAdmin
+        isNotMigrated
+        isImporting
+    {
+        (address[] memory addrs, uint256[] memory balances, uint256[] memory expiries, bool[] memory locks) =
+            SecurityTokenImport.readHolders(predecessor, importedHolders, hashes);
+
+        for (uint256 i = 0; i < addrs.length; i++) {
+            importVerified(addrs[i], hashes[i], expiries[i], locks[i]);
+            updateShareholders(addrs[i]);
+            _mint(addrs[i], balances[i]);
+        }
+        importedHolders += hashes.length;
+    }
+
+    /**
+     *  Extension to the ERC884 standard, imports verified addresses that do not hold any
+     *  tokens on the predecessor. The supplied hashes MUST match the predecessor's hashes.
+     *  @param addrs The verified addresses to import.
+     *  @param hashes The verification hashes of the addresses.
+     */
+    function importVerifiedAddresses(address[] addrs, bytes32[] hashes)
+        external
+        onlySuperAdmin
+        isNotMigrated
+        isImporting
+    {
+        (uint256[] memory expiries, bool[] memory locks) = SecurityTokenImport.readVerifiedAddresses(predecessor, addrs, hashes);
+
+        for (uint256 i = 0; i < addrs.length; i++) {
+            importVerified(addrs[i], hashes[i], expiries[i], locks[i]);
+        }
+    }
+
+    /**
+     *  Extension to the ERC884 standard, imports cancelled addresses from the predecessor.
+     *  Each original address is mapped to the address that ultimately holds its share.
+     *  @param originals The cancelled addresses to import.
+     */
+    function importCancellations(address[] originals)
+        external
+        onlySuperAdmin
+        isNotMigrated
+        isImporting
+    {
+        address[] memory replacements = SecurityTokenImport.readCancellations(predecessor, originals);
+
+        for (uint256 i = 0; i < originals.length; i++) {
+            require(cancellations[originals[i]] == ZERO_ADDRESS, "Cancellation has been imported already");
+
+            cancellations[originals[i]] = replacements[i];
+            emit VerifiedAddressSuperseded(originals[i], replacements[i], msg.sender);
+        }
+    }
+
+    /**
+     *  Extension to the ERC884 standard, seals the import once every shareholder of the
+     *  predecessor has been imported and the total supplies match. Nothing can be imported
+     *  afterwards, and the token contract becomes fully functional.
+     */
+    function sealImport()
+        public
+        onlySuperAdmin
+        isNotMigrated
+        isImporting
+    {
+        SecurityTokenImport.checkImported(predecessor, importedHolders, totalSupply());
+
+        importSealed = true;
+        emit ImportSealed(predecessor, importedHolders, totalSupply());
+    }
+
+    /**
+     *  Extension to the ERC884 standard, starts a split or reverse split of every balance
+     *  by `numerator / denominator`, e.g. 2/1 for a 2:1 split or 1/10 for a 1:10 consolidation.
+     *  The balances are updated in batches through `processSplit`. Until the split is completed,
+     *  transfers, issuance, burning and canceling are disabled.
+     *  @param numerator The number of new shares per `denominator` old shares.
+     *  @param denominator The number of old shares per `numerator` new shares.
+     */
+    function startSplit(uint256 numerator, uint256 denominator)
+        public
+        onlyIssuer
+        isNotMigrated
+        isApproved
+        isNotImporting
+        isNotSplitting
+    {
+        require(numerator > 0 && denominator > 0 && numerator != denominator, "Invalid ratio provided");
+
+        splitNumerator = numerator;
+        splitDenominator = denominator;
+        splitIndex = 0;
+        splitNumerators.push(numerator);
+        splitDenominators.push(denominator);
+        emit SplitStarted(numerator, denominator, msg.sender);
+        processSplit(0);
+    }
+
+    /**
+     *  Extension to the ERC884 standard, applies the split to the next `count` shareholders.
+     *  New balances are rounded down. The fraction of a share a holder loses is reported
+     *  through `SplitRemainder`, for cash-in-lieu settlement off-chain. Holders left
+     *  without shares are removed from the shareholders array.
+     *  @param count The maximum number of shareholders to process.
+     */
+    function processSplit(uint256 count)
+        public
+        onlyIssuer
+        isNotMigrated
+    {
+        require(splitDenominator != 0, "No split is in progress");
+
+        for (uint256 i = 0; i < count && splitIndex < shareholders.length; i++) {
+            address holder = shareholders[splitIndex];
+            uint256 balance = balanceOf(holder);
+            uint256 scaled = balance.mul(splitNumerator);
+            uint256 newBalance = scaled / splitDenominator;
+
+            if (scaled % splitDenominator != 0) {
+                emit SplitRemainder(holder, scaled % splitDenominator, splitDenominator);
+            }
+
+            // The rule modules scale their amounts in `afterSplit` instead of following the transfer
+            if (newBalance > balance) {
+                SecurityTokenSnapshots._mint(holder, newBalance - balance);
+                splitIndex++;
+            } else if (newBalance > 0) {
+                SecurityTokenSnapshots._burn(holder, balance - newBalance);
+                splitIndex++;
+            } else {
+                // The last shareholder takes over this slot, and has not been processed yet
+                pruneShareholders(holder, balance);
+                SecurityTokenSnapshots._burn(holder, balance);
+            }
+            SecurityTokenRestrictions.notifySplit(transferRestrictions, holder, splitNumerator, splitDenominator);
+        }
+
+        if (splitIndex == shareholders.length) {
+            emit SplitCompleted(splitNumerator, splitDenominator, totalSupply());
+            splitNumerator = 0;
+            splitDenominator = 0;
+        }
+    }
+
+    /**
+     *  Extension to the ERC884 standard, allows the administrator to freeze
+     *  all funds of a specific individual, until `unlock` is called.
+     *  Partial or time-bound lockups are handled by `LockupRestriction`.
+     *  @param addr The address to lock.
      */
     function lock(address addr)
         public
-        onlyOwner
+        onlyTransferAgent
         isNotMigrated
     {
-        locked[addr] = !locked[addr];
-        emit Lock(addr, locked[addr]);
+        require(!locked[addr], "Address is locked already");
+
+        locked[addr] = true;
+        emit Lock(addr, true);
+    }
+
+    /**
+     *  Extension to the ERC884 standard, lifts the lock placed on an address by `lock`.
+     *  @param addr The address to unlock.
+     */
+    function unlock(address addr)
+        public
+        onlyTransferAgent
+        isNotMigrated
+    {
+        require(locked[addr], "Address is not locked");
+
+        locked[addr] = false;
+        emit Lock(addr, false);
+    }
+
+    /**
+     *  Extension to the ERC884 standard, takes an administrative action while recording why.
+     *  The action is a call of any function of the token, which runs as if it was called
+     *  directly, with the roles of the caller and under the approval manager, if any.
+     *  Emits `AdminAction` after the events of the action. Reverts with the reason of the
+     *  action if it fails. `lib/auditlog.js` encodes actions for clients.
+     *  @param action The ABI encoded call of the function, including its selector.
+     *  @param reason A code for the reason of the action.
+     *  @param record A reference to the off-chain record of the action, e.g. a ticket or a board resolution.
+     */
+    function performAction(bytes action, uint8 reason, bytes32 record)
+        public
+    {
+        require(
+            isSuperAdmin(msg.sender) || isComplianceOfficer(msg.sender) || isIssuer(msg.sender) || isTransferAgent(msg.sender),
+            "Caller does not hold an administrative role"
+        );
+        require(action.length >= 4 && record != ZERO_BYTES, "Invalid action or record provided");
+
+        bytes4 selector;
+        assembly {
+            if iszero(delegatecall(gas, address, add(action, 32), mload(action), 0, 0)) {
+                returndatacopy(0, 0, returndatasize)
+                revert(0, returndatasize)
+            }
+            selector := and(mload(add(action, 32)), 0xffffffff00000000000000000000000000000000000000000000000000000000)
+        }
+        emit AdminAction(selector, reason, record, msg.sender);
     }
 
     /**
@@ -330,7 +973,7 @@ contract SecurityToken is SecurityTokenInterface, ERC20Mintable, Ownable {
      */
     function holderAt(uint256 index)
         public
-        onlyOwner
+        onlyAuditorOrSuccessor
         view
         returns (address)
     {
@@ -339,7 +982,8 @@ contract SecurityToken is SecurityTokenInterface, ERC20Mintable, Ownable {
     }
 
     /**
-     *  Tests that the supplied address is known to the contract.
+     *  Tests that the supplied address is known to the contract, and that its
+     *  verification has not expired.
      *  @param addr The address to test.
      *  @return A boolean indicating if the address is known to the contract.
      */
@@ -348,7 +992,51 @@ contract SecurityToken is SecurityTokenInterface, ERC20Mintable, Ownable {
         view
         returns (bool)
     {
-        return verified[addr] != ZERO_BYTES;
+        uint256 expiry = verificationExpiries[addr];
+        return verified[addr] != ZERO_BYTES && (expiry == 0 || expiry > now);
+    }
+
+    /**
+     *  Extension to the ERC884 standard, returns when the verification of an address expires.
+     *  @param addr The address to check.
+     *  @return The time at which the verification expires, or `0` if it does not expire.
+     */
+    function verificationExpiry(address addr)
+        public
+        view
+        returns (uint256)
+    {
+        return verificationExpiries[addr];
+    }
+
+    /**
+     *  Extension to the ERC884 standard, returns the number of verified addresses,
+     *  whether or not they hold tokens. Expired verifications are included.
+     *  @return The number of verified addresses.
+     */
+    function verifiedCount()
+        public
+        view
+        onlyAuditorOrSuccessor
+        returns (uint256)
+    {
+        return verifiedAddresses.length;
+    }
+
+    /**
+     *  Extension to the ERC884 standard, returns a verified address by index.
+     *  The order changes when addresses are removed.
+     *  @param index The zero-based index of the verified address.
+     *  @return The address at that index.
+     */
+    function verifiedAt(uint256 index)
+        public
+        view
+        onlyAuditorOrSuccessor
+        returns (address)
+    {
+        require(index < verifiedAddresses.length, "Index out of range");
+        return verifiedAddresses[index];
     }
 
     /**
@@ -389,7 +1077,7 @@ contract SecurityToken is SecurityTokenInterface, ERC20Mintable, Ownable {
     function isSuperseded(address addr)
         public
         view
-        onlyOwner
+        onlyAuditorOrSuccessor
         returns (bool)
     {
         return cancellations[addr] != ZERO_ADDRESS;
@@ -405,12 +1093,93 @@ contract SecurityToken is SecurityTokenInterface, ERC20Mintable, Ownable {
     function getCurrentFor(address addr)
         public
         view
-        onlyOwner
+        onlyAuditorOrSuccessor
         returns (address)
     {
         return findCurrentFor(addr);
     }
 
+    /**
+     *  Extension to the ERC884 standard, returns the rule modules every transfer has to pass.
+     *  @return The addresses of the modules, in the order they are consulted.
+     */
+    function getTransferRestrictions()
+        public
+        view
+        returns (address[])
+    {
+        return transferRestrictions;
+    }
+
+    /**
+     *  Extension to the ERC884 standard, following ERC-1404. Detects whether a transfer
+     *  would be restricted, so that it can be checked before it is sent. The built-in
+     *  checks use codes below 64, rule modules use codes from 64 upwards.
+     *  @param from The address sending the tokens.
+     *  @param to The address receiving the tokens.
+     *  @param value The amount of tokens being transferred.
+     *  @return `SUCCESS` if the transfer is allowed, a restriction code otherwise.
+     */
+    function detectTransferRestriction(address from, address to, uint256 value)
+        public
+        view
+        returns (uint8)
+    {
+        if (pausedScopes & PAUSE_TRANSFERS != 0) {
+            return PAUSED;
+        }
+        if (address(predecessor) != ZERO_ADDRESS && !importSealed) {
+            return IMPORTING;
+        }
+        if (locked[from]) {
+            return SENDER_LOCKED;
+        }
+        if (locked[to]) {
+            return RECEIVER_LOCKED;
+        }
+        if (verified[to] == ZERO_BYTES) {
+            return RECEIVER_NOT_VERIFIED;
+        }
+        if (!isVerified(to)) {
+            return RECEIVER_VERIFICATION_EXPIRED;
+        }
+        if (splitDenominator != 0) {
+            return SPLIT_IN_PROGRESS;
+        }
+        if (balanceOf(from) < value) {
+            return INSUFFICIENT_BALANCE;
+        }
+
+        return detectModuleRestriction(from, to, value);
+    }
+
+    /**
+     *  Extension to the ERC884 standard, following ERC-1404. Returns a human-readable
+     *  message for a restriction code, asking the rule modules for codes it does not know.
+     *  @param restrictionCode A restriction code returned by `detectTransferRestriction`.
+     *  @return The message describing the restriction.
+     */
+    function messageForTransferRestriction(uint8 restrictionCode)
+        public
+        view
+        returns (string)
+    {
+        return SecurityTokenRestrictions.messageFor(transferRestrictions, restrictionCode);
+    }
+
+    /**
+     *  Extension to the ERC884 standard, checks whether operations are currently paused.
+     *  @param scopes The scopes to check, e.g. `PAUSE_TRANSFERS`.
+     *  @return A boolean indicating whether any of the given scopes is paused.
+     */
+    function isPaused(uint8 scopes)
+        public
+        view
+        returns (bool)
+    {
+        return pausedScopes & scopes != 0;
+    }
+
     /**
      *  Extension to the ERC884 standard to check whether an account is locked or not.
      *  @param addr The address to check locked status for.
@@ -424,6 +1193,152 @@ contract SecurityToken is SecurityTokenInterface, ERC20Mintable, Ownable {
         return locked[addr];
     }
 
+    /**
+     *  Backs the `isVerifiedAddress` modifier. Kept out of the modifier, so that
+     *  its revert message is not copied into every function using it.
+     *  @param addr The address that has to be verified.
+     */
+    function checkVerified(address addr)
+        internal
+        view
+    {
+        require(isVerified(addr), "Not a verified address");
+    }
+
+    /**
+     *  Checks that an address may spend the tokens of others, i.e. that it is verified
+     *  or approved as an operator in the operator registry.
+     *  @param spender The address spending, or being allowed to spend, the tokens.
+     */
+    function checkSpender(address spender)
+        internal
+        view
+    {
+        require(
+            isVerified(spender) || (operatorRegistry != ZERO_ADDRESS && OperatorRegistry(operatorRegistry).isOperator(spender)),
+            "Spender is not an approved operator or verified address"
+        );
+    }
+
+    /**
+     *  Backs the `isTransferAllowed` modifier, and `checkIssuance`.
+     *  @param code The restriction code of a transfer or issuance.
+     */
+    function checkRestriction(uint8 code)
+        internal
+        view
+    {
+        if (code != SUCCESS) {
+            revert(messageForTransferRestriction(code));
+        }
+    }
+
+    /**
+     *  Checks that tokens can be issued to an address: it has to be verified, and none
+     *  of the rule modules may restrict the issuance.
+     *  @param to The address that will receive the issued tokens.
+     *  @param amount The amount of tokens to issue.
+     */
+    function checkIssuance(address to, uint256 amount)
+        internal
+        view
+    {
+        checkVerified(to);
+        checkRestriction(detectModuleRestriction(ZERO_ADDRESS, to, amount));
+    }
+
+    /**
+     *  Backs the `isNotMigrated` modifier.
+     */
+    function checkNotMigrated()
+        internal
+        view
+    {
+        require(!migrated, "Token contract has been migrated and is no longer functional");
+    }
+
+    /**
+     *  Backs the `isNotSplitting` modifier.
+     */
+    function checkNotSplitting()
+        internal
+        view
+    {
+        require(splitDenominator == 0, "A split is in progress");
+    }
+
+    /**
+     *  Backs the `isNotPaused` modifier.
+     *  @param scope The scope of the operation.
+     */
+    function checkNotPaused(uint8 scope)
+        internal
+        view
+    {
+        require(pausedScopes & scope == 0, "Operation is paused");
+    }
+
+    /**
+     *  Backs the `isApproved` modifier.
+     */
+    function checkApproved()
+        internal
+        view
+    {
+        require(
+            approvalManager == ZERO_ADDRESS ||
+            msg.sender == approvalManager ||
+            msg.sender == AdminApprovals(approvalManager).executingTarget(),
+            "Action has to be approved through the approval manager"
+        );
+    }
+
+    /**
+     *  Backs the `isImporting` modifier.
+     */
+    function checkImporting()
+        internal
+        view
+    {
+        require(address(predecessor) != ZERO_ADDRESS && !importSealed, "Token contract is not importing a register");
+    }
+
+    /**
+     *  Backs the `isNotImporting` modifier.
+     */
+    function checkNotImporting()
+        internal
+        view
+    {
+        require(address(predecessor) == ZERO_ADDRESS || importSealed, "Token contract is still importing a register");
+    }
+
+    /**
+     *  Backs the `onlyAuditorOrSuccessor` modifier.
+     */
+    function checkAuditorOrSuccessor()
+        internal
+        view
+    {
+        require(isAuditor(msg.sender) || (successor != ZERO_ADDRESS && msg.sender == successor), "Caller is not an auditor or the successor");
+    }
+
+    /**
+     *  Asks the rule modules, in the order they were added, whether a transfer or issuance
+     *  is restricted.
+     *  @param from The address sending the tokens, or the zero address for an issuance.
+     *  @param to The address receiving the tokens.
+     *  @param value The amount of tokens.
+     *  @return The first non-zero code returned by a module, or `SUCCESS`.
+     */
+    function detectModuleRestriction(address from, address to, uint256 value)
+        internal
+        view
+        returns (uint8)
+    {
+        return SecurityTokenRestrictions.detect(transferRestrictions, from, to, value);
+    }
+
     /**
      *  Recursively find the most recent address given a superseded one.
      *  @param addr The superseded address.
@@ -442,6 +1357,64 @@ contract SecurityToken is SecurityTokenInterface, ERC20Mintable, Ownable {
         return findCurrentFor(candidate);
     }
 
+    /**
+     *  Store the verification hash and expiry of an address that has not been verified yet.
+     *  @param addr The address of the person represented by the supplied hash.
+     *  @param hash A cryptographic hash of the address holder's verified information.
+     *  @param expiry The time at which the verification expires, or `0` if it does not expire.
+     */
+    function verify(address addr, bytes32 hash, uint256 expiry)
+        internal
+    {
+        require(addr != ZERO_ADDRESS, "Invalid address provided");
+        require(hash != ZERO_BYTES, "Invalid data hash provided");
+        require(verified[addr] == ZERO_BYTES, "Address has been verified already");
+
+        verified[addr] = hash;
+        verificationExpiries[addr] = expiry;
+        verifiedIndices[addr] = verifiedAddresses.push(addr);
+        emit VerifiedAddressAdded(addr, hash, msg.sender);
+
+        if (expiry != 0) {
+            emit VerificationExpirySet(addr, expiry, msg.sender);
+        }
+    }
+
+    /**
+     *  Remove the hash of an address, and the address from the verified addresses.
+     *  The last verified address takes over its position.
+     *  @param addr The address to remove.
+     */
+    function unverify(address addr)
+        internal
+    {
+        address last = verifiedAddresses[verifiedAddresses.length - 1];
+        verifiedAddresses[verifiedIndices[addr] - 1] = last;
+        verifiedIndices[last] = verifiedIndices[addr];
+        verifiedAddresses.length--;
+        verifiedIndices[addr] = 0;
+        verified[addr] = ZERO_BYTES;
+    }
+
+    /**
+     *  Verify an address with the hash, verification expiry and lock status
+     *  recorded for it on the predecessor, see `SecurityTokenImport`.
+     *  @param addr The address to import.
+     *  @param hash The verification hash of the address.
+     *  @param expiry The time at which the verification expires, or `0` if it does not expire.
+     *  @param wasLocked Whether the address is locked on the predecessor.
+     */
+    function importVerified(address addr, bytes32 hash, uint256 expiry, bool wasLocked)
+        internal
+    {
+        verify(addr, hash, expiry);
+
+        if (wasLocked) {
+            locked[addr] = true;
+            emit Lock(addr, true);
+        }
+    }
+
     /**
      *  If the address is not in the `shareholders` array then push it
      *  and update the `holderIndices` mapping.
@@ -451,6 +1424,7 @@ contract SecurityToken is SecurityTokenInterface, ERC20Mintable, Ownable {
         internal
     {
         if (holderIndices[addr] == 0) {
+            updateHolderCountSnapshot();
             holderIndices[addr] = shareholders.push(addr);
         }
     }
@@ -471,6 +1445,7 @@ contract SecurityToken is SecurityTokenInterface, ERC20Mintable, Ownable {
             return;
         }
 
+        updateHolderCountSnapshot();
         address lastHolder = shareholders[shareholders.length - 1];
         uint256 holderIndex = holderIndices[addr] - 1;
 
@@ -487,4 +1462,79 @@ contract SecurityToken is SecurityTokenInterface, ERC20Mintable, Ownable {
         // And zero out the index for addr
         holderIndices[addr] = 0;
     }
+
+    /**
+     *  Notifies the rule modules after tokens have moved between two addresses.
+     */
+    function _transfer(address from, address to, uint256 value)
+        internal
+    {
+        super._transfer(from, to, value);
+        notifyTransfer(from, to, value);
+    }
+
+    /**
+     *  Notifies the rule modules after tokens have been issued.
+     */
+    function _mint(address account, uint256 value)
+        internal
+    {
+        super._mint(account, value);
+        notifyTransfer(ZERO_ADDRESS, account, value);
+    }
+
+    /**
+     *  Notifies the rule modules after tokens have been burned.
+     */
+    function _burn(address account, uint256 value)
+        internal
+    {
+        super._burn(account, value);
+        notifyTransfer(account, ZERO_ADDRESS, value);
+    }
+
+    /**
+     *  Set the allowance of a spender of the caller, in shares after the splits started so far.
+     *  @param spender The address that may spend the tokens.
+     *  @param value The amount of tokens that may be spent.
+     */
+    function setAllowance(address spender, uint256 value)
+        internal
+    {
+        require(spender != ZERO_ADDRESS, "Invalid spender provided");
+
+        allowances[msg.sender][spender] = Allowance(value, splitNumerators.length);
+        emit Approval(msg.sender, spender, value);
+    }
+
+    /**
+     *  Scale an allowance by the splits started since it was set.
+     *  @param owner The address owning the tokens.
+     *  @param spender The address that may spend the tokens.
+     *  @return The allowance, in shares after the splits started so far.
+     */
+    function scaledAllowance(address owner, address spender)
+        internal
+        view
+        returns (uint256)
+    {
+        Allowance storage given = allowances[owner][spender];
+        uint256 value = given.value;
+        for (uint256 i = given.splits; i < splitNumerators.length; i++) {
+            value = value.mul(splitNumerators[i]) / splitDenominators[i];
+        }
+        return value;
+    }
+
+    /**
+     *  Tells the rule modules that tokens have moved, see `TransferRestriction.afterTransfer`.
+     *  @param from The address the tokens were taken from, or the zero address for an issuance.
+     *  @param to The address that received the tokens, or the zero address for a burn.
+     *  @param value The amount of tokens.
+     */
+    function notifyTransfer(address from, address to, uint256 value)
+        internal
+    {
+        SecurityTokenRestrictions.notifyTransfer(transferRestrictions, from, to, value);
+    }
 }
@@ -0,0 +1,130 @@
+pragma solidity 0.4.25;
+
+import "./SecurityToken.sol";
+
+/**
+ * @title Security token import
+ *
+ * SecurityTokenImport reads the register of a migrated token contract on behalf of its
+ * successor, checking it against the hashes the successor supplies. It is linked into
+ * SecurityToken, so that the calls to the predecessor do not count towards the size
+ * of the token contract. Its functions run in the context of the token contract,
+ * which reads the predecessor as its successor.
+ */
+library SecurityTokenImport {
+
+    /**
+     *  Checks that a token contract has been migrated, and recorded the calling
+     *  contract as its successor.
+     *  @param predecessor The token contract to import the register from.
+     */
+    function checkPredecessor(SecurityToken predecessor)
+        public
+        view
+    {
+        require(predecessor.migrated(), "Predecessor has not been migrated");
+        require(predecessor.successor() == address(this), "Predecessor does not point to this contract");
+    }
+
+    /**
+     *  Reads a chunk of shareholders of the predecessor, in the order of its `holderAt` list.
+     *  @param predecessor The token contract to import the register from.
+     *  @param start The index of the first shareholder.
+     *  @param hashes The verification hashes of the shareholders, which MUST match the predecessor's.
+     *  @return The addresses, balances, verification expiries and lock status of the shareholders.
+     */
+    function readHolders(SecurityToken predecessor, uint256 start, bytes32[] hashes)
+        public
+        view
+        returns (address[], uint256[], uint256[], bool[])
+    {
+        require(start + hashes.length <= predecessor.holderCount(), "Chunk exceeds the predecessor's shareholders");
+
+        address[] memory addrs = new address[](hashes.length);
+        uint256[] memory balances = new uint256[](hashes.length);
+        for (uint256 i = 0; i < hashes.length; i++) {
+            addrs[i] = predecessor.holderAt(start + i);
+            balances[i] = predecessor.balanceOf(addrs[i]);
+        }
+
+        (uint256[] memory expiries, bool[] memory locks) = readVerified(predecessor, addrs, hashes);
+        return (addrs, balances, expiries, locks);
+    }
+
+    /**
+     *  Reads verified addresses of the predecessor that do not hold any tokens.
+     *  @param predecessor The token contract to import the register from.
+     *  @param addrs The verified addresses.
+     *  @param hashes The verification hashes of the addresses, which MUST match the predecessor's.
+     *  @return The verification expiries and lock status of the addresses.
+     */
+    function readVerifiedAddresses(SecurityToken predecessor, address[] addrs, bytes32[] hashes)
+        public
+        view
+        returns (uint256[], bool[])
+    {
+        require(addrs.length == hashes.length, "Array lengths are not identical");
+
+        for (uint256 i = 0; i < addrs.length; i++) {
+            require(predecessor.balanceOf(addrs[i]) == 0, "Shareholders have to be imported through importHolders");
+        }
+        return readVerified(predecessor, addrs, hashes);
+    }
+
+    /**
+     *  Reads cancelled addresses of the predecessor.
+     *  @param predecessor The token contract to import the register from.
+     *  @param originals The cancelled addresses.
+     *  @return The addresses that ultimately hold the shares of the cancelled addresses.
+     */
+    function readCancellations(SecurityToken predecessor, address[] originals)
+        public
+        view
+        returns (address[])
+    {
+        address[] memory replacements = new address[](originals.length);
+        for (uint256 i = 0; i < originals.length; i++) {
+            require(predecessor.isSuperseded(originals[i]), "Address has not been superseded on the predecessor");
+            replacements[i] = predecessor.getCurrentFor(originals[i]);
+        }
+        return replacements;
+    }
+
+    /**
+     *  Checks that every shareholder of the predecessor has been imported, and that
+     *  the total supplies match.
+     *  @param predecessor The token contract to import the register from.
+     *  @param importedHolders The number of shareholders imported.
+     *  @param supply The total supply of the calling contract.
+     */
+    function checkImported(SecurityToken predecessor, uint256 importedHolders, uint256 supply)
+        public
+        view
+    {
+        require(importedHolders == predecessor.holderCount(), "Not all shareholders have been imported");
+        require(supply == predecessor.totalSupply(), "Total supply does not match the predecessor");
+    }
+
+    /**
+     *  Checks the hashes of verified addresses against the predecessor, and reads
+     *  their verification expiry and lock status.
+     *  @param predecessor The token contract to import the register from.
+     *  @param addrs The verified addresses.
+     *  @param hashes The verification hashes of the addresses.
+     *  @return The verification expiries and lock status of the addresses.
+     */
+    function readVerified(SecurityToken predecessor, address[] addrs, bytes32[] hashes)
+        internal
+        view
+        returns (uint256[], bool[])
+    {
+        uint256[] memory expiries = new uint256[](addrs.length);
+        bool[] memory locks = new bool[](addrs.length);
+        for (uint256 i = 0; i < addrs.length; i++) {
+            require(predecessor.hasHash(addrs[i], hashes[i]), "Hash does not match the predecessor");
+            expiries[i] = predecessor.verificationExpiry(addrs[i]);
+            locks[i] = predecessor.isLocked(addrs[i]);
+        }
+        return (expiries, locks);
+    }
+}
@@ -68,6 +68,14 @@ contract SecurityTokenInterface is ERC20 {
         address indexed sender
     );
 
+    /**
+     *  This event is emitted when the verification of an address is given an expiry.
+     *  @param addr The verified address.
+     *  @param expiry The time at which the verification expires, or `0` if it does not expire.
+     *  @param sender The address that caused the expiry to be set.
+     */
+    event VerificationExpirySet(address indexed addr, uint256 expiry, address indexed sender);
+
     /**
      *  This event is emitted when an address is cancelled and replaced with
      *  a new address.  This happens in the case where a shareholder has
@@ -85,10 +93,38 @@ contract SecurityTokenInterface is ERC20 {
     );
 
     /**
-     *  This event is emitted when the administrator freezes or unfreezes transfers.
-     *  @param frozen Indicates whether the contract was frozen or unfrozen.
+     *  This event is emitted when tokens are moved on the authority of a legal instrument.
+     *  @param from The address the tokens were taken from.
+     *  @param to The address the tokens were given to.
+     *  @param value The amount of tokens moved.
+     *  @param reason A code for the legal ground of the transfer.
+     *  @param document A reference to the off-chain document ordering the transfer.
+     *  @param sender The address that caused the tokens to be moved.
+     */
+    event ForcedTransfer(
+        address indexed from,
+        address indexed to,
+        uint256 value,
+        uint8 reason,
+        bytes32 document,
+        address indexed sender
+    );
+
+    /**
+     *  This event is emitted when the administrator pauses operations.
+     *  @param scopes The scopes that were paused.
+     *  @param reason A code for the reason of the pause.
+     *  @param sender The address that paused the operations.
      */
-    event Freeze(bool frozen);
+    event Paused(uint8 scopes, uint8 reason, address indexed sender);
+
+    /**
+     *  This event is emitted when the administrator resumes paused operations.
+     *  @param scopes The scopes that were resumed.
+     *  @param reason A code for the reason of resuming.
+     *  @param sender The address that resumed the operations.
+     */
+    event Unpaused(uint8 scopes, uint8 reason, address indexed sender);
 
     /**
      *  This event is emitted when a certain address is locked or unlocked.
@@ -103,15 +139,106 @@ contract SecurityTokenInterface is ERC20 {
      */
     event Migrate();
 
+    /**
+     *  This event is emitted when the approval manager guarding the destructive functions changes.
+     *  @param manager The new approval manager, or the zero address if it was removed.
+     */
+    event ApprovalManagerSet(address indexed manager);
+
+    /**
+     *  This event is emitted when the registry of operators acting on behalf of holders changes.
+     *  @param registry The new operator registry, or the zero address if it was removed.
+     */
+    event OperatorRegistrySet(address indexed registry);
+
+    /**
+     *  This event is emitted when the successor of a migrated contract is recorded.
+     *  @param successor The token contract that takes over the register.
+     */
+    event SuccessorSet(address indexed successor);
+
+    /**
+     *  This event is emitted when the contract starts importing the register of a migrated contract.
+     *  @param predecessor The token contract the register is imported from.
+     */
+    event PredecessorSet(address indexed predecessor);
+
+    /**
+     *  This event is emitted when the import of a predecessor's register is completed.
+     *  @param predecessor The token contract the register was imported from.
+     *  @param holders The number of shareholders that were imported.
+     *  @param supply The total amount of tokens that were imported.
+     */
+    event ImportSealed(address indexed predecessor, uint256 holders, uint256 supply);
+
+    /**
+     *  This event is emitted when a split or reverse split is started.
+     *  @param numerator The number of new shares per `denominator` old shares.
+     *  @param denominator The number of old shares per `numerator` new shares.
+     *  @param sender The address that started the split.
+     */
+    event SplitStarted(uint256 numerator, uint256 denominator, address indexed sender);
+
+    /**
+     *  This event is emitted when a holder loses a fraction of a share in a split,
+     *  so that it can be settled in cash.
+     *  @param holder The address that lost the fraction.
+     *  @param remainder The fraction lost, in units of `1 / denominator` shares.
+     *  @param denominator The denominator of the split.
+     */
+    event SplitRemainder(address indexed holder, uint256 remainder, uint256 denominator);
+
+    /**
+     *  This event is emitted when every balance has been split.
+     *  @param numerator The number of new shares per `denominator` old shares.
+     *  @param denominator The number of old shares per `numerator` new shares.
+     *  @param supply The total supply after the split.
+     */
+    event SplitCompleted(uint256 numerator, uint256 denominator, uint256 supply);
+
+    /**
+     *  This event is emitted when a rule module is added to the transfer checks.
+     *  @param module The rule module that was added.
+     *  @param sender The address that caused the module to be added.
+     */
+    event TransferRestrictionAdded(address indexed module, address indexed sender);
+
+    /**
+     *  This event is emitted when a rule module is removed from the transfer checks.
+     *  @param module The rule module that was removed.
+     *  @param sender The address that caused the module to be removed.
+     */
+    event TransferRestrictionRemoved(address indexed module, address indexed sender);
+
+    /**
+     *  This event is emitted when an administrative action is taken through `performAction`.
+     *  @param action The selector of the function of the token that was called.
+     *  @param reason A code for the reason of the action.
+     *  @param record A reference to the off-chain record of the action.
+     *  @param sender The address that took the action.
+     */
+    event AdminAction(bytes4 indexed action, uint8 reason, bytes32 record, address indexed sender);
+
     /**
      *  Issue an amount of tokens to the specified address. If the address was
      *  not holding any tokens beforehand, they get added to the shareholders array.
+     *  The rule modules are consulted as for a transfer from the zero address.
      *  @param to The address that will receive the issued tokens.
      *  @param amount The amount of tokens to issue.
      *  @return A boolean that indicates if the operation was successful.
      */
     function issue(address to, uint256 amount) public returns (bool);
 
+    /**
+     *  Extension to the ERC884 standard, issues tokens to a batch of addresses in a single transaction.
+     *  Every address has to be verified, and receives its tokens the same way as in `issue`.
+     *  The batch is atomic: if a single entry is invalid, no tokens are issued at all.
+     *  @param to The addresses that will receive the issued tokens.
+     *  @param amounts The amounts of tokens to issue to each address.
+     *  @return A boolean that indicates if the operation was successful.
+     */
+    function issueBatch(address[] to, uint256[] amounts) external returns (bool);
+
     /**
      *  Add a verified address, along with an associated verification hash to the contract.
      *  Upon successful addition of a verified address, the contract must emit
@@ -122,6 +249,27 @@ contract SecurityTokenInterface is ERC20 {
      */
     function addVerified(address addr, bytes32 hash) public;
 
+    /**
+     *  Extension to the ERC884 standard, adds a verified address whose verification
+     *  expires at the given time. Afterwards, the address can no longer receive tokens
+     *  until it is re-verified through `updateVerifiedUntil`.
+     *  This function MUST emit `VerifiedAddressAdded` and `VerificationExpirySet`.
+     *  @param addr The address of the person represented by the supplied hash.
+     *  @param hash A cryptographic hash of the address holder's verified information.
+     *  @param expiry The time at which the verification expires.
+     */
+    function addVerifiedUntil(address addr, bytes32 hash, uint256 expiry) public;
+
+    /**
+     *  Extension to the ERC884 standard, adds a batch of verified addresses in a single transaction.
+     *  Every address is checked the same way as in `addVerified`, and emits its own
+     *  `VerifiedAddressAdded` event. The batch is atomic: if a single entry is invalid,
+     *  none of the addresses are added.
+     *  @param addrs The addresses of the people represented by the supplied hashes.
+     *  @param hashes Cryptographic hashes of the address holders' verified information.
+     */
+    function addVerifiedBatch(address[] addrs, bytes32[] hashes) external;
+
     /**
      *  Remove a verified address, and the associated verification hash. If the address is
      *  unknown to the contract then this does nothing. If the address is successfully removed, this
@@ -143,18 +291,43 @@ contract SecurityTokenInterface is ERC20 {
      */
     function updateVerified(address addr, bytes32 hash) public;
 
+    /**
+     *  Extension to the ERC884 standard, re-verifies an address, which may have expired
+     *  already, with a new hash and expiry. Emits `VerifiedAddressUpdated` even if the
+     *  hash has not changed, as well as `VerificationExpirySet`.
+     *  @param addr The verified address of the person whose information has been re-verified.
+     *  @param hash A new cryptographic hash of the address holder's verified information.
+     *  @param expiry The time at which the new verification expires, or `0` if it does not expire.
+     */
+    function updateVerifiedUntil(address addr, bytes32 hash, uint256 expiry) public;
+
     /**
      *  Cancel the original address and reissue the Tokens to the replacement address.
      *  Access to this function MUST be strictly controlled.
      *  The `original` address MUST be removed from the set of verified addresses.
      *  Throw if the `original` address supplied is not a shareholder.
-     *  Throw if the replacement address is not a verified address.
+     *  Throw if the replacement address is not a verified address, or if the rule modules
+     *  restrict an issuance of the balance to it.
      *  This function MUST emit the `VerifiedAddressSuperseded` event.
      *  @param original The address to be superseded. This address MUST NOT be reused.
      *  @param replacement The address that supersedes the original. This address MUST be verified.
      */
     function cancelAndReissue(address original, address replacement) public;
 
+    /**
+     *  Extension to the ERC884 standard, moves part or all of a balance between two
+     *  verified addresses on the authority of a court order, an estate settlement or
+     *  a similar legal instrument. Unlike `cancelAndReissue`, neither address is
+     *  cancelled or unverified. Transfer restrictions, including those of the rule modules, do not apply.
+     *  This function MUST emit the `ForcedTransfer` event.
+     *  @param from The address to take the tokens from.
+     *  @param to The address to give the tokens to. The address MUST be verified.
+     *  @param value The amount of tokens to move.
+     *  @param reason A code for the legal ground of the transfer.
+     *  @param document A reference to the off-chain document ordering the transfer, e.g. its hash.
+     */
+    function forceTransfer(address from, address to, uint256 value, uint8 reason, bytes32 document) public;
+
     /**
      *  Burn tokens on a specific address. Can only be called by an administrator.
      *  If the amount is equal to the address' holdings, then the function will 
@@ -165,10 +338,21 @@ contract SecurityTokenInterface is ERC20 {
     function burn(address from, uint256 amount) public;
 
     /**
-     *  Extension to the ERC884 standard, a toggle function allowing the administrator
-     *  to freeze/unfreeze all transfers.
+     *  Extension to the ERC884 standard, pauses transfers, issuance, burning, whitelisting,
+     *  or any combination of them. Pausing a scope that is paused already changes nothing,
+     *  so a repeated call does not undo an earlier one.
+     *  @param scopes The scopes to pause, e.g. `PAUSE_ISSUANCE | PAUSE_BURNING` or `PAUSE_ALL`.
+     *  @param reason A code for the reason of the pause, recorded in the `Paused` event.
+     */
+    function pause(uint8 scopes, uint8 reason) public;
+
+    /**
+     *  Extension to the ERC884 standard, resumes the given scopes. Unpausing a scope that
+     *  is not paused changes nothing.
+     *  @param scopes The scopes to resume.
+     *  @param reason A code for the reason of resuming, recorded in the `Unpaused` event.
      */
-    function freeze() public;
+    function unpause(uint8 scopes, uint8 reason) public;
 
     /**
      *  Extension to the ERC884 standard, put in place for migration purposes
@@ -179,12 +363,119 @@ contract SecurityTokenInterface is ERC20 {
     function migrate() public;
 
     /**
-     *  Extension to the ERC884 standard, a toggle function allowing the administrator
-     *  to freeze funds of a specific individual.
-     *  @param addr The address to lock/unlock.
+     *  Extension to the ERC884 standard, hands `burn`, `pause`, `unpause`, `migrate`, `cancelAndReissue`,
+     *  `forceTransfer`, `startSplit`, `setOperatorRegistry` and `removeTransferRestriction` over to a
+     *  multi-signature approval manager.
+     *  Once set, those functions can only be called by the manager, or by the contract one of its
+     *  proposals calls while the proposal is executed, and the manager can only be replaced or
+     *  removed through its own proposals.
+     *  @param manager The approval manager, or the zero address to remove it.
+     */
+    function setApprovalManager(address manager) public;
+
+    /**
+     *  Extension to the ERC884 standard, sets the registry of the custodians and brokers
+     *  that may act on behalf of holders. Approved operators can be given allowances without
+     *  being verified, and operators authorised by a holder can transfer its tokens without one.
+     *  @param registry The operator registry, or the zero address to remove it.
+     */
+    function setOperatorRegistry(address registry) public;
+
+    /**
+     *  Extension to the ERC884 standard, adds a rule module that every transfer has to pass.
+     *  Modules are consulted after the built-in checks, in the order they were added.
+     *  @param module The address of a contract implementing `TransferRestriction`.
+     */
+    function addTransferRestriction(address module) public;
+
+    /**
+     *  Extension to the ERC884 standard, removes a rule module. The order of the
+     *  remaining modules is kept. Guarded by the approval manager, if one is set.
+     *  @param module The address of the module to remove.
+     */
+    function removeTransferRestriction(address module) public;
+
+    /**
+     *  Extension to the ERC884 standard, records the contract that takes over the
+     *  register after migration. The successor is allowed to read the register
+     *  in order to import it. Can only be set once, and only after migration.
+     *  @param _successor The address of the token contract succeeding this one.
+     */
+    function setSuccessor(address _successor) public;
+
+    /**
+     *  Extension to the ERC884 standard, starts importing the register of a migrated
+     *  token contract. The predecessor MUST have recorded this contract as its successor,
+     *  and this contract MUST NOT hold any tokens yet. Issuance, burning, canceling and
+     *  transfers are disabled until the import is sealed.
+     *  @param _predecessor The migrated token contract to import the register from.
+     */
+    function setPredecessor(address _predecessor) public;
+
+    /**
+     *  Extension to the ERC884 standard, imports the next chunk of shareholders from the
+     *  predecessor, in the order of its `holderAt` list. Every holder is verified with the
+     *  supplied hash, which MUST match the predecessor's hash, and receives its balance
+     *  and lock status as recorded on the predecessor.
+     *  @param hashes The verification hashes of the next `hashes.length` shareholders.
+     */
+    function importHolders(bytes32[] hashes) external;
+
+    /**
+     *  Extension to the ERC884 standard, imports verified addresses that do not hold any
+     *  tokens on the predecessor. The supplied hashes MUST match the predecessor's hashes.
+     *  @param addrs The verified addresses to import.
+     *  @param hashes The verification hashes of the addresses.
+     */
+    function importVerifiedAddresses(address[] addrs, bytes32[] hashes) external;
+
+    /**
+     *  Extension to the ERC884 standard, imports cancelled addresses from the predecessor.
+     *  Each original address is mapped to the address that ultimately holds its share.
+     *  @param originals The cancelled addresses to import.
+     */
+    function importCancellations(address[] originals) external;
+
+    /**
+     *  Extension to the ERC884 standard, seals the import once every shareholder of the
+     *  predecessor has been imported and the total supplies match. Nothing can be imported
+     *  afterwards, and the token contract becomes fully functional.
+     */
+    function sealImport() public;
+
+    /**
+     *  Extension to the ERC884 standard, starts a split or reverse split of every balance
+     *  by `numerator / denominator`, e.g. 2/1 for a 2:1 split or 1/10 for a 1:10 consolidation.
+     *  The balances are updated in batches through `processSplit`. Until the split is completed,
+     *  transfers, issuance, burning and canceling are disabled.
+     *  @param numerator The number of new shares per `denominator` old shares.
+     *  @param denominator The number of old shares per `numerator` new shares.
+     */
+    function startSplit(uint256 numerator, uint256 denominator) public;
+
+    /**
+     *  Extension to the ERC884 standard, applies the split to the next `count` shareholders.
+     *  New balances are rounded down. The fraction of a share a holder loses is reported
+     *  through `SplitRemainder`, for cash-in-lieu settlement off-chain. Holders left
+     *  without shares are removed from the shareholders array.
+     *  @param count The maximum number of shareholders to process.
+     */
+    function processSplit(uint256 count) public;
+
+    /**
+     *  Extension to the ERC884 standard, allows the administrator to freeze
+     *  all funds of a specific individual, until `unlock` is called.
+     *  Partial or time-bound lockups are handled by `LockupRestriction`.
+     *  @param addr The address to lock.
      */
     function lock(address addr) public;
 
+    /**
+     *  Extension to the ERC884 standard, lifts the lock placed on an address by `lock`.
+     *  @param addr The address to unlock.
+     */
+    function unlock(address addr) public;
+
     /**
      *  The number of addresses that own tokens.
      *  @return The number of unique addresses that own tokens.
@@ -201,12 +492,35 @@ contract SecurityTokenInterface is ERC20 {
     function holderAt(uint256 index) public view returns (address);
 
     /**
-     *  Tests that the supplied address is known to the contract.
+     *  Extension to the ERC884 standard, returns the number of verified addresses,
+     *  whether or not they hold tokens. Expired verifications are included.
+     *  @return The number of verified addresses.
+     */
+    function verifiedCount() public view returns (uint256);
+
+    /**
+     *  Extension to the ERC884 standard, returns a verified address by index.
+     *  The order changes when addresses are removed.
+     *  @param index The zero-based index of the verified address.
+     *  @return The address at that index.
+     */
+    function verifiedAt(uint256 index) public view returns (address);
+
+    /**
+     *  Tests that the supplied address is known to the contract, and that its
+     *  verification has not expired.
      *  @param addr The address to test.
      *  @return A boolean indicating if the address is known to the contract.
      */
     function isVerified(address addr) public view returns (bool);
 
+    /**
+     *  Extension to the ERC884 standard, returns when the verification of an address expires.
+     *  @param addr The address to check.
+     *  @return The time at which the verification expires, or `0` if it does not expire.
+     */
+    function verificationExpiry(address addr) public view returns (uint256);
+
     /**
      *  Checks to see if the supplied address is a share holder.
      *  @param addr The address to check.
@@ -239,10 +553,42 @@ contract SecurityTokenInterface is ERC20 {
      */
     function getCurrentFor(address addr) public view returns (address);
 
+    /**
+     *  Extension to the ERC884 standard, checks whether operations are currently paused.
+     *  @param scopes The scopes to check, e.g. `PAUSE_TRANSFERS`.
+     *  @return A boolean indicating whether any of the given scopes is paused.
+     */
+    function isPaused(uint8 scopes) public view returns (bool);
+
     /**
      *  Extension to the ERC884 standard to check whether an account is locked or not.
      *  @param addr The address to check locked status for.
      *  @return A boolean indicating whether funds are frozen or not.
      */
     function isLocked(address addr) public view returns (bool);
+
+    /**
+     *  Extension to the ERC884 standard, returns the rule modules every transfer has to pass.
+     *  @return The addresses of the modules, in the order they are consulted.
+     */
+    function getTransferRestrictions() public view returns (address[]);
+
+    /**
+     *  Extension to the ERC884 standard, following ERC-1404. Detects whether a transfer
+     *  would be restricted, so that it can be checked before it is sent. The built-in
+     *  checks use codes below 64, rule modules use codes from 64 upwards.
+     *  @param from The address sending the tokens.
+     *  @param to The address receiving the tokens.
+     *  @param value The amount of tokens being transferred.
+     *  @return `0` if the transfer is allowed, a restriction code otherwise.
+     */
+    function detectTransferRestriction(address from, address to, uint256 value) public view returns (uint8);
+
+    /**
+     *  Extension to the ERC884 standard, following ERC-1404. Returns a human-readable
+     *  message for a restriction code, asking the rule modules for codes it does not know.
+     *  @param restrictionCode A restriction code returned by `detectTransferRestriction`.
+     *  @return The message describing the restriction.
+     */
+    function messageForTransferRestriction(uint8 restrictionCode) public view returns (string);
 }
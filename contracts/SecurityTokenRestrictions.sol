@@ -0,0 +1,134 @@
+pragma solidity 0.4.25;
+
+import "./TransferObserver.sol";
+
+/**
+ * @title Security token restrictions
+ *
+ * SecurityTokenRestrictions holds the helpers through which SecurityToken consults
+ * and notifies its rule modules and describes its restriction codes. It is linked into
+ * SecurityToken, so that the messages and the calls to the modules do not count
+ * towards the size of the token contract. Its functions run in the context of the
+ * token contract, which the modules see as the caller.
+ */
+library SecurityTokenRestrictions {
+    // The codes built into SecurityToken
+    uint8 constant private SUCCESS = 0;
+    uint8 constant private PAUSED = 1;
+    uint8 constant private IMPORTING = 2;
+    uint8 constant private SENDER_LOCKED = 3;
+    uint8 constant private RECEIVER_LOCKED = 4;
+    uint8 constant private RECEIVER_NOT_VERIFIED = 5;
+    uint8 constant private INSUFFICIENT_BALANCE = 6;
+    uint8 constant private RECEIVER_VERIFICATION_EXPIRED = 7;
+    uint8 constant private SPLIT_IN_PROGRESS = 8;
+
+    /**
+     *  Asks the rule modules, in the order they were added, whether a transfer or issuance
+     *  is restricted.
+     *  @param modules The rule modules of the token.
+     *  @param from The address sending the tokens, or the zero address for an issuance.
+     *  @param to The address receiving the tokens.
+     *  @param value The amount of tokens.
+     *  @return The first non-zero code returned by a module, or `SUCCESS`.
+     */
+    function detect(address[] storage modules, address from, address to, uint256 value)
+        public
+        view
+        returns (uint8)
+    {
+        for (uint256 i = 0; i < modules.length; i++) {
+            uint8 code = TransferRestriction(modules[i]).detectTransferRestriction(from, to, value);
+            if (code != SUCCESS) {
+                return code;
+            }
+        }
+
+        return SUCCESS;
+    }
+
+    /**
+     *  Tells the rule modules observing transfers, in the order they were added, that tokens have moved.
+     *  @param modules The rule modules of the token.
+     *  @param from The address the tokens were taken from, or the zero address for an issuance.
+     *  @param to The address that received the tokens, or the zero address for a burn.
+     *  @param value The amount of tokens.
+     */
+    function notifyTransfer(address[] storage modules, address from, address to, uint256 value)
+        public
+    {
+        for (uint256 i = 0; i < modules.length; i++) {
+            if (TransferRestriction(modules[i]).observesTransfers()) {
+                TransferObserver(modules[i]).afterTransfer(from, to, value);
+            }
+        }
+    }
+
+    /**
+     *  Tells the rule modules observing transfers, in the order they were added, that the
+     *  balance of a holder has been split.
+     *  @param modules The rule modules of the token.
+     *  @param holder The address whose balance has been split.
+     *  @param numerator The number of new shares per `denominator` old shares.
+     *  @param denominator The number of old shares per `numerator` new shares.
+     */
+    function notifySplit(address[] storage modules, address holder, uint256 numerator, uint256 denominator)
+        public
+    {
+        for (uint256 i = 0; i < modules.length; i++) {
+            if (TransferRestriction(modules[i]).observesTransfers()) {
+                TransferObserver(modules[i]).afterSplit(holder, numerator, denominator);
+            }
+        }
+    }
+
+    /**
+     *  Returns a human-readable message for a restriction code, asking the rule modules
+     *  for codes that are not built into the token.
+     *  @param modules The rule modules of the token.
+     *  @param restrictionCode A restriction code returned by `detectTransferRestriction`.
+     *  @return The message describing the restriction.
+     */
+    function messageFor(address[] storage modules, uint8 restrictionCode)
+        public
+        view
+        returns (string)
+    {
+        if (restrictionCode == SUCCESS) {
+            return "No restriction";
+        }
+        if (restrictionCode == PAUSED) {
+            return "Transfers are paused";
+        }
+        if (restrictionCode == IMPORTING) {
+            return "Token contract is still importing a register";
+        }
+        if (restrictionCode == SENDER_LOCKED) {
+            return "Sender is currently locked";
+        }
+        if (restrictionCode == RECEIVER_LOCKED) {
+            return "Receiver is currently locked";
+        }
+        if (restrictionCode == RECEIVER_NOT_VERIFIED) {
+            return "Receiver is not a verified address";
+        }
+        if (restrictionCode == INSUFFICIENT_BALANCE) {
+            return "Sender does not hold enough tokens";
+        }
+        if (restrictionCode == RECEIVER_VERIFICATION_EXPIRED) {
+            return "Verification of the receiver has expired";
+        }
+        if (restrictionCode == SPLIT_IN_PROGRESS) {
+            return "A split is in progress";
+        }
+
+        for (uint256 i = 0; i < modules.length; i++) {
+            string memory message = TransferRestriction(modules[i]).messageForTransferRestriction(restrictionCode);
+            if (bytes(message).length > 0) {
+                return message;
+            }
+        }
+
+        return "Unknown restriction";
+    }
+}
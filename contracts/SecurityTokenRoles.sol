@@ -0,0 +1,311 @@
+pragma solidity 0.4.25;
+
+import "openzeppelin-solidity/contracts/access/Roles.sol";
+
+/**
+ * @title Security token roles
+ *
+ * SecurityTokenRoles splits the administration of the security token into
+ * separate roles, so that no single key controls the entire register:
+ *
+ * - super-admins manage the roles, and can pause and migrate the contract;
+ * - compliance officers whitelist investors;
+ * - issuers issue and burn tokens;
+ * - transfer agents lock addresses and cancel and reissue tokens;
+ * - auditors have read access to the lists of shareholders, verified addresses and cancellations.
+ *
+ * The deployer of the contract starts out with every role.
+ */
+contract SecurityTokenRoles {
+    using Roles for Roles.Role;
+
+    Roles.Role private superAdmins;
+    Roles.Role private complianceOfficers;
+    Roles.Role private issuers;
+    Roles.Role private transferAgents;
+    Roles.Role private auditors;
+
+    uint256 private superAdminCount;
+
+    event SuperAdminAdded(address indexed account, address indexed sender);
+    event SuperAdminRemoved(address indexed account, address indexed sender);
+    event ComplianceOfficerAdded(address indexed account, address indexed sender);
+    event ComplianceOfficerRemoved(address indexed account, address indexed sender);
+    event IssuerAdded(address indexed account, address indexed sender);
+    event IssuerRemoved(address indexed account, address indexed sender);
+    event TransferAgentAdded(address indexed account, address indexed sender);
+    event TransferAgentRemoved(address indexed account, address indexed sender);
+    event AuditorAdded(address indexed account, address indexed sender);
+    event AuditorRemoved(address indexed account, address indexed sender);
+
+    modifier onlySuperAdmin() {
+        checkSuperAdmin();
+        _;
+    }
+
+    modifier onlyComplianceOfficer() {
+        checkComplianceOfficer();
+        _;
+    }
+
+    modifier onlyIssuer() {
+        checkIssuer();
+        _;
+    }
+
+    modifier onlyTransferAgent() {
+        checkTransferAgent();
+        _;
+    }
+
+    modifier onlyAuditor() {
+        require(auditors.has(msg.sender), "Caller is not an auditor");
+        _;
+    }
+
+    /**
+     *  Grants every role to the deployer of the contract.
+     */
+    constructor()
+        internal
+    {
+        superAdmins.add(msg.sender);
+        superAdminCount = 1;
+        complianceOfficers.add(msg.sender);
+        issuers.add(msg.sender);
+        transferAgents.add(msg.sender);
+        auditors.add(msg.sender);
+
+        emit SuperAdminAdded(msg.sender, msg.sender);
+        emit ComplianceOfficerAdded(msg.sender, msg.sender);
+        emit IssuerAdded(msg.sender, msg.sender);
+        emit TransferAgentAdded(msg.sender, msg.sender);
+        emit AuditorAdded(msg.sender, msg.sender);
+    }
+
+    /**
+     *  Grant the super-admin role to an account.
+     *  @param account The account to grant the role to.
+     */
+    function addSuperAdmin(address account)
+        public
+        onlySuperAdmin
+    {
+        superAdmins.add(account);
+        superAdminCount++;
+        emit SuperAdminAdded(account, msg.sender);
+    }
+
+    /**
+     *  Revoke the super-admin role from an account. The last super-admin can not be removed,
+     *  as nobody would be able to manage the roles anymore.
+     *  @param account The account to revoke the role from.
+     */
+    function removeSuperAdmin(address account)
+        public
+        onlySuperAdmin
+    {
+        require(superAdminCount > 1, "Can not remove the last super-admin");
+
+        superAdmins.remove(account);
+        superAdminCount--;
+        emit SuperAdminRemoved(account, msg.sender);
+    }
+
+    /**
+     *  Grant the compliance officer role to an account.
+     *  @param account The account to grant the role to.
+     */
+    function addComplianceOfficer(address account)
+        public
+        onlySuperAdmin
+    {
+        complianceOfficers.add(account);
+        emit ComplianceOfficerAdded(account, msg.sender);
+    }
+
+    /**
+     *  Revoke the compliance officer role from an account.
+     *  @param account The account to revoke the role from.
+     */
+    function removeComplianceOfficer(address account)
+        public
+        onlySuperAdmin
+    {
+        complianceOfficers.remove(account);
+        emit ComplianceOfficerRemoved(account, msg.sender);
+    }
+
+    /**
+     *  Grant the issuer role to an account.
+     *  @param account The account to grant the role to.
+     */
+    function addIssuer(address account)
+        public
+        onlySuperAdmin
+    {
+        issuers.add(account);
+        emit IssuerAdded(account, msg.sender);
+    }
+
+    /**
+     *  Revoke the issuer role from an account.
+     *  @param account The account to revoke the role from.
+     */
+    function removeIssuer(address account)
+        public
+        onlySuperAdmin
+    {
+        issuers.remove(account);
+        emit IssuerRemoved(account, msg.sender);
+    }
+
+    /**
+     *  Grant the transfer agent role to an account.
+     *  @param account The account to grant the role to.
+     */
+    function addTransferAgent(address account)
+        public
+        onlySuperAdmin
+    {
+        transferAgents.add(account);
+        emit TransferAgentAdded(account, msg.sender);
+    }
+
+    /**
+     *  Revoke the transfer agent role from an account.
+     *  @param account The account to revoke the role from.
+     */
+    function removeTransferAgent(address account)
+        public
+        onlySuperAdmin
+    {
+        transferAgents.remove(account);
+        emit TransferAgentRemoved(account, msg.sender);
+    }
+
+    /**
+     *  Grant the auditor role to an account.
+     *  @param account The account to grant the role to.
+     */
+    function addAuditor(address account)
+        public
+        onlySuperAdmin
+    {
+        auditors.add(account);
+        emit AuditorAdded(account, msg.sender);
+    }
+
+    /**
+     *  Revoke the auditor role from an account.
+     *  @param account The account to revoke the role from.
+     */
+    function removeAuditor(address account)
+        public
+        onlySuperAdmin
+    {
+        auditors.remove(account);
+        emit AuditorRemoved(account, msg.sender);
+    }
+
+    /**
+     *  @param account The account to check.
+     *  @return A boolean indicating whether the account is a super-admin.
+     */
+    function isSuperAdmin(address account)
+        public
+        view
+        returns (bool)
+    {
+        return superAdmins.has(account);
+    }
+
+    /**
+     *  @param account The account to check.
+     *  @return A boolean indicating whether the account is a compliance officer.
+     */
+    function isComplianceOfficer(address account)
+        public
+        view
+        returns (bool)
+    {
+        return complianceOfficers.has(account);
+    }
+
+    /**
+     *  @param account The account to check.
+     *  @return A boolean indicating whether the account is an issuer.
+     */
+    function isIssuer(address account)
+        public
+        view
+        returns (bool)
+    {
+        return issuers.has(account);
+    }
+
+    /**
+     *  @param account The account to check.
+     *  @return A boolean indicating whether the account is a transfer agent.
+     */
+    function isTransferAgent(address account)
+        public
+        view
+        returns (bool)
+    {
+        return transferAgents.has(account);
+    }
+
+    /**
+     *  @param account The account to check.
+     *  @return A boolean indicating whether the account is an auditor.
+     */
+    function isAuditor(address account)
+        public
+        view
+        returns (bool)
+    {
+        return auditors.has(account);
+    }
+
+    /**
+     *  Backs the `onlySuperAdmin` modifier. Kept out of the modifier, so that
+     *  its revert message is not copied into every function using it.
+     */
+    function checkSuperAdmin()
+        internal
+        view
+    {
+        require(superAdmins.has(msg.sender), "Caller is not a super-admin");
+    }
+
+    /**
+     *  Backs the `onlyComplianceOfficer` modifier.
+     */
+    function checkComplianceOfficer()
+        internal
+        view
+    {
+        require(complianceOfficers.has(msg.sender), "Caller is not a compliance officer");
+    }
+
+    /**
+     *  Backs the `onlyIssuer` modifier.
+     */
+    function checkIssuer()
+        internal
+        view
+    {
+        require(issuers.has(msg.sender), "Caller is not an issuer");
+    }
+
+    /**
+     *  Backs the `onlyTransferAgent` modifier.
+     */
+    function checkTransferAgent()
+        internal
+        view
+    {
+        require(transferAgents.has(msg.sender), "Caller is not a transfer agent");
+    }
+}
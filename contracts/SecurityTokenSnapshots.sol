@@ -0,0 +1,172 @@
+pragma solidity 0.4.25;
+
+import "openzeppelin-solidity/contracts/utils/Arrays.sol";
+import "./SecurityTokenInterface.sol";
+import "./SecurityTokenRoles.sol";
+
+/**
+ * @title Security token snapshots
+ *
+ * SecurityTokenSnapshots records the balances, total supply and number of
+ * shareholders of the security token at given points in time, so that votes
+ * and dividends can be based on a record date while the register keeps moving.
+ *
+ * Taking a snapshot only increases the snapshot id. Values are copied lazily,
+ * right before they change for the first time after a snapshot. Every function
+ * that changes a balance goes through `_mint`, `_burn` or `_transfer`, which are
+ * hooked below. Changes to the list of shareholders have to be preceded by a call
+ * to `updateHolderCountSnapshot`.
+ *
+ * @dev Ref https://github.com/OpenZeppelin/openzeppelin-solidity/issues/1209
+ */
+contract SecurityTokenSnapshots is SecurityTokenInterface, SecurityTokenRoles {
+    using Arrays for uint256[];
+
+    struct Snapshots {
+        uint256[] ids;
+        uint256[] values;
+    }
+
+    uint256 public currentSnapshotId;
+
+    mapping(address => Snapshots) private balanceSnapshots;
+    Snapshots private totalSupplySnapshots;
+    Snapshots private holderCountSnapshots;
+
+    event Snapshot(uint256 indexed id, address indexed sender);
+
+    /**
+     *  Take a snapshot of the register, e.g. on the record date of a vote or dividend.
+     *  @return The id of the snapshot.
+     */
+    function snapshot()
+        public
+        onlyIssuer
+        returns (uint256)
+    {
+        currentSnapshotId++;
+        emit Snapshot(currentSnapshotId, msg.sender);
+        return currentSnapshotId;
+    }
+
+    /**
+     *  @param addr The address to check.
+     *  @param snapshotId The id of the snapshot.
+     *  @return The balance of the address at the time of the snapshot.
+     */
+    function balanceOfAt(address addr, uint256 snapshotId)
+        public
+        view
+        returns (uint256)
+    {
+        return valueAt(balanceSnapshots[addr], snapshotId, balanceOf(addr));
+    }
+
+    /**
+     *  @param snapshotId The id of the snapshot.
+     *  @return The total supply at the time of the snapshot.
+     */
+    function totalSupplyAt(uint256 snapshotId)
+        public
+        view
+        returns (uint256)
+    {
+        return valueAt(totalSupplySnapshots, snapshotId, totalSupply());
+    }
+
+    /**
+     *  @param snapshotId The id of the snapshot.
+     *  @return The number of shareholders at the time of the snapshot.
+     */
+    function holderCountAt(uint256 snapshotId)
+        public
+        view
+        returns (uint256)
+    {
+        return valueAt(holderCountSnapshots, snapshotId, holderCount());
+    }
+
+    /**
+     *  Records the balances of both addresses before tokens move between them.
+     */
+    function _transfer(address from, address to, uint256 value)
+        internal
+    {
+        updateSnapshot(balanceSnapshots[from], balanceOf(from));
+        updateSnapshot(balanceSnapshots[to], balanceOf(to));
+        super._transfer(from, to, value);
+    }
+
+    /**
+     *  Records the balance of the address and the total supply before tokens are issued.
+     */
+    function _mint(address account, uint256 value)
+        internal
+    {
+        updateSnapshot(balanceSnapshots[account], balanceOf(account));
+        updateSnapshot(totalSupplySnapshots, totalSupply());
+        super._mint(account, value);
+    }
+
+    /**
+     *  Records the balance of the address and the total supply before tokens are burned.
+     */
+    function _burn(address account, uint256 value)
+        internal
+    {
+        updateSnapshot(balanceSnapshots[account], balanceOf(account));
+        updateSnapshot(totalSupplySnapshots, totalSupply());
+        super._burn(account, value);
+    }
+
+    /**
+     *  Records the number of shareholders before it changes.
+     */
+    function updateHolderCountSnapshot()
+        internal
+    {
+        updateSnapshot(holderCountSnapshots, holderCount());
+    }
+
+    /**
+     *  Copy the current value if it has not been recorded since the last snapshot.
+     *  @param snapshots The recorded values.
+     *  @param currentValue The value before it changes.
+     */
+    function updateSnapshot(Snapshots storage snapshots, uint256 currentValue)
+        internal
+    {
+        if (currentSnapshotId == 0) {
+            return;
+        }
+
+        uint256 length = snapshots.ids.length;
+        if (length == 0 || snapshots.ids[length - 1] < currentSnapshotId) {
+            snapshots.ids.push(currentSnapshotId);
+            snapshots.values.push(currentValue);
+        }
+    }
+
+    /**
+     *  Look up the value at a snapshot. The first value recorded after the snapshot
+     *  was taken is the value at the snapshot. If no value has been recorded since,
+     *  the value has not changed.
+     *  @param snapshots The recorded values.
+     *  @param snapshotId The id of the snapshot.
+     *  @param currentValue The current value.
+     *  @return The value at the time of the snapshot.
+     */
+    function valueAt(Snapshots storage snapshots, uint256 snapshotId, uint256 currentValue)
+        internal
+        view
+        returns (uint256)
+    {
+        require(snapshotId > 0 && snapshotId <= currentSnapshotId, "Unknown snapshot");
+
+        uint256 index = snapshots.ids.findUpperBound(snapshotId);
+        if (index == snapshots.ids.length) {
+            return currentValue;
+        }
+        return snapshots.values[index];
+    }
+}
@@ -0,0 +1,86 @@
+pragma solidity 0.4.25;
+
+import "openzeppelin-solidity/contracts/ownership/Ownable.sol";
+import "./SecurityToken.sol";
+import "./TokenRegistry.sol";
+
+/**
+ * @title Token factory
+ *
+ * TokenFactory deploys security tokens for issuers, hands every role over to the
+ * issuer's admin and records the token in the registry.
+ *
+ * The creation code of SecurityToken is too large to be embedded in another contract,
+ * so it is supplied with every call instead. The factory only deploys code matching
+ * the hash it was configured with, i.e. the SecurityToken build it was deployed for.
+ */
+contract TokenFactory is Ownable {
+    TokenRegistry public registry;
+    bytes32 public codeHash;
+
+    event TokenCreated(address indexed token, address indexed admin, string name, string symbol);
+
+    /**
+     *  @param _registry The registry to record the tokens in. The factory has to be added to it.
+     *  @param _codeHash The keccak256 hash of the creation code of SecurityToken.
+     */
+    constructor(address _registry, bytes32 _codeHash)
+        public
+    {
+        require(_registry != address(0), "Invalid registry address provided");
+        require(_codeHash != bytes32(0), "Invalid code hash provided");
+
+        registry = TokenRegistry(_registry);
+        codeHash = _codeHash;
+    }
+
+    /**
+     *  Deploy a security token. The admin receives every role, the factory keeps none.
+     *  @param code The creation code of SecurityToken, without constructor arguments.
+     *  @param name The name of the token.
+     *  @param symbol The symbol of the token.
+     *  @param admin The address administering the token on behalf of the issuer.
+     *  @return The address of the token.
+     */
+    function createToken(bytes code, string name, string symbol, address admin)
+        public
+        onlyOwner
+        returns (address)
+    {
+        require(keccak256(code) == codeHash, "Code does not match the SecurityToken build");
+        require(admin != address(0), "Invalid admin address provided");
+
+        bytes memory init = abi.encodePacked(code, abi.encode(name, symbol));
+        address token;
+        assembly {
+            token := create(0, add(init, 0x20), mload(init))
+        }
+        require(token != address(0), "Token deployment failed");
+
+        handOver(SecurityToken(token), admin);
+        registry.register(token, admin);
+        emit TokenCreated(token, admin, name, symbol);
+        return token;
+    }
+
+    /**
+     *  Grant every role to the admin and renounce them, the super-admin role last.
+     *  @param token The token deployed by the factory.
+     *  @param admin The address administering the token on behalf of the issuer.
+     */
+    function handOver(SecurityToken token, address admin)
+        internal
+    {
+        token.addSuperAdmin(admin);
+        token.addComplianceOfficer(admin);
+        token.addIssuer(admin);
+        token.addTransferAgent(admin);
+        token.addAuditor(admin);
+
+        token.removeComplianceOfficer(address(this));
+        token.removeIssuer(address(this));
+        token.removeTransferAgent(address(this));
+        token.removeAuditor(address(this));
+        token.removeSuperAdmin(address(this));
+    }
+}
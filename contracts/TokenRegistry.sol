@@ -0,0 +1,230 @@
+pragma solidity 0.4.25;
+
+import "openzeppelin-solidity/contracts/ownership/Ownable.sol";
+import "./SecurityToken.sol";
+
+/**
+ * @title Token registry
+ *
+ * TokenRegistry keeps track of the security tokens of every issuer and share class,
+ * so that they can be looked up by issuer, symbol and status. Tokens are registered
+ * by the factories the owner has added, or by the owner itself for tokens that were
+ * deployed otherwise.
+ *
+ * The status and successor of a token are read from the token itself, so that they
+ * never go stale when a token is paused, migrated or succeeded.
+ */
+contract TokenRegistry is Ownable {
+    uint8 constant public ACTIVE = 0;
+    uint8 constant public PAUSED = 1;
+    uint8 constant public MIGRATED = 2;
+
+    struct Entry {
+        address issuer;
+        address registrar;
+        uint256 registeredAt;
+    }
+
+    address[] private tokens;
+    mapping(address => Entry) private entries;
+    mapping(address => address[]) private issuerTokens;
+    mapping(bytes32 => address[]) private symbolTokens;
+    mapping(address => bool) public isFactory;
+
+    event TokenRegistered(address indexed token, address indexed issuer, string symbol, address indexed sender);
+    event FactoryAdded(address indexed factory);
+    event FactoryRemoved(address indexed factory);
+
+    modifier onlyFactoryOrOwner() {
+        require(isFactory[msg.sender] || isOwner(), "Caller is not a factory or the owner");
+        _;
+    }
+
+    modifier isRegisteredToken(address token) {
+        require(isRegistered(token), "Unknown token");
+        _;
+    }
+
+    /**
+     *  Allow a factory to register the tokens it deploys.
+     *  @param factory The address of the factory.
+     */
+    function addFactory(address factory)
+        public
+        onlyOwner
+    {
+        require(factory != address(0), "Invalid factory address provided");
+        require(!isFactory[factory], "Factory has been added already");
+
+        isFactory[factory] = true;
+        emit FactoryAdded(factory);
+    }
+
+    /**
+     *  Stop a factory from registering tokens. Tokens it has registered remain registered.
+     *  @param factory The address of the factory.
+     */
+    function removeFactory(address factory)
+        public
+        onlyOwner
+    {
+        require(isFactory[factory], "Factory has not been added");
+
+        isFactory[factory] = false;
+        emit FactoryRemoved(factory);
+    }
+
+    /**
+     *  Register a security token.
+     *  @param token The address of the token.
+     *  @param issuer The address administering the token on behalf of the issuer.
+     */
+    function register(address token, address issuer)
+        public
+        onlyFactoryOrOwner
+    {
+        require(token != address(0), "Invalid token address provided");
+        require(issuer != address(0), "Invalid issuer address provided");
+        require(!isRegistered(token), "Token has been registered already");
+
+        string memory symbol = SecurityToken(token).symbol();
+        entries[token] = Entry(issuer, msg.sender, now);
+        tokens.push(token);
+        issuerTokens[issuer].push(token);
+        symbolTokens[keccak256(abi.encodePacked(symbol))].push(token);
+        emit TokenRegistered(token, issuer, symbol, msg.sender);
+    }
+
+    /**
+     *  @param token The address to check.
+     *  @return A boolean indicating whether the address is a registered token.
+     */
+    function isRegistered(address token)
+        public
+        view
+        returns (bool)
+    {
+        return entries[token].issuer != address(0);
+    }
+
+    /**
+     *  @return The number of registered tokens.
+     */
+    function tokenCount()
+        public
+        view
+        returns (uint256)
+    {
+        return tokens.length;
+    }
+
+    /**
+     *  @param index The index of the token, in the order of registration.
+     *  @return The address of the token.
+     */
+    function tokenAt(uint256 index)
+        public
+        view
+        returns (address)
+    {
+        require(index < tokens.length, "Index out of range");
+
+        return tokens[index];
+    }
+
+    /**
+     *  @param token The address of the token.
+     *  @return The issuer, the address that registered the token, the registration time,
+     *  the status and the successor of the token.
+     */
+    function getToken(address token)
+        public
+        view
+        isRegisteredToken(token)
+        returns (address, address, uint256, uint8, address)
+    {
+        Entry storage entry = entries[token];
+        return (entry.issuer, entry.registrar, entry.registeredAt, statusOf(token), successorOf(token));
+    }
+
+    /**
+     *  @param issuer The address administering the tokens on behalf of the issuer.
+     *  @return The tokens of the issuer.
+     */
+    function tokensOf(address issuer)
+        public
+        view
+        returns (address[])
+    {
+        return issuerTokens[issuer];
+    }
+
+    /**
+     *  @param symbol The symbol to look up.
+     *  @return The tokens with the symbol, which can be more than one across issuers and migrations.
+     */
+    function tokensBySymbol(string symbol)
+        public
+        view
+        returns (address[])
+    {
+        return symbolTokens[keccak256(abi.encodePacked(symbol))];
+    }
+
+    /**
+     *  @param status `ACTIVE`, `PAUSED` or `MIGRATED`.
+     *  @return The tokens that currently have the status.
+     */
+    function tokensByStatus(uint8 status)
+        public
+        view
+        returns (address[])
+    {
+        uint256 count = 0;
+        uint256 i;
+        for (i = 0; i < tokens.length; i++) {
+            if (statusOf(tokens[i]) == status) {
+                count++;
+            }
+        }
+
+        address[] memory result = new address[](count);
+        count = 0;
+        for (i = 0; i < tokens.length; i++) {
+            if (statusOf(tokens[i]) == status) {
+                result[count++] = tokens[i];
+            }
+        }
+        return result;
+    }
+
+    /**
+     *  @param token The address of the token.
+     *  @return `MIGRATED` if the token has been migrated, `PAUSED` if any of its operations
+     *  are paused, `ACTIVE` otherwise.
+     */
+    function statusOf(address token)
+        public
+        view
+        isRegisteredToken(token)
+        returns (uint8)
+    {
+        if (SecurityToken(token).migrated()) {
+            return MIGRATED;
+        }
+        return SecurityToken(token).pausedScopes() != 0 ? PAUSED : ACTIVE;
+    }
+
+    /**
+     *  @param token The address of the token.
+     *  @return The token succeeding it after a migration, or the zero address.
+     */
+    function successorOf(address token)
+        public
+        view
+        isRegisteredToken(token)
+        returns (address)
+    {
+        return SecurityToken(token).successor();
+    }
+}
@@ -0,0 +1,40 @@
+pragma solidity 0.4.25;
+
+import "./TransferRestriction.sol";
+
+/**
+ * @title Transfer observer
+ *
+ * Rule module that the token notifies once tokens have moved, through `afterTransfer`,
+ * or through `afterSplit` for a split, so that it can follow the amounts it keeps of
+ * its own. Modules that only restrict transfers inherit `TransferRestriction` instead,
+ * and are not notified.
+ */
+contract TransferObserver is TransferRestriction {
+
+    constructor()
+        public
+    {
+        observesTransfers = true;
+    }
+
+    /**
+     *  Called by the token after tokens have moved, whether by a transfer, an issuance,
+     *  a burn, a forced transfer or a cancellation. Modules MUST only accept calls from
+     *  their token.
+     *  @param from The address the tokens were taken from, or the zero address for an issuance.
+     *  @param to The address that received the tokens, or the zero address for a burn.
+     *  @param value The amount of tokens.
+     */
+    function afterTransfer(address from, address to, uint256 value) public;
+
+    /**
+     *  Called by the token after the balance of a holder has been split by `processSplit`,
+     *  which does not call `afterTransfer`, so that the module can scale the amounts it
+     *  keeps for the holder by the same ratio. Modules MUST only accept calls from their token.
+     *  @param holder The address whose balance has been split.
+     *  @param numerator The number of new shares per `denominator` old shares.
+     *  @param denominator The number of old shares per `numerator` new shares.
+     */
+    function afterSplit(address holder, uint256 numerator, uint256 denominator) public;
+}
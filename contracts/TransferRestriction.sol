@@ -0,0 +1,38 @@
+pragma solidity 0.4.25;
+
+/**
+ * @title Transfer restriction
+ *
+ * Interface of a rule module that a SecurityToken consults before every transfer,
+ * following the ERC-1404 simple restricted token standard. A module returns `0`
+ * if it allows a transfer, and a non-zero restriction code otherwise. Modules that
+ * need to be notified once tokens have moved inherit `TransferObserver` instead.
+ *
+ * Codes below 64 are reserved for the checks built into SecurityToken itself,
+ * so modules MUST use codes from 64 upwards.
+ *
+ * @dev Ref https://github.com/ethereum/EIPs/issues/1404
+ */
+contract TransferRestriction {
+    // Whether the token notifies the module once tokens have moved, see `TransferObserver`
+    bool public observesTransfers;
+
+    /**
+     *  Detects whether a transfer would be restricted. The token calling this function
+     *  is available as `msg.sender`. Issuance is checked as a transfer from the zero address,
+     *  and `cancelAndReissue` as a transfer from the original address, which the token's
+     *  `reissuing` returns meanwhile. Modules restricting senders SHOULD allow both.
+     *  @param from The address sending the tokens, or the zero address for an issuance.
+     *  @param to The address receiving the tokens.
+     *  @param value The amount of tokens being transferred.
+     *  @return `0` if the transfer is allowed, a restriction code otherwise.
+     */
+    function detectTransferRestriction(address from, address to, uint256 value) public view returns (uint8);
+
+    /**
+     *  Returns a human-readable message for a restriction code.
+     *  @param restrictionCode A restriction code returned by `detectTransferRestriction`.
+     *  @return The message, or an empty string if the code is unknown to the module.
+     */
+    function messageForTransferRestriction(uint8 restrictionCode) public view returns (string);
+}
@@ -0,0 +1,16 @@
+pragma solidity 0.4.25;
+
+import "openzeppelin-solidity/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title ERC20 mock
+ *
+ * Mints an initial supply to a single address, for testing purposes.
+ */
+contract ERC20Mock is ERC20 {
+    constructor(address holder, uint256 supply)
+        public
+    {
+        _mint(holder, supply);
+    }
+}
@@ -0,0 +1,36 @@
+pragma solidity 0.4.25;
+
+import "../TransferRestriction.sol";
+
+/**
+ * @title Transfer restriction mock
+ *
+ * Restricts all transfers from a single address, for testing purposes.
+ */
+contract TransferRestrictionMock is TransferRestriction {
+    uint8 constant public RESTRICTED = 64;
+
+    address public restricted;
+
+    constructor(address _restricted)
+        public
+    {
+        restricted = _restricted;
+    }
+
+    function detectTransferRestriction(address from, address, uint256)
+        public
+        view
+        returns (uint8)
+    {
+        return from == restricted ? RESTRICTED : 0;
+    }
+
+    function messageForTransferRestriction(uint8 restrictionCode)
+        public
+        view
+        returns (string)
+    {
+        return restrictionCode == RESTRICTED ? "Sender is restricted by the mock" : "";
+    }
+}
@@ -0,0 +1,348 @@
+'use strict';
+
+const fs = require('fs');
+const captable = require('./captable');
+
+/**
+ * Chronological audit log of the administrative actions on a SecurityToken contract.
+ *
+ * Every administrative event of the token becomes an entry of the log. Actions taken
+ * through `performAction` on the token are followed by an `AdminAction` event, which
+ * adds the reason code and the reference to the off-chain record to the events of the
+ * action. Actions taken without it carry no record, and are marked as untagged.
+ *
+ * Relies on the `web3` instance that truffle injects into tests and scripts.
+ */
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+const ZERO_BYTES = '0x0000000000000000000000000000000000000000000000000000000000000000';
+
+// The events of the token that record an administrative action, see `describe`.
+const EVENTS = [
+    'Transfer',
+    'Lock',
+    'VerifiedAddressAdded',
+    'VerifiedAddressUpdated',
+    'VerifiedAddressRemoved',
+    'VerificationExpirySet',
+    'VerifiedAddressSuperseded',
+    'ForcedTransfer',
+    'Paused',
+    'Unpaused',
+    'Migrate',
+    'ApprovalManagerSet',
+    'OperatorRegistrySet',
+    'TransferRestrictionAdded',
+    'TransferRestrictionRemoved',
+    'SuccessorSet',
+    'PredecessorSet',
+    'ImportSealed',
+    'SplitStarted',
+    'SuperAdminAdded',
+    'SuperAdminRemoved',
+    'ComplianceOfficerAdded',
+    'ComplianceOfficerRemoved',
+    'IssuerAdded',
+    'IssuerRemoved',
+    'TransferAgentAdded',
+    'TransferAgentRemoved',
+    'AuditorAdded',
+    'AuditorRemoved',
+];
+
+// The events that mark the mints and burns of a transaction as part of a split.
+const SPLIT_EVENTS = ['SplitStarted', 'SplitRemainder', 'SplitCompleted'];
+
+// The functions of the token whose mints and burns are part of a split or an import.
+const SPLIT_FUNCTIONS = ['startSplit(uint256,uint256)', 'processSplit(uint256)'];
+const IMPORT_FUNCTIONS = ['importHolders(bytes32[])', 'importVerifiedAddresses(address[],bytes32[])', 'importCancellations(address[])'];
+
+// The events that are recorded as `import` if they were part of one.
+const IMPORT_EVENTS = ['VerifiedAddressAdded', 'VerificationExpirySet', 'VerifiedAddressSuperseded'];
+
+const REDEMPTION_ACCEPTED = 'RedemptionAccepted(uint256,address,uint256,bytes32,address)';
+
+// The recommended reason codes, extending those of `forceTransfer`.
+const REASONS = {
+    0: 'Other',
+    1: 'Court order',
+    2: 'Inheritance',
+    3: 'Divorce settlement',
+    4: 'Regulatory order',
+    5: 'Investor request',
+    6: 'Corporate action',
+    7: 'Compliance review',
+    8: 'Lost key',
+    9: 'Error correction',
+};
+
+/**
+ * Encodes an administrative action as a call of `performAction` on the token, e.g. to be
+ * proposed to the approval manager.
+ * @param {Object} tokenContract The SecurityToken instance.
+ * @param {string} method The name of the function of the token, or its signature if it is overloaded.
+ * @param {Array} args The arguments of the function.
+ * @param {number} reason The reason code, see `REASONS`.
+ * @param {string} record The reference to the off-chain record, as a bytes32 hex string.
+ * @returns {string} The ABI encoded call of `performAction`.
+ */
+function encodeAction(tokenContract, method, args, reason, record) {
+    let action = tokenContract.contract.methods[method](...args).encodeABI();
+    return tokenContract.contract.methods.performAction(action, reason, record).encodeABI();
+}
+
+/**
+ * Takes an administrative action on the token through `performAction`, recording why.
+ * @param {Object} tokenContract The SecurityToken instance.
+ * @param {string} method The name of the function of the token, or its signature if it is overloaded.
+ * @param {Array} args The arguments of the function.
+ * @param {number} reason The reason code, see `REASONS`.
+ * @param {string} record The reference to the off-chain record, as a bytes32 hex string.
+ * @param {Object} options The transaction options, e.g. `from` and `gas`.
+ * @returns {Promise<Object>} The result of the transaction.
+ */
+function performAction(tokenContract, method, args, reason, record, options) {
+    let action = tokenContract.contract.methods[method](...args).encodeABI();
+    return tokenContract.performAction(action, reason, record, options);
+}
+
+/**
+ * Turns an event of the token into the action it records.
+ * @param {Object} event The event, as returned by `captable.fetchEvents`.
+ * @param {Object} context What else happened in the transaction of the event.
+ * @param {string} context.selector The selector of the token function that was called, if known.
+ * @param {string[]} context.events The names of the token events of the transaction.
+ * @param {boolean} context.redemption Whether the transaction accepted a redemption request.
+ * @returns {Object|null} The `action`, named after the function of the token, with its
+ *                        `subject`, `counterparty` and `value`, or `null` for a plain transfer.
+ *                        Mints and burns are named `split`, `import` or `redemption` if they
+ *                        were part of one. Events that carry a reason of their own include it.
+ */
+function describe(event, context) {
+    let args = event.returnValues;
+    let importing = IMPORT_FUNCTIONS.some(signature => web3.eth.abi.encodeFunctionSignature(signature) === context.selector);
+    switch (event.event) {
+        case 'Transfer': {
+            if (args.from !== ZERO_ADDRESS && args.to !== ZERO_ADDRESS) {
+                return null;
+            }
+
+            let minted = args.from === ZERO_ADDRESS;
+            let action = minted ? 'issue' : 'burn';
+            if (SPLIT_FUNCTIONS.some(signature => web3.eth.abi.encodeFunctionSignature(signature) === context.selector) ||
+                SPLIT_EVENTS.some(name => context.events.indexOf(name) !== -1)) {
+                action = 'split';
+            } else if (importing) {
+                action = 'import';
+            } else if (context.redemption) {
+                action = 'redemption';
+            }
+            return { action, subject: minted ? args.to : args.from, value: args.value };
+        }
+        case 'Lock':
+            return { action: args.locked ? 'lock' : 'unlock', subject: args.addr };
+        case 'VerifiedAddressAdded':
+            return { action: importing ? 'import' : 'addVerified', subject: args.addr, sender: args.sender };
+        case 'VerifiedAddressUpdated':
+            return { action: 'updateVerified', subject: args.addr, sender: args.sender };
+        case 'VerifiedAddressRemoved':
+            return { action: 'removeVerified', subject: args.addr, sender: args.sender };
+        case 'VerificationExpirySet':
+            return { action: importing ? 'import' : 'setVerificationExpiry', subject: args.addr, value: args.expiry, sender: args.sender };
+        case 'VerifiedAddressSuperseded':
+            return {
+                action: importing ? 'import' : 'cancelAndReissue',
+                subject: args.original,
+                counterparty: args.replacement,
+                sender: args.sender,
+            };
+        case 'ForcedTransfer':
+            return {
+                action: 'forceTransfer',
+                subject: args.from,
+                counterparty: args.to,
+                value: args.value,
+                reason: Number(args.reason),
+                record: args.document,
+                sender: args.sender,
+            };
+        case 'Paused':
+        case 'Unpaused':
+            return {
+                action: event.event === 'Paused' ? 'pause' : 'unpause',
+                subject: ZERO_ADDRESS,
+                value: args.scopes,
+                reason: Number(args.reason),
+                sender: args.sender,
+            };
+        case 'Migrate':
+            return { action: 'migrate', subject: ZERO_ADDRESS };
+        case 'ApprovalManagerSet':
+            return { action: 'setApprovalManager', subject: args.manager };
+        case 'OperatorRegistrySet':
+            return { action: 'setOperatorRegistry', subject: args.registry };
+        case 'TransferRestrictionAdded':
+        case 'TransferRestrictionRemoved':
+            return {
+                action: event.event === 'TransferRestrictionAdded' ? 'addTransferRestriction' : 'removeTransferRestriction',
+                subject: args.module,
+                sender: args.sender,
+            };
+        case 'SuccessorSet':
+            return { action: 'setSuccessor', subject: args.successor };
+        case 'PredecessorSet':
+            return { action: 'setPredecessor', subject: args.predecessor };
+        case 'ImportSealed':
+            return { action: 'sealImport', subject: args.predecessor, value: args.supply };
+        case 'SplitStarted':
+            return { action: 'startSplit', subject: ZERO_ADDRESS, value: args.numerator + '/' + args.denominator, sender: args.sender };
+    }
+
+    // The role events, e.g. `IssuerAdded`, recorded as `addIssuer`
+    let role = event.event.match(/^(\w+)(Added|Removed)$/);
+    if (role) {
+        return { action: (role[2] === 'Added' ? 'add' : 'remove') + role[1], subject: args.account, sender: args.sender };
+    }
+
+    return null;
+}
+
+/**
+ * Tells whether the action an event records depends on the function of the token that
+ * was called, which is only known from the transaction for untagged actions.
+ * @param {Object} event The event, as returned by `captable.fetchEvents`.
+ * @param {Object} context What else happened in the transaction of the event, see `describe`.
+ * @returns {boolean} Whether `describe` needs the selector of the called function.
+ */
+function needsSelector(event, context) {
+    let args = event.returnValues;
+    if (event.event === 'Transfer') {
+        return (args.from === ZERO_ADDRESS || args.to === ZERO_ADDRESS) &&
+            !SPLIT_EVENTS.some(name => context.events.indexOf(name) !== -1);
+    }
+    return IMPORT_EVENTS.indexOf(event.event) !== -1;
+}
+
+/**
+ * Builds the audit log of a token.
+ * @param {Object} tokenContract The SecurityToken instance.
+ * @param {Object} [options] Options, `fromBlock` and `toBlock` limiting the blocks read.
+ * @returns {Promise<Object[]>} The entries, in the order the actions were taken. Every entry
+ *                              has a `blockNumber`, `timestamp`, `transactionHash`, `action`,
+ *                              `subject`, `counterparty`, `value`, `reason`, `reasonName`,
+ *                              `record`, `sender` and `tagged` field.
+ */
+async function build(tokenContract, options = {}) {
+    let events = await captable.fetchEvents(tokenContract, EVENTS.concat(SPLIT_EVENTS, ['AdminAction']), options);
+    events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+    // The action an event belongs to is recorded right after the events it caused,
+    // so walking back through the events finds it in a single pass
+    let tags = new Map();
+    let names = {};
+    let next = {};
+    for (let i = events.length - 1; i >= 0; i--) {
+        let event = events[i];
+        if (event.event === 'AdminAction') {
+            next[event.transactionHash] = event.returnValues;
+        } else if (next[event.transactionHash]) {
+            tags.set(event, next[event.transactionHash]);
+        }
+        names[event.transactionHash] = names[event.transactionHash] || [];
+        names[event.transactionHash].push(event.event);
+    }
+
+    let redemptions = new Set((await web3.eth.getPastLogs({
+        fromBlock: web3.utils.toHex(options.fromBlock || 0),
+        toBlock: options.toBlock === undefined ? 'latest' : web3.utils.toHex(options.toBlock),
+        topics: [web3.utils.sha3(REDEMPTION_ACCEPTED)],
+    })).map(log => log.transactionHash));
+
+    let entries = [];
+    let blocks = {};
+    let transactions = {};
+    let fetchTransaction = async hash => {
+        if (!transactions[hash]) {
+            transactions[hash] = await web3.eth.getTransaction(hash);
+        }
+        return transactions[hash];
+    };
+    for (let event of events) {
+        if (event.event === 'AdminAction') {
+            continue;
+        }
+
+        // Only untagged actions that depend on the function called need their transaction
+        let tagged = tags.get(event) || null;
+        let context = { events: names[event.transactionHash], redemption: redemptions.has(event.transactionHash) };
+        if (tagged) {
+            context.selector = tagged.action;
+        } else if (needsSelector(event, context)) {
+            context.selector = (await fetchTransaction(event.transactionHash)).input.slice(0, 10);
+        }
+
+        let described = describe(event, context);
+        if (!described) {
+            continue;
+        }
+
+        if (!blocks[event.blockNumber]) {
+            blocks[event.blockNumber] = await web3.eth.getBlock(event.blockNumber);
+        }
+
+        let sender = tagged ? tagged.sender : described.sender;
+        if (!sender) {
+            sender = (await fetchTransaction(event.transactionHash)).from;
+        }
+
+        let reason = tagged ? Number(tagged.reason) : described.reason;
+        entries.push({
+            blockNumber: event.blockNumber,
+            timestamp: Number(blocks[event.blockNumber].timestamp),
+            transactionHash: event.transactionHash,
+            action: described.action,
+            subject: described.subject,
+            counterparty: described.counterparty || ZERO_ADDRESS,
+            value: String(described.value || 0),
+            reason: reason === undefined ? null : reason,
+            reasonName: reason === undefined ? null : REASONS[reason] || 'Unknown',
+            record: tagged ? tagged.record : described.record || ZERO_BYTES,
+            sender,
+            tagged: tagged !== null,
+        });
+    }
+
+    return entries;
+}
+
+/**
+ * Lists the entries of an audit log without a record, to be followed up by the auditors.
+ * @param {Object[]} entries The audit log, see `build`.
+ * @returns {Object[]} The untagged entries.
+ */
+function untagged(entries) {
+    return entries.filter(entry => !entry.tagged);
+}
+
+/**
+ * Writes an audit log to a CSV file.
+ * @param {string} file The path to the CSV file.
+ * @param {Object[]} entries The audit log, see `build`.
+ */
+function exportCsv(file, entries) {
+    let columns = ['timestamp', 'blockNumber', 'transactionHash', 'action', 'subject', 'counterparty',
+        'value', 'reason', 'reasonName', 'record', 'sender', 'tagged'];
+    let lines = [columns.join(',')].concat(
+        entries.map(entry => captable.csvLine(columns.map(column => entry[column] === null ? '' : entry[column])))
+    );
+    fs.writeFileSync(file, lines.join('\n'));
+}
+
+module.exports = {
+    REASONS,
+    encodeAction,
+    performAction,
+    build,
+    untagged,
+    exportCsv,
+};
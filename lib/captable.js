@@ -0,0 +1,386 @@
+'use strict';
+
+const fs = require('fs');
+const hash = require('./hash');
+
+/**
+ * Reconstruction of the shareholder register from the events of a SecurityToken contract,
+ * and reconciliation of the result with the state of the contract.
+ *
+ * Relies on the `web3` instance that truffle injects into tests and scripts.
+ */
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+const PAUSE_ALL = 15;
+
+// The events that are replayed, see `apply`.
+const EVENTS = [
+    'VerifiedAddressAdded',
+    'VerifiedAddressRemoved',
+    'VerifiedAddressUpdated',
+    'VerifiedAddressSuperseded',
+    'Transfer',
+    'Lock',
+    'Paused',
+    'Unpaused',
+    'Migrate',
+];
+
+/**
+ * Looks up the entry of an address, creating it on first use.
+ * @param {Object} capTable The cap table being built.
+ * @param {string} address The address.
+ * @returns {Object} The entry of the address.
+ */
+function entry(capTable, address) {
+    let key = address.toLowerCase();
+    if (!capTable.addresses[key]) {
+        capTable.addresses[key] = {
+            address,
+            hash: null,
+            verified: false,
+            balance: web3.utils.toBN(0),
+            locked: false,
+            supersededBy: null,
+            history: [],
+        };
+    }
+
+    return capTable.addresses[key];
+}
+
+/**
+ * Applies a single event to the cap table.
+ * @param {Object} capTable The cap table being built.
+ * @param {Object} event The event, as returned by `fetchEvents`.
+ */
+function apply(capTable, event) {
+    let args = event.returnValues;
+    let record = { block: event.blockNumber, transaction: event.transactionHash, event: event.event };
+
+    switch (event.event) {
+        case 'VerifiedAddressAdded': {
+            let holder = entry(capTable, args.addr);
+            holder.hash = args.hash;
+            holder.verified = true;
+            holder.history.push(Object.assign(record, { hash: args.hash }));
+            break;
+        }
+        case 'VerifiedAddressRemoved': {
+            let holder = entry(capTable, args.addr);
+            holder.hash = null;
+            holder.verified = false;
+            holder.history.push(record);
+            break;
+        }
+        case 'VerifiedAddressUpdated': {
+            let holder = entry(capTable, args.addr);
+            holder.hash = args.hash;
+            holder.history.push(Object.assign(record, { oldHash: args.oldHash, hash: args.hash }));
+            break;
+        }
+        case 'VerifiedAddressSuperseded': {
+            let original = entry(capTable, args.original);
+            original.hash = null;
+            original.verified = false;
+            original.supersededBy = args.replacement;
+            original.history.push(Object.assign(record, { replacement: args.replacement }));
+            entry(capTable, args.replacement).history.push(Object.assign({}, record, { original: args.original }));
+            break;
+        }
+        case 'Transfer': {
+            let value = web3.utils.toBN(args.value);
+            if (args.from === ZERO_ADDRESS) {
+                capTable.totalSupply = capTable.totalSupply.add(value);
+            } else {
+                let sender = entry(capTable, args.from);
+                sender.balance = sender.balance.sub(value);
+                sender.history.push(Object.assign({}, record, { to: args.to, value: args.value }));
+            }
+            if (args.to === ZERO_ADDRESS) {
+                capTable.totalSupply = capTable.totalSupply.sub(value);
+            } else {
+                let receiver = entry(capTable, args.to);
+                receiver.balance = receiver.balance.add(value);
+                receiver.history.push(Object.assign({}, record, { from: args.from, value: args.value }));
+            }
+            break;
+        }
+        case 'Lock': {
+            let holder = entry(capTable, args.addr);
+            holder.locked = args.locked;
+            holder.history.push(Object.assign(record, { locked: args.locked }));
+            break;
+        }
+        case 'Paused':
+            capTable.pausedScopes |= Number(args.scopes);
+            capTable.history.push(Object.assign(record, { scopes: Number(args.scopes), reason: Number(args.reason) }));
+            break;
+        case 'Unpaused':
+            capTable.pausedScopes &= ~Number(args.scopes);
+            capTable.history.push(Object.assign(record, { scopes: Number(args.scopes), reason: Number(args.reason) }));
+            break;
+        case 'Migrate':
+            capTable.pausedScopes = PAUSE_ALL;
+            capTable.migrated = true;
+            capTable.history.push(record);
+            break;
+    }
+}
+
+/**
+ * Fetches events of a contract, in the order they were emitted.
+ * The logs are decoded here rather than through `getPastEvents`, as web3 fails to decode
+ * events without data, such as `VerifiedAddressRemoved` or `Migrate`.
+ * @param {Object} contract The contract instance, e.g. the SecurityToken.
+ * @param {string[]} names The names of the events to fetch.
+ * @param {Object} options Options, `fromBlock` and `toBlock` limiting the fetched blocks.
+ * @returns {Promise<Object[]>} The events, shaped like the events returned by `getPastEvents`.
+ */
+async function fetchEvents(contract, names, options) {
+    let signatures = {};
+    for (let item of contract.abi) {
+        if (item.type === 'event' && names.indexOf(item.name) !== -1) {
+            signatures[web3.eth.abi.encodeEventSignature(item)] = item;
+        }
+    }
+
+    let logs = await web3.eth.getPastLogs({
+        address: contract.address,
+        fromBlock: web3.utils.toHex(options.fromBlock || 0),
+        toBlock: options.toBlock === undefined ? 'latest' : web3.utils.toHex(options.toBlock),
+    });
+
+    return logs.filter(log => signatures[log.topics[0]]).map(log => {
+        let item = signatures[log.topics[0]];
+        let inputs = item.inputs.filter(input => !input.indexed);
+        let data = inputs.length > 0 ? web3.eth.abi.decodeParameters(inputs, log.data) : {};
+        let topic = 1;
+        let returnValues = {};
+        for (let input of item.inputs) {
+            returnValues[input.name] = input.indexed
+                ? web3.eth.abi.decodeParameter(input.type, log.topics[topic++])
+                : data[input.name];
+        }
+
+        return {
+            event: item.name,
+            blockNumber: log.blockNumber,
+            logIndex: log.logIndex,
+            transactionHash: log.transactionHash,
+            returnValues,
+        };
+    });
+}
+
+/**
+ * Replays the events of a token contract into a cap table. Passing `toBlock` produces
+ * the cap table as it was at that block.
+ * @param {Object} tokenContract The SecurityToken instance.
+ * @param {Object} [options] Options, `fromBlock` and `toBlock` limiting the replayed blocks.
+ * @returns {Promise<Object>} The cap table, with every known address and its history,
+ *                            and the history of the token itself.
+ */
+async function replay(tokenContract, options = {}) {
+    let events = await fetchEvents(tokenContract, EVENTS, options);
+    events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+    let capTable = {
+        token: tokenContract.address,
+        block: events.length > 0 ? events[events.length - 1].blockNumber : null,
+        totalSupply: web3.utils.toBN(0),
+        pausedScopes: 0,
+        migrated: false,
+        addresses: {},
+        history: [],
+    };
+
+    for (let event of events) {
+        apply(capTable, event);
+    }
+
+    return capTable;
+}
+
+/**
+ * Lists the addresses holding tokens in a cap table.
+ * @param {Object} capTable The cap table.
+ * @returns {Object[]} The entries of the addresses holding tokens.
+ */
+function holders(capTable) {
+    return Object.keys(capTable.addresses)
+        .map(key => capTable.addresses[key])
+        .filter(holder => !holder.balance.isZero());
+}
+
+/**
+ * Maps the hashes of the info fields in onboarding rows (see `lib/onboarding.js`)
+ * back to the info fields, so that exports can carry the identity context.
+ * @param {Object[]} rows The onboarding rows.
+ * @returns {Object} The info fields, keyed by their hash.
+ */
+function infosByHash(rows) {
+    let infos = {};
+    for (let row of rows) {
+        infos[web3.utils.bytesToHex(hash(row.info))] = row.info;
+    }
+
+    return infos;
+}
+
+/**
+ * Turns the holders of a cap table into rows with the same columns as `test/data.csv`.
+ * Without a known info field, the info column holds the hash registered on the contract.
+ * @param {Object} capTable The cap table.
+ * @param {Object} [infos] Info fields keyed by their hash, see `infosByHash`.
+ * @returns {Object[]} The rows, with an `address`, `info` and `balance` field.
+ */
+function toRows(capTable, infos = {}) {
+    return holders(capTable).map(holder => ({
+        address: holder.address,
+        info: (holder.hash && infos[holder.hash]) || holder.hash || '',
+        balance: holder.balance.toString(),
+    }));
+}
+
+/**
+ * Joins fields into a line of a CSV file. Fields containing a comma, a quote or a line
+ * break are quoted, doubling the quotes inside them.
+ * @param {Array} fields The fields of the line.
+ * @returns {string} The line, without a line break.
+ */
+function csvLine(fields) {
+    return fields.map(field => {
+        let text = String(field);
+        return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+    }).join(',');
+}
+
+/**
+ * Writes the holders of a cap table to a CSV file shaped like `test/data.csv`.
+ * @param {string} file The path to the CSV file.
+ * @param {Object} capTable The cap table.
+ * @param {Object} [infos] Info fields keyed by their hash, see `infosByHash`.
+ */
+function exportCsv(file, capTable, infos) {
+    let lines = ['address,info,balance'].concat(
+        toRows(capTable, infos).map(row => csvLine([row.address, row.info, row.balance]))
+    );
+    fs.writeFileSync(file, lines.join('\n'));
+}
+
+/**
+ * Writes a cap table to a JSON file. The holders carry the same fields as `test/data.csv`,
+ * the full history of every address and of the token is included as well.
+ * @param {string} file The path to the JSON file.
+ * @param {Object} capTable The cap table.
+ * @param {Object} [infos] Info fields keyed by their hash, see `infosByHash`.
+ */
+function exportJson(file, capTable, infos) {
+    let addresses = Object.keys(capTable.addresses).map(key => {
+        let holder = capTable.addresses[key];
+        return Object.assign({}, holder, { balance: holder.balance.toString() });
+    });
+
+    fs.writeFileSync(file, JSON.stringify({
+        token: capTable.token,
+        block: capTable.block,
+        totalSupply: capTable.totalSupply.toString(),
+        pausedScopes: capTable.pausedScopes,
+        migrated: capTable.migrated,
+        holders: toRows(capTable, infos),
+        addresses,
+        history: capTable.history,
+    }, null, 2));
+}
+
+/**
+ * Cross-checks a cap table with `holderCount`, `holderAt` and `balanceOf` on the contract.
+ * The cap table has to be replayed up to the latest block.
+ * @param {Object} tokenContract The SecurityToken instance.
+ * @param {Object} capTable The cap table.
+ * @param {string} auditor An address with the auditor role, used to call `holderAt`.
+ * @returns {Promise<Object>} The discrepancies, empty if the cap table matches the contract.
+ */
+async function reconcile(tokenContract, capTable, auditor) {
+    let result = {
+        holderCount: null,
+        missingHolders: [],
+        listedWithoutBalance: [],
+        duplicateHolders: [],
+        balanceMismatches: [],
+        totalSupply: null,
+    };
+
+    let count = (await tokenContract.holderCount()).toNumber();
+    let listed = {};
+    for (let i = 0; i < count; i++) {
+        let address = await tokenContract.holderAt.call(i, { from: auditor });
+        let key = address.toLowerCase();
+        if (listed[key]) {
+            result.duplicateHolders.push(address);
+        }
+        listed[key] = true;
+
+        let holder = capTable.addresses[key];
+        if (!holder || holder.balance.isZero()) {
+            result.listedWithoutBalance.push(address);
+        }
+    }
+
+    let replayed = holders(capTable);
+    if (replayed.length !== count) {
+        result.holderCount = { expected: replayed.length, actual: count };
+    }
+
+    for (let holder of replayed) {
+        if (!listed[holder.address.toLowerCase()]) {
+            result.missingHolders.push(holder.address);
+        }
+    }
+
+    for (let key of Object.keys(capTable.addresses)) {
+        let holder = capTable.addresses[key];
+        let actual = web3.utils.toBN(await tokenContract.balanceOf.call(holder.address));
+        if (!actual.eq(holder.balance)) {
+            result.balanceMismatches.push({
+                address: holder.address,
+                expected: holder.balance.toString(),
+                actual: actual.toString(),
+            });
+        }
+    }
+
+    let totalSupply = web3.utils.toBN(await tokenContract.totalSupply());
+    if (!totalSupply.eq(capTable.totalSupply)) {
+        result.totalSupply = { expected: capTable.totalSupply.toString(), actual: totalSupply.toString() };
+    }
+
+    return result;
+}
+
+/**
+ * @param {Object} discrepancies The result of `reconcile`.
+ * @returns {boolean} Whether the cap table matches the contract.
+ */
+function isConsistent(discrepancies) {
+    return discrepancies.holderCount === null
+        && discrepancies.totalSupply === null
+        && discrepancies.missingHolders.length === 0
+        && discrepancies.listedWithoutBalance.length === 0
+        && discrepancies.duplicateHolders.length === 0
+        && discrepancies.balanceMismatches.length === 0;
+}
+
+module.exports = {
+    fetchEvents,
+    replay,
+    holders,
+    infosByHash,
+    toRows,
+    csvLine,
+    exportCsv,
+    exportJson,
+    reconcile,
+    isConsistent,
+};
@@ -0,0 +1,39 @@
+'use strict';
+
+/**
+ * Helpers for the scripts in `scripts/`, which are run through `truffle exec`.
+ */
+
+/**
+ * Makes the `web3` instance of a script global. truffle exec only injects web3 into the
+ * script itself, while the libraries expect it to be global, as it is in tests.
+ * @param {Object} instance The web3 instance injected into the script.
+ */
+function exposeWeb3(instance) {
+    global.web3 = instance;
+}
+
+/**
+ * Reads an option from the command line.
+ * @param {string} name The name of the option, without the leading dashes.
+ * @returns {string|undefined} The value following the option, or `undefined` if it is not given.
+ */
+function option(name) {
+    let index = process.argv.indexOf('--' + name);
+    return index === -1 ? undefined : process.argv[index + 1];
+}
+
+/**
+ * Checks whether a flag is given on the command line.
+ * @param {string} name The name of the flag, without the leading dashes.
+ * @returns {boolean} Whether the flag is given.
+ */
+function flag(name) {
+    return process.argv.indexOf('--' + name) !== -1;
+}
+
+module.exports = {
+    exposeWeb3,
+    option,
+    flag,
+};
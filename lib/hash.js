@@ -0,0 +1,13 @@
+'use strict';
+
+/**
+ * Hashes a holder's verification info the same way it is stored on the contract.
+ * Relies on the `web3` instance that truffle injects into tests and scripts.
+ * @param {string} info The verification info of the holder.
+ * @returns {number[]} The soliditySha3 hash of the info, as a byte array.
+ */
+function hash(info) {
+    return web3.utils.hexToBytes(web3.utils.soliditySha3(info));
+}
+
+module.exports = hash;
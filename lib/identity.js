@@ -0,0 +1,176 @@
+'use strict';
+
+/**
+ * Salted, structured commitments to the identity of an investor.
+ *
+ * An investor record is reduced to a canonical value per field. Every field is
+ * committed to as a leaf of a Merkle tree, salted with a salt derived from the
+ * investor's salt, and the root of the tree is stored on the contract as the
+ * investor's hash. `hasHash` then checks a full record, while a single field can be
+ * disclosed with its salt and proof and checked through the IdentityVerifier contract,
+ * without revealing the other fields or the investor's salt.
+ *
+ * Relies on the `web3` instance that truffle injects into tests and scripts.
+ */
+
+// The fields of an investor record, in the order of the leaves of the tree.
+const FIELDS = ['name', 'jurisdiction', 'investorType', 'documentIds'];
+
+const INVESTOR_TYPES = ['retail', 'professional', 'eligible-counterparty', 'accredited', 'qualified-purchaser'];
+
+/**
+ * Reduces an investor record to the canonical values that are committed to.
+ * @param {Object} record The record, with a `name`, an ISO 3166-1 alpha-2 `jurisdiction`,
+ *                        an `investorType` and an array of `documentIds`.
+ * @returns {Object} The canonical value of every field, as a string.
+ */
+function canonicalize(record) {
+    let name = String(record.name || '').normalize('NFC').trim().replace(/\s+/g, ' ');
+    if (name === '') {
+        throw Error('Please provide a name');
+    }
+
+    let jurisdiction = String(record.jurisdiction || '').trim().toUpperCase();
+    if (!/^[A-Z]{2}$/.test(jurisdiction)) {
+        throw Error('Invalid jurisdiction: ' + record.jurisdiction);
+    }
+
+    let investorType = String(record.investorType || '').trim().toLowerCase();
+    if (INVESTOR_TYPES.indexOf(investorType) === -1) {
+        throw Error('Invalid investor type: ' + record.investorType);
+    }
+
+    let documentIds = (record.documentIds || []).map(id => String(id).trim());
+    if (documentIds.length === 0 || documentIds.some(id => id === '' || id.indexOf(',') !== -1)) {
+        throw Error('Invalid document ids: ' + record.documentIds);
+    }
+    documentIds = documentIds.filter((id, i) => documentIds.indexOf(id) === i).sort();
+
+    return { name, jurisdiction, investorType, documentIds: documentIds.join(',') };
+}
+
+/**
+ * @returns {string} A random salt for an investor, to be kept with the off-chain record.
+ */
+function generateSalt() {
+    return web3.utils.randomHex(32);
+}
+
+/**
+ * Derives the salt of a single field, which is disclosed along with the field.
+ * @param {string} salt The salt of the investor.
+ * @param {string} field The name of the field.
+ * @returns {string} The salt of the field.
+ */
+function fieldSalt(salt, field) {
+    return web3.utils.sha3(web3.eth.abi.encodeParameters(['bytes32', 'string'], [salt, field]));
+}
+
+/**
+ * Hashes a field the same way the IdentityVerifier contract does.
+ * @param {string} salt The salt of the field.
+ * @param {string} field The name of the field.
+ * @param {string} value The canonical value of the field.
+ * @returns {string} The leaf of the field.
+ */
+function leaf(salt, field, value) {
+    return web3.utils.sha3(web3.eth.abi.encodeParameters(['bytes32', 'string', 'string'], [salt, field, value]));
+}
+
+/**
+ * Hashes two nodes of the tree, in sorted order like OpenZeppelin's MerkleProof.
+ * @param {string} a A node.
+ * @param {string} b Another node.
+ * @returns {string} The parent node.
+ */
+function parent(a, b) {
+    let pair = a < b ? [a, b] : [b, a];
+    return web3.utils.soliditySha3({ t: 'bytes32', v: pair[0] }, { t: 'bytes32', v: pair[1] });
+}
+
+/**
+ * Builds the levels of a tree, from the leaves up to the root.
+ * A node without a sibling moves up a level as it is.
+ * @param {string[]} leaves The leaves.
+ * @returns {string[][]} The levels of the tree.
+ */
+function levels(leaves) {
+    let result = [leaves];
+    while (result[result.length - 1].length > 1) {
+        let level = result[result.length - 1];
+        let next = [];
+        for (let i = 0; i < level.length; i += 2) {
+            next.push(i + 1 < level.length ? parent(level[i], level[i + 1]) : level[i]);
+        }
+        result.push(next);
+    }
+
+    return result;
+}
+
+/**
+ * Commits to an investor record.
+ * @param {Object} record The record, see `canonicalize`.
+ * @param {string} salt The salt of the investor, see `generateSalt`.
+ * @returns {Object} The `root` to store on the contract, and the canonical `values`.
+ */
+function commit(record, salt) {
+    let values = canonicalize(record);
+    let tree = levels(FIELDS.map(field => leaf(fieldSalt(salt, field), field, values[field])));
+
+    return { root: tree[tree.length - 1][0], values };
+}
+
+/**
+ * Discloses a single field of an investor record.
+ * @param {Object} record The record, see `canonicalize`.
+ * @param {string} salt The salt of the investor.
+ * @param {string} field The name of the field to disclose.
+ * @returns {Object} The `field`, its canonical `value`, its `salt` and the `proof` of its leaf.
+ */
+function disclose(record, salt, field) {
+    let index = FIELDS.indexOf(field);
+    if (index === -1) {
+        throw Error('Unknown field: ' + field);
+    }
+
+    let values = canonicalize(record);
+    let tree = levels(FIELDS.map(name => leaf(fieldSalt(salt, name), name, values[name])));
+    let proof = [];
+    for (let level of tree.slice(0, -1)) {
+        let sibling = index ^ 1;
+        if (sibling < level.length) {
+            proof.push(level[sibling]);
+        }
+        index = index >> 1;
+    }
+
+    return { field, value: values[field], salt: fieldSalt(salt, field), proof };
+}
+
+/**
+ * Checks a disclosed field against a root, without calling the contract.
+ * @param {string} root The root stored on the contract.
+ * @param {Object} disclosure The disclosed field, see `disclose`.
+ * @returns {boolean} Whether the field is part of the record committed to.
+ */
+function verify(root, disclosure) {
+    let node = leaf(disclosure.salt, disclosure.field, disclosure.value);
+    for (let sibling of disclosure.proof) {
+        node = parent(node, sibling);
+    }
+
+    return node === root;
+}
+
+module.exports = {
+    FIELDS,
+    INVESTOR_TYPES,
+    canonicalize,
+    generateSalt,
+    fieldSalt,
+    leaf,
+    commit,
+    disclose,
+    verify,
+};
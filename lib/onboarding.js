@@ -0,0 +1,325 @@
+'use strict';
+
+const fs = require('fs');
+const csv = require('csv-parser');
+const hash = require('./hash');
+
+const ZERO_BYTES = '0x0000000000000000000000000000000000000000000000000000000000000000';
+
+/**
+ * Bulk onboarding of investors from files shaped like `test/data.csv`, with an
+ * `address`, `info` and `balance` column per investor. The `balance` column holds the
+ * balance the investor should end up with, so reruns never issue the same shares twice.
+ * Addresses whose verification has expired are renewed rather than verified again.
+ *
+ * Relies on the `web3` instance that truffle injects into tests and scripts.
+ */
+
+/**
+ * Reads the rows of an onboarding file.
+ * @param {string} file The path to the CSV file.
+ * @returns {Promise<Object[]>} The rows, along with their line number in the file.
+ */
+function readRows(file) {
+    return new Promise((resolve, reject) => {
+        let rows = [];
+
+        fs.createReadStream(file)
+            .on('error', reject)
+            .pipe(csv())
+            .on('data', (data) => {
+                rows.push({
+                    line: rows.length + 2, // The header takes up the first line
+                    address: (data['address'] || '').trim(),
+                    info: data['info'] || '',
+                    balance: (data['balance'] || '').trim(),
+                });
+            })
+            .on('error', reject)
+            .on('end', () => resolve(rows));
+    });
+}
+
+/**
+ * Checks every row before anything is sent to the contract.
+ * Addresses have to be valid and, if they are mixed-case, carry a valid checksum.
+ * Addresses may only appear once, balances have to be non-negative integers
+ * and the info field may not be empty.
+ * @param {Object[]} rows The rows to check.
+ * @returns {Object[]} A list of errors, empty if all rows are valid.
+ */
+function validate(rows) {
+    let errors = [];
+    let seen = {};
+
+    for (let row of rows) {
+        if (!web3.utils.isAddress(row.address)) {
+            errors.push({ line: row.line, address: row.address, message: 'Invalid address or checksum' });
+        } else {
+            let key = row.address.toLowerCase();
+            if (seen[key] !== undefined) {
+                errors.push({ line: row.line, address: row.address, message: 'Duplicate of line ' + seen[key] });
+            } else {
+                seen[key] = row.line;
+            }
+        }
+
+        if (!/^\d+$/.test(row.balance)) {
+            errors.push({ line: row.line, address: row.address, message: 'Balance is not a non-negative integer' });
+        }
+
+        if (row.info.trim() === '') {
+            errors.push({ line: row.line, address: row.address, message: 'Empty info field' });
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Loads a checkpoint file, or starts a new checkpoint if the file does not exist.
+ * @param {string} file The path to the checkpoint file.
+ * @returns {Object} The checkpoint, mapping lowercase addresses to their progress.
+ */
+function loadCheckpoint(file) {
+    if (!file || !fs.existsSync(file)) {
+        return { addresses: {} };
+    }
+
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Writes a checkpoint to disk. The file is replaced in one go,
+ * so a crash never leaves a half-written checkpoint behind.
+ * @param {string} file The path to the checkpoint file.
+ * @param {Object} checkpoint The checkpoint to save.
+ */
+function saveCheckpoint(file, checkpoint) {
+    if (!file) {
+        return;
+    }
+
+    fs.writeFileSync(file + '.tmp', JSON.stringify(checkpoint, null, 2));
+    fs.renameSync(file + '.tmp', file);
+}
+
+/**
+ * Records the progress of a batch of rows in the checkpoint.
+ * @param {Object} checkpoint The checkpoint to update.
+ * @param {Object[]} batch The plans of the rows in the batch.
+ * @param {Object} progress The progress to record for every row.
+ */
+function record(checkpoint, batch, progress) {
+    for (let plan of batch) {
+        checkpoint.addresses[plan.row.address.toLowerCase()] = progress;
+    }
+}
+
+/**
+ * Checks whether an address holds a verification hash, whether or not it has expired.
+ * @param {Object} tokenContract The SecurityToken instance.
+ * @param {string} address The address to check.
+ * @returns {Promise<boolean>} Whether the address is registered.
+ */
+async function isRegistered(tokenContract, address) {
+    return !(await tokenContract.hasHash.call(address, ZERO_BYTES));
+}
+
+/**
+ * Works out what still needs to happen for a row, based on the checkpoint
+ * and the current state of the contract.
+ * @param {Object} tokenContract The SecurityToken instance.
+ * @param {Object} row The row to inspect.
+ * @param {Object} checkpoint The checkpoint of earlier runs.
+ * @returns {Promise<Object>} The pending actions for the row, or a conflict.
+ */
+async function inspect(tokenContract, row, checkpoint) {
+    let progress = checkpoint.addresses[row.address.toLowerCase()] || {};
+    if (progress.verified && progress.issued) {
+        return { row, skipped: true };
+    }
+
+    let infoHash = hash(row.info);
+    let registered = await isRegistered(tokenContract, row.address);
+    if (registered && !(await tokenContract.hasHash.call(row.address, infoHash))) {
+        return { row, conflict: 'Address is verified with a different hash' };
+    }
+    let verified = registered && await tokenContract.isVerified.call(row.address);
+
+    let expected = web3.utils.toBN(row.balance);
+    let actual = web3.utils.toBN(await tokenContract.balanceOf.call(row.address));
+    if (actual.gt(expected)) {
+        return { row, conflict: 'Address holds ' + actual.toString() + ' tokens, more than the expected ' + row.balance };
+    }
+
+    let amount = expected.sub(actual);
+    return {
+        row,
+        hash: infoHash,
+        verify: !registered,
+        renew: registered && !verified,
+        amount: amount.toString(),
+        skipped: verified && amount.isZero(),
+    };
+}
+
+/**
+ * Produces a report of everything an onboarding run would do, without sending any transactions.
+ * @param {Object} tokenContract The SecurityToken instance.
+ * @param {Object[]} rows The rows to onboard.
+ * @param {Object} [options] Options, `checkpoint` being the path to a checkpoint file.
+ * @returns {Promise<Object>} The report.
+ */
+async function dryRun(tokenContract, rows, options = {}) {
+    let report = { rows: rows.length, errors: validate(rows), verify: [], renew: [], issue: [], skipped: [], conflicts: [] };
+    if (report.errors.length > 0) {
+        return report;
+    }
+
+    let checkpoint = loadCheckpoint(options.checkpoint);
+    for (let row of rows) {
+        let plan = await inspect(tokenContract, row, checkpoint);
+        if (plan.conflict) {
+            report.conflicts.push({ line: row.line, address: row.address, message: plan.conflict });
+        } else if (plan.skipped) {
+            report.skipped.push(row.address);
+        } else {
+            if (plan.verify) {
+                report.verify.push(row.address);
+            }
+            if (plan.renew) {
+                report.renew.push(row.address);
+            }
+            if (plan.amount !== '0') {
+                report.issue.push({ address: row.address, amount: plan.amount });
+            }
+        }
+    }
+
+    return report;
+}
+
+/**
+ * Verifies and issues shares to every row, in batches through `addVerifiedBatch` and `issueBatch`.
+ * Expired verifications are renewed one by one through `updateVerifiedUntil`.
+ * Progress is written to the checkpoint file after every transaction, so a rerun with the same
+ * checkpoint picks up where the previous run stopped. Conflicting rows and failing batches are
+ * recorded and do not stop the run.
+ * @param {Object} tokenContract The SecurityToken instance.
+ * @param {string} admin The address sending the transactions.
+ * @param {Object[]} rows The rows to onboard.
+ * @param {Object} [options] Options, `checkpoint` being the path to a checkpoint file, `batchSize` the number of rows
+ *                           per transaction, `gas` the gas per transaction and `expiry` the time until which
+ *                           renewed verifications are valid, `0` by default for no expiry.
+ * @returns {Promise<Object>} A summary of the run, including the reconciliation with the contract.
+ */
+async function onboard(tokenContract, admin, rows, options = {}) {
+    let errors = validate(rows);
+    if (errors.length > 0) {
+        let error = Error('Onboarding file contains ' + errors.length + ' invalid rows');
+        error.errors = errors;
+        throw error;
+    }
+
+    let gas = options.gas || '5000000';
+    let batchSize = options.batchSize || 25;
+    let checkpoint = loadCheckpoint(options.checkpoint);
+    let summary = { rows: rows.length, verified: 0, renewed: 0, issued: 0, skipped: 0, failed: [] };
+    let plans = [];
+
+    for (let row of rows) {
+        let plan = await inspect(tokenContract, row, checkpoint);
+        if (plan.conflict) {
+            summary.failed.push({ line: row.line, address: row.address, message: plan.conflict });
+        } else if (plan.skipped) {
+            summary.skipped++;
+        } else {
+            plans.push(plan);
+        }
+    }
+
+    for (let i = 0; i < plans.length; i += batchSize) {
+        let batch = plans.slice(i, i + batchSize);
+        try {
+            let verify = batch.filter(plan => plan.verify);
+            if (verify.length > 0) {
+                await tokenContract.addVerifiedBatch(
+                    verify.map(plan => plan.row.address),
+                    verify.map(plan => plan.hash),
+                    { from: admin, gas }
+                );
+                summary.verified += verify.length;
+            }
+            for (let plan of batch.filter(plan => plan.renew)) {
+                await tokenContract.updateVerifiedUntil(plan.row.address, plan.hash, options.expiry || 0, { from: admin, gas });
+                summary.renewed++;
+            }
+            record(checkpoint, batch, { verified: true, issued: false });
+            saveCheckpoint(options.checkpoint, checkpoint);
+
+            let issue = batch.filter(plan => plan.amount !== '0');
+            if (issue.length > 0) {
+                await tokenContract.issueBatch(
+                    issue.map(plan => plan.row.address),
+                    issue.map(plan => plan.amount),
+                    { from: admin, gas }
+                );
+                summary.issued += issue.length;
+            }
+            record(checkpoint, batch, { verified: true, issued: true });
+            saveCheckpoint(options.checkpoint, checkpoint);
+        } catch (e) {
+            for (let plan of batch) {
+                summary.failed.push({ line: plan.row.line, address: plan.row.address, message: e.message });
+            }
+        }
+    }
+
+    summary.reconciliation = await reconcile(tokenContract, rows);
+    return summary;
+}
+
+/**
+ * Compares the rows with the state of the contract.
+ * @param {Object} tokenContract The SecurityToken instance.
+ * @param {Object[]} rows The onboarded rows.
+ * @returns {Promise<Object>} The addresses that are not verified, whose verification has expired,
+ *                            or whose hash or balance differs.
+ */
+async function reconcile(tokenContract, rows) {
+    let result = { unverified: [], expired: [], hashMismatches: [], balanceMismatches: [], expectedTotal: '0', actualTotal: '0' };
+    let expectedTotal = web3.utils.toBN(0);
+    let actualTotal = web3.utils.toBN(0);
+
+    for (let row of rows) {
+        let expected = web3.utils.toBN(row.balance);
+        let actual = web3.utils.toBN(await tokenContract.balanceOf.call(row.address));
+        expectedTotal = expectedTotal.add(expected);
+        actualTotal = actualTotal.add(actual);
+
+        if (!(await isRegistered(tokenContract, row.address))) {
+            result.unverified.push(row.address);
+        } else if (!(await tokenContract.hasHash.call(row.address, hash(row.info)))) {
+            result.hashMismatches.push(row.address);
+        } else if (!(await tokenContract.isVerified.call(row.address))) {
+            result.expired.push(row.address);
+        }
+
+        if (!expected.eq(actual)) {
+            result.balanceMismatches.push({ address: row.address, expected: expected.toString(), actual: actual.toString() });
+        }
+    }
+
+    result.expectedTotal = expectedTotal.toString();
+    result.actualTotal = actualTotal.toString();
+    return result;
+}
+
+module.exports = {
+    readRows,
+    validate,
+    dryRun,
+    onboard,
+    reconcile,
+};
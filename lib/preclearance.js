@@ -0,0 +1,168 @@
+'use strict';
+
+/**
+ * Signed transfer approvals for the PreClearance module.
+ *
+ * A transfer agent pre-clears a transfer by signing an approval that binds the sender,
+ * the receiver, the amount, a nonce and an expiry, as EIP-712 typed data. The holder
+ * submits the approval with the transfer, or beforehand for transfers made by another
+ * contract, and the module checks the signature, the expiry and that the nonce has not
+ * been used before.
+ *
+ * Relies on the `web3` instance that truffle injects into tests and scripts.
+ */
+
+const DOMAIN_TYPE = [
+    { name: 'name', type: 'string' },
+    { name: 'version', type: 'string' },
+    { name: 'chainId', type: 'uint256' },
+    { name: 'verifyingContract', type: 'address' },
+];
+
+const APPROVAL_TYPE = [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'expiry', type: 'uint256' },
+];
+
+/**
+ * Looks up the EIP-712 domain of a deployed PreClearance module.
+ * @param {Object} module The truffle instance of the module.
+ * @returns {Promise<Object>} The `name`, `version`, `chainId` and `verifyingContract` of the domain.
+ */
+async function domainOf(module) {
+    let chainId = await module.chainId();
+
+    return { name: 'PreClearance', version: '1', chainId: chainId.toString(), verifyingContract: module.address };
+}
+
+/**
+ * Creates an approval.
+ * @param {string} from The address to send the tokens from.
+ * @param {string} to The address to send the tokens to.
+ * @param {number|string} value The amount of tokens.
+ * @param {number} expiry The time until which the approval can be used, in seconds.
+ * @param {string} [nonce] The nonce of the approval, random if left out.
+ * @returns {Object} The approval, with every number as a decimal string.
+ */
+function createApproval(from, to, value, expiry, nonce) {
+    return {
+        from,
+        to,
+        value: String(value),
+        nonce: web3.utils.hexToNumberString(nonce || web3.utils.randomHex(32)),
+        expiry: String(expiry),
+    };
+}
+
+/**
+ * Wraps an approval as EIP-712 typed data, as accepted by `eth_signTypedData`.
+ * @param {Object} domain The domain, see `domainOf`.
+ * @param {Object} approval The approval, see `createApproval`.
+ * @returns {Object} The typed data.
+ */
+function typedData(domain, approval) {
+    return {
+        types: { EIP712Domain: DOMAIN_TYPE, TransferApproval: APPROVAL_TYPE },
+        primaryType: 'TransferApproval',
+        domain,
+        message: approval,
+    };
+}
+
+/**
+ * Hashes a struct following EIP-712. Only supports the atomic types and strings used here.
+ * @param {string} name The name of the type.
+ * @param {Object[]} fields The fields of the type.
+ * @param {Object} data The struct.
+ * @returns {string} The hash of the struct.
+ */
+function hashStruct(name, fields, data) {
+    let signature = name + '(' + fields.map(field => field.type + ' ' + field.name).join(',') + ')';
+    let types = ['bytes32'];
+    let values = [web3.utils.sha3(signature)];
+    for (let field of fields) {
+        if (field.type === 'string') {
+            types.push('bytes32');
+            values.push(web3.utils.sha3(data[field.name]));
+        } else {
+            types.push(field.type);
+            values.push(data[field.name]);
+        }
+    }
+
+    return web3.utils.sha3(web3.eth.abi.encodeParameters(types, values));
+}
+
+/**
+ * Computes the hash a signer signs, the same way the `approvalHash` of the module does.
+ * @param {Object} domain The domain, see `domainOf`.
+ * @param {Object} approval The approval, see `createApproval`.
+ * @returns {string} The hash of the approval.
+ */
+function digest(domain, approval) {
+    return web3.utils.soliditySha3(
+        { t: 'bytes2', v: '0x1901' },
+        { t: 'bytes32', v: hashStruct('EIP712Domain', DOMAIN_TYPE, domain) },
+        { t: 'bytes32', v: hashStruct('TransferApproval', APPROVAL_TYPE, approval) }
+    );
+}
+
+/**
+ * Signs an approval with an unlocked account of the node, through `eth_signTypedData`.
+ * @param {Object} domain The domain, see `domainOf`.
+ * @param {Object} approval The approval, see `createApproval`.
+ * @param {string} signer The address of the signer.
+ * @returns {Promise<string>} The signature.
+ */
+function sign(domain, approval, signer) {
+    let payload = {
+        jsonrpc: '2.0',
+        id: Date.now(),
+        method: 'eth_signTypedData',
+        params: [signer, typedData(domain, approval)],
+    };
+
+    return new Promise((resolve, reject) => {
+        web3.currentProvider.send(payload, (err, response) => {
+            if (err || response.error) {
+                return reject(err || Error(response.error.message));
+            }
+            resolve(response.result);
+        });
+    });
+}
+
+/**
+ * Recovers the signer of an approval, without calling the contract.
+ * @param {Object} domain The domain, see `domainOf`.
+ * @param {Object} approval The approval, see `createApproval`.
+ * @param {string} signature The signature.
+ * @returns {string} The address of the signer.
+ */
+function recover(domain, approval, signature) {
+    return web3.eth.accounts.recover(digest(domain, approval), signature, true);
+}
+
+/**
+ * Checks an approval against a deployed module: the signer, the expiry and the nonce.
+ * @param {Object} module The truffle instance of the module.
+ * @param {Object} approval The approval, see `createApproval`.
+ * @param {string} signature The signature.
+ * @returns {Promise<boolean>} Whether the approval can be used.
+ */
+function verify(module, approval, signature) {
+    return module.isValidApproval(approval.from, approval.to, approval.value, approval.nonce, approval.expiry, signature);
+}
+
+module.exports = {
+    domainOf,
+    createApproval,
+    typedData,
+    digest,
+    sign,
+    recover,
+    verify,
+};
@@ -1,5 +1,12 @@
+var SecurityTokenImport = artifacts.require("./SecurityTokenImport.sol");
+var SecurityTokenRestrictions = artifacts.require("./SecurityTokenRestrictions.sol");
 var SecurityToken = artifacts.require("./SecurityToken.sol");
+var config = require("./config");
 
 module.exports = function(deployer) {
-  deployer.deploy(SecurityToken, "Test", "TST");
+  deployer.deploy(SecurityTokenImport);
+  deployer.deploy(SecurityTokenRestrictions);
+  deployer.link(SecurityTokenImport, SecurityToken);
+  deployer.link(SecurityTokenRestrictions, SecurityToken);
+  deployer.deploy(SecurityToken, config.token.name, config.token.symbol);
 };
@@ -0,0 +1,20 @@
+var SecurityToken = artifacts.require("./SecurityToken.sol");
+var TokenRegistry = artifacts.require("./TokenRegistry.sol");
+var TokenFactory = artifacts.require("./TokenFactory.sol");
+var config = require("./config");
+
+module.exports = function(deployer, network, accounts) {
+  deployer.then(async function() {
+    var registry = await deployer.deploy(TokenRegistry);
+    var factory = await deployer.deploy(TokenFactory, registry.address, web3.utils.keccak256(SecurityToken.binary));
+    await registry.addFactory(factory.address);
+
+    // The token deployed by the previous migration is administered by the deployer
+    var token = await SecurityToken.deployed();
+    await registry.register(token.address, accounts[0]);
+
+    for (var issuance of config.issuances) {
+      await factory.createToken(SecurityToken.binary, issuance.name, issuance.symbol, issuance.admin || accounts[0]);
+    }
+  });
+};
@@ -0,0 +1,51 @@
+'use strict';
+
+/**
+ * Rebuilds the cap table of a SecurityToken contract from its events, and reconciles
+ * it with the holder list and balances on the contract.
+ *
+ * Usage:
+ *   truffle exec scripts/captable.js [--token <address>] [--csv <file>] [--json <file>] [--infos <csv>] [--to-block <n>]
+ *
+ * Without `--token`, the deployed SecurityToken of the selected network is used.
+ * `--infos` takes an onboarding file, used to fill in the info column of the exports.
+ * The holder list is read from the first account of the node, which has to be an auditor.
+ */
+
+const SecurityToken = artifacts.require('SecurityToken');
+const captable = require('../lib/captable');
+const onboarding = require('../lib/onboarding');
+const cli = require('../lib/cli');
+
+cli.exposeWeb3(web3);
+
+module.exports = async function (callback) {
+    try {
+        let token = cli.option('token');
+        let tokenContract = token ? await SecurityToken.at(token) : await SecurityToken.deployed();
+        let toBlock = cli.option('to-block');
+        let capTable = await captable.replay(tokenContract, { toBlock: toBlock ? parseInt(toBlock, 10) : undefined });
+
+        let infos = {};
+        if (cli.option('infos')) {
+            infos = captable.infosByHash(await onboarding.readRows(cli.option('infos')));
+        }
+        if (cli.option('csv')) {
+            captable.exportCsv(cli.option('csv'), capTable, infos);
+        }
+        if (cli.option('json')) {
+            captable.exportJson(cli.option('json'), capTable, infos);
+        }
+
+        let report = { holders: captable.holders(capTable).length, totalSupply: capTable.totalSupply.toString() };
+        if (!toBlock) {
+            let accounts = await web3.eth.getAccounts();
+            report.discrepancies = await captable.reconcile(tokenContract, capTable, accounts[0]);
+            report.consistent = captable.isConsistent(report.discrepancies);
+        }
+        console.log(JSON.stringify(report, null, 2));
+        callback();
+    } catch (e) {
+        callback(e);
+    }
+};
@@ -0,0 +1,47 @@
+'use strict';
+
+/**
+ * Onboards the investors in a CSV file onto a SecurityToken contract.
+ *
+ * Usage:
+ *   truffle exec scripts/onboard.js --csv <file> [--checkpoint <json>] [--token <address>] [--dry-run]
+ *
+ * Without `--token`, the deployed SecurityToken of the selected network is used.
+ * Transactions are sent from the first account of the node.
+ */
+
+const SecurityToken = artifacts.require('SecurityToken');
+const onboarding = require('../lib/onboarding');
+const cli = require('../lib/cli');
+
+cli.exposeWeb3(web3);
+
+module.exports = async function (callback) {
+    try {
+        let file = cli.option('csv');
+        if (!file) {
+            throw Error('Please provide an onboarding file with --csv');
+        }
+
+        let token = cli.option('token');
+        let tokenContract = token ? await SecurityToken.at(token) : await SecurityToken.deployed();
+        let rows = await onboarding.readRows(file);
+        let checkpoint = cli.option('checkpoint');
+
+        if (cli.flag('dry-run')) {
+            let report = await onboarding.dryRun(tokenContract, rows, { checkpoint });
+            console.log(JSON.stringify(report, null, 2));
+            return callback();
+        }
+
+        let accounts = await web3.eth.getAccounts();
+        let summary = await onboarding.onboard(tokenContract, accounts[0], rows, { checkpoint });
+        console.log(JSON.stringify(summary, null, 2));
+        callback();
+    } catch (e) {
+        if (e.errors) {
+            console.log(JSON.stringify(e.errors, null, 2));
+        }
+        callback(e);
+    }
+};
@@ -0,0 +1,219 @@
+'use strict';
+
+const SecurityToken = artifacts.require('SecurityToken');
+const AdminApprovals = artifacts.require('AdminApprovals');
+const TransferRestrictionMock = artifacts.require('TransferRestrictionMock');
+let tokenContract;
+let approvalsContract;
+
+const assertRevert = require('./helpers/assertRevert');
+const hash = require('./helpers/hash');
+const time = require('./helpers/time');
+
+const DELAY = 3600;
+
+contract('Approvals', async (accounts) => {
+    const approvers = [accounts[6], accounts[7], accounts[8]];
+
+    before(async () => {
+        tokenContract = await SecurityToken.deployed();
+        approvalsContract = await AdminApprovals.new(tokenContract.address, approvers, 2, DELAY, { from: accounts[0] });
+
+        const infoHash = hash('Test');
+
+        // Whitelist accounts
+        await tokenContract.addVerified(accounts[1], infoHash, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addVerified(accounts[2], infoHash, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addVerified(accounts[3], infoHash, { from: accounts[0], gas: '1000000' });
+
+        // Issue shares
+        await tokenContract.issue(accounts[1], 100, { from: accounts[0], gas: '1000000' });
+        await tokenContract.issue(accounts[2], 200, { from: accounts[0], gas: '1000000' });
+
+        // Hand the guarded functions over to the approval manager
+        await tokenContract.addSuperAdmin(approvalsContract.address, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addComplianceOfficer(approvalsContract.address, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addIssuer(approvalsContract.address, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addTransferAgent(approvalsContract.address, { from: accounts[0], gas: '1000000' });
+        await tokenContract.setApprovalManager(approvalsContract.address, { from: accounts[0], gas: '1000000' });
+    });
+
+    it('should no longer allow the guarded functions to be called directly', async () => {
+        await assertRevert(tokenContract.burn(accounts[1], 50, { from: accounts[0], gas: '1000000' }), 'Action has to be approved through the approval manager');
+
+        await assertRevert(tokenContract.pause(1, 0, { from: accounts[0], gas: '1000000' }), 'Action has to be approved through the approval manager');
+    });
+
+    it('should only accept a contract as the approval manager', async () => {
+        const otherContract = await SecurityToken.new('Test', 'TST', { from: accounts[0] });
+
+        await assertRevert(otherContract.setApprovalManager(accounts[6], { from: accounts[0], gas: '1000000' }), 'Invalid approval manager provided');
+
+        await otherContract.setApprovalManager(approvalsContract.address, { from: accounts[0], gas: '1000000' });
+        assert.strictEqual(await otherContract.approvalManager(), approvalsContract.address);
+    });
+
+    it('should not allow the approval manager to be replaced directly', async () => {
+        await assertRevert(tokenContract.setApprovalManager(accounts[0], { from: accounts[0], gas: '1000000' }), 'Action has to be approved through the approval manager');
+    });
+
+    it('should not allow anybody else to propose actions', async () => {
+        const data = tokenContract.contract.methods.burn(accounts[1], 50).encodeABI();
+
+        await assertRevert(approvalsContract.propose(tokenContract.address, data, { from: accounts[0], gas: '1000000' }), 'Caller is not an approver');
+    });
+
+    it('should emit an event when proposing an action', async () => {
+        const data = tokenContract.contract.methods.burn(accounts[1], 50).encodeABI();
+        let result = await approvalsContract.propose(tokenContract.address, data, { from: approvers[0], gas: '1000000' });
+
+        assert.strictEqual(result.logs[0].event, 'ProposalCreated');
+        assert.strictEqual(result.logs[0].args.data, data);
+        assert.strictEqual(result.logs[1].event, 'ProposalApproved');
+    });
+
+    it('should not execute a proposal without enough approvals', async () => {
+        await time.increaseTime(DELAY);
+
+        await assertRevert(approvalsContract.executeProposal(0, { from: approvers[0], gas: '1000000' }), 'Proposal does not have enough approvals');
+    });
+
+    it('should not execute a proposal during its delay period', async () => {
+        const data = tokenContract.contract.methods.cancelAndReissue(accounts[2], accounts[3]).encodeABI();
+        await approvalsContract.propose(tokenContract.address, data, { from: approvers[0], gas: '1000000' });
+        await approvalsContract.approveProposal(1, { from: approvers[1], gas: '1000000' });
+
+        await assertRevert(approvalsContract.executeProposal(1, { from: approvers[0], gas: '1000000' }), 'Proposal is still in its delay period');
+    });
+
+    it('should execute a proposal with enough approvals after the delay', async () => {
+        let approved = await approvalsContract.approveProposal(0, { from: approvers[2], gas: '1000000' });
+        assert.strictEqual(approved.logs[1].event, 'ProposalThresholdReached');
+
+        // The delay runs from the approval that reached the threshold, not from the proposal
+        await assertRevert(approvalsContract.executeProposal(0, { from: approvers[1], gas: '1000000' }), 'Proposal is still in its delay period');
+
+        await time.increaseTime(DELAY);
+        let result = await approvalsContract.executeProposal(0, { from: approvers[1], gas: '1000000' });
+        let balance = await tokenContract.balanceOf.call(accounts[1]);
+
+        assert.strictEqual(result.logs[0].event, 'ProposalExecuted');
+        assert.strictEqual(balance.toString(), '50');
+    });
+
+    it('should not execute a proposal twice', async () => {
+        await assertRevert(approvalsContract.executeProposal(0, { from: approvers[1], gas: '1000000' }), 'Proposal is no longer pending');
+    });
+
+    it('should allow any approver to cancel a pending proposal', async () => {
+        let result = await approvalsContract.cancelProposal(1, { from: approvers[2], gas: '1000000' });
+        await time.increaseTime(DELAY);
+
+        assert.strictEqual(result.logs[0].event, 'ProposalCancelled');
+
+        await assertRevert(approvalsContract.executeProposal(1, { from: approvers[0], gas: '1000000' }), 'Proposal is no longer pending');
+        let balance = await tokenContract.balanceOf.call(accounts[2]);
+        assert.strictEqual(balance.toString(), '200');
+    });
+
+    it('should only change its configuration through a proposal', async () => {
+        await assertRevert(approvalsContract.changeThreshold(1, { from: approvers[0], gas: '1000000' }), 'Can only be called through an approved proposal');
+
+        const data = approvalsContract.contract.methods.changeThreshold(3).encodeABI();
+        await approvalsContract.propose(approvalsContract.address, data, { from: approvers[0], gas: '1000000' });
+        await approvalsContract.approveProposal(2, { from: approvers[1], gas: '1000000' });
+        await time.increaseTime(DELAY);
+        await approvalsContract.executeProposal(2, { from: approvers[0], gas: '1000000' });
+        let threshold = await approvalsContract.threshold();
+
+        assert.strictEqual(threshold.toString(), '3');
+    });
+
+    it('should guard removing rule modules', async () => {
+        const moduleContract = await TransferRestrictionMock.new(accounts[1], { from: accounts[0] });
+        await tokenContract.addTransferRestriction(moduleContract.address, { from: accounts[0], gas: '1000000' });
+
+        await assertRevert(tokenContract.removeTransferRestriction(moduleContract.address, { from: accounts[0], gas: '1000000' }), 'Action has to be approved through the approval manager');
+
+        const data = tokenContract.contract.methods.removeTransferRestriction(moduleContract.address).encodeABI();
+        await approvalsContract.propose(tokenContract.address, data, { from: approvers[0], gas: '1000000' });
+        await approvalsContract.approveProposal(3, { from: approvers[1], gas: '1000000' });
+        await approvalsContract.approveProposal(3, { from: approvers[2], gas: '1000000' });
+        await time.increaseTime(DELAY);
+        await approvalsContract.executeProposal(3, { from: approvers[2], gas: '1000000' });
+        let modules = await tokenContract.getTransferRestrictions();
+
+        assert.strictEqual(modules.length, 0);
+    });
+
+    it('should guard pausing and migrating as well', async () => {
+        const data = tokenContract.contract.methods.migrate().encodeABI();
+        await approvalsContract.propose(tokenContract.address, data, { from: approvers[0], gas: '1000000' });
+        await approvalsContract.approveProposal(4, { from: approvers[1], gas: '1000000' });
+        await approvalsContract.approveProposal(4, { from: approvers[2], gas: '1000000' });
+        await time.increaseTime(DELAY);
+        await approvalsContract.executeProposal(4, { from: approvers[2], gas: '1000000' });
+        let migrated = await tokenContract.migrated();
+
+        assert(migrated);
+    });
+
+    it('should not count the approvals of removed approvers', async () => {
+        const add = approvalsContract.contract.methods.addApprover(accounts[5]).encodeABI();
+        await approvalsContract.propose(approvalsContract.address, add, { from: approvers[0], gas: '1000000' });
+        await approvalsContract.approveProposal(5, { from: approvers[1], gas: '1000000' });
+        await approvalsContract.approveProposal(5, { from: approvers[2], gas: '1000000' });
+        await time.increaseTime(DELAY);
+        await approvalsContract.executeProposal(5, { from: approvers[0], gas: '1000000' });
+
+        const change = approvalsContract.contract.methods.changeDelay(DELAY * 2).encodeABI();
+        await approvalsContract.propose(approvalsContract.address, change, { from: accounts[5], gas: '1000000' });
+        await approvalsContract.approveProposal(6, { from: approvers[0], gas: '1000000' });
+
+        const remove = approvalsContract.contract.methods.removeApprover(accounts[5]).encodeABI();
+        await approvalsContract.propose(approvalsContract.address, remove, { from: approvers[0], gas: '1000000' });
+        await approvalsContract.approveProposal(7, { from: approvers[1], gas: '1000000' });
+        await approvalsContract.approveProposal(7, { from: approvers[2], gas: '1000000' });
+        await time.increaseTime(DELAY);
+        await approvalsContract.executeProposal(7, { from: approvers[0], gas: '1000000' });
+
+        assert.strictEqual((await approvalsContract.approvalCount(6)).toString(), '1');
+        assert(!(await approvalsContract.hasApproved(6, accounts[5])));
+
+        // Reaching the threshold without the removed approver starts the delay only now
+        await approvalsContract.approveProposal(6, { from: approvers[1], gas: '1000000' });
+        await approvalsContract.approveProposal(6, { from: approvers[2], gas: '1000000' });
+
+        await assertRevert(approvalsContract.executeProposal(6, { from: approvers[0], gas: '1000000' }), 'Proposal is still in its delay period');
+
+        await time.increaseTime(DELAY);
+        await approvalsContract.executeProposal(6, { from: approvers[0], gas: '1000000' });
+        let delay = await approvalsContract.delay();
+        let count = await approvalsContract.approverCount();
+
+        assert.strictEqual(delay.toString(), String(DELAY * 2));
+        assert.strictEqual(count.toString(), '3');
+    });
+
+    it('should start the delay once a proposal passes a lowered threshold', async () => {
+        const change = approvalsContract.contract.methods.changeDelay(DELAY).encodeABI();
+        await approvalsContract.propose(approvalsContract.address, change, { from: approvers[0], gas: '1000000' });
+        await approvalsContract.approveProposal(8, { from: approvers[1], gas: '1000000' });
+
+        const lower = approvalsContract.contract.methods.changeThreshold(1).encodeABI();
+        await approvalsContract.propose(approvalsContract.address, lower, { from: approvers[0], gas: '1000000' });
+        await approvalsContract.approveProposal(9, { from: approvers[1], gas: '1000000' });
+        await approvalsContract.approveProposal(9, { from: approvers[2], gas: '1000000' });
+        await time.increaseTime(DELAY * 2);
+        await approvalsContract.executeProposal(9, { from: approvers[0], gas: '1000000' });
+
+        let result = await approvalsContract.approveProposal(8, { from: approvers[2], gas: '1000000' });
+        assert.strictEqual(result.logs[1].event, 'ProposalThresholdReached');
+
+        await time.increaseTime(DELAY * 2);
+        await approvalsContract.executeProposal(8, { from: approvers[0], gas: '1000000' });
+        let delay = await approvalsContract.delay();
+
+        assert.strictEqual(delay.toString(), String(DELAY));
+    });
+});
@@ -0,0 +1,184 @@
+'use strict';
+
+const SecurityToken = artifacts.require('SecurityToken');
+const Redemptions = artifacts.require('Redemptions');
+const AdminApprovals = artifacts.require('AdminApprovals');
+let tokenContract;
+let startBlock;
+
+const auditlog = require('../lib/auditlog');
+const assertRevert = require('./helpers/assertRevert');
+const hash = require('./helpers/hash');
+const time = require('./helpers/time');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const csvFile = path.join(os.tmpdir(), 'auditlog-' + Date.now() + '.csv');
+
+const ZERO_BYTES = '0x0000000000000000000000000000000000000000000000000000000000000000';
+const TICKET = web3.utils.padRight(web3.utils.asciiToHex('TICKET-1001'), 64);
+const RESOLUTION = web3.utils.padRight(web3.utils.asciiToHex('BOARD-2024-07'), 64);
+
+contract('Admin actions', async (accounts) => {
+    before(async () => {
+        tokenContract = await SecurityToken.deployed();
+        startBlock = await web3.eth.getBlockNumber();
+    });
+
+    it('should only let holders of an administrative role act', async () => {
+        await assertRevert(auditlog.performAction(tokenContract, 'addVerified', [accounts[1], web3.utils.bytesToHex(hash('Test'))], 5, TICKET, { from: accounts[1], gas: '1000000' }), 'Caller does not hold an administrative role');
+    });
+
+    it('should require a reference to an off-chain record', async () => {
+        await assertRevert(auditlog.performAction(tokenContract, 'addVerified', [accounts[1], web3.utils.bytesToHex(hash('Test'))], 5, ZERO_BYTES, { from: accounts[0], gas: '1000000' }), 'Invalid action or record provided');
+    });
+
+    it('should only take actions the caller is allowed to take', async () => {
+        await tokenContract.addTransferAgent(accounts[8], { from: accounts[0], gas: '1000000' });
+        await assertRevert(auditlog.performAction(tokenContract, 'issue', [accounts[8], 100], 6, RESOLUTION, { from: accounts[8], gas: '1000000' }), 'Caller is not an issuer');
+    });
+
+    it('should take the action and record the reason and reference', async () => {
+        await auditlog.performAction(tokenContract, 'addVerified', [accounts[1], web3.utils.bytesToHex(hash('Test'))], 5, TICKET, { from: accounts[0], gas: '1000000' });
+        let result = await auditlog.performAction(tokenContract, 'issue', [accounts[1], 100], 6, RESOLUTION, { from: accounts[0], gas: '1000000' });
+        let balance = await tokenContract.balanceOf(accounts[1]);
+        let action = result.logs.find(log => log.event === 'AdminAction');
+
+        assert.strictEqual(balance.toString(), '100');
+        assert.strictEqual(result.logs[result.logs.length - 1], action);
+        assert.strictEqual(action.args.action.slice(0, 10), web3.eth.abi.encodeFunctionSignature('issue(address,uint256)'));
+        assert.strictEqual(action.args.reason.toNumber(), 6);
+        assert.strictEqual(action.args.record, RESOLUTION);
+        assert.strictEqual(action.args.sender, accounts[0]);
+    });
+
+    it('should produce a chronological audit log, flagging untagged actions', async () => {
+        await auditlog.performAction(tokenContract, 'lock', [accounts[1]], 7, TICKET, { from: accounts[0], gas: '1000000' });
+        await tokenContract.unlock(accounts[1], { from: accounts[0], gas: '1000000' });
+        await auditlog.performAction(tokenContract, 'burn', [accounts[1], 40], 5, TICKET, { from: accounts[0], gas: '1000000' });
+
+        let entries = await auditlog.build(tokenContract, { fromBlock: startBlock });
+        let actions = entries.map(entry => entry.action);
+        let untagged = auditlog.untagged(entries);
+
+        assert.deepEqual(actions, ['addTransferAgent', 'addVerified', 'issue', 'lock', 'unlock', 'burn']);
+        assert.strictEqual(entries[2].reason, 6);
+        assert.strictEqual(entries[2].reasonName, 'Corporate action');
+        assert.strictEqual(entries[2].record, RESOLUTION);
+        assert.strictEqual(entries[5].value, '40');
+        assert.strictEqual(untagged.length, 2);
+        assert.strictEqual(untagged[1].action, 'unlock');
+        assert.strictEqual(untagged[1].sender, accounts[0]);
+        assert(entries.every((entry, i) => i === 0 || entry.timestamp >= entries[i - 1].timestamp));
+    });
+
+    it('should record actions that emit events without data', async () => {
+        await tokenContract.addVerified(accounts[2], hash('Test'), { from: accounts[0], gas: '1000000' });
+
+        // Sent without truffle, which fails to decode events without data
+        await web3.eth.sendTransaction({
+            from: accounts[0],
+            to: tokenContract.address,
+            data: auditlog.encodeAction(tokenContract, 'removeVerified', [accounts[2]], 9, TICKET),
+            gas: '1000000',
+        });
+        await web3.eth.sendTransaction({
+            from: accounts[0],
+            to: tokenContract.address,
+            data: auditlog.encodeAction(tokenContract, 'addIssuer', [accounts[8]], 7, RESOLUTION),
+            gas: '1000000',
+        });
+
+        let entries = await auditlog.build(tokenContract, { fromBlock: startBlock });
+        let removed = entries[entries.length - 2];
+        let added = entries[entries.length - 1];
+
+        assert.strictEqual(entries[entries.length - 3].tagged, false);
+        assert.strictEqual(removed.action, 'removeVerified');
+        assert.strictEqual(removed.subject, accounts[2]);
+        assert.strictEqual(removed.reasonName, 'Error correction');
+        assert.strictEqual(removed.tagged, true);
+        assert.strictEqual(added.action, 'addIssuer');
+        assert.strictEqual(added.subject, accounts[8]);
+        assert.strictEqual(added.tagged, true);
+    });
+
+    it('should name the mints and burns of splits and redemptions after them', async () => {
+        let fromBlock = await web3.eth.getBlockNumber() + 1;
+        let redemptionsContract = await Redemptions.new(tokenContract.address, { from: accounts[0] });
+        await tokenContract.addIssuer(redemptionsContract.address, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addTransferRestriction(redemptionsContract.address, { from: accounts[0], gas: '1000000' });
+        await redemptionsContract.requestRedemption(10, { from: accounts[1], gas: '1000000' });
+        await redemptionsContract.acceptRedemption(0, hash('Payment'), { from: accounts[0], gas: '1000000' });
+
+        await auditlog.performAction(tokenContract, 'startSplit', [2, 1], 6, RESOLUTION, { from: accounts[0], gas: '1000000' });
+        await tokenContract.processSplit(10, { from: accounts[0], gas: '1000000' });
+
+        let entries = await auditlog.build(tokenContract, { fromBlock });
+        let actions = entries.map(entry => entry.action);
+        let split = entries.find(entry => entry.action === 'split');
+
+        assert.deepEqual(actions, ['addIssuer', 'addTransferRestriction', 'redemption', 'startSplit', 'split']);
+        assert.strictEqual(entries[2].value, '10');
+        assert.strictEqual(entries[3].record, RESOLUTION);
+        assert.strictEqual(split.subject, accounts[1]);
+        assert.strictEqual(split.value, '50');
+        assert.strictEqual(split.tagged, false);
+    });
+
+    it('should name the mints of an import after it', async () => {
+        let predecessorContract = await SecurityToken.new('Test', 'TST', { from: accounts[0] });
+        let successorContract = await SecurityToken.new('Test', 'TST', { from: accounts[0] });
+        await predecessorContract.addVerified(accounts[3], hash('Test 3'), { from: accounts[0], gas: '1000000' });
+        await predecessorContract.issue(accounts[3], 100, { from: accounts[0], gas: '1000000' });
+        await predecessorContract.migrate({ from: accounts[0], gas: '1000000' });
+        await predecessorContract.setSuccessor(successorContract.address, { from: accounts[0], gas: '1000000' });
+        await successorContract.setPredecessor(predecessorContract.address, { from: accounts[0], gas: '1000000' });
+
+        let fromBlock = await web3.eth.getBlockNumber() + 1;
+        await auditlog.performAction(successorContract, 'importHolders', [[web3.utils.bytesToHex(hash('Test 3'))]], 6, RESOLUTION, { from: accounts[0], gas: '1000000' });
+
+        let entries = await auditlog.build(successorContract, { fromBlock });
+        let minted = entries.find(entry => entry.value === '100');
+
+        assert(entries.length > 0);
+        assert(entries.every(entry => entry.action === 'import' && entry.tagged));
+        assert.strictEqual(minted.subject, accounts[3]);
+    });
+
+    it('should take actions through the approval manager', async () => {
+        const approvers = [accounts[6], accounts[7]];
+        let approvalsContract = await AdminApprovals.new(tokenContract.address, approvers, 1, 60, { from: accounts[0] });
+        await tokenContract.addIssuer(approvalsContract.address, { from: accounts[0], gas: '1000000' });
+        await tokenContract.setApprovalManager(approvalsContract.address, { from: accounts[0], gas: '1000000' });
+
+        let fromBlock = await web3.eth.getBlockNumber() + 1;
+        const data = auditlog.encodeAction(tokenContract, 'burn', [accounts[1], 20], 9, TICKET);
+        await approvalsContract.propose(tokenContract.address, data, { from: approvers[0], gas: '1000000' });
+        await time.increaseTime(60);
+        await approvalsContract.executeProposal(0, { from: approvers[1], gas: '1000000' });
+
+        let entries = await auditlog.build(tokenContract, { fromBlock });
+        let balance = await tokenContract.balanceOf(accounts[1]);
+
+        assert.strictEqual(balance.toString(), '80');
+        assert.strictEqual(entries.length, 1);
+        assert.strictEqual(entries[0].action, 'burn');
+        assert.strictEqual(entries[0].record, TICKET);
+        assert.strictEqual(entries[0].sender, approvalsContract.address);
+        assert.strictEqual(entries[0].tagged, true);
+    });
+
+    it('should export the audit log to CSV', async () => {
+        let entries = await auditlog.build(tokenContract, { fromBlock: startBlock });
+        auditlog.exportCsv(csvFile, entries);
+
+        let lines = fs.readFileSync(csvFile, 'utf8').split('\n');
+        fs.unlinkSync(csvFile);
+
+        assert.strictEqual(lines.length, entries.length + 1);
+        assert.strictEqual(lines[0].split(',')[3], 'action');
+        assert.strictEqual(lines[3].split(',')[3], 'issue');
+    });
+});
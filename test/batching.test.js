@@ -0,0 +1,83 @@
+'use strict';
+
+const SecurityToken = artifacts.require('SecurityToken');
+let tokenContract;
+
+const assertRevert = require('./helpers/assertRevert');
+const hash = require('./helpers/hash');
+
+contract('Batching', async (accounts) => {
+    before(async () => {
+        tokenContract = await SecurityToken.deployed();
+    });
+
+    it('should allow the administrator to whitelist a batch of accounts', async () => {
+        const infoHash = hash('Test');
+        let result = await tokenContract.addVerifiedBatch(
+            [accounts[1], accounts[2], accounts[3]],
+            [infoHash, infoHash, infoHash],
+            { from: accounts[0], gas: '1000000' }
+        );
+
+        let events = result.logs.filter(log => log.event === 'VerifiedAddressAdded');
+        assert.deepEqual(events.map(event => event.args.addr), [accounts[1], accounts[2], accounts[3]]);
+
+        for (let i = 1; i <= 3; i++) {
+            let verified = await tokenContract.isVerified.call(accounts[i]);
+            assert(verified);
+        }
+    });
+
+    it('should not allow anybody else to whitelist a batch of accounts', async () => {
+        await assertRevert(tokenContract.addVerifiedBatch([accounts[4]], [hash('Test')], { from: accounts[9], gas: '1000000' }), 'Caller is not a compliance officer');
+    });
+
+    it('should not whitelist any account of a batch with an empty hash', async () => {
+        await assertRevert(tokenContract.addVerifiedBatch([accounts[4], accounts[5]], [hash('Test'), '0x' + '0'.repeat(64)], { from: accounts[0], gas: '1000000' }), 'Invalid data hash provided');
+        let verified = await tokenContract.isVerified.call(accounts[4]);
+        assert(!verified);
+    });
+
+    it('should not whitelist a batch with mismatching array lengths', async () => {
+        await assertRevert(tokenContract.addVerifiedBatch([accounts[4], accounts[5]], [hash('Test')], { from: accounts[0], gas: '1000000' }), 'Array lengths are not identical');
+    });
+
+    it('should allow the administrator to issue tokens to a batch of accounts', async () => {
+        let result = await tokenContract.issueBatch([accounts[1], accounts[2]], [100, 200], { from: accounts[0], gas: '1000000' });
+        let events = result.logs.filter(log => log.event === 'Transfer');
+        let holderCount = await tokenContract.holderCount();
+        let balance1 = await tokenContract.balanceOf.call(accounts[1]);
+        let balance2 = await tokenContract.balanceOf.call(accounts[2]);
+
+        assert.strictEqual(events.length, 2);
+        assert.strictEqual(holderCount.toString(), '2');
+        assert.strictEqual(balance1.toString(), '100');
+        assert.strictEqual(balance2.toString(), '200');
+    });
+
+    it('should not issue any tokens of a batch containing an unverified account', async () => {
+        await assertRevert(tokenContract.issueBatch([accounts[3], accounts[9]], [100, 100], { from: accounts[0], gas: '1000000' }), 'Not a verified address');
+        let balance = await tokenContract.balanceOf.call(accounts[3]);
+        assert.strictEqual(balance.toString(), '0');
+    });
+
+    it('should not allow anybody else to issue tokens to a batch of accounts', async () => {
+        await assertRevert(tokenContract.issueBatch([accounts[3]], [100], { from: accounts[9], gas: '1000000' }), 'Caller is not an issuer');
+    });
+
+    it('should not whitelist a cancelled account in a batch', async () => {
+        await tokenContract.cancelAndReissue(accounts[2], accounts[3], { from: accounts[0], gas: '1000000' });
+
+        await assertRevert(tokenContract.addVerifiedBatch([accounts[4], accounts[2]], [hash('Test'), hash('Test')], { from: accounts[0], gas: '1000000' }), 'Given address is cancelled');
+        let verified = await tokenContract.isVerified.call(accounts[4]);
+        assert(!verified);
+    });
+
+    it('should no longer allow batches after migration', async () => {
+        await tokenContract.migrate({ from: accounts[0], gas: '1000000' });
+
+        await assertRevert(tokenContract.addVerifiedBatch([accounts[4]], [hash('Test')], { from: accounts[0], gas: '1000000' }), 'Token contract has been migrated and is no longer functional');
+
+        await assertRevert(tokenContract.issueBatch([accounts[1]], [100], { from: accounts[0], gas: '1000000' }), 'Token contract has been migrated and is no longer functional');
+    });
+});
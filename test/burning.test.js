@@ -3,6 +3,7 @@
 const SecurityToken = artifacts.require('SecurityToken');
 let tokenContract;
 
+const assertRevert = require('./helpers/assertRevert');
 const hash = require('./helpers/hash');
 
 contract('Burning', async (accounts) => {
@@ -29,20 +30,10 @@ contract('Burning', async (accounts) => {
     });
 
     it('should not allow the administrator to burn more than the account balance', async () => {
-        try {
-            await tokenContract.burn(accounts[2], 300, { from: accounts[0], gas: '1000000' });
-            assert(false);
-        } catch (e) {
-            assert(true);
-        }
+        await assertRevert(tokenContract.burn(accounts[2], 300, { from: accounts[0], gas: '1000000' }));
     });
 
     it('should not allow anybody else to call the burn function', async () => {
-        try {
-            await tokenContract.burn(accounts[2], 50, { from: accounts[0], gas: '1000000' });
-            assert(false);
-        } catch (e) {
-            assert(true);
-        }
+        await assertRevert(tokenContract.burn(accounts[2], 50, { from: accounts[3], gas: '1000000' }), 'Caller is not an issuer');
     });
 });
@@ -3,6 +3,7 @@
 const SecurityToken = artifacts.require('SecurityToken');
 let tokenContract;
 
+const assertRevert = require('./helpers/assertRevert');
 const hash = require('./helpers/hash');
 
 contract('Canceling/Reissuing', async (accounts) => {
@@ -55,12 +56,7 @@ contract('Canceling/Reissuing', async (accounts) => {
     });
 
     it('should not allow the admin to cancel and reissue to unverified accounts', async () => {
-        try {
-            await tokenContract.cancelAndReissue(accounts[1], accounts[9], { from: accounts[0], gas: '1000000' });
-            assert(false);
-        } catch (e) {
-            assert(true);
-        }
+        await assertRevert(tokenContract.cancelAndReissue(accounts[1], accounts[9], { from: accounts[0], gas: '1000000' }), 'Not a verified address');
     });
 
     it('should not allow the admin to cancel and reissue for an account that holds no tokens', async () => {
@@ -68,41 +64,21 @@ contract('Canceling/Reissuing', async (accounts) => {
         await tokenContract.addVerified(accounts[4], infoHash, { from: accounts[0], gas: '1000000' });
         await tokenContract.addVerified(accounts[5], infoHash, { from: accounts[0], gas: '1000000' });
 
-        try {
-            await tokenContract.cancelAndReissue(accounts[4], accounts[5], { from: accounts[0], gas: '1000000' });
-            assert(false);
-        } catch (e) {
-            assert(true);
-        }
+        await assertRevert(tokenContract.cancelAndReissue(accounts[4], accounts[5], { from: accounts[0], gas: '1000000' }), 'Given address is not a shareholder');
     });
 
     it('should not allow the admin to cancel and reissue to an account that holds tokens already', async () => {
         await tokenContract.issue(accounts[4], 100, { from: accounts[0], gas: '1000000' });
         
-        try {
-            await tokenContract.cancelAndReissue(accounts[4], accounts[3], { from: accounts[0], gas: '1000000' });
-            assert(false);
-        } catch (e) {
-            assert(true);
-        }
+        await assertRevert(tokenContract.cancelAndReissue(accounts[4], accounts[3], { from: accounts[0], gas: '1000000' }), 'Given address is a shareholder');
     });
     
     it('should not allow anybody else to call the cancel and reissue function', async () => {
-        try {
-            await tokenContract.cancelAndReissue(accounts[1], accounts[8], { from: accounts[9], gas: '1000000' });
-            assert(false);
-        } catch (e) {
-            assert(true);
-        }
+        await assertRevert(tokenContract.cancelAndReissue(accounts[1], accounts[8], { from: accounts[9], gas: '1000000' }), 'Caller is not a transfer agent');
     });
 
     it('should not allow the admin to re-verify a canceled address', async () => {
         const infoHash = hash('Test');
-        try {
-            await tokenContract.addVerified(accounts[2], infoHash, { from: accounts[0], gas: '1000000' });
-            assert(false);
-        } catch (e) {
-            assert(true);
-        }
+        await assertRevert(tokenContract.addVerified(accounts[2], infoHash, { from: accounts[0], gas: '1000000' }), 'Given address is cancelled');
     });
 });
@@ -0,0 +1,146 @@
+'use strict';
+
+const SecurityToken = artifacts.require('SecurityToken');
+let tokenContract;
+
+const captable = require('../lib/captable');
+const onboarding = require('../lib/onboarding');
+const hash = require('./helpers/hash');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const csvFile = path.join(os.tmpdir(), 'captable-' + Date.now() + '.csv');
+const jsonFile = path.join(os.tmpdir(), 'captable-' + Date.now() + '.json');
+
+contract('Cap table', async (accounts) => {
+    let issuedAt;
+
+    before(async () => {
+        tokenContract = await SecurityToken.deployed();
+
+        // Whitelist accounts
+        await tokenContract.addVerified(accounts[1], hash('Investor 1'), { from: accounts[0], gas: '1000000' });
+        await tokenContract.addVerified(accounts[2], hash('Investor 2'), { from: accounts[0], gas: '1000000' });
+        await tokenContract.addVerified(accounts[3], hash('Investor 3'), { from: accounts[0], gas: '1000000' });
+
+        // Issue shares
+        await tokenContract.issue(accounts[1], 100, { from: accounts[0], gas: '1000000' });
+        let result = await tokenContract.issue(accounts[2], 200, { from: accounts[0], gas: '1000000' });
+        issuedAt = result.receipt.blockNumber;
+
+        // Move shares around
+        await tokenContract.transfer(accounts[3], 40, { from: accounts[1], gas: '1000000' });
+        await tokenContract.lock(accounts[2], { from: accounts[0], gas: '1000000' });
+    });
+
+    after(() => {
+        for (let file of [csvFile, jsonFile]) {
+            if (fs.existsSync(file)) {
+                fs.unlinkSync(file);
+            }
+        }
+    });
+
+    it('should rebuild the balances and state of every address', async () => {
+        let capTable = await captable.replay(tokenContract);
+        let holder = capTable.addresses[accounts[1].toLowerCase()];
+
+        assert.strictEqual(captable.holders(capTable).length, 3);
+        assert.strictEqual(capTable.totalSupply.toString(), '300');
+        assert.strictEqual(holder.balance.toString(), '60');
+        assert.strictEqual(holder.hash, web3.utils.bytesToHex(hash('Investor 1')));
+        assert(holder.verified);
+        assert(capTable.addresses[accounts[2].toLowerCase()].locked);
+    });
+
+    it('should keep the history of every address', async () => {
+        let capTable = await captable.replay(tokenContract);
+        let history = capTable.addresses[accounts[1].toLowerCase()].history;
+
+        assert.deepEqual(history.map(record => record.event), ['VerifiedAddressAdded', 'Transfer', 'Transfer']);
+        assert.strictEqual(history[2].to, accounts[3]);
+        assert.strictEqual(history[2].value, '40');
+    });
+
+    it('should rebuild the cap table at an earlier block', async () => {
+        let capTable = await captable.replay(tokenContract, { toBlock: issuedAt });
+
+        assert.strictEqual(captable.holders(capTable).length, 2);
+        assert.strictEqual(capTable.addresses[accounts[1].toLowerCase()].balance.toString(), '100');
+        assert(!capTable.addresses[accounts[2].toLowerCase()].locked);
+    });
+
+    it('should match the contract', async () => {
+        let capTable = await captable.replay(tokenContract);
+        let discrepancies = await captable.reconcile(tokenContract, capTable, accounts[0]);
+
+        assert(captable.isConsistent(discrepancies));
+    });
+
+    it('should export the cap table in the layout of an onboarding file', async () => {
+        let capTable = await captable.replay(tokenContract);
+        let infos = captable.infosByHash([{ info: 'Investor 1' }, { info: 'Investor 2' }]);
+        captable.exportCsv(csvFile, capTable, infos);
+        let rows = await onboarding.readRows(csvFile);
+
+        assert.strictEqual(rows.length, 3);
+        assert.strictEqual(onboarding.validate(rows).length, 0);
+        assert.strictEqual(rows[0].address, accounts[1]);
+        assert.strictEqual(rows[0].info, 'Investor 1');
+        assert.strictEqual(rows[0].balance, '60');
+        assert.strictEqual(rows[2].info, web3.utils.bytesToHex(hash('Investor 3')));
+    });
+
+    it('should quote info fields with commas, quotes or line breaks in the CSV export', async () => {
+        let capTable = await captable.replay(tokenContract);
+        let info = 'Doe, Jane "JD"\nLondon';
+        let infos = { [web3.utils.bytesToHex(hash('Investor 1'))]: info };
+        captable.exportCsv(csvFile, capTable, infos);
+        let rows = await onboarding.readRows(csvFile);
+
+        assert.strictEqual(rows.length, 3);
+        assert.strictEqual(rows[0].info, info);
+        assert.strictEqual(rows[0].balance, '60');
+        assert.strictEqual(captable.csvLine(['a', 'b,c', 'd"e']), 'a,"b,c","d""e"');
+    });
+
+    it('should export the cap table and its history as JSON', async () => {
+        let capTable = await captable.replay(tokenContract);
+        captable.exportJson(jsonFile, capTable);
+        let data = JSON.parse(fs.readFileSync(jsonFile));
+
+        assert.strictEqual(data.totalSupply, '300');
+        assert.strictEqual(data.holders.length, 3);
+        assert.strictEqual(data.addresses.length, 3);
+        assert.strictEqual(data.addresses[1].history.length, 3);
+    });
+
+    it('should report a holder that is dropped from the holder list when sending its balance to itself', async () => {
+        await tokenContract.transfer(accounts[3], 40, { from: accounts[3], gas: '1000000' });
+        let capTable = await captable.replay(tokenContract);
+        let discrepancies = await captable.reconcile(tokenContract, capTable, accounts[0]);
+
+        assert(!captable.isConsistent(discrepancies));
+        assert.deepEqual(discrepancies.missingHolders, [accounts[3]]);
+        assert.deepEqual(discrepancies.holderCount, { expected: 3, actual: 2 });
+        assert.strictEqual(discrepancies.balanceMismatches.length, 0);
+    });
+
+    it('should report paused and migrated tokens', async () => {
+        await tokenContract.pause(3, 1, { from: accounts[0], gas: '1000000' });
+        await tokenContract.unpause(2, 2, { from: accounts[0], gas: '1000000' });
+        let capTable = await captable.replay(tokenContract);
+
+        assert.strictEqual(capTable.pausedScopes, 1);
+        assert(!capTable.migrated);
+
+        await tokenContract.migrate({ from: accounts[0], gas: '1000000' });
+        capTable = await captable.replay(tokenContract);
+
+        assert.strictEqual(capTable.pausedScopes, 15);
+        assert(capTable.migrated);
+        assert.deepEqual(capTable.history.map(record => record.event), ['Paused', 'Unpaused', 'Migrate']);
+        assert.strictEqual(capTable.history[0].reason, 1);
+    });
+});
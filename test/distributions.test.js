@@ -0,0 +1,150 @@
+'use strict';
+
+const SecurityToken = artifacts.require('SecurityToken');
+const Distributions = artifacts.require('Distributions');
+const ERC20Mock = artifacts.require('ERC20Mock');
+const LockupRestriction = artifacts.require('LockupRestriction');
+let tokenContract;
+let distributionsContract;
+let assetContract;
+
+const assertRevert = require('./helpers/assertRevert');
+const hash = require('./helpers/hash');
+const time = require('./helpers/time');
+
+const DAY = 86400;
+
+async function etherBalance(addr) {
+    return web3.utils.toBN(await web3.eth.getBalance(addr));
+}
+
+contract('Distributions', async (accounts) => {
+    before(async () => {
+        tokenContract = await SecurityToken.deployed();
+        distributionsContract = await Distributions.new(tokenContract.address, { from: accounts[0] });
+        assetContract = await ERC20Mock.new(accounts[0], 10000, { from: accounts[0] });
+
+        const infoHash = hash('Test');
+
+        // Whitelist accounts
+        await tokenContract.addVerified(accounts[1], infoHash, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addVerified(accounts[2], infoHash, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addVerified(accounts[3], infoHash, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addVerified(accounts[4], infoHash, { from: accounts[0], gas: '1000000' });
+
+        // Issue shares
+        await tokenContract.issue(accounts[1], 100, { from: accounts[0], gas: '1000000' });
+        await tokenContract.issue(accounts[2], 300, { from: accounts[0], gas: '1000000' });
+
+        // The distributions contract resolves superseded addresses
+        await tokenContract.addAuditor(distributionsContract.address, { from: accounts[0], gas: '1000000' });
+        await tokenContract.snapshot({ from: accounts[0], gas: '1000000' });
+    });
+
+    it('should not allow anybody else to distribute', async () => {
+        const now = await time.latestTime();
+
+        await assertRevert(distributionsContract.distributeEther(1, now + DAY, { from: accounts[9], value: 4000, gas: '1000000' }), 'Caller is not an issuer');
+    });
+
+    it('should not distribute against an unknown snapshot', async () => {
+        const now = await time.latestTime();
+
+        await assertRevert(distributionsContract.distributeEther(2, now + DAY, { from: accounts[0], value: 4000, gas: '1000000' }), 'Unknown snapshot');
+    });
+
+    it('should allow the issuer to distribute ETH against a snapshot', async () => {
+        const now = await time.latestTime();
+        let result = await distributionsContract.distributeEther(1, now + DAY, { from: accounts[0], value: 4000, gas: '1000000' });
+
+        assert.strictEqual(result.logs[0].event, 'DistributionCreated');
+        assert.strictEqual(result.logs[0].args.amount.toString(), '4000');
+    });
+
+    it('should pay shareholders pro-rata to their balance at the snapshot', async () => {
+        // Balances after the snapshot do not count
+        await tokenContract.transfer(accounts[3], 100, { from: accounts[2], gas: '1000000' });
+
+        let claimable = await distributionsContract.claimableAmount.call(0, accounts[2]);
+        let before = await etherBalance(accounts[2]);
+        let result = await distributionsContract.claim(0, accounts[2], { from: accounts[0], gas: '1000000' });
+        let after = await etherBalance(accounts[2]);
+        let nothing = await distributionsContract.claimableAmount.call(0, accounts[3]);
+
+        assert.strictEqual(claimable.toString(), '3000');
+        assert.strictEqual(after.sub(before).toString(), '3000');
+        assert.strictEqual(result.logs[0].event, 'Claimed');
+        assert.strictEqual(nothing.toString(), '0');
+    });
+
+    it('should not pay a share twice', async () => {
+        await assertRevert(distributionsContract.claim(0, accounts[2], { from: accounts[0], gas: '1000000' }), 'Share has been claimed already');
+    });
+
+    it('should pay the share of a superseded address to its replacement', async () => {
+        await tokenContract.cancelAndReissue(accounts[1], accounts[4], { from: accounts[0], gas: '1000000' });
+
+        let before = await etherBalance(accounts[4]);
+        let result = await distributionsContract.claim(0, accounts[1], { from: accounts[0], gas: '1000000' });
+        let after = await etherBalance(accounts[4]);
+
+        assert.strictEqual(result.logs[0].args.payee, accounts[4]);
+        assert.strictEqual(after.sub(before).toString(), '1000');
+    });
+
+    it('should distribute ERC-20 tokens', async () => {
+        const now = await time.latestTime();
+        await tokenContract.snapshot({ from: accounts[0], gas: '1000000' });
+        await assetContract.approve(distributionsContract.address, 900, { from: accounts[0], gas: '1000000' });
+        await distributionsContract.distributeTokens(2, assetContract.address, 900, now + DAY, { from: accounts[0], gas: '1000000' });
+
+        await distributionsContract.claim(1, accounts[3], { from: accounts[3], gas: '1000000' });
+        let balance = await assetContract.balanceOf.call(accounts[3]);
+
+        assert.strictEqual(balance.toString(), '225');
+    });
+
+    it('should withhold the shares of locked addresses if the policy says so', async () => {
+        const now = await time.latestTime();
+        await distributionsContract.setPolicy(true, true, { from: accounts[0], gas: '1000000' });
+        await distributionsContract.distributeEther(2, now + DAY, { from: accounts[0], value: 400, gas: '1000000' });
+        await tokenContract.lock(accounts[2], { from: accounts[0], gas: '1000000' });
+
+        await assertRevert(distributionsContract.claim(2, accounts[2], { from: accounts[0], gas: '1000000' }), 'Share of a locked address is withheld');
+
+        // The ERC-20 distribution was created under the previous policy
+        await distributionsContract.claim(1, accounts[2], { from: accounts[0], gas: '1000000' });
+        await tokenContract.unlock(accounts[2], { from: accounts[0], gas: '1000000' });
+        await distributionsContract.claim(2, accounts[2], { from: accounts[0], gas: '1000000' });
+    });
+
+    it('should not allow reclaiming before the deadline', async () => {
+        await assertRevert(distributionsContract.reclaim(2, { from: accounts[0], gas: '1000000' }), 'Distribution has not ended yet');
+    });
+
+    it('should allow the issuer to reclaim unclaimed funds after the deadline', async () => {
+        await time.increaseTime(DAY);
+
+        await assertRevert(distributionsContract.claim(2, accounts[3], { from: accounts[0], gas: '1000000' }), 'Distribution has ended');
+
+        let result = await distributionsContract.reclaim(2, { from: accounts[0], gas: '1000000' });
+        assert.strictEqual(result.logs[0].event, 'Reclaimed');
+        assert.strictEqual(result.logs[0].args.amount.toString(), '200');
+    });
+
+    it('should not withhold the shares of addresses with a lockup', async () => {
+        let lockupContract = await LockupRestriction.new(tokenContract.address, { from: accounts[0] });
+        await tokenContract.addTransferRestriction(lockupContract.address, { from: accounts[0], gas: '1000000' });
+
+        const now = await time.latestTime();
+        await lockupContract.addLockup(accounts[4], 100, now + 30 * DAY, { from: accounts[0], gas: '1000000' });
+        await tokenContract.snapshot({ from: accounts[0], gas: '1000000' });
+        await distributionsContract.distributeEther(3, now + DAY, { from: accounts[0], value: 400, gas: '1000000' });
+
+        let before = await etherBalance(accounts[4]);
+        await distributionsContract.claim(3, accounts[4], { from: accounts[0], gas: '1000000' });
+        let after = await etherBalance(accounts[4]);
+
+        assert.strictEqual(after.sub(before).toString(), '100');
+    });
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+const SecurityToken = artifacts.require('SecurityToken');
+const DocumentRegistry = artifacts.require('DocumentRegistry');
+let tokenContract;
+let documentsContract;
+
+const assertRevert = require('./helpers/assertRevert');
+const hash = require('./helpers/hash');
+const time = require('./helpers/time');
+
+const DAY = 86400;
+
+const PROSPECTUS = web3.utils.padRight(web3.utils.asciiToHex('prospectus'), 64);
+const ARTICLES = web3.utils.padRight(web3.utils.asciiToHex('articles'), 64);
+
+contract('Documents', async (accounts) => {
+    let firstVersionAt;
+
+    before(async () => {
+        tokenContract = await SecurityToken.deployed();
+        documentsContract = await DocumentRegistry.new(tokenContract.address, { from: accounts[0] });
+    });
+
+    it('should not allow anybody else to set documents', async () => {
+        await assertRevert(documentsContract.setDocument(PROSPECTUS, 'ipfs://prospectus-v1', hash('Prospectus v1'), { from: accounts[1], gas: '1000000' }), 'Caller is not a super-admin');
+    });
+
+    it('should not set documents without a URI or hash', async () => {
+        await assertRevert(documentsContract.setDocument(PROSPECTUS, '', hash('Prospectus v1'), { from: accounts[0], gas: '1000000' }), 'Invalid document URI provided');
+
+        await assertRevert(documentsContract.setDocument(PROSPECTUS, 'ipfs://prospectus-v1', '0x0', { from: accounts[0], gas: '1000000' }), 'Invalid document hash provided');
+    });
+
+    it('should allow super-admins to set documents', async () => {
+        let result = await documentsContract.setDocument(PROSPECTUS, 'ipfs://prospectus-v1', hash('Prospectus v1'), { from: accounts[0], gas: '1000000' });
+        await documentsContract.setDocument(ARTICLES, 'ipfs://articles', hash('Articles'), { from: accounts[0], gas: '1000000' });
+        firstVersionAt = await time.latestTime();
+
+        let document = await documentsContract.getDocument(PROSPECTUS);
+        let names = await documentsContract.getAllDocuments();
+
+        assert.strictEqual(result.logs[0].event, 'DocumentUpdated');
+        assert.strictEqual(result.logs[0].args.uri, 'ipfs://prospectus-v1');
+        assert.strictEqual(document[0], 'ipfs://prospectus-v1');
+        assert.strictEqual(document[1], web3.utils.bytesToHex(hash('Prospectus v1')));
+        assert.deepEqual(names, [PROSPECTUS, ARTICLES]);
+    });
+
+    it('should keep the versions of a document', async () => {
+        await time.increaseTime(DAY);
+        await documentsContract.setDocument(PROSPECTUS, 'ipfs://prospectus-v2', hash('Prospectus v2'), { from: accounts[0], gas: '1000000' });
+
+        let count = await documentsContract.documentVersionCount(PROSPECTUS);
+        let current = await documentsContract.getDocument(PROSPECTUS);
+        let first = await documentsContract.getDocumentVersion(PROSPECTUS, 0);
+
+        assert.strictEqual(count.toString(), '2');
+        assert.strictEqual(current[0], 'ipfs://prospectus-v2');
+        assert.strictEqual(first[0], 'ipfs://prospectus-v1');
+        assert.strictEqual((await documentsContract.getAllDocuments()).length, 2);
+    });
+
+    it('should return the version that applied at a given time', async () => {
+        let before = await documentsContract.getDocumentAt(PROSPECTUS, firstVersionAt - DAY);
+        let then = await documentsContract.getDocumentAt(PROSPECTUS, firstVersionAt + 1);
+        let now = await documentsContract.getDocumentAt(PROSPECTUS, firstVersionAt + DAY + 60);
+
+        assert.strictEqual(before[0], '');
+        assert.strictEqual(then[0], 'ipfs://prospectus-v1');
+        assert.strictEqual(now[0], 'ipfs://prospectus-v2');
+    });
+
+    it('should allow super-admins to remove documents', async () => {
+        await assertRevert(documentsContract.removeDocument(PROSPECTUS, { from: accounts[1], gas: '1000000' }), 'Caller is not a super-admin');
+
+        let result = await documentsContract.removeDocument(PROSPECTUS, { from: accounts[0], gas: '1000000' });
+        let names = await documentsContract.getAllDocuments();
+        let latest = await documentsContract.getDocumentAt(PROSPECTUS, await time.latestTime());
+
+        assert.strictEqual(result.logs[0].event, 'DocumentRemoved');
+        assert.strictEqual(result.logs[0].args.uri, 'ipfs://prospectus-v2');
+        assert.deepEqual(names, [ARTICLES]);
+        assert.strictEqual(latest[0], '');
+        assert.strictEqual((await documentsContract.documentVersionCount(PROSPECTUS)).toString(), '3');
+
+        await assertRevert(documentsContract.getDocument(PROSPECTUS), 'Unknown document');
+    });
+});
@@ -0,0 +1,109 @@
+'use strict';
+
+const SecurityToken = artifacts.require('SecurityToken');
+const RegisterReader = artifacts.require('RegisterReader');
+let tokenContract;
+let readerContract;
+
+const assertRevert = require('./helpers/assertRevert');
+const hash = require('./helpers/hash');
+const time = require('./helpers/time');
+
+const DAY = 86400;
+
+contract('Verification expiry', async (accounts) => {
+    before(async () => {
+        tokenContract = await SecurityToken.deployed();
+        readerContract = await RegisterReader.new(tokenContract.address, { from: accounts[0] });
+        await tokenContract.addAuditor(readerContract.address, { from: accounts[0], gas: '1000000' });
+
+        // Whitelist and issue shares to an account that does not expire
+        await tokenContract.addVerified(accounts[1], hash('Test'), { from: accounts[0], gas: '1000000' });
+        await tokenContract.issue(accounts[1], 100, { from: accounts[0], gas: '1000000' });
+    });
+
+    it('should not allow an expiry in the past', async () => {
+        const now = await time.latestTime();
+
+        await assertRevert(tokenContract.addVerifiedUntil(accounts[2], hash('Test'), now - 1, { from: accounts[0], gas: '1000000' }), 'Invalid expiry provided');
+        let verified = await tokenContract.isVerified.call(accounts[2]);
+        assert(!verified);
+    });
+
+    it('should allow the compliance officer to whitelist an account until a given time', async () => {
+        const now = await time.latestTime();
+        let result = await tokenContract.addVerifiedUntil(accounts[2], hash('Test'), now + 30 * DAY, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addVerifiedUntil(accounts[3], hash('Test'), now + 90 * DAY, { from: accounts[0], gas: '1000000' });
+        await tokenContract.issue(accounts[2], 100, { from: accounts[0], gas: '1000000' });
+        let verified = await tokenContract.isVerified.call(accounts[2]);
+        let expiry = await tokenContract.verificationExpiry.call(accounts[2]);
+
+        assert.strictEqual(result.logs[0].event, 'VerifiedAddressAdded');
+        assert.strictEqual(result.logs[1].event, 'VerificationExpirySet');
+        assert.strictEqual(expiry.toString(), (now + 30 * DAY).toString());
+        assert(verified);
+    });
+
+    it('should list the holders whose verification is about to lapse', async () => {
+        const now = await time.latestTime();
+        await tokenContract.issue(accounts[3], 100, { from: accounts[0], gas: '1000000' });
+
+        let soon = await readerContract.holdersExpiringBefore.call(now + 60 * DAY, 0, 10);
+        let later = await readerContract.holdersExpiringBefore.call(now + 120 * DAY, 0, 10);
+        let page = await readerContract.holdersExpiringBefore.call(now + 120 * DAY, 2, 10);
+
+        assert.deepEqual(soon, [accounts[2]]);
+        assert.deepEqual(later, [accounts[2], accounts[3]]);
+        assert.deepEqual(page, [accounts[3]]);
+    });
+
+    it('should not list expiring holders to anybody else', async () => {
+        await assertRevert(readerContract.holdersExpiringBefore.call(0, 0, 10, { from: accounts[9] }), 'Caller is not an auditor');
+    });
+
+    it('should no longer treat an address as verified after its expiry', async () => {
+        await time.increaseTime(31 * DAY);
+        let verified = await tokenContract.isVerified.call(accounts[2]);
+        let code = await tokenContract.detectTransferRestriction.call(accounts[1], accounts[2], 10);
+
+        assert(!verified);
+        assert.strictEqual(code.toString(), '7');
+    });
+
+    it('should not allow transfers or issuance to an expired address', async () => {
+        await assertRevert(tokenContract.transfer(accounts[2], 10, { from: accounts[1], gas: '1000000' }), 'Verification of the receiver has expired');
+
+        await assertRevert(tokenContract.issue(accounts[2], 10, { from: accounts[0], gas: '1000000' }), 'Not a verified address');
+        let balance = await tokenContract.balanceOf.call(accounts[2]);
+        assert.strictEqual(balance.toString(), '100');
+    });
+
+    it('should still allow an expired address to send tokens', async () => {
+        await tokenContract.transfer(accounts[1], 10, { from: accounts[2], gas: '1000000' });
+        let balance = await tokenContract.balanceOf.call(accounts[2]);
+
+        assert.strictEqual(balance.toString(), '90');
+    });
+
+    it('should allow the compliance officer to re-verify an expired address', async () => {
+        const now = await time.latestTime();
+        let result = await tokenContract.updateVerifiedUntil(accounts[2], hash('Test'), now + 365 * DAY, { from: accounts[0], gas: '1000000' });
+        let verified = await tokenContract.isVerified.call(accounts[2]);
+
+        assert.strictEqual(result.logs[0].event, 'VerifiedAddressUpdated');
+        assert.strictEqual(result.logs[1].event, 'VerificationExpirySet');
+        assert(verified);
+
+        await tokenContract.transfer(accounts[2], 10, { from: accounts[1], gas: '1000000' });
+    });
+
+    it('should allow the compliance officer to remove an expiry', async () => {
+        await tokenContract.updateVerifiedUntil(accounts[3], hash('Test 2'), 0, { from: accounts[0], gas: '1000000' });
+        await time.increaseTime(90 * DAY);
+        let verified = await tokenContract.isVerified.call(accounts[3]);
+        let check = await tokenContract.hasHash.call(accounts[3], hash('Test 2'));
+
+        assert(verified);
+        assert(check);
+    });
+});
@@ -0,0 +1,109 @@
+'use strict';
+
+const SecurityToken = artifacts.require('SecurityToken');
+const TokenRegistry = artifacts.require('TokenRegistry');
+const TokenFactory = artifacts.require('TokenFactory');
+let tokenContract;
+let registryContract;
+let factoryContract;
+
+const ACTIVE = 0;
+const PAUSED = 1;
+const MIGRATED = 2;
+
+const assertRevert = require('./helpers/assertRevert');
+
+contract('Factory', async (accounts) => {
+    const admin = accounts[1];
+    let created;
+
+    before(async () => {
+        tokenContract = await SecurityToken.deployed();
+        registryContract = await TokenRegistry.deployed();
+        factoryContract = await TokenFactory.deployed();
+    });
+
+    it('should register the token deployed by the migrations', async () => {
+        let count = await registryContract.tokenCount();
+        let registered = await registryContract.tokenAt(0);
+        let entry = await registryContract.getToken(tokenContract.address);
+
+        assert.strictEqual(count.toNumber(), 1);
+        assert.strictEqual(registered, tokenContract.address);
+        assert.strictEqual(entry[0], accounts[0]);
+        assert.strictEqual(entry[3].toNumber(), ACTIVE);
+    });
+
+    it('should deploy a configured token and hand it over to the admin', async () => {
+        let result = await factoryContract.createToken(SecurityToken.binary, 'Class A', 'CLA', admin, { from: accounts[0], gas: '8000000' });
+        created = await SecurityToken.at(result.logs[0].args.token);
+
+        assert.strictEqual(result.logs[0].event, 'TokenCreated');
+        assert.strictEqual(await created.name(), 'Class A');
+        assert.strictEqual(await created.symbol(), 'CLA');
+        assert(await created.isSuperAdmin(admin));
+        assert(await created.isComplianceOfficer(admin));
+        assert(await created.isIssuer(admin));
+        assert(await created.isTransferAgent(admin));
+        assert(await created.isAuditor(admin));
+        assert(!(await created.isSuperAdmin(factoryContract.address)));
+        assert(!(await created.isIssuer(factoryContract.address)));
+    });
+
+    it('should allow the admin to operate the token', async () => {
+        await created.addVerified(accounts[2], '0x' + '01'.repeat(32), { from: admin, gas: '1000000' });
+        await created.issue(accounts[2], 100, { from: admin, gas: '1000000' });
+        let balance = await created.balanceOf.call(accounts[2]);
+
+        assert.strictEqual(balance.toString(), '100');
+    });
+
+    it('should find tokens by issuer and symbol', async () => {
+        await factoryContract.createToken(SecurityToken.binary, 'Class B', 'CLB', admin, { from: accounts[0], gas: '8000000' });
+        let ofAdmin = await registryContract.tokensOf(admin);
+        let bySymbol = await registryContract.tokensBySymbol('CLA');
+
+        assert.strictEqual(ofAdmin.length, 2);
+        assert.strictEqual(ofAdmin[0], created.address);
+        assert.deepEqual(bySymbol, [created.address]);
+        assert.strictEqual((await registryContract.tokensBySymbol('XYZ')).length, 0);
+    });
+
+    it('should not deploy other code than the SecurityToken build', async () => {
+        const Migrations = artifacts.require('Migrations');
+
+        await assertRevert(factoryContract.createToken(Migrations.bytecode, 'Class C', 'CLC', admin, { from: accounts[0], gas: '8000000' }), 'Code does not match the SecurityToken build');
+    });
+
+    it('should only deploy tokens for the owner', async () => {
+        await assertRevert(factoryContract.createToken(SecurityToken.binary, 'Class C', 'CLC', admin, { from: admin, gas: '8000000' }));
+    });
+
+    it('should only register tokens for factories and the owner', async () => {
+        let token = await SecurityToken.new('Class D', 'CLD', { from: admin });
+
+        await assertRevert(registryContract.register(token.address, admin, { from: admin, gas: '1000000' }), 'Caller is not a factory or the owner');
+
+        await registryContract.register(token.address, admin, { from: accounts[0], gas: '1000000' });
+
+        await assertRevert(registryContract.register(token.address, admin, { from: accounts[0], gas: '1000000' }), 'Token has been registered already');
+    });
+
+    it('should follow the status and successor of a token', async () => {
+        await created.pause(1, 0, { from: admin, gas: '1000000' });
+
+        assert.strictEqual((await registryContract.statusOf(created.address)).toNumber(), PAUSED);
+        assert.deepEqual(await registryContract.tokensByStatus(PAUSED), [created.address]);
+
+        let result = await factoryContract.createToken(SecurityToken.binary, 'Class A', 'CLA', admin, { from: accounts[0], gas: '8000000' });
+        let successor = result.logs[0].args.token;
+        await created.migrate({ from: admin, gas: '1000000' });
+        await created.setSuccessor(successor, { from: admin, gas: '1000000' });
+        let entry = await registryContract.getToken(created.address);
+
+        assert.strictEqual(entry[3].toNumber(), MIGRATED);
+        assert.strictEqual(entry[4], successor);
+        assert.deepEqual(await registryContract.tokensByStatus(MIGRATED), [created.address]);
+        assert.deepEqual(await registryContract.tokensBySymbol('CLA'), [created.address, successor]);
+    });
+});
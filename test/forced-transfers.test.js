@@ -0,0 +1,77 @@
+'use strict';
+
+const SecurityToken = artifacts.require('SecurityToken');
+let tokenContract;
+
+const assertRevert = require('./helpers/assertRevert');
+const hash = require('./helpers/hash');
+
+const COURT_ORDER = 1;
+const INHERITANCE = 2;
+const DOCUMENT = web3.utils.soliditySha3('Court order 2018/1234');
+
+contract('Forced transfers', async (accounts) => {
+    before(async () => {
+        tokenContract = await SecurityToken.deployed();
+
+        const infoHash = hash('Test');
+
+        // Whitelist accounts
+        await tokenContract.addVerified(accounts[1], infoHash, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addVerified(accounts[2], infoHash, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addVerified(accounts[3], infoHash, { from: accounts[0], gas: '1000000' });
+
+        // Issue shares
+        await tokenContract.issue(accounts[1], 100, { from: accounts[0], gas: '1000000' });
+        await tokenContract.issue(accounts[2], 200, { from: accounts[0], gas: '1000000' });
+    });
+
+    it('should not allow anybody else to force a transfer', async () => {
+        await assertRevert(tokenContract.forceTransfer(accounts[1], accounts[3], 40, COURT_ORDER, DOCUMENT, { from: accounts[9], gas: '1000000' }), 'Caller is not a transfer agent');
+    });
+
+    it('should not force a transfer to an unverified address', async () => {
+        await assertRevert(tokenContract.forceTransfer(accounts[1], accounts[9], 40, COURT_ORDER, DOCUMENT, { from: accounts[0], gas: '1000000' }), 'Not a verified address');
+    });
+
+    it('should not force a transfer exceeding the balance', async () => {
+        await assertRevert(tokenContract.forceTransfer(accounts[1], accounts[3], 101, COURT_ORDER, DOCUMENT, { from: accounts[0], gas: '1000000' }), 'Invalid amount provided');
+    });
+
+    it('should allow a transfer agent to move part of a balance', async () => {
+        let result = await tokenContract.forceTransfer(accounts[1], accounts[3], 40, COURT_ORDER, DOCUMENT, { from: accounts[0], gas: '1000000' });
+        let event = result.logs.find(log => log.event === 'ForcedTransfer');
+        let balance1 = await tokenContract.balanceOf.call(accounts[1]);
+        let balance3 = await tokenContract.balanceOf.call(accounts[3]);
+        let holderCount = await tokenContract.holderCount();
+
+        assert.strictEqual(event.args.from, accounts[1]);
+        assert.strictEqual(event.args.to, accounts[3]);
+        assert.strictEqual(event.args.value.toString(), '40');
+        assert.strictEqual(event.args.reason.toString(), COURT_ORDER.toString());
+        assert.strictEqual(event.args.document, DOCUMENT);
+        assert.strictEqual(balance1.toString(), '60');
+        assert.strictEqual(balance3.toString(), '40');
+        assert.strictEqual(holderCount.toString(), '3');
+    });
+
+    it('should neither cancel nor unverify either address', async () => {
+        let verified = await tokenContract.isVerified.call(accounts[1]);
+        let superseded = await tokenContract.isSuperseded.call(accounts[1]);
+
+        assert(verified);
+        assert(!superseded);
+    });
+
+    it('should move shares out of a locked address', async () => {
+        await tokenContract.lock(accounts[2], { from: accounts[0], gas: '1000000' });
+        await tokenContract.forceTransfer(accounts[2], accounts[1], 200, INHERITANCE, DOCUMENT, { from: accounts[0], gas: '1000000' });
+        let isHolder = await tokenContract.isHolder.call(accounts[2]);
+        let holderCount = await tokenContract.holderCount();
+        let balance1 = await tokenContract.balanceOf.call(accounts[1]);
+
+        assert(!isHolder);
+        assert.strictEqual(holderCount.toString(), '2');
+        assert.strictEqual(balance1.toString(), '260');
+    });
+});
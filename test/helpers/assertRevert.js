@@ -0,0 +1,27 @@
+'use strict';
+
+/**
+ * Awaits a transaction or call that is expected to revert. Fails the test if it
+ * succeeds, fails in another way, or reverts with another reason than expected.
+ * @param {Promise} promise The pending transaction or call.
+ * @param {string} [reason] The expected revert reason, left out for reverts without one.
+ */
+async function assertRevert(promise, reason) {
+    let error;
+    try {
+        await promise;
+    } catch (e) {
+        error = e;
+    }
+
+    assert(error, 'Expected a revert' + (reason ? ' with "' + reason + '"' : '') + ', but the call succeeded');
+
+    // Transactions append " -- Reason given: <reason>." to the message, calls end with the reason
+    let match = /revert ?(.*?)(?: -- Reason given: .*)?$/.exec(error.message);
+    assert(match, 'Expected a revert, got: ' + error.message);
+    if (reason !== undefined) {
+        assert.strictEqual(match[1], reason, 'Expected the revert reason "' + reason + '", got: ' + error.message);
+    }
+}
+
+module.exports = assertRevert;
@@ -1,7 +1,3 @@
 'use strict';
 
-function hash(info) {
-    return web3.utils.hexToBytes(web3.utils.soliditySha3(info));
-}
-
-module.exports = hash;
\ No newline at end of file
+module.exports = require('../../lib/hash');
@@ -0,0 +1,27 @@
+'use strict';
+
+function send(method, params) {
+    return new Promise((resolve, reject) => {
+        web3.currentProvider.send({ jsonrpc: '2.0', method, params, id: Date.now() }, (err, result) => {
+            if (err) {
+                return reject(err);
+            }
+            resolve(result);
+        });
+    });
+}
+
+async function increaseTime(seconds) {
+    await send('evm_increaseTime', [seconds]);
+    await send('evm_mine', []);
+}
+
+async function latestTime() {
+    let block = await web3.eth.getBlock('latest');
+    return block.timestamp;
+}
+
+module.exports = {
+    increaseTime,
+    latestTime,
+};
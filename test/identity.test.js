@@ -0,0 +1,118 @@
+'use strict';
+
+const SecurityToken = artifacts.require('SecurityToken');
+const IdentityVerifier = artifacts.require('IdentityVerifier');
+let tokenContract;
+let verifierContract;
+
+const identity = require('../lib/identity');
+
+const record = {
+    name: ' Jane   Doe ',
+    jurisdiction: 'nl',
+    investorType: 'Professional',
+    documentIds: ['PASSPORT-NL-123', 'KVK-456'],
+};
+const salt = '0x' + '11'.repeat(32);
+
+contract('Identity', async (accounts) => {
+    before(async () => {
+        tokenContract = await SecurityToken.deployed();
+        verifierContract = await IdentityVerifier.new(tokenContract.address, { from: accounts[0] });
+
+        await tokenContract.addVerified(accounts[1], identity.commit(record, salt).root, { from: accounts[0], gas: '1000000' });
+    });
+
+    it('should canonicalize investor records', async () => {
+        let values = identity.canonicalize(record);
+
+        assert.deepEqual(values, {
+            name: 'Jane Doe',
+            jurisdiction: 'NL',
+            investorType: 'professional',
+            documentIds: 'KVK-456,PASSPORT-NL-123',
+        });
+    });
+
+    it('should reject incomplete or invalid records', async () => {
+        let invalid = [
+            Object.assign({}, record, { name: ' ' }),
+            Object.assign({}, record, { jurisdiction: 'NLD' }),
+            Object.assign({}, record, { investorType: 'whale' }),
+            Object.assign({}, record, { documentIds: [] }),
+            Object.assign({}, record, { documentIds: ['A,B'] }),
+        ];
+
+        for (let r of invalid) {
+            assert.throws(() => identity.canonicalize(r));
+        }
+    });
+
+    it('should commit to the same root for equivalent records only', async () => {
+        let root = identity.commit(record, salt).root;
+        let equivalent = Object.assign({}, record, { documentIds: ['KVK-456', 'PASSPORT-NL-123', 'KVK-456'] });
+        let moved = Object.assign({}, record, { jurisdiction: 'BE' });
+
+        assert.strictEqual(identity.commit(equivalent, salt).root, root);
+        assert.notStrictEqual(identity.commit(moved, salt).root, root);
+        assert.notStrictEqual(identity.commit(record, identity.generateSalt()).root, root);
+    });
+
+    it('should keep checking full records through hasHash', async () => {
+        let matches = await tokenContract.hasHash.call(accounts[1], identity.commit(record, salt).root);
+        let moved = Object.assign({}, record, { jurisdiction: 'BE' });
+        let differs = await tokenContract.hasHash.call(accounts[1], identity.commit(moved, salt).root);
+
+        assert(matches);
+        assert(!differs);
+    });
+
+    it('should verify a single disclosed field', async () => {
+        let root = identity.commit(record, salt).root;
+
+        for (let field of identity.FIELDS) {
+            let disclosure = identity.disclose(record, salt, field);
+            let verified = await verifierContract.verifyAttribute.call(
+                accounts[1],
+                disclosure.field,
+                disclosure.value,
+                disclosure.salt,
+                disclosure.proof
+            );
+
+            assert(identity.verify(root, disclosure));
+            assert(verified);
+        }
+    });
+
+    it('should not reveal the salt of the other fields', async () => {
+        let disclosure = identity.disclose(record, salt, 'jurisdiction');
+
+        assert.notStrictEqual(disclosure.salt, salt);
+        assert.notStrictEqual(disclosure.salt, identity.fieldSalt(salt, 'name'));
+    });
+
+    it('should reject a field with another value, salt or address', async () => {
+        let disclosure = identity.disclose(record, salt, 'jurisdiction');
+        let otherValue = await verifierContract.verifyAttribute.call(
+            accounts[1], 'jurisdiction', 'BE', disclosure.salt, disclosure.proof
+        );
+        let otherSalt = await verifierContract.verifyAttribute.call(
+            accounts[1], 'jurisdiction', 'NL', identity.fieldSalt(salt, 'name'), disclosure.proof
+        );
+        let otherAddress = await verifierContract.verifyAttribute.call(
+            accounts[2], 'jurisdiction', 'NL', disclosure.salt, disclosure.proof
+        );
+
+        assert(!otherValue);
+        assert(!otherSalt);
+        assert(!otherAddress);
+    });
+
+    it('should compute the same leaves as the library', async () => {
+        let disclosure = identity.disclose(record, salt, 'name');
+        let leaf = await verifierContract.attributeLeaf.call(disclosure.salt, 'name', 'Jane Doe');
+
+        assert.strictEqual(leaf, identity.leaf(disclosure.salt, 'name', 'Jane Doe'));
+    });
+});
@@ -3,6 +3,7 @@
 const SecurityToken = artifacts.require('SecurityToken');
 let tokenContract;
 
+const assertRevert = require('./helpers/assertRevert');
 const hash = require('./helpers/hash');
 
 contract('Issuance', async (accounts) => {
@@ -29,20 +30,10 @@ contract('Issuance', async (accounts) => {
     });
 
     it('should not allow anybody else to issue tokens', async () => {
-        try {
-            await tokenContract.issue(accounts[3], 500, { from: accounts[9], gas: '1000000' });
-            assert(false);
-        } catch (e) {
-            assert(true);
-        }
+        await assertRevert(tokenContract.issue(accounts[3], 500, { from: accounts[9], gas: '1000000' }), 'Caller is not an issuer');
     });
 
     it('should not allow the administrator to issue tokens to an unverified account', async () => {
-        try {
-            await tokenContract.issue(accounts[9], 500, { from: accounts[0], gas: '1000000' });
-            assert(false);
-        } catch (e) {
-            assert(true);
-        }
+        await assertRevert(tokenContract.issue(accounts[9], 500, { from: accounts[0], gas: '1000000' }), 'Not a verified address');
     });
 });
@@ -0,0 +1,160 @@
+'use strict';
+
+const SecurityToken = artifacts.require('SecurityToken');
+const HoldingLimits = artifacts.require('HoldingLimits');
+const IdentityVerifier = artifacts.require('IdentityVerifier');
+let tokenContract;
+let limitsContract;
+
+const assertRevert = require('./helpers/assertRevert');
+const hash = require('./helpers/hash');
+const identity = require('../lib/identity');
+
+const record = {
+    name: 'Jane Doe',
+    jurisdiction: 'NL',
+    investorType: 'retail',
+    documentIds: ['PASSPORT-NL-123'],
+};
+const salt = '0x' + '22'.repeat(32);
+
+contract('Holding limits', async (accounts) => {
+    before(async () => {
+        tokenContract = await SecurityToken.deployed();
+        limitsContract = await HoldingLimits.new(tokenContract.address, { from: accounts[0] });
+
+        const infoHash = hash('Test');
+
+        // Whitelist accounts
+        await tokenContract.addVerified(accounts[1], infoHash, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addVerified(accounts[2], infoHash, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addVerified(accounts[3], infoHash, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addVerified(accounts[4], identity.commit(record, salt).root, { from: accounts[0], gas: '1000000' });
+
+        await tokenContract.addTransferRestriction(limitsContract.address, { from: accounts[0], gas: '1000000' });
+    });
+
+    it('should not allow anybody else to set limits', async () => {
+        await assertRevert(limitsContract.setHolderLimit(2, { from: accounts[1], gas: '1000000' }), 'Caller is not a compliance officer');
+
+        await assertRevert(limitsContract.setOwnershipLimit(10001, { from: accounts[0], gas: '1000000' }), 'Invalid ownership limit provided');
+    });
+
+    it('should limit the number of shareholders on issuance and transfers', async () => {
+        let result = await limitsContract.setHolderLimit(2, { from: accounts[0], gas: '1000000' });
+        await tokenContract.issue(accounts[1], 500, { from: accounts[0], gas: '1000000' });
+        await tokenContract.issue(accounts[2], 500, { from: accounts[0], gas: '1000000' });
+
+        let code = await tokenContract.detectTransferRestriction(accounts[1], accounts[3], 10);
+        let message = await tokenContract.messageForTransferRestriction(code);
+
+        assert.strictEqual(result.logs[0].event, 'HolderLimitSet');
+        assert.strictEqual(code.toNumber(), 66);
+        assert.strictEqual(message, 'Maximum number of shareholders reached');
+
+        await assertRevert(tokenContract.issue(accounts[3], 10, { from: accounts[0], gas: '1000000' }), 'Maximum number of shareholders reached');
+
+        await assertRevert(tokenContract.issueBatch([accounts[1], accounts[3]], [10, 10], { from: accounts[0], gas: '1000000' }), 'Maximum number of shareholders reached');
+    });
+
+    it('should allow a shareholder to be replaced by a transfer of its full balance', async () => {
+        await tokenContract.transfer(accounts[3], 500, { from: accounts[2], gas: '1000000' });
+        await tokenContract.transfer(accounts[2], 500, { from: accounts[3], gas: '1000000' });
+
+        let holders = await tokenContract.holderCount();
+        assert.strictEqual(holders.toString(), '2');
+
+        await limitsContract.setHolderLimit(0, { from: accounts[0], gas: '1000000' });
+    });
+
+    it('should limit the share of the total supply per address', async () => {
+        await limitsContract.setOwnershipLimit(6000, { from: accounts[0], gas: '1000000' });
+
+        let code = await tokenContract.detectTransferRestriction(accounts[1], accounts[2], 101);
+        assert.strictEqual(code.toNumber(), 67);
+
+        await tokenContract.transfer(accounts[2], 100, { from: accounts[1], gas: '1000000' });
+
+        await assertRevert(tokenContract.issue(accounts[2], 100, { from: accounts[0], gas: '1000000' }), 'Receiver would exceed the maximum share of the total supply');
+    });
+
+    it('should not limit exempt addresses in how much they hold', async () => {
+        let result = await limitsContract.setExempt(accounts[2], true, { from: accounts[0], gas: '1000000' });
+        await tokenContract.issue(accounts[2], 1000, { from: accounts[0], gas: '1000000' });
+
+        let balance = await tokenContract.balanceOf(accounts[2]);
+        assert.strictEqual(result.logs[0].event, 'ExemptionSet');
+        assert(await limitsContract.isExempt(accounts[2]));
+        assert.strictEqual(balance.toString(), '1600');
+
+        await limitsContract.setOwnershipLimit(0, { from: accounts[0], gas: '1000000' });
+    });
+
+    it('should limit the balance per investor type', async () => {
+        await limitsContract.setInvestorTypeLimit('professional', 50, { from: accounts[0], gas: '1000000' });
+        await limitsContract.setInvestorType(accounts[3], 'professional', { from: accounts[0], gas: '1000000' });
+
+        let code = await tokenContract.detectTransferRestriction(accounts[1], accounts[3], 51);
+        let message = await tokenContract.messageForTransferRestriction(code);
+        assert.strictEqual(code.toNumber(), 68);
+        assert.strictEqual(message, 'Receiver would exceed the limit of its investor type');
+
+        await tokenContract.transfer(accounts[3], 50, { from: accounts[1], gas: '1000000' });
+        assert.strictEqual(await limitsContract.investorTypeOf(accounts[3]), 'professional');
+    });
+
+    it('should accept investor types proven through the identity commitment', async () => {
+        let verifierContract = await IdentityVerifier.new(tokenContract.address, { from: accounts[0] });
+        await limitsContract.setIdentityVerifier(verifierContract.address, { from: accounts[0], gas: '1000000' });
+        await limitsContract.setInvestorTypeLimit('retail', 20, { from: accounts[0], gas: '1000000' });
+
+        let disclosure = identity.disclose(record, salt, 'investorType');
+        let forged = identity.disclose(Object.assign({}, record, { investorType: 'professional' }), salt, 'investorType');
+
+        await assertRevert(limitsContract.proveInvestorType(accounts[4], forged.value, forged.salt, forged.proof, { from: accounts[4], gas: '1000000' }), 'Invalid disclosure provided');
+
+        await limitsContract.proveInvestorType(accounts[4], disclosure.value, disclosure.salt, disclosure.proof, { from: accounts[4], gas: '1000000' });
+
+        let code = await tokenContract.detectTransferRestriction(accounts[1], accounts[4], 21);
+        assert.strictEqual(await limitsContract.investorTypeOf(accounts[4]), 'retail');
+        assert.strictEqual(code.toNumber(), 68);
+    });
+
+    it('should check the replacement of a cancelled address as for a transfer from the original', async () => {
+        await tokenContract.addVerified(accounts[5], hash('Test'), { from: accounts[0], gas: '1000000' });
+        await tokenContract.addVerified(accounts[6], hash('Test'), { from: accounts[0], gas: '1000000' });
+        await limitsContract.setInvestorType(accounts[5], 'retail', { from: accounts[0], gas: '1000000' });
+        await limitsContract.setInvestorType(accounts[6], 'professional', { from: accounts[0], gas: '1000000' });
+        await limitsContract.setHolderLimit(3, { from: accounts[0], gas: '1000000' });
+
+        // The balance of 50 exceeds the retail limit of 20
+        await assertRevert(tokenContract.cancelAndReissue(accounts[3], accounts[5], { from: accounts[0], gas: '1000000' }), 'Receiver would exceed the limit of its investor type');
+
+        // The original leaves the shareholders with its full balance, so the holder limit is not exceeded
+        await tokenContract.cancelAndReissue(accounts[3], accounts[6], { from: accounts[0], gas: '1000000' });
+
+        let balance = await tokenContract.balanceOf(accounts[6]);
+        let holders = await tokenContract.holderCount();
+        assert.strictEqual(balance.toString(), '50');
+        assert.strictEqual(holders.toString(), '3');
+
+        await limitsContract.setHolderLimit(0, { from: accounts[0], gas: '1000000' });
+    });
+
+    it('should check the share of the replacement of a cancelled address against the current supply', async () => {
+        await tokenContract.addVerified(accounts[7], hash('Test'), { from: accounts[0], gas: '1000000' });
+        await limitsContract.setOwnershipLimit(1500, { from: accounts[0], gas: '1000000' });
+
+        // 350 of the 2000 shares is 17.5%, although it would be less than 15% of 2350 shares
+        await assertRevert(tokenContract.cancelAndReissue(accounts[1], accounts[7], { from: accounts[0], gas: '1000000' }), 'Receiver would exceed the maximum share of the total supply');
+
+        await limitsContract.setOwnershipLimit(1750, { from: accounts[0], gas: '1000000' });
+        await tokenContract.cancelAndReissue(accounts[1], accounts[7], { from: accounts[0], gas: '1000000' });
+
+        let balance = await tokenContract.balanceOf(accounts[7]);
+        assert.strictEqual(balance.toString(), '350');
+        assert.strictEqual((await tokenContract.totalSupply()).toString(), '2000');
+
+        await limitsContract.setOwnershipLimit(0, { from: accounts[0], gas: '1000000' });
+    });
+});
@@ -0,0 +1,149 @@
+'use strict';
+
+const SecurityToken = artifacts.require('SecurityToken');
+const LockupRestriction = artifacts.require('LockupRestriction');
+let tokenContract;
+let lockupContract;
+
+const assertRevert = require('./helpers/assertRevert');
+const hash = require('./helpers/hash');
+const time = require('./helpers/time');
+
+const DAY = 86400;
+
+contract('Lockups', async (accounts) => {
+    before(async () => {
+        tokenContract = await SecurityToken.deployed();
+        lockupContract = await LockupRestriction.new(tokenContract.address, { from: accounts[0] });
+
+        const infoHash = hash('Test');
+
+        // Whitelist accounts
+        await tokenContract.addVerified(accounts[1], infoHash, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addVerified(accounts[2], infoHash, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addVerified(accounts[3], infoHash, { from: accounts[0], gas: '1000000' });
+
+        // Issue shares
+        await tokenContract.issue(accounts[1], 100, { from: accounts[0], gas: '1000000' });
+        await tokenContract.issue(accounts[2], 1000, { from: accounts[0], gas: '1000000' });
+
+        await tokenContract.addTransferRestriction(lockupContract.address, { from: accounts[0], gas: '1000000' });
+    });
+
+    it('should not allow anybody else to create lockups', async () => {
+        const now = await time.latestTime();
+
+        await assertRevert(lockupContract.addLockup(accounts[1], 60, now + DAY, { from: accounts[9], gas: '1000000' }), 'Caller is not a transfer agent');
+    });
+
+    it('should not create lockups with an invalid schedule', async () => {
+        const now = await time.latestTime();
+
+        await assertRevert(lockupContract.addVesting(accounts[2], 100, now, now + 2 * DAY, now + DAY, { from: accounts[0], gas: '1000000' }), 'Invalid schedule provided');
+
+        await assertRevert(lockupContract.addLockup(accounts[2], 100, now - DAY, { from: accounts[0], gas: '1000000' }), 'Schedule has ended already');
+    });
+
+    it('should allow a transfer agent to lock up part of a balance', async () => {
+        const now = await time.latestTime();
+        let result = await lockupContract.addLockup(accounts[1], 60, now + DAY, { from: accounts[0], gas: '1000000' });
+        let locked = await lockupContract.lockedBalanceOf.call(accounts[1]);
+        let transferable = await lockupContract.transferableBalanceOf.call(accounts[1]);
+
+        assert.strictEqual(result.logs[0].event, 'LockupCreated');
+        assert.strictEqual(result.logs[0].args.amount.toString(), '60');
+        assert.strictEqual(locked.toString(), '60');
+        assert.strictEqual(transferable.toString(), '40');
+    });
+
+    it('should only allow transfers out of the unlocked part of a balance', async () => {
+        let code = await tokenContract.detectTransferRestriction.call(accounts[1], accounts[3], 50);
+        let message = await tokenContract.messageForTransferRestriction.call(code);
+        assert.strictEqual(code.toString(), '64');
+        assert.strictEqual(message, 'Tokens are locked up');
+
+        await assertRevert(tokenContract.transfer(accounts[3], 50, { from: accounts[1], gas: '1000000' }), 'Tokens are locked up');
+        await tokenContract.transfer(accounts[3], 40, { from: accounts[1], gas: '1000000' });
+        let balance = await tokenContract.balanceOf.call(accounts[1]);
+        assert.strictEqual(balance.toString(), '60');
+    });
+
+    it('should not allow removing a lockup before it has been released', async () => {
+        await assertRevert(lockupContract.releaseLockup(accounts[1], 0, { from: accounts[9], gas: '1000000' }), 'Lockup has not been released yet');
+    });
+
+    it('should release a lockup once its time has passed', async () => {
+        await time.increaseTime(DAY);
+        let locked = await lockupContract.lockedBalanceOf.call(accounts[1]);
+        assert.strictEqual(locked.toString(), '0');
+
+        let result = await lockupContract.releaseLockup(accounts[1], 0, { from: accounts[9], gas: '1000000' });
+        let count = await lockupContract.lockupCount.call(accounts[1]);
+        assert.strictEqual(result.logs[0].event, 'LockupReleased');
+        assert.strictEqual(count.toString(), '0');
+
+        await tokenContract.transfer(accounts[3], 60, { from: accounts[1], gas: '1000000' });
+    });
+
+    it('should release vested tokens linearly after the cliff', async () => {
+        const now = await time.latestTime();
+        await lockupContract.addVesting(accounts[2], 1000, now, now + 25 * DAY, now + 100 * DAY, { from: accounts[0], gas: '1000000' });
+
+        await time.increaseTime(10 * DAY);
+        let locked = await lockupContract.lockedBalanceOf.call(accounts[2]);
+        assert.strictEqual(locked.toString(), '1000');
+
+        await time.increaseTime(40 * DAY);
+        locked = await lockupContract.lockedBalanceOf.call(accounts[2]);
+        assert(locked.toNumber() <= 500 && locked.toNumber() > 490);
+
+        await assertRevert(tokenContract.transfer(accounts[3], 600, { from: accounts[2], gas: '1000000' }), 'Tokens are locked up');
+        await tokenContract.transfer(accounts[3], 400, { from: accounts[2], gas: '1000000' });
+    });
+
+    it('should allow a transfer agent to release a lockup early', async () => {
+        let result = await lockupContract.releaseLockup(accounts[2], 0, { from: accounts[0], gas: '1000000' });
+        let transferable = await lockupContract.transferableBalanceOf.call(accounts[2]);
+
+        assert.strictEqual(result.logs[0].event, 'LockupReleased');
+        assert(result.logs[0].args.amount.toNumber() > 0);
+        assert.strictEqual(transferable.toString(), '600');
+    });
+
+    it('should remove the released lockups of an address once it transfers', async () => {
+        const now = await time.latestTime();
+        await lockupContract.addLockup(accounts[2], 100, now + DAY, { from: accounts[0], gas: '1000000' });
+        await lockupContract.addLockup(accounts[2], 200, now + 10 * DAY, { from: accounts[0], gas: '1000000' });
+        await time.increaseTime(DAY);
+
+        let result = await tokenContract.transfer(accounts[1], 10, { from: accounts[2], gas: '1000000' });
+        let events = await lockupContract.getPastEvents('LockupReleased', { fromBlock: result.receipt.blockNumber, toBlock: result.receipt.blockNumber });
+        let count = await lockupContract.lockupCount.call(accounts[2]);
+        let lockup = await lockupContract.getLockup.call(accounts[2], 0);
+
+        assert.strictEqual(events.length, 1);
+        assert.strictEqual(events[0].returnValues.addr, accounts[2]);
+        assert.strictEqual(events[0].returnValues.index, '0');
+        assert.strictEqual(events[0].returnValues.amount, '0');
+        assert.strictEqual(events[0].returnValues.sender, tokenContract.address);
+        assert.strictEqual(count.toString(), '1');
+        assert.strictEqual(lockup[0].toString(), '200');
+    });
+
+    it('should only accept notifications from the token', async () => {
+        await assertRevert(lockupContract.afterTransfer(accounts[2], accounts[1], 10, { from: accounts[0], gas: '1000000' }), 'Caller is not the token');
+    });
+
+    it('should not keep the tokens of a cancelled address from being reissued', async () => {
+        const now = await time.latestTime();
+        await lockupContract.addLockup(accounts[3], 500, now + DAY, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addVerified(accounts[4], hash('Test'), { from: accounts[0], gas: '1000000' });
+
+        await tokenContract.cancelAndReissue(accounts[3], accounts[4], { from: accounts[0], gas: '1000000' });
+        let balance = await tokenContract.balanceOf(accounts[4]);
+        let reissuing = await tokenContract.reissuing();
+
+        assert.strictEqual(balance.toString(), '500');
+        assert.strictEqual(reissuing, '0x0000000000000000000000000000000000000000');
+    });
+});
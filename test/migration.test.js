@@ -3,36 +3,24 @@
 const SecurityToken = artifacts.require('SecurityToken');
 let tokenContract;
 
-const migrate = require('./helpers/migrate');
+const onboarding = require('../lib/onboarding');
+const assertRevert = require('./helpers/assertRevert');
 const hash = require('./helpers/hash');
-const fs = require('fs');
-const csv = require('csv-parser');
 
 let addresses = [];
 let info = [];
-let balances = [];
 
 contract('Migration', async (accounts) => {
     before(async () => {
         tokenContract = await SecurityToken.deployed();
 
-        const readData = new Promise((resolve, reject) => {
-            fs.createReadStream('./test/data.csv')
-                .pipe(csv())
-                .on('data', function (data) {
-                    addresses.push(data['address']);
-                    info.push(data['info']);
-                    balances.push(data['balance']);
-                })
-                .on('end', resolve);
-        });
-    
-        await readData;
-    
-        try {
-            await migrate(tokenContract, accounts[0], addresses, info, balances);
-        } catch (e) {
-            console.log('Migration failed: ', e.message);
+        const rows = await onboarding.readRows('./test/data.csv');
+        addresses = rows.map(row => row.address);
+        info = rows.map(row => row.info);
+
+        const summary = await onboarding.onboard(tokenContract, accounts[0], rows);
+        if (summary.failed.length > 0) {
+            console.log('Migration failed: ', summary.failed);
         }
 
         const infoHash = hash('Test');
@@ -73,12 +61,7 @@ contract('Migration', async (accounts) => {
     });
 
     it('should not allow a non-admin to call the migrate function', async () => {
-        try {
-            await tokenContract.migrate({ from: accounts[2], gas: '1000000' });
-            assert(false);
-        } catch (e) {
-            assert(true);
-        }
+        await assertRevert(tokenContract.migrate({ from: accounts[2], gas: '1000000' }), 'Caller is not a super-admin');
     });
 
     it('should allow the owner to call the migrate function', async () => {
@@ -87,85 +70,40 @@ contract('Migration', async (accounts) => {
     });
 
     it('should no longer allow issuance after migration', async () => {
-        try {
-            await tokenContract.issue(accounts[3], 100, { from: accounts[0], gas: '1000000' });
-            assert(false);
-        } catch (e) {
-            assert(true);
-        }
+        await assertRevert(tokenContract.issue(accounts[3], 100, { from: accounts[0], gas: '1000000' }), 'Token contract has been migrated and is no longer functional');
     });
 
-    it('should no longer allow freezing after migration', async () => {
-        try {
-            await tokenContract.freeze({ from: accounts[0], gas: '1000000' });
-            assert(false);
-        } catch (e) {
-            assert(true);
-        }
+    it('should no longer allow pausing after migration', async () => {
+        await assertRevert(tokenContract.pause(1, 0, { from: accounts[0], gas: '1000000' }), 'Token contract has been migrated and is no longer functional');
     });
 
     it('should no longer allow locking after migration', async () => {
-        try {
-            await tokenContract.lock(accounts[3], { from: accounts[0], gas: '1000000' });
-            assert(false);
-        } catch (e) {
-            assert(true);
-        }
+        await assertRevert(tokenContract.lock(accounts[3], { from: accounts[0], gas: '1000000' }), 'Token contract has been migrated and is no longer functional');
     });
 
     it('should no longer allow burning after migration', async () => {
-        try {
-            await tokenContract.burn(accounts[2], 100, { from: accounts[0], gas: '1000000' });
-            assert(false);
-        } catch (e) {
-            assert(true);
-        }
+        await assertRevert(tokenContract.burn(accounts[2], 100, { from: accounts[0], gas: '1000000' }), 'Token contract has been migrated and is no longer functional');
     });
 
     it('should no longer allow canceling and reissuing after migration', async () => {
-        try {
-            await tokenContract.cancelAndReissue(accounts[2], accounts[3], { from: accounts[0], gas: '1000000' });
-            assert(false);
-        } catch (e) {
-            assert(true);
-        }
+        await assertRevert(tokenContract.cancelAndReissue(accounts[2], accounts[3], { from: accounts[0], gas: '1000000' }), 'Token contract has been migrated and is no longer functional');
     });
 
     it('should no longer allow whitelisting after migration', async () => {
-        try {
-            const infoHash = hash('Test');
-            await tokenContract.addVerified(accounts[4], infoHash, { from: accounts[0], gas: '1000000' });
-            assert(false);
-        } catch (e) {
-            assert(true);
-        }
+        const infoHash = hash('Test');
+        await assertRevert(tokenContract.addVerified(accounts[4], infoHash, { from: accounts[0], gas: '1000000' }), 'Token contract has been migrated and is no longer functional');
     });
 
     it('should no longer allow updating whitelisted accounts after migration', async () => {
-        try {
-            const infoHash = hash('Test2');
-            await tokenContract.updateVerified(accounts[2], infoHash, { from: accounts[0], gas: '1000000' });
-            assert(false);
-        } catch (e) {
-            assert(true);
-        }
+        const infoHash = hash('Test2');
+        await assertRevert(tokenContract.updateVerified(accounts[2], infoHash, { from: accounts[0], gas: '1000000' }), 'Token contract has been migrated and is no longer functional');
     });
 
     it('should no longer allow removing whitelisted accounts after migration', async () => {
-        try {
-            await tokenContract.removeVerified(accounts[3], { from: accounts[0], gas: '1000000' });
-            assert(false);
-        } catch (e) {
-            assert(true);
-        }
+        await assertRevert(tokenContract.removeVerified(accounts[3], { from: accounts[0], gas: '1000000' }), 'Token contract has been migrated and is no longer functional');
     });
 
     it('should not allow the admin to call migrate twice', async () => {
-        try {
-            await tokenContract.migrate({ from: accounts[0], gas: '1000000' });
-            assert(false);
-        } catch (e) {
-            assert(true);
-        }
+        await assertRevert(tokenContract.migrate({ from: accounts[0], gas: '1000000' }), 'Token contract has been migrated and is no longer functional');
     });
 });
\ No newline at end of file
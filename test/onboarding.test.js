@@ -0,0 +1,154 @@
+'use strict';
+
+const SecurityToken = artifacts.require('SecurityToken');
+let tokenContract;
+
+const onboarding = require('../lib/onboarding');
+const hash = require('./helpers/hash');
+const time = require('./helpers/time');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const checkpoint = path.join(os.tmpdir(), 'onboarding-' + Date.now() + '.json');
+
+function row(line, address, info, balance) {
+    return { line, address, info, balance };
+}
+
+contract('Onboarding', async (accounts) => {
+    let rows;
+
+    before(async () => {
+        tokenContract = await SecurityToken.deployed();
+
+        rows = [
+            row(2, accounts[1], 'Investor 1', '100'),
+            row(3, accounts[2], 'Investor 2', '0'),
+            row(4, accounts[3], 'Investor 3', '300'),
+            row(5, accounts[4], 'Investor 4', '400'),
+        ];
+    });
+
+    after(() => {
+        if (fs.existsSync(checkpoint)) {
+            fs.unlinkSync(checkpoint);
+        }
+    });
+
+    it('should read the rows of an onboarding file', async () => {
+        let data = await onboarding.readRows('./test/data.csv');
+
+        assert.strictEqual(data.length, 243);
+        assert.strictEqual(data[0].line, 2);
+        assert.strictEqual(data[0].address, '0xcaf15d9cd7cfd573964e3dc88fc6ffea25f89d8f');
+        assert.strictEqual(data[0].balance, '202');
+    });
+
+    it('should accept a valid onboarding file', async () => {
+        let data = await onboarding.readRows('./test/data.csv');
+
+        assert.strictEqual(onboarding.validate(data).length, 0);
+    });
+
+    it('should reject invalid checksums, duplicates, invalid balances and empty info fields', async () => {
+        let badChecksum = accounts[5].replace(/[a-f]/, (c) => c.toUpperCase());
+        let errors = onboarding.validate([
+            row(2, badChecksum, 'Investor 5', '100'),
+            row(3, accounts[6], 'Investor 6', '100'),
+            row(4, accounts[6].toLowerCase(), 'Investor 6', '100'),
+            row(5, accounts[7], 'Investor 7', '-5'),
+            row(6, accounts[8], 'Investor 8', '1.5'),
+            row(7, accounts[9], ' ', '100'),
+        ]);
+
+        assert.deepEqual(errors.map(error => error.line), [2, 4, 5, 6, 7]);
+    });
+
+    it('should not send any transactions for an invalid onboarding file', async () => {
+        let error = await onboarding.onboard(tokenContract, accounts[0], [row(2, accounts[1], '', '100')]).catch(e => e);
+        assert(error instanceof Error, 'Expected onboarding to fail');
+        assert.strictEqual(error.errors.length, 1);
+
+        let verified = await tokenContract.isVerified.call(accounts[1]);
+        assert(!verified);
+    });
+
+    it('should report what would happen on a dry run', async () => {
+        let report = await onboarding.dryRun(tokenContract, rows, { checkpoint });
+
+        assert.strictEqual(report.verify.length, 4);
+        assert.deepEqual(report.issue.map(entry => entry.amount), ['100', '300', '400']);
+        assert(!fs.existsSync(checkpoint));
+    });
+
+    it('should skip addresses that were processed before the checkpoint was written', async () => {
+        // Simulate a run that crashed right after verifying and issuing to accounts[1]
+        await tokenContract.addVerified(accounts[1], hash('Investor 1'), { from: accounts[0], gas: '1000000' });
+        await tokenContract.issue(accounts[1], 100, { from: accounts[0], gas: '1000000' });
+
+        let report = await onboarding.dryRun(tokenContract, rows, { checkpoint });
+
+        assert.deepEqual(report.skipped, [accounts[1]]);
+        assert.strictEqual(report.issue.length, 2);
+    });
+
+    it('should report conflicting addresses and carry on with the rest', async () => {
+        await tokenContract.addVerified(accounts[4], hash('Someone else'), { from: accounts[0], gas: '1000000' });
+
+        let summary = await onboarding.onboard(tokenContract, accounts[0], rows, { checkpoint });
+
+        assert.strictEqual(summary.verified, 2);
+        assert.strictEqual(summary.issued, 1);
+        assert.strictEqual(summary.skipped, 1);
+        assert.deepEqual(summary.failed.map(failure => failure.line), [5]);
+        assert.deepEqual(summary.reconciliation.hashMismatches, [accounts[4]]);
+        assert.strictEqual(summary.reconciliation.balanceMismatches.length, 1);
+        assert.strictEqual(summary.reconciliation.expectedTotal, '800');
+        assert.strictEqual(summary.reconciliation.actualTotal, '400');
+    });
+
+    it('should record progress in the checkpoint file', async () => {
+        let saved = JSON.parse(fs.readFileSync(checkpoint, 'utf8'));
+
+        assert.deepEqual(saved.addresses[accounts[3].toLowerCase()], { verified: true, issued: true });
+        assert.strictEqual(saved.addresses[accounts[4].toLowerCase()], undefined);
+    });
+
+    it('should resume from the checkpoint without sending duplicate transactions', async () => {
+        await tokenContract.updateVerified(accounts[4], hash('Investor 4'), { from: accounts[0], gas: '1000000' });
+
+        let summary = await onboarding.onboard(tokenContract, accounts[0], rows, { checkpoint });
+        let balance = await tokenContract.balanceOf.call(accounts[3]);
+
+        assert.strictEqual(summary.verified, 0);
+        assert.strictEqual(summary.issued, 1);
+        assert.strictEqual(summary.failed.length, 0);
+        assert.strictEqual(balance.toString(), '300');
+        assert.strictEqual(summary.reconciliation.balanceMismatches.length, 0);
+    });
+
+    it('should renew expired verifications instead of verifying the address again', async () => {
+        let expiring = [row(2, accounts[5], 'Investor 5', '50')];
+        await tokenContract.addVerifiedUntil(accounts[5], hash('Investor 5'), (await time.latestTime()) + 60, { from: accounts[0], gas: '1000000' });
+        await time.increaseTime(120);
+
+        let reconciliation = await onboarding.reconcile(tokenContract, expiring);
+        let report = await onboarding.dryRun(tokenContract, expiring);
+
+        assert.deepEqual(reconciliation.unverified, []);
+        assert.deepEqual(reconciliation.expired, [accounts[5]]);
+        assert.deepEqual(report.verify, []);
+        assert.deepEqual(report.renew, [accounts[5]]);
+
+        let summary = await onboarding.onboard(tokenContract, accounts[0], expiring);
+        let balance = await tokenContract.balanceOf.call(accounts[5]);
+
+        assert.strictEqual(summary.verified, 0);
+        assert.strictEqual(summary.renewed, 1);
+        assert.strictEqual(summary.issued, 1);
+        assert.strictEqual(summary.failed.length, 0);
+        assert.strictEqual(balance.toString(), '50');
+        assert.deepEqual(summary.reconciliation.expired, []);
+    });
+});
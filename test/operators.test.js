@@ -0,0 +1,140 @@
+'use strict';
+
+const SecurityToken = artifacts.require('SecurityToken');
+const OperatorRegistry = artifacts.require('OperatorRegistry');
+let tokenContract;
+let registryContract;
+
+const assertRevert = require('./helpers/assertRevert');
+const hash = require('./helpers/hash');
+
+contract('Operators', async (accounts) => {
+    const custodian = accounts[8];
+
+    before(async () => {
+        tokenContract = await SecurityToken.deployed();
+        registryContract = await OperatorRegistry.new(tokenContract.address, { from: accounts[0] });
+
+        const infoHash = hash('Test');
+
+        // Whitelist accounts
+        await tokenContract.addVerified(accounts[1], infoHash, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addVerified(accounts[2], infoHash, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addVerified(accounts[3], infoHash, { from: accounts[0], gas: '1000000' });
+
+        // Issue shares
+        await tokenContract.issue(accounts[1], 100, { from: accounts[0], gas: '1000000' });
+        await tokenContract.issue(accounts[2], 100, { from: accounts[0], gas: '1000000' });
+    });
+
+    it('should not allow allowances for unverified spenders', async () => {
+        await assertRevert(tokenContract.approve(custodian, 10, { from: accounts[1], gas: '1000000' }), 'Spender is not an approved operator or verified address');
+
+        await assertRevert(tokenContract.increaseAllowance(custodian, 10, { from: accounts[1], gas: '1000000' }), 'Spender is not an approved operator or verified address');
+    });
+
+    it('should not let a spender use an allowance after its verification has been removed', async () => {
+        await tokenContract.addVerified(accounts[4], hash('Test'), { from: accounts[0], gas: '1000000' });
+        await tokenContract.approve(accounts[4], 10, { from: accounts[1], gas: '1000000' });
+        await tokenContract.removeVerified(accounts[4], { from: accounts[0], gas: '1000000' });
+
+        await assertRevert(tokenContract.transferFrom(accounts[1], accounts[3], 10, { from: accounts[4], gas: '1000000' }), 'Spender is not an approved operator or verified address');
+
+        await tokenContract.decreaseAllowance(accounts[4], 10, { from: accounts[1], gas: '1000000' });
+        let allowance = await tokenContract.allowance.call(accounts[1], accounts[4]);
+        assert.strictEqual(allowance.toString(), '0');
+    });
+
+    it('should ignore the allowances of locked holders', async () => {
+        await tokenContract.approve(accounts[3], 20, { from: accounts[2], gas: '1000000' });
+        await tokenContract.lock(accounts[2], { from: accounts[0], gas: '1000000' });
+
+        let allowance = await tokenContract.allowance.call(accounts[2], accounts[3]);
+        assert.strictEqual(allowance.toString(), '0');
+
+        await tokenContract.unlock(accounts[2], { from: accounts[0], gas: '1000000' });
+        allowance = await tokenContract.allowance.call(accounts[2], accounts[3]);
+        assert.strictEqual(allowance.toString(), '20');
+    });
+
+    it('should only allow super-admins to set the operator registry', async () => {
+        await assertRevert(tokenContract.setOperatorRegistry(registryContract.address, { from: accounts[1], gas: '1000000' }), 'Caller is not a super-admin');
+
+        let result = await tokenContract.setOperatorRegistry(registryContract.address, { from: accounts[0], gas: '1000000' });
+        let registry = await tokenContract.operatorRegistry();
+
+        assert.strictEqual(result.logs[0].event, 'OperatorRegistrySet');
+        assert.strictEqual(registry, registryContract.address);
+    });
+
+    it('should only allow compliance officers to approve operators', async () => {
+        await assertRevert(registryContract.addOperator(custodian, { from: accounts[1], gas: '1000000' }), 'Caller is not a compliance officer');
+
+        let result = await registryContract.addOperator(custodian, { from: accounts[0], gas: '1000000' });
+
+        assert.strictEqual(result.logs[0].event, 'OperatorAdded');
+        assert.strictEqual(result.logs[0].args.operator, custodian);
+        assert(await registryContract.isOperator(custodian));
+    });
+
+    it('should allow allowances for approved operators', async () => {
+        await tokenContract.approve(custodian, 10, { from: accounts[1], gas: '1000000' });
+        await tokenContract.transferFrom(accounts[1], accounts[3], 10, { from: custodian, gas: '1000000' });
+
+        let balance = await tokenContract.balanceOf(accounts[3]);
+        assert.strictEqual(balance.toString(), '10');
+    });
+
+    it('should only allow holders to authorise approved operators', async () => {
+        await assertRevert(registryContract.authorizeOperator(accounts[9], { from: accounts[1], gas: '1000000' }), 'Operator has not been approved');
+
+        let result = await registryContract.authorizeOperator(custodian, { from: accounts[1], gas: '1000000' });
+
+        assert.strictEqual(result.logs[0].event, 'AuthorizedOperator');
+        assert.strictEqual(result.logs[0].args.holder, accounts[1]);
+        assert(await registryContract.isOperatorFor(custodian, accounts[1]));
+        assert(!(await registryContract.isOperatorFor(custodian, accounts[2])));
+    });
+
+    it('should let authorised operators transfer without an allowance', async () => {
+        await tokenContract.transferFrom(accounts[1], accounts[3], 30, { from: custodian, gas: '1000000' });
+
+        await assertRevert(tokenContract.transferFrom(accounts[2], accounts[3], 30, { from: custodian, gas: '1000000' }));
+
+        let balance = await tokenContract.balanceOf(accounts[1]);
+        assert.strictEqual(balance.toString(), '60');
+    });
+
+    it('should apply the transfer restrictions to operators', async () => {
+        await tokenContract.lock(accounts[1], { from: accounts[0], gas: '1000000' });
+
+        await assertRevert(tokenContract.transferFrom(accounts[1], accounts[3], 10, { from: custodian, gas: '1000000' }), 'Sender is currently locked');
+
+        await tokenContract.unlock(accounts[1], { from: accounts[0], gas: '1000000' });
+    });
+
+    it('should stop operators once the authorisation or approval is revoked', async () => {
+        await registryContract.removeOperator(custodian, { from: accounts[0], gas: '1000000' });
+        assert(!(await registryContract.isOperatorFor(custodian, accounts[1])));
+
+        await assertRevert(tokenContract.transferFrom(accounts[1], accounts[3], 10, { from: custodian, gas: '1000000' }), 'Spender is not an approved operator or verified address');
+
+        await registryContract.addOperator(custodian, { from: accounts[0], gas: '1000000' });
+        assert(await registryContract.isOperatorFor(custodian, accounts[1]));
+
+        let result = await registryContract.revokeOperator(custodian, { from: accounts[1], gas: '1000000' });
+        assert.strictEqual(result.logs[0].event, 'RevokedOperator');
+        assert(!(await registryContract.isOperatorFor(custodian, accounts[1])));
+
+        await assertRevert(tokenContract.transferFrom(accounts[1], accounts[3], 10, { from: custodian, gas: '1000000' }));
+    });
+
+    it('should ignore the allowances of cancelled holders', async () => {
+        await tokenContract.approve(accounts[3], 20, { from: accounts[1], gas: '1000000' });
+        await tokenContract.addVerified(accounts[5], hash('Test'), { from: accounts[0], gas: '1000000' });
+        await tokenContract.cancelAndReissue(accounts[1], accounts[5], { from: accounts[0], gas: '1000000' });
+
+        let allowance = await tokenContract.allowance.call(accounts[1], accounts[3]);
+        assert.strictEqual(allowance.toString(), '0');
+    });
+});
@@ -0,0 +1,154 @@
+'use strict';
+
+const SecurityToken = artifacts.require('SecurityToken');
+const OperatorRegistry = artifacts.require('OperatorRegistry');
+const Partitions = artifacts.require('Partitions');
+let tokenContract;
+let partitionsContract;
+
+const assertRevert = require('./helpers/assertRevert');
+const hash = require('./helpers/hash');
+
+const RESTRICTED = web3.utils.padRight(web3.utils.asciiToHex('restricted'), 64);
+const PREFERRED = web3.utils.padRight(web3.utils.asciiToHex('preferred'), 64);
+const DEFAULT = web3.utils.padRight('0x', 64);
+const DOCUMENT = web3.utils.padRight('0x01', 64);
+
+async function partitionsOf(holder) {
+    let balances = [];
+    for (let partition of [DEFAULT, RESTRICTED, PREFERRED]) {
+        balances.push((await partitionsContract.balanceOfByPartition(partition, holder)).toNumber());
+    }
+    return balances;
+}
+
+contract('Partitions', async (accounts) => {
+    before(async () => {
+        tokenContract = await SecurityToken.deployed();
+        partitionsContract = await Partitions.new(tokenContract.address, { from: accounts[0] });
+        let registryContract = await OperatorRegistry.new(tokenContract.address, { from: accounts[0] });
+
+        const infoHash = hash('Test');
+
+        // Whitelist accounts
+        await tokenContract.addVerified(accounts[1], infoHash, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addVerified(accounts[2], infoHash, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addVerified(accounts[3], infoHash, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addVerified(accounts[4], infoHash, { from: accounts[0], gas: '1000000' });
+
+        // Plug in the module
+        await tokenContract.addIssuer(partitionsContract.address, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addTransferRestriction(partitionsContract.address, { from: accounts[0], gas: '1000000' });
+        await tokenContract.setOperatorRegistry(registryContract.address, { from: accounts[0], gas: '1000000' });
+        await registryContract.addOperator(partitionsContract.address, { from: accounts[0], gas: '1000000' });
+        await registryContract.authorizeOperator(partitionsContract.address, { from: accounts[1], gas: '1000000' });
+
+        // Issue shares
+        await tokenContract.issue(accounts[1], 100, { from: accounts[0], gas: '1000000' });
+    });
+
+    it('should not allow anybody else to issue by partition', async () => {
+        await assertRevert(partitionsContract.issueByPartition(RESTRICTED, accounts[1], 100, { from: accounts[1], gas: '1000000' }), 'Caller is not an issuer');
+    });
+
+    it('should issue tokens into a partition', async () => {
+        let result = await partitionsContract.issueByPartition(RESTRICTED, accounts[1], 100, { from: accounts[0], gas: '1000000' });
+        await partitionsContract.issueByPartition(PREFERRED, accounts[1], 50, { from: accounts[0], gas: '1000000' });
+
+        let balance = await tokenContract.balanceOf(accounts[1]);
+        let restricted = await partitionsContract.balanceOfByPartition(RESTRICTED, accounts[1]);
+        let plain = await partitionsContract.balanceOfByPartition(DEFAULT, accounts[1]);
+        let supply = await partitionsContract.totalSupplyByPartition(RESTRICTED);
+
+        assert.strictEqual(result.logs[0].event, 'IssuedByPartition');
+        assert.strictEqual(balance.toString(), '250');
+        assert.strictEqual(restricted.toString(), '100');
+        assert.strictEqual(plain.toString(), '100');
+        assert.strictEqual(supply.toString(), '100');
+    });
+
+    it('should list the partitions of an address', async () => {
+        let partitions = await partitionsContract.partitionsOf(accounts[1]);
+
+        assert.deepEqual(partitions, [RESTRICTED, PREFERRED]);
+    });
+
+    it('should only allow plain transfers out of the default partition', async () => {
+        await tokenContract.transfer(accounts[2], 100, { from: accounts[1], gas: '1000000' });
+
+        let code = await tokenContract.detectTransferRestriction(accounts[1], accounts[2], 1);
+        let message = await tokenContract.messageForTransferRestriction(code);
+        assert.strictEqual(code.toNumber(), 65);
+        assert.strictEqual(message, 'Tokens have to be transferred by partition');
+
+        await assertRevert(tokenContract.transfer(accounts[2], 1, { from: accounts[1], gas: '1000000' }), 'Tokens have to be transferred by partition');
+    });
+
+    it('should transfer tokens by partition', async () => {
+        let result = await partitionsContract.transferByPartition(RESTRICTED, accounts[3], 40, { from: accounts[1], gas: '1000000' });
+
+        let sender = await partitionsContract.balanceOfByPartition(RESTRICTED, accounts[1]);
+        let receiver = await partitionsContract.balanceOfByPartition(RESTRICTED, accounts[3]);
+        let balance = await tokenContract.balanceOf(accounts[3]);
+        let holders = await tokenContract.holderCount({ from: accounts[0] });
+
+        assert.strictEqual(result.logs[0].event, 'TransferByPartition');
+        assert.strictEqual(sender.toString(), '60');
+        assert.strictEqual(receiver.toString(), '40');
+        assert.strictEqual(balance.toString(), '40');
+        assert.strictEqual(holders.toString(), '3');
+    });
+
+    it('should not transfer more than a partition holds', async () => {
+        await assertRevert(partitionsContract.transferByPartition(PREFERRED, accounts[3], 60, { from: accounts[1], gas: '1000000' }), 'Insufficient balance in partition');
+    });
+
+    it('should not transfer by partition for holders that have not authorised the module', async () => {
+        await assertRevert(partitionsContract.transferByPartition(RESTRICTED, accounts[2], 10, { from: accounts[3], gas: '1000000' }));
+    });
+
+    it('should only allow transfer agents to change partitions', async () => {
+        await assertRevert(partitionsContract.changePartition(accounts[3], RESTRICTED, DEFAULT, 40, { from: accounts[3], gas: '1000000' }), 'Caller is not a transfer agent');
+
+        let result = await partitionsContract.changePartition(accounts[3], RESTRICTED, DEFAULT, 40, { from: accounts[0], gas: '1000000' });
+        await tokenContract.transfer(accounts[2], 40, { from: accounts[3], gas: '1000000' });
+
+        let restricted = await partitionsContract.totalSupplyByPartition(RESTRICTED);
+        let plain = await partitionsContract.totalSupplyByPartition(DEFAULT);
+
+        assert.strictEqual(result.logs[0].event, 'ChangedPartition');
+        assert.strictEqual(restricted.toString(), '60');
+        assert.strictEqual(plain.toString(), '140');
+        assert.deepEqual(await partitionsContract.partitionsOf(accounts[3]), []);
+    });
+
+    it('should carry the partitions along with forced transfers, burns and cancellations', async () => {
+        // Takes the 60 restricted tokens first, then 20 of the 50 preferred ones
+        await tokenContract.forceTransfer(accounts[1], accounts[3], 80, 1, DOCUMENT, { from: accounts[0], gas: '1000000' });
+        assert.deepEqual(await partitionsOf(accounts[1]), [0, 0, 30]);
+        assert.deepEqual(await partitionsOf(accounts[3]), [0, 60, 20]);
+
+        let result = await tokenContract.burn(accounts[1], 10, { from: accounts[0], gas: '1000000' });
+        let burned = await partitionsContract.getPastEvents('TransferByPartition', { fromBlock: result.receipt.blockNumber });
+        assert.deepEqual(await partitionsOf(accounts[1]), [0, 0, 20]);
+        assert.strictEqual(burned[0].returnValues.partition, PREFERRED);
+        assert.strictEqual(burned[0].returnValues.to, '0x0000000000000000000000000000000000000000');
+        assert.strictEqual(burned[0].returnValues.value, '10');
+
+        await tokenContract.cancelAndReissue(accounts[3], accounts[4], { from: accounts[0], gas: '1000000' });
+        assert.deepEqual(await partitionsOf(accounts[3]), [0, 0, 0]);
+        assert.deepEqual(await partitionsOf(accounts[4]), [0, 60, 20]);
+
+        let supply = await tokenContract.totalSupply();
+        let restricted = await partitionsContract.totalSupplyByPartition(RESTRICTED);
+        let preferred = await partitionsContract.totalSupplyByPartition(PREFERRED);
+        let plain = await partitionsContract.totalSupplyByPartition(DEFAULT);
+        assert.strictEqual(supply.toNumber(), restricted.toNumber() + preferred.toNumber() + plain.toNumber());
+        assert.strictEqual(restricted.toString(), '60');
+        assert.strictEqual(preferred.toString(), '40');
+    });
+
+    it('should only accept notifications from the token', async () => {
+        await assertRevert(partitionsContract.afterTransfer(accounts[4], accounts[1], 10, { from: accounts[0], gas: '1000000' }), 'Caller is not the token');
+    });
+});
@@ -0,0 +1,112 @@
+'use strict';
+
+const SecurityToken = artifacts.require('SecurityToken');
+let tokenContract;
+
+const assertRevert = require('./helpers/assertRevert');
+const hash = require('./helpers/hash');
+
+const PAUSE_TRANSFERS = 1;
+const PAUSE_ISSUANCE = 2;
+const PAUSE_BURNING = 4;
+const PAUSE_WHITELISTING = 8;
+const PAUSE_ALL = 15;
+
+const INCIDENT = 1;
+const RESOLVED = 2;
+
+contract('Pausing', async (accounts) => {
+    before(async () => {
+        tokenContract = await SecurityToken.deployed();
+
+        const infoHash = hash('Test');
+
+        // Whitelist accounts
+        await tokenContract.addVerified(accounts[1], infoHash, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addVerified(accounts[2], infoHash, { from: accounts[0], gas: '1000000' });
+
+        // Issue shares
+        await tokenContract.issue(accounts[1], 100, { from: accounts[0], gas: '1000000' });
+    });
+
+    it('should emit the scopes and reason when pausing', async () => {
+        let result = await tokenContract.pause(PAUSE_ISSUANCE | PAUSE_BURNING, INCIDENT, { from: accounts[0], gas: '1000000' });
+
+        assert.strictEqual(result.logs[0].event, 'Paused');
+        assert.strictEqual(result.logs[0].args.scopes.toString(), '6');
+        assert.strictEqual(result.logs[0].args.reason.toString(), INCIDENT.toString());
+        assert.strictEqual(result.logs[0].args.sender, accounts[0]);
+    });
+
+    it('should report the pause state per scope', async () => {
+        assert(await tokenContract.isPaused(PAUSE_ISSUANCE));
+        assert(await tokenContract.isPaused(PAUSE_BURNING));
+        assert(!(await tokenContract.isPaused(PAUSE_TRANSFERS)));
+        assert(!(await tokenContract.isPaused(PAUSE_WHITELISTING)));
+        assert.strictEqual((await tokenContract.pausedScopes()).toString(), '6');
+    });
+
+    it('should only block the paused scopes', async () => {
+        await assertRevert(tokenContract.issue(accounts[1], 100, { from: accounts[0], gas: '1000000' }), 'Operation is paused');
+
+        await assertRevert(tokenContract.burn(accounts[1], 10, { from: accounts[0], gas: '1000000' }), 'Operation is paused');
+
+        await tokenContract.transfer(accounts[2], 10, { from: accounts[1], gas: '1000000' });
+        await tokenContract.addVerified(accounts[3], hash('Test'), { from: accounts[0], gas: '1000000' });
+        let balance = await tokenContract.balanceOf.call(accounts[2]);
+
+        assert.strictEqual(balance.toString(), '10');
+        assert(await tokenContract.isVerified(accounts[3]));
+    });
+
+    it('should not undo a pause when it is repeated', async () => {
+        await tokenContract.pause(PAUSE_ISSUANCE, INCIDENT, { from: accounts[0], gas: '1000000' });
+
+        assert(await tokenContract.isPaused(PAUSE_ISSUANCE));
+    });
+
+    it('should block whitelisting while it is paused', async () => {
+        await tokenContract.pause(PAUSE_WHITELISTING, INCIDENT, { from: accounts[0], gas: '1000000' });
+
+        await assertRevert(tokenContract.addVerified(accounts[4], hash('Test'), { from: accounts[0], gas: '1000000' }), 'Operation is paused');
+
+        await assertRevert(tokenContract.updateVerified(accounts[3], hash('Updated'), { from: accounts[0], gas: '1000000' }), 'Operation is paused');
+    });
+
+    it('should resume only the given scopes', async () => {
+        let result = await tokenContract.unpause(PAUSE_ISSUANCE | PAUSE_WHITELISTING, RESOLVED, { from: accounts[0], gas: '1000000' });
+        await tokenContract.unpause(PAUSE_ISSUANCE, RESOLVED, { from: accounts[0], gas: '1000000' });
+        await tokenContract.issue(accounts[1], 100, { from: accounts[0], gas: '1000000' });
+
+        assert.strictEqual(result.logs[0].event, 'Unpaused');
+        assert.strictEqual(result.logs[0].args.reason.toString(), RESOLVED.toString());
+        assert(await tokenContract.isPaused(PAUSE_BURNING));
+        assert(!(await tokenContract.isPaused(PAUSE_ISSUANCE)));
+    });
+
+    it('should pause every scope at once', async () => {
+        await tokenContract.pause(PAUSE_ALL, INCIDENT, { from: accounts[0], gas: '1000000' });
+        let code = await tokenContract.detectTransferRestriction.call(accounts[1], accounts[2], 10);
+        let message = await tokenContract.messageForTransferRestriction.call(code);
+
+        assert.strictEqual(code.toString(), '1');
+        assert.strictEqual(message, 'Transfers are paused');
+        assert.strictEqual((await tokenContract.pausedScopes()).toString(), '15');
+
+        await tokenContract.unpause(PAUSE_ALL, RESOLVED, { from: accounts[0], gas: '1000000' });
+
+        assert(!(await tokenContract.isPaused(PAUSE_ALL)));
+    });
+
+    it('should not accept unknown scopes', async () => {
+        await assertRevert(tokenContract.pause(16, INCIDENT, { from: accounts[0], gas: '1000000' }), 'Invalid scope provided');
+
+        await assertRevert(tokenContract.unpause(0, RESOLVED, { from: accounts[0], gas: '1000000' }), 'Invalid scope provided');
+    });
+
+    it('should pause every scope upon migration', async () => {
+        await tokenContract.migrate({ from: accounts[0], gas: '1000000' });
+
+        assert.strictEqual((await tokenContract.pausedScopes()).toString(), '15');
+    });
+});
@@ -0,0 +1,184 @@
+'use strict';
+
+const SecurityToken = artifacts.require('SecurityToken');
+const OperatorRegistry = artifacts.require('OperatorRegistry');
+const PreClearance = artifacts.require('PreClearance');
+const Partitions = artifacts.require('Partitions');
+let tokenContract;
+let preClearanceContract;
+let registryContract;
+let domain;
+
+const assertRevert = require('./helpers/assertRevert');
+const hash = require('./helpers/hash');
+const time = require('./helpers/time');
+const preclearance = require('../lib/preclearance');
+
+contract('PreClearance', async (accounts) => {
+    const signer = accounts[5];
+
+    before(async () => {
+        tokenContract = await SecurityToken.deployed();
+        preClearanceContract = await PreClearance.new(tokenContract.address, 1337, { from: accounts[0] });
+        registryContract = await OperatorRegistry.new(tokenContract.address, { from: accounts[0] });
+        domain = await preclearance.domainOf(preClearanceContract);
+
+        const infoHash = hash('Test');
+
+        // Whitelist accounts
+        await tokenContract.addVerified(accounts[1], infoHash, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addVerified(accounts[2], infoHash, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addVerified(accounts[3], infoHash, { from: accounts[0], gas: '1000000' });
+
+        // Issue shares
+        await tokenContract.issue(accounts[1], 100, { from: accounts[0], gas: '1000000' });
+
+        // Plug in the module
+        await tokenContract.addTransferRestriction(preClearanceContract.address, { from: accounts[0], gas: '1000000' });
+        await tokenContract.setOperatorRegistry(registryContract.address, { from: accounts[0], gas: '1000000' });
+        await registryContract.addOperator(preClearanceContract.address, { from: accounts[0], gas: '1000000' });
+        await registryContract.authorizeOperator(preClearanceContract.address, { from: accounts[1], gas: '1000000' });
+    });
+
+    it('should only allow transfer agents to add signers', async () => {
+        await assertRevert(preClearanceContract.addSigner(signer, { from: accounts[1], gas: '1000000' }), 'Caller is not a transfer agent');
+
+        let result = await preClearanceContract.addSigner(signer, { from: accounts[0], gas: '1000000' });
+        let isSigner = await preClearanceContract.isSigner(signer);
+
+        assert.strictEqual(result.logs[0].event, 'SignerAdded');
+        assert.strictEqual(isSigner, true);
+    });
+
+    it('should restrict transfers that have not been pre-cleared', async () => {
+        let code = await tokenContract.detectTransferRestriction(accounts[1], accounts[2], 10);
+        let message = await tokenContract.messageForTransferRestriction(code);
+        assert.strictEqual(code.toNumber(), 69);
+        assert.strictEqual(message, 'Transfer has not been pre-cleared');
+
+        await assertRevert(tokenContract.transfer(accounts[2], 10, { from: accounts[1], gas: '1000000' }), 'Transfer has not been pre-cleared');
+    });
+
+    it('should produce approvals that match the contract', async () => {
+        let approval = preclearance.createApproval(accounts[1], accounts[2], 10, (await time.latestTime()) + 3600);
+        let signature = await preclearance.sign(domain, approval, signer);
+
+        let digest = await preClearanceContract.approvalHash(
+            approval.from, approval.to, approval.value, approval.nonce, approval.expiry
+        );
+        let valid = await preclearance.verify(preClearanceContract, approval, signature);
+
+        assert.strictEqual(preclearance.digest(domain, approval), digest);
+        assert.strictEqual(preclearance.recover(domain, approval, signature), signer);
+        assert.strictEqual(valid, true);
+    });
+
+    it('should transfer with an approval, only once', async () => {
+        let approval = preclearance.createApproval(accounts[1], accounts[2], 10, (await time.latestTime()) + 3600);
+        let signature = await preclearance.sign(domain, approval, signer);
+
+        let result = await preClearanceContract.transferWithApproval(
+            approval.to, approval.value, approval.nonce, approval.expiry, signature, { from: accounts[1], gas: '1000000' }
+        );
+        let balance = await tokenContract.balanceOf(accounts[2]);
+        let used = await preClearanceContract.isNonceUsed(accounts[1], approval.nonce);
+
+        assert.strictEqual(result.logs[0].event, 'ApprovalUsed');
+        assert.strictEqual(result.logs[0].args.signer, signer);
+        assert.strictEqual(balance.toString(), '10');
+        assert.strictEqual(used, true);
+
+        await assertRevert(preClearanceContract.transferWithApproval(
+            approval.to, approval.value, approval.nonce, approval.expiry, signature, { from: accounts[1], gas: '1000000' }
+        ), 'Approval has been used already');
+    });
+
+    it('should not accept approvals for other transfers, or by other signers', async () => {
+        let approval = preclearance.createApproval(accounts[1], accounts[2], 10, (await time.latestTime()) + 3600);
+        let signature = await preclearance.sign(domain, approval, signer);
+        let forged = await preclearance.sign(domain, approval, accounts[1]);
+
+        await assertRevert(preClearanceContract.transferWithApproval(
+            accounts[2], 20, approval.nonce, approval.expiry, signature, { from: accounts[1], gas: '1000000' }
+        ), 'Approval is not signed by an authorised signer');
+
+        await assertRevert(preClearanceContract.transferWithApproval(
+            accounts[3], approval.value, approval.nonce, approval.expiry, signature, { from: accounts[1], gas: '1000000' }
+        ), 'Approval is not signed by an authorised signer');
+
+        await assertRevert(preClearanceContract.transferWithApproval(
+            approval.to, approval.value, approval.nonce, approval.expiry, forged, { from: accounts[1], gas: '1000000' }
+        ), 'Approval is not signed by an authorised signer');
+    });
+
+    it('should not accept expired or revoked approvals', async () => {
+        let expiring = preclearance.createApproval(accounts[1], accounts[2], 10, (await time.latestTime()) + 60);
+        let revoked = preclearance.createApproval(accounts[1], accounts[2], 10, (await time.latestTime()) + 3600);
+        let expiringSignature = await preclearance.sign(domain, expiring, signer);
+        let revokedSignature = await preclearance.sign(domain, revoked, signer);
+
+        await time.increaseTime(120);
+        await preClearanceContract.revokeApproval(accounts[1], revoked.nonce, { from: signer, gas: '1000000' });
+
+        assert.strictEqual(await preclearance.verify(preClearanceContract, expiring, expiringSignature), false);
+        assert.strictEqual(await preclearance.verify(preClearanceContract, revoked, revokedSignature), false);
+
+        await assertRevert(preClearanceContract.transferWithApproval(
+            expiring.to, expiring.value, expiring.nonce, expiring.expiry, expiringSignature, { from: accounts[1], gas: '1000000' }
+        ), 'Approval has expired');
+    });
+
+    it('should let authorised operators transfer with an approval', async () => {
+        await registryContract.addOperator(accounts[3], { from: accounts[0], gas: '1000000' });
+        let approval = preclearance.createApproval(accounts[1], accounts[2], 5, (await time.latestTime()) + 3600);
+        let signature = await preclearance.sign(domain, approval, signer);
+
+        await assertRevert(preClearanceContract.transferFromWithApproval(
+            approval.from, approval.to, approval.value, approval.nonce, approval.expiry, signature, { from: accounts[3], gas: '1000000' }
+        ), 'Caller is not an operator for the sender');
+
+        await registryContract.authorizeOperator(accounts[3], { from: accounts[1], gas: '1000000' });
+        await preClearanceContract.transferFromWithApproval(
+            approval.from, approval.to, approval.value, approval.nonce, approval.expiry, signature, { from: accounts[3], gas: '1000000' }
+        );
+
+        let balance = await tokenContract.balanceOf(accounts[2]);
+        assert.strictEqual(balance.toString(), '15');
+    });
+
+    it('should let other modules make transfers that have been pre-cleared, only once', async () => {
+        const PARTITION = web3.utils.padRight(web3.utils.asciiToHex('RESTRICTED'), 64);
+        let partitionsContract = await Partitions.new(tokenContract.address, { from: accounts[0] });
+        await tokenContract.addIssuer(partitionsContract.address, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addTransferRestriction(partitionsContract.address, { from: accounts[0], gas: '1000000' });
+        await registryContract.addOperator(partitionsContract.address, { from: accounts[0], gas: '1000000' });
+        await registryContract.authorizeOperator(partitionsContract.address, { from: accounts[1], gas: '1000000' });
+        await partitionsContract.issueByPartition(PARTITION, accounts[1], 20, { from: accounts[0], gas: '1000000' });
+
+        await assertRevert(partitionsContract.transferByPartition(PARTITION, accounts[2], 10, { from: accounts[1], gas: '1000000' }), 'Transfer has not been pre-cleared');
+
+        let approval = preclearance.createApproval(accounts[1], accounts[2], 10, (await time.latestTime()) + 3600);
+        let signature = await preclearance.sign(domain, approval, signer);
+        let result = await preClearanceContract.preClearTransfer(
+            approval.to, approval.value, approval.nonce, approval.expiry, signature, { from: accounts[1], gas: '1000000' }
+        );
+        assert.strictEqual(result.logs[1].event, 'TransferPreCleared');
+
+        await partitionsContract.transferByPartition(PARTITION, accounts[2], 10, { from: accounts[1], gas: '1000000' });
+        let balance = await partitionsContract.balanceOfByPartition(PARTITION, accounts[2]);
+        let clearance = await preClearanceContract.preClearanceOf(accounts[1]);
+
+        assert.strictEqual(balance.toString(), '10');
+        assert.strictEqual(clearance[2].toString(), '0');
+        await assertRevert(partitionsContract.transferByPartition(PARTITION, accounts[2], 10, { from: accounts[1], gas: '1000000' }), 'Transfer has not been pre-cleared');
+    });
+
+    it('should not accept approvals of removed signers', async () => {
+        let approval = preclearance.createApproval(accounts[1], accounts[2], 10, (await time.latestTime()) + 3600);
+        let signature = await preclearance.sign(domain, approval, signer);
+
+        await preClearanceContract.removeSigner(signer, { from: accounts[0], gas: '1000000' });
+
+        assert.strictEqual(await preclearance.verify(preClearanceContract, approval, signature), false);
+    });
+});
@@ -0,0 +1,167 @@
+'use strict';
+
+const SecurityToken = artifacts.require('SecurityToken');
+const KeyRecovery = artifacts.require('KeyRecovery');
+const AdminApprovals = artifacts.require('AdminApprovals');
+let tokenContract;
+let recoveryContract;
+
+const assertRevert = require('./helpers/assertRevert');
+const hash = require('./helpers/hash');
+const time = require('./helpers/time');
+
+const CHALLENGE_PERIOD = 7 * 24 * 60 * 60;
+
+contract('KeyRecovery', async (accounts) => {
+    const guardian = accounts[7];
+
+    before(async () => {
+        tokenContract = await SecurityToken.deployed();
+        recoveryContract = await KeyRecovery.new(tokenContract.address, CHALLENGE_PERIOD, { from: accounts[0] });
+
+        // Whitelist accounts
+        await tokenContract.addVerified(accounts[1], hash('Alice'), { from: accounts[0], gas: '1000000' });
+        await tokenContract.addVerified(accounts[2], hash('Alice'), { from: accounts[0], gas: '1000000' });
+        await tokenContract.addVerified(accounts[3], hash('Bob'), { from: accounts[0], gas: '1000000' });
+        await tokenContract.addVerified(accounts[4], hash('Bob'), { from: accounts[0], gas: '1000000' });
+
+        // Issue shares
+        await tokenContract.issue(accounts[1], 100, { from: accounts[0], gas: '1000000' });
+        await tokenContract.issue(accounts[3], 200, { from: accounts[0], gas: '1000000' });
+
+        // Whitelist accounts
+        await tokenContract.addVerified(accounts[5], hash('Carol'), { from: accounts[0], gas: '1000000' });
+        await tokenContract.addVerified(accounts[6], hash('Carol'), { from: accounts[0], gas: '1000000' });
+        await tokenContract.addVerified(accounts[8], hash('Carol'), { from: accounts[0], gas: '1000000' });
+        await tokenContract.issue(accounts[5], 300, { from: accounts[0], gas: '1000000' });
+
+        // Let the contract cancel and reissue
+        await tokenContract.addTransferAgent(recoveryContract.address, { from: accounts[0], gas: '1000000' });
+    });
+
+    it('should only let guardians of a holder request a recovery', async () => {
+        await assertRevert(recoveryContract.requestRecovery(accounts[1], accounts[2], { from: guardian, gas: '1000000' }), 'Caller is not the holder or a guardian of the address');
+
+        let result = await recoveryContract.addGuardian(guardian, { from: accounts[1], gas: '1000000' });
+        let isGuardian = await recoveryContract.isGuardian(accounts[1], guardian);
+
+        assert.strictEqual(result.logs[0].event, 'GuardianAdded');
+        assert.strictEqual(isGuardian, true);
+    });
+
+    it('should open a recovery request by a guardian', async () => {
+        let result = await recoveryContract.requestRecovery(accounts[1], accounts[2], { from: guardian, gas: '1000000' });
+        let pending = await recoveryContract.pendingRecoveryFor(accounts[1]);
+        let request = await recoveryContract.getRecovery(0);
+
+        assert.strictEqual(result.logs[0].event, 'RecoveryRequested');
+        assert.strictEqual(result.logs[0].args.initiator, guardian);
+        assert.strictEqual(pending[0], true);
+        assert.strictEqual(pending[1].toString(), '0');
+        assert.strictEqual(request[0], accounts[1]);
+        assert.strictEqual(request[1], accounts[2]);
+
+        await assertRevert(recoveryContract.requestRecovery(accounts[1], accounts[2], { from: guardian, gas: '1000000' }), 'A recovery of the address is pending already');
+    });
+
+    it('should let the original key veto a request', async () => {
+        let result = await recoveryContract.vetoRecovery(0, { from: accounts[1], gas: '1000000' });
+        let pending = await recoveryContract.pendingRecoveryFor(accounts[1]);
+
+        assert.strictEqual(result.logs[0].event, 'RecoveryVetoed');
+        assert.strictEqual(pending[0], false);
+
+        await time.increaseTime(CHALLENGE_PERIOD);
+        await assertRevert(recoveryContract.finalizeRecovery(0, { from: accounts[0], gas: '1000000' }), 'Recovery request is no longer pending');
+    });
+
+    it('should only let a replacement with the same identity hash request its own recovery', async () => {
+        await assertRevert(recoveryContract.requestOwnRecovery(accounts[3], hash('Bob'), { from: accounts[2], gas: '1000000' }), 'Caller is not verified with the identity hash of the address');
+
+        let result = await recoveryContract.requestOwnRecovery(accounts[3], hash('Bob'), { from: accounts[4], gas: '1000000' });
+
+        assert.strictEqual(result.logs[0].args.id.toString(), '1');
+        assert.strictEqual(result.logs[0].args.replacement, accounts[4]);
+    });
+
+    it('should not finalise a request during its challenge period', async () => {
+        await assertRevert(recoveryContract.finalizeRecovery(1, { from: accounts[0], gas: '1000000' }), 'Recovery request is still in its challenge period');
+    });
+
+    it('should supersede the original address once the challenge period has passed', async () => {
+        await time.increaseTime(CHALLENGE_PERIOD);
+
+        await assertRevert(recoveryContract.finalizeRecovery(1, { from: accounts[4], gas: '1000000' }), 'Caller is not a transfer agent');
+
+        // Sent and checked without truffle, which fails to decode events without data
+        // emitted by another contract than the one called
+        let receipt = await web3.eth.sendTransaction({
+            from: accounts[0],
+            to: recoveryContract.address,
+            data: recoveryContract.contract.methods.finalizeRecovery(1).encodeABI(),
+            gas: '1000000',
+        });
+        let topics = receipt.logs.map(log => log.topics[0]);
+        let balance = await tokenContract.balanceOf(accounts[4]);
+        let current = await tokenContract.getCurrentFor(accounts[3]);
+        let request = await recoveryContract.getRecovery(1);
+
+        assert.include(topics, web3.utils.sha3('VerifiedAddressSuperseded(address,address,address)'));
+        assert.include(topics, web3.utils.sha3('RecoveryFinalized(uint256,address)'));
+        assert.strictEqual(balance.toString(), '200');
+        assert.strictEqual(current, accounts[4]);
+        assert.strictEqual(request[5], true);
+    });
+
+    it('should not accept a challenge period shorter than the minimum', async () => {
+        await assertRevert(KeyRecovery.new(tokenContract.address, 60, { from: accounts[0] }), 'Challenge period is too short');
+
+        await assertRevert(recoveryContract.setChallengePeriod(60, { from: accounts[0], gas: '1000000' }), 'Challenge period is too short');
+    });
+
+    it('should let the holder supersede a request of a guardian', async () => {
+        await recoveryContract.addGuardian(guardian, { from: accounts[5], gas: '1000000' });
+        await recoveryContract.requestRecovery(accounts[5], accounts[6], { from: guardian, gas: '1000000' });
+
+        let result = await recoveryContract.requestRecovery(accounts[5], accounts[8], { from: accounts[5], gas: '1000000' });
+        let superseded = await recoveryContract.getRecovery(2);
+        let pending = await recoveryContract.pendingRecoveryFor(accounts[5]);
+
+        assert.strictEqual(result.logs[0].event, 'RecoverySuperseded');
+        assert.strictEqual(result.logs[0].args.id.toString(), '2');
+        assert.strictEqual(superseded[4], true);
+        assert.strictEqual(pending[1].toString(), '3');
+
+        // A guardian can not supersede a request of the holder
+        await assertRevert(recoveryContract.requestRecovery(accounts[5], accounts[6], { from: guardian, gas: '1000000' }), 'A recovery of the address is pending already');
+
+        await recoveryContract.vetoRecovery(3, { from: accounts[5], gas: '1000000' });
+        await recoveryContract.requestRecovery(accounts[5], accounts[6], { from: guardian, gas: '1000000' });
+        result = await recoveryContract.requestOwnRecovery(accounts[5], hash('Carol'), { from: accounts[8], gas: '1000000' });
+
+        assert.strictEqual(result.logs[0].event, 'RecoverySuperseded');
+        assert.strictEqual(result.logs[0].args.id.toString(), '4');
+        assert.strictEqual(result.logs[1].args.replacement, accounts[8]);
+    });
+
+    it('should finalise requests through the approval manager', async () => {
+        const approvers = [accounts[6], accounts[9]];
+        let approvalsContract = await AdminApprovals.new(tokenContract.address, approvers, 1, 60, { from: accounts[0] });
+        await tokenContract.addTransferAgent(approvalsContract.address, { from: accounts[0], gas: '1000000' });
+        await tokenContract.setApprovalManager(approvalsContract.address, { from: accounts[0], gas: '1000000' });
+        await time.increaseTime(CHALLENGE_PERIOD);
+
+        await assertRevert(recoveryContract.finalizeRecovery(5, { from: accounts[0], gas: '1000000' }), 'Action has to be approved through the approval manager');
+
+        const data = recoveryContract.contract.methods.finalizeRecovery(5).encodeABI();
+        await approvalsContract.propose(recoveryContract.address, data, { from: approvers[0], gas: '1000000' });
+        await time.increaseTime(60);
+        await approvalsContract.executeProposal(0, { from: approvers[1], gas: '1000000' });
+
+        let balance = await tokenContract.balanceOf(accounts[8]);
+        let request = await recoveryContract.getRecovery(5);
+
+        assert.strictEqual(balance.toString(), '300');
+        assert.strictEqual(request[5], true);
+    });
+});
@@ -0,0 +1,165 @@
+'use strict';
+
+const SecurityToken = artifacts.require('SecurityToken');
+const Redemptions = artifacts.require('Redemptions');
+const AdminApprovals = artifacts.require('AdminApprovals');
+let tokenContract;
+let redemptionsContract;
+
+const assertRevert = require('./helpers/assertRevert');
+const hash = require('./helpers/hash');
+const time = require('./helpers/time');
+
+contract('Redemptions', async (accounts) => {
+    before(async () => {
+        tokenContract = await SecurityToken.deployed();
+        redemptionsContract = await Redemptions.new(tokenContract.address, { from: accounts[0] });
+
+        const infoHash = hash('Test');
+
+        // Whitelist accounts
+        await tokenContract.addVerified(accounts[1], infoHash, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addVerified(accounts[2], infoHash, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addVerified(accounts[3], infoHash, { from: accounts[0], gas: '1000000' });
+
+        // Issue shares
+        await tokenContract.issue(accounts[1], 100, { from: accounts[0], gas: '1000000' });
+        await tokenContract.issue(accounts[2], 100, { from: accounts[0], gas: '1000000' });
+
+        // Plug in the module
+        await tokenContract.addIssuer(redemptionsContract.address, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addTransferRestriction(redemptionsContract.address, { from: accounts[0], gas: '1000000' });
+    });
+
+    it('should lock the shares under a redemption request', async () => {
+        await assertRevert(redemptionsContract.requestRedemption(101, { from: accounts[1], gas: '1000000' }), 'Insufficient unlocked shares');
+
+        let result = await redemptionsContract.requestRedemption(60, { from: accounts[1], gas: '1000000' });
+        let pending = await redemptionsContract.pendingRedemptionOf(accounts[1]);
+        let code = await tokenContract.detectTransferRestriction(accounts[1], accounts[3], 41);
+        let message = await tokenContract.messageForTransferRestriction(code);
+
+        assert.strictEqual(result.logs[0].event, 'RedemptionRequested');
+        assert.strictEqual(pending.toString(), '60');
+        assert.strictEqual(code.toNumber(), 70);
+        assert.strictEqual(message, 'Shares are under a pending redemption request');
+
+        await tokenContract.transfer(accounts[3], 40, { from: accounts[1], gas: '1000000' });
+        await assertRevert(tokenContract.transfer(accounts[3], 1, { from: accounts[1], gas: '1000000' }), 'Shares are under a pending redemption request');
+    });
+
+    it('should only allow issuers to settle requests', async () => {
+        await assertRevert(redemptionsContract.acceptRedemption(0, hash('Payment'), { from: accounts[1], gas: '1000000' }), 'Caller is not an issuer');
+    });
+
+    it('should burn the shares of an accepted request', async () => {
+        let result = await redemptionsContract.acceptRedemption(0, hash('Payment'), { from: accounts[0], gas: '1000000' });
+        let balance = await tokenContract.balanceOf(accounts[1]);
+        let isHolder = await tokenContract.isHolder(accounts[1]);
+        let request = await redemptionsContract.getRedemption(0);
+
+        assert.strictEqual(result.logs[0].event, 'RedemptionAccepted');
+        assert.strictEqual(balance.toString(), '0');
+        assert.strictEqual(isHolder, false);
+        assert.strictEqual(request[4], web3.utils.bytesToHex(hash('Payment')));
+        assert.strictEqual(request[5], true);
+        assert.strictEqual(request[6], true);
+
+        await assertRevert(redemptionsContract.rejectRedemption(0, hash('Refused'), { from: accounts[0], gas: '1000000' }), 'Redemption request is no longer pending');
+    });
+
+    it('should unlock the shares of rejected and withdrawn requests', async () => {
+        await redemptionsContract.requestRedemption(30, { from: accounts[2], gas: '1000000' });
+        await redemptionsContract.requestRedemption(30, { from: accounts[2], gas: '1000000' });
+
+        let result = await redemptionsContract.rejectRedemption(1, hash('Refused'), { from: accounts[0], gas: '1000000' });
+        assert.strictEqual(result.logs[0].event, 'RedemptionRejected');
+
+        await assertRevert(redemptionsContract.withdrawRedemption(2, { from: accounts[3], gas: '1000000' }), 'Caller is not the holder of the request');
+
+        result = await redemptionsContract.withdrawRedemption(2, { from: accounts[2], gas: '1000000' });
+        let pending = await redemptionsContract.pendingRedemptionOf(accounts[2]);
+        let balance = await tokenContract.balanceOf(accounts[2]);
+
+        assert.strictEqual(result.logs[0].event, 'RedemptionWithdrawn');
+        assert.strictEqual(pending.toString(), '0');
+        assert.strictEqual(balance.toString(), '100');
+    });
+
+    it('should let holders accept a buyback offer up to its amount', async () => {
+        let expiry = (await time.latestTime()) + 3600;
+        let result = await redemptionsContract.offerBuyback(hash('Offer'), 50, expiry, { from: accounts[0], gas: '1000000' });
+        assert.strictEqual(result.logs[0].event, 'BuybackOffered');
+
+        await redemptionsContract.acceptBuyback(0, 30, { from: accounts[2], gas: '1000000' });
+        await assertRevert(redemptionsContract.acceptBuyback(0, 30, { from: accounts[3], gas: '1000000' }), 'Amount exceeds the remainder of the offer');
+
+        await redemptionsContract.acceptBuyback(0, 20, { from: accounts[3], gas: '1000000' });
+        let offer = await redemptionsContract.getBuyback(0);
+        let request = await redemptionsContract.getRedemption(4);
+
+        assert.strictEqual(offer[1].toString(), '0');
+        assert.strictEqual(request[0], accounts[3]);
+        assert.strictEqual(request[2], true);
+        assert.strictEqual(request[3].toString(), '0');
+    });
+
+    it('should settle requests under an offer like any other', async () => {
+        await redemptionsContract.acceptRedemption(3, hash('Payment'), { from: accounts[0], gas: '1000000' });
+        await redemptionsContract.rejectRedemption(4, hash('Refused'), { from: accounts[0], gas: '1000000' });
+
+        let balance = await tokenContract.balanceOf(accounts[2]);
+        let offer = await redemptionsContract.getBuyback(0);
+
+        assert.strictEqual(balance.toString(), '70');
+        assert.strictEqual(offer[1].toString(), '20');
+    });
+
+    it('should not accept closed or expired offers', async () => {
+        await redemptionsContract.closeBuyback(0, { from: accounts[0], gas: '1000000' });
+        await assertRevert(redemptionsContract.acceptBuyback(0, 10, { from: accounts[3], gas: '1000000' }), 'Buyback offer is no longer open');
+
+        await redemptionsContract.offerBuyback(hash('Offer'), 50, (await time.latestTime()) + 60, { from: accounts[0], gas: '1000000' });
+        await time.increaseTime(120);
+        await assertRevert(redemptionsContract.acceptBuyback(1, 10, { from: accounts[3], gas: '1000000' }), 'Buyback offer is no longer open');
+    });
+
+    it('should only accept requests for shares the holder still holds', async () => {
+        await redemptionsContract.requestRedemption(40, { from: accounts[2], gas: '1000000' });
+        await tokenContract.forceTransfer(accounts[2], accounts[3], 50, 1, hash('Order'), { from: accounts[0], gas: '1000000' });
+        let pending = await redemptionsContract.pendingRedemptionOf(accounts[2]);
+
+        assert.strictEqual(pending.toString(), '20');
+
+        await assertRevert(redemptionsContract.acceptRedemption(5, hash('Payment'), { from: accounts[0], gas: '1000000' }), 'Holder no longer holds the shares under request');
+
+        await redemptionsContract.rejectRedemption(5, hash('Refused'), { from: accounts[0], gas: '1000000' });
+        await tokenContract.transfer(accounts[3], 20, { from: accounts[2], gas: '1000000' });
+        pending = await redemptionsContract.pendingRedemptionOf(accounts[2]);
+
+        assert.strictEqual(pending.toString(), '0');
+    });
+
+    it('should accept requests through the approval manager', async () => {
+        const approvers = [accounts[6], accounts[7]];
+        let approvalsContract = await AdminApprovals.new(tokenContract.address, approvers, 1, 60, { from: accounts[0] });
+        await tokenContract.addIssuer(approvalsContract.address, { from: accounts[0], gas: '1000000' });
+        await tokenContract.setApprovalManager(approvalsContract.address, { from: accounts[0], gas: '1000000' });
+        await redemptionsContract.requestRedemption(10, { from: accounts[3], gas: '1000000' });
+
+        await assertRevert(redemptionsContract.acceptRedemption(6, hash('Payment'), { from: accounts[0], gas: '1000000' }), 'Action has to be approved through the approval manager');
+
+        const data = redemptionsContract.contract.methods.acceptRedemption(6, web3.utils.bytesToHex(hash('Payment'))).encodeABI();
+        await approvalsContract.propose(redemptionsContract.address, data, { from: approvers[0], gas: '1000000' });
+        await time.increaseTime(60);
+        await approvalsContract.executeProposal(0, { from: approvers[1], gas: '1000000' });
+
+        let balance = await tokenContract.balanceOf(accounts[3]);
+        let request = await redemptionsContract.getRedemption(6);
+        let executing = await approvalsContract.executingTarget();
+
+        assert.strictEqual(balance.toString(), '100');
+        assert.strictEqual(request[5], true);
+        assert.strictEqual(executing, '0x0000000000000000000000000000000000000000');
+    });
+});
@@ -0,0 +1,93 @@
+'use strict';
+
+const SecurityToken = artifacts.require('SecurityToken');
+const RegisterReader = artifacts.require('RegisterReader');
+let tokenContract;
+let readerContract;
+
+const assertRevert = require('./helpers/assertRevert');
+const hash = require('./helpers/hash');
+
+contract('Register', async (accounts) => {
+    before(async () => {
+        tokenContract = await SecurityToken.deployed();
+        readerContract = await RegisterReader.new(tokenContract.address, { from: accounts[0] });
+
+        const infoHash = hash('Test');
+
+        // Whitelist accounts
+        await tokenContract.addVerified(accounts[1], infoHash, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addVerified(accounts[2], infoHash, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addVerified(accounts[3], infoHash, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addVerified(accounts[4], infoHash, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addVerified(accounts[5], infoHash, { from: accounts[0], gas: '1000000' });
+
+        // Issue shares
+        await tokenContract.issue(accounts[1], 100, { from: accounts[0], gas: '1000000' });
+        await tokenContract.issue(accounts[2], 200, { from: accounts[0], gas: '1000000' });
+        await tokenContract.issue(accounts[3], 300, { from: accounts[0], gas: '1000000' });
+        await tokenContract.lock(accounts[2], { from: accounts[0], gas: '1000000' });
+    });
+
+    it('should only let auditors enumerate the verified addresses', async () => {
+        let count = await tokenContract.verifiedCount({ from: accounts[0] });
+        let first = await tokenContract.verifiedAt(0, { from: accounts[0] });
+
+        assert.strictEqual(count.toString(), '5');
+        assert.strictEqual(first, accounts[1]);
+
+        await assertRevert(tokenContract.verifiedAt(0, { from: accounts[9] }), 'Caller is not an auditor or the successor');
+    });
+
+    it('should keep the verified addresses up to date', async () => {
+        await tokenContract.removeVerified(accounts[5], { from: accounts[0], gas: '1000000' });
+        await tokenContract.addVerified(accounts[6], hash('Test'), { from: accounts[0], gas: '1000000' });
+        await tokenContract.cancelAndReissue(accounts[1], accounts[6], { from: accounts[0], gas: '1000000' });
+
+        let count = await tokenContract.verifiedCount({ from: accounts[0] });
+        let addrs = [];
+        for (let i = 0; i < count; i++) {
+            addrs.push(await tokenContract.verifiedAt(i, { from: accounts[0] }));
+        }
+
+        assert.deepEqual(addrs.sort(), [accounts[2], accounts[3], accounts[4], accounts[6]].sort());
+    });
+
+    it('should not let the reader read the register without the auditor role', async () => {
+        await assertRevert(readerContract.getHolders(0, 10, { from: accounts[0] }), 'Caller is not an auditor or the successor');
+
+        await tokenContract.addAuditor(readerContract.address, { from: accounts[0], gas: '1000000' });
+    });
+
+    it('should list the shareholders in pages', async () => {
+        let first = await readerContract.getHolders(0, 2, { from: accounts[0] });
+        let second = await readerContract.getHolders(2, 2, { from: accounts[0] });
+        let beyond = await readerContract.getHolders(3, 2, { from: accounts[0] });
+
+        assert.deepEqual(first[0], [accounts[6], accounts[2]]);
+        assert.deepEqual(first[1].map(balance => balance.toString()), ['100', '200']);
+        assert.deepEqual(first[2], [false, true]);
+        assert.deepEqual(first[3], [true, true]);
+        assert.deepEqual(second[0], [accounts[3]]);
+        assert.strictEqual(beyond[0].length, 0);
+    });
+
+    it('should list the verified addresses in pages, including those without tokens', async () => {
+        let page = await readerContract.getVerifiedAddresses(0, 10, { from: accounts[0] });
+        let index = page[0].indexOf(accounts[4]);
+
+        assert.strictEqual(page[0].length, 4);
+        assert.strictEqual(page[1][index].toString(), '0');
+        assert(page[3][index]);
+    });
+
+    it('should only let auditors use the reader', async () => {
+        await assertRevert(readerContract.getHolders(0, 10, { from: accounts[9] }), 'Caller is not an auditor');
+
+        await tokenContract.addAuditor(accounts[9], { from: accounts[0], gas: '1000000' });
+        let page = await readerContract.getHolders(0, 10, { from: accounts[9] });
+
+        assert.strictEqual(page[0].length, 3);
+        assert(!(await tokenContract.isComplianceOfficer(accounts[9])));
+    });
+});
@@ -0,0 +1,123 @@
+'use strict';
+
+const SecurityToken = artifacts.require('SecurityToken');
+const TransferRestrictionMock = artifacts.require('TransferRestrictionMock');
+let tokenContract;
+let moduleContract;
+
+const assertRevert = require('./helpers/assertRevert');
+const hash = require('./helpers/hash');
+
+contract('Restriction codes', async (accounts) => {
+    before(async () => {
+        tokenContract = await SecurityToken.deployed();
+        moduleContract = await TransferRestrictionMock.new(accounts[2], { from: accounts[0] });
+
+        const infoHash = hash('Test');
+
+        // Whitelist accounts
+        await tokenContract.addVerified(accounts[1], infoHash, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addVerified(accounts[2], infoHash, { from: accounts[0], gas: '1000000' });
+
+        // Issue shares
+        await tokenContract.issue(accounts[1], 100, { from: accounts[0], gas: '1000000' });
+        await tokenContract.issue(accounts[2], 200, { from: accounts[0], gas: '1000000' });
+    });
+
+    it('should report unrestricted transfers', async () => {
+        let code = await tokenContract.detectTransferRestriction.call(accounts[1], accounts[2], 50);
+        let message = await tokenContract.messageForTransferRestriction.call(code);
+
+        assert.strictEqual(code.toString(), '0');
+        assert.strictEqual(message, 'No restriction');
+    });
+
+    it('should report transfers to unverified accounts', async () => {
+        let code = await tokenContract.detectTransferRestriction.call(accounts[1], accounts[3], 50);
+        let message = await tokenContract.messageForTransferRestriction.call(code);
+
+        assert.strictEqual(code.toString(), '5');
+        assert.strictEqual(message, 'Receiver is not a verified address');
+    });
+
+    it('should report transfers exceeding the balance', async () => {
+        let code = await tokenContract.detectTransferRestriction.call(accounts[1], accounts[2], 101);
+
+        assert.strictEqual(code.toString(), '6');
+    });
+
+    it('should report transfers from and to locked accounts', async () => {
+        await tokenContract.lock(accounts[1], { from: accounts[0], gas: '1000000' });
+        let sender = await tokenContract.detectTransferRestriction.call(accounts[1], accounts[2], 50);
+        let receiver = await tokenContract.detectTransferRestriction.call(accounts[2], accounts[1], 50);
+        await tokenContract.unlock(accounts[1], { from: accounts[0], gas: '1000000' });
+
+        assert.strictEqual(sender.toString(), '3');
+        assert.strictEqual(receiver.toString(), '4');
+    });
+
+    it('should report transfers while paused', async () => {
+        await tokenContract.pause(1, 0, { from: accounts[0], gas: '1000000' });
+        let code = await tokenContract.detectTransferRestriction.call(accounts[1], accounts[2], 50);
+        await tokenContract.unpause(1, 0, { from: accounts[0], gas: '1000000' });
+
+        assert.strictEqual(code.toString(), '1');
+    });
+
+    it('should not allow anybody else to add a rule module', async () => {
+        await assertRevert(tokenContract.addTransferRestriction(moduleContract.address, { from: accounts[9], gas: '1000000' }), 'Caller is not a compliance officer');
+    });
+
+    it('should allow the compliance officer to add a rule module', async () => {
+        let result = await tokenContract.addTransferRestriction(moduleContract.address, { from: accounts[0], gas: '1000000' });
+        let modules = await tokenContract.getTransferRestrictions();
+
+        assert.strictEqual(result.logs[0].event, 'TransferRestrictionAdded');
+        assert.deepEqual(modules, [moduleContract.address]);
+    });
+
+    it('should not add the same rule module twice', async () => {
+        await assertRevert(tokenContract.addTransferRestriction(moduleContract.address, { from: accounts[0], gas: '1000000' }), 'Module has been added already');
+    });
+
+    it('should report the codes and messages of rule modules', async () => {
+        let code = await tokenContract.detectTransferRestriction.call(accounts[2], accounts[1], 50);
+        let message = await tokenContract.messageForTransferRestriction.call(code);
+        let other = await tokenContract.detectTransferRestriction.call(accounts[1], accounts[2], 50);
+
+        assert.strictEqual(code.toString(), '64');
+        assert.strictEqual(message, 'Sender is restricted by the mock');
+        assert.strictEqual(other.toString(), '0');
+    });
+
+    it('should not allow transfers restricted by a rule module', async () => {
+        await assertRevert(tokenContract.transfer(accounts[1], 50, { from: accounts[2], gas: '1000000' }), 'Sender is restricted by the mock');
+        let balance = await tokenContract.balanceOf.call(accounts[2]);
+        assert.strictEqual(balance.toString(), '200');
+
+        await tokenContract.transfer(accounts[2], 50, { from: accounts[1], gas: '1000000' });
+        balance = await tokenContract.balanceOf.call(accounts[2]);
+        assert.strictEqual(balance.toString(), '250');
+    });
+
+    it('should only notify rule modules that observe transfers', async () => {
+        let observes = await moduleContract.observesTransfers();
+        assert.strictEqual(observes, false);
+
+        // The mock has no afterTransfer, so notifying it would revert
+        await tokenContract.issue(accounts[1], 10, { from: accounts[0], gas: '1000000' });
+        await tokenContract.burn(accounts[1], 10, { from: accounts[0], gas: '1000000' });
+    });
+
+    it('should allow the compliance officer to remove a rule module', async () => {
+        let result = await tokenContract.removeTransferRestriction(moduleContract.address, { from: accounts[0], gas: '1000000' });
+        let modules = await tokenContract.getTransferRestrictions();
+
+        assert.strictEqual(result.logs[0].event, 'TransferRestrictionRemoved');
+        assert.deepEqual(modules, []);
+
+        await tokenContract.transfer(accounts[1], 50, { from: accounts[2], gas: '1000000' });
+        let balance = await tokenContract.balanceOf.call(accounts[2]);
+        assert.strictEqual(balance.toString(), '200');
+    });
+});
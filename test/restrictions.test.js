@@ -3,9 +3,12 @@
 const SecurityToken = artifacts.require('SecurityToken');
 let tokenContract;
 
+const assertRevert = require('./helpers/assertRevert');
 const hash = require('./helpers/hash');
 
-contract('Locking/Freezing', async (accounts) => {
+const PAUSE_TRANSFERS = 1;
+
+contract('Locking/Pausing', async (accounts) => {
     before(async () => {
         tokenContract = await SecurityToken.deployed();
     
@@ -29,50 +32,41 @@ contract('Locking/Freezing', async (accounts) => {
     });
 
     it('should not allow transfers to locked account', async () => {
-        try {
-            await tokenContract.transfer(accounts[1], 50, { from: accounts[2], gas: '1000000' });
-            assert(false);
-        } catch (e) {
-            assert(true);
-        }
+        await assertRevert(tokenContract.transfer(accounts[1], 50, { from: accounts[2], gas: '1000000' }), 'Receiver is currently locked');
     });
 
     it('should not allow transfers from locked account', async () => {
-        try {
-            await tokenContract.transfer(accounts[2], 50, { from: accounts[1], gas: '1000000' });
-            assert(false);
-        } catch (e) {
-            assert(true);
-        }
+        await assertRevert(tokenContract.transfer(accounts[2], 50, { from: accounts[1], gas: '1000000' }), 'Sender is currently locked');
+    });
+
+    it('should not unlock an account when locking it twice', async () => {
+        await assertRevert(tokenContract.lock(accounts[1], { from: accounts[0], gas: '1000000' }), 'Address is locked already');
+        let locked = await tokenContract.isLocked.call(accounts[1]);
+        assert(locked);
     });
 
     it('should allow the admin to unlock an account', async () => {
-        await tokenContract.lock(accounts[1], { from: accounts[0], gas: '1000000' });
+        await tokenContract.unlock(accounts[1], { from: accounts[0], gas: '1000000' });
         let locked = await tokenContract.isLocked.call(accounts[1]);
 
         assert(!locked);
     });
 
-    it('should allow the admin to freeze the contract', async () => {
-        await tokenContract.freeze({ from: accounts[0], gas: '1000000' });
-        let frozen = await tokenContract.frozen();
+    it('should allow the admin to pause transfers', async () => {
+        await tokenContract.pause(PAUSE_TRANSFERS, 0, { from: accounts[0], gas: '1000000' });
+        let paused = await tokenContract.isPaused(PAUSE_TRANSFERS);
 
-        assert(frozen);
+        assert(paused);
     });
 
-    it('should not allow transfers while the contract is frozen', async () => {
-        try {
-            await tokenContract.transfer(accounts[1], 50, { from: accounts[2], gas: '1000000' });
-            assert(false);
-        } catch (e) {
-            assert(true);
-        }
+    it('should not allow transfers while they are paused', async () => {
+        await assertRevert(tokenContract.transfer(accounts[1], 50, { from: accounts[2], gas: '1000000' }), 'Transfers are paused');
     });
 
-    it('should allow the admin to unfreeze the contract', async () => {
-        await tokenContract.freeze({ from: accounts[0], gas: '1000000' });
-        let frozen = await tokenContract.frozen();
+    it('should allow the admin to resume transfers', async () => {
+        await tokenContract.unpause(PAUSE_TRANSFERS, 0, { from: accounts[0], gas: '1000000' });
+        let paused = await tokenContract.isPaused(PAUSE_TRANSFERS);
 
-        assert(!frozen);
+        assert(!paused);
     });
 });
@@ -0,0 +1,104 @@
+'use strict';
+
+const SecurityToken = artifacts.require('SecurityToken');
+let tokenContract;
+
+const assertRevert = require('./helpers/assertRevert');
+const hash = require('./helpers/hash');
+
+contract('Roles', async (accounts) => {
+    const compliance = accounts[5];
+    const issuer = accounts[6];
+    const agent = accounts[7];
+    const auditor = accounts[8];
+
+    before(async () => {
+        tokenContract = await SecurityToken.deployed();
+    });
+
+    it('should grant every role to the deployer', async () => {
+        assert(await tokenContract.isSuperAdmin.call(accounts[0]));
+        assert(await tokenContract.isComplianceOfficer.call(accounts[0]));
+        assert(await tokenContract.isIssuer.call(accounts[0]));
+        assert(await tokenContract.isTransferAgent.call(accounts[0]));
+        assert(await tokenContract.isAuditor.call(accounts[0]));
+    });
+
+    it('should allow a super-admin to grant roles', async () => {
+        let result = await tokenContract.addComplianceOfficer(compliance, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addIssuer(issuer, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addTransferAgent(agent, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addAuditor(auditor, { from: accounts[0], gas: '1000000' });
+
+        assert.strictEqual(result.logs[0].event, 'ComplianceOfficerAdded');
+        assert.strictEqual(result.logs[0].args.account, compliance);
+        assert(await tokenContract.isComplianceOfficer.call(compliance));
+        assert(await tokenContract.isIssuer.call(issuer));
+        assert(await tokenContract.isTransferAgent.call(agent));
+        assert(await tokenContract.isAuditor.call(auditor));
+    });
+
+    it('should not allow anybody else to grant roles', async () => {
+        await assertRevert(tokenContract.addIssuer(accounts[9], { from: issuer, gas: '1000000' }), 'Caller is not a super-admin');
+    });
+
+    it('should only allow compliance officers to whitelist', async () => {
+        await tokenContract.addVerified(accounts[1], hash('Test'), { from: compliance, gas: '1000000' });
+        await tokenContract.addVerified(accounts[2], hash('Test'), { from: compliance, gas: '1000000' });
+
+        await assertRevert(tokenContract.addVerified(accounts[3], hash('Test'), { from: issuer, gas: '1000000' }), 'Caller is not a compliance officer');
+    });
+
+    it('should only allow issuers to issue', async () => {
+        await tokenContract.issue(accounts[1], 100, { from: issuer, gas: '1000000' });
+
+        await assertRevert(tokenContract.issue(accounts[1], 100, { from: compliance, gas: '1000000' }), 'Caller is not an issuer');
+        let balance = await tokenContract.balanceOf.call(accounts[1]);
+        assert.strictEqual(balance.toString(), '100');
+    });
+
+    it('should not expose the inherited mint function', async () => {
+        assert.strictEqual(tokenContract.mint, undefined);
+    });
+
+    it('should only allow transfer agents to lock and cancel', async () => {
+        await tokenContract.lock(accounts[1], { from: agent, gas: '1000000' });
+        await tokenContract.unlock(accounts[1], { from: agent, gas: '1000000' });
+
+        await assertRevert(tokenContract.cancelAndReissue(accounts[1], accounts[2], { from: issuer, gas: '1000000' }), 'Caller is not a transfer agent');
+
+        await tokenContract.cancelAndReissue(accounts[1], accounts[2], { from: agent, gas: '1000000' });
+        let balance = await tokenContract.balanceOf.call(accounts[2]);
+        assert.strictEqual(balance.toString(), '100');
+    });
+
+    it('should only give auditors read access to the register', async () => {
+        let holder = await tokenContract.holderAt.call(0, { from: auditor });
+        let current = await tokenContract.getCurrentFor.call(accounts[1], { from: auditor });
+        assert.strictEqual(holder, accounts[2]);
+        assert.strictEqual(current, accounts[2]);
+
+        await assertRevert(tokenContract.holderAt.call(0, { from: issuer }), 'Caller is not an auditor or the successor');
+    });
+
+    it('should only allow super-admins to pause', async () => {
+        await assertRevert(tokenContract.pause(1, 0, { from: agent, gas: '1000000' }), 'Caller is not a super-admin');
+    });
+
+    it('should allow a super-admin to revoke roles', async () => {
+        let result = await tokenContract.removeIssuer(issuer, { from: accounts[0], gas: '1000000' });
+
+        assert.strictEqual(result.logs[0].event, 'IssuerRemoved');
+        assert(!(await tokenContract.isIssuer.call(issuer)));
+
+        await assertRevert(tokenContract.issue(accounts[2], 100, { from: issuer, gas: '1000000' }), 'Caller is not an issuer');
+    });
+
+    it('should not allow the last super-admin to be removed', async () => {
+        await assertRevert(tokenContract.removeSuperAdmin(accounts[0], { from: accounts[0], gas: '1000000' }), 'Can not remove the last super-admin');
+
+        await tokenContract.addSuperAdmin(accounts[9], { from: accounts[0], gas: '1000000' });
+        await tokenContract.removeSuperAdmin(accounts[0], { from: accounts[9], gas: '1000000' });
+        assert(!(await tokenContract.isSuperAdmin.call(accounts[0])));
+    });
+});
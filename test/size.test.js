@@ -0,0 +1,22 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// EIP-170, ganache only enforces it without --allowUnlimitedContractSize
+const MAX_CODE_SIZE = 24576;
+
+const contracts = fs.readdirSync(path.join(__dirname, '..', 'contracts'))
+    .filter(file => file.endsWith('.sol') && file !== 'Migrations.sol')
+    .map(file => file.slice(0, -4));
+
+contract('Size', async () => {
+    for (let name of contracts) {
+        it('should fit ' + name + ' within the contract size limit', async () => {
+            let code = artifacts.require(name).deployedBytecode;
+            let size = (code.length - 2) / 2;
+
+            assert(size <= MAX_CODE_SIZE, name + ' is ' + size + ' bytes, the limit is ' + MAX_CODE_SIZE);
+        });
+    }
+});
@@ -0,0 +1,106 @@
+'use strict';
+
+const SecurityToken = artifacts.require('SecurityToken');
+let tokenContract;
+
+const assertRevert = require('./helpers/assertRevert');
+const hash = require('./helpers/hash');
+
+contract('Snapshots', async (accounts) => {
+    before(async () => {
+        tokenContract = await SecurityToken.deployed();
+
+        const infoHash = hash('Test');
+
+        // Whitelist accounts
+        await tokenContract.addVerified(accounts[1], infoHash, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addVerified(accounts[2], infoHash, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addVerified(accounts[3], infoHash, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addVerified(accounts[4], infoHash, { from: accounts[0], gas: '1000000' });
+
+        // Issue shares
+        await tokenContract.issue(accounts[1], 100, { from: accounts[0], gas: '1000000' });
+        await tokenContract.issue(accounts[2], 200, { from: accounts[0], gas: '1000000' });
+    });
+
+    it('should not allow anybody else to take a snapshot', async () => {
+        await assertRevert(tokenContract.snapshot({ from: accounts[9], gas: '1000000' }), 'Caller is not an issuer');
+    });
+
+    it('should not return values for unknown snapshots', async () => {
+        await assertRevert(tokenContract.balanceOfAt.call(accounts[1], 1), 'Unknown snapshot');
+    });
+
+    it('should allow the issuer to take a snapshot', async () => {
+        let result = await tokenContract.snapshot({ from: accounts[0], gas: '1000000' });
+        let id = await tokenContract.currentSnapshotId();
+
+        assert.strictEqual(result.logs[0].event, 'Snapshot');
+        assert.strictEqual(result.logs[0].args.id.toString(), '1');
+        assert.strictEqual(id.toString(), '1');
+    });
+
+    it('should keep the snapshot correct across transfers', async () => {
+        await tokenContract.transfer(accounts[3], 100, { from: accounts[1], gas: '1000000' });
+        await tokenContract.approve(accounts[4], 50, { from: accounts[2], gas: '1000000' });
+        await tokenContract.transferFrom(accounts[2], accounts[3], 50, { from: accounts[4], gas: '1000000' });
+
+        let balance1 = await tokenContract.balanceOfAt.call(accounts[1], 1);
+        let balance2 = await tokenContract.balanceOfAt.call(accounts[2], 1);
+        let balance3 = await tokenContract.balanceOfAt.call(accounts[3], 1);
+        let holders = await tokenContract.holderCountAt.call(1);
+
+        assert.strictEqual(balance1.toString(), '100');
+        assert.strictEqual(balance2.toString(), '200');
+        assert.strictEqual(balance3.toString(), '0');
+        assert.strictEqual(holders.toString(), '2');
+    });
+
+    it('should keep the snapshot correct across issuance and burning', async () => {
+        await tokenContract.issue(accounts[4], 500, { from: accounts[0], gas: '1000000' });
+        await tokenContract.burn(accounts[2], 50, { from: accounts[0], gas: '1000000' });
+
+        let supply = await tokenContract.totalSupplyAt.call(1);
+        let balance2 = await tokenContract.balanceOfAt.call(accounts[2], 1);
+        let balance4 = await tokenContract.balanceOfAt.call(accounts[4], 1);
+        let holders = await tokenContract.holderCountAt.call(1);
+
+        assert.strictEqual(supply.toString(), '300');
+        assert.strictEqual(balance2.toString(), '200');
+        assert.strictEqual(balance4.toString(), '0');
+        assert.strictEqual(holders.toString(), '2');
+    });
+
+    it('should return current values for snapshots taken after the last change', async () => {
+        await tokenContract.snapshot({ from: accounts[0], gas: '1000000' });
+
+        let supply = await tokenContract.totalSupplyAt.call(2);
+        let balance3 = await tokenContract.balanceOfAt.call(accounts[3], 2);
+        let holders = await tokenContract.holderCountAt.call(2);
+
+        assert.strictEqual(supply.toString(), '750');
+        assert.strictEqual(balance3.toString(), '150');
+        assert.strictEqual(holders.toString(), '3');
+    });
+
+    it('should keep the snapshot correct across cancelling and reissuing', async () => {
+        await tokenContract.addVerified(accounts[5], hash('Test'), { from: accounts[0], gas: '1000000' });
+        await tokenContract.cancelAndReissue(accounts[3], accounts[5], { from: accounts[0], gas: '1000000' });
+
+        let original = await tokenContract.balanceOfAt.call(accounts[3], 2);
+        let replacement = await tokenContract.balanceOfAt.call(accounts[5], 2);
+        let current = await tokenContract.balanceOf.call(accounts[5]);
+
+        assert.strictEqual(original.toString(), '150');
+        assert.strictEqual(replacement.toString(), '0');
+        assert.strictEqual(current.toString(), '150');
+    });
+
+    it('should keep earlier snapshots intact', async () => {
+        let balance3 = await tokenContract.balanceOfAt.call(accounts[3], 1);
+        let supply = await tokenContract.totalSupplyAt.call(1);
+
+        assert.strictEqual(balance3.toString(), '0');
+        assert.strictEqual(supply.toString(), '300');
+    });
+});
@@ -0,0 +1,182 @@
+'use strict';
+
+const SecurityToken = artifacts.require('SecurityToken');
+const LockupRestriction = artifacts.require('LockupRestriction');
+const Partitions = artifacts.require('Partitions');
+const Redemptions = artifacts.require('Redemptions');
+let tokenContract;
+
+const assertRevert = require('./helpers/assertRevert');
+const hash = require('./helpers/hash');
+
+const RESTRICTED = web3.utils.padRight(web3.utils.asciiToHex('restricted'), 64);
+const DEFAULT = web3.utils.padRight('0x', 64);
+
+contract('Splits', async (accounts) => {
+    before(async () => {
+        tokenContract = await SecurityToken.deployed();
+
+        const infoHash = hash('Test');
+
+        // Whitelist accounts
+        await tokenContract.addVerifiedBatch(
+            [accounts[1], accounts[2], accounts[3], accounts[4]],
+            [infoHash, infoHash, infoHash, infoHash],
+            { from: accounts[0], gas: '1000000' }
+        );
+
+        // Issue shares
+        await tokenContract.issueBatch([accounts[1], accounts[2], accounts[3]], [100, 205, 3], { from: accounts[0], gas: '1000000' });
+    });
+
+    it('should not allow anybody else to start a split', async () => {
+        await assertRevert(tokenContract.startSplit(2, 1, { from: accounts[9], gas: '1000000' }), 'Caller is not an issuer');
+    });
+
+    it('should not start a split with an invalid ratio', async () => {
+        await assertRevert(tokenContract.startSplit(1, 0, { from: accounts[0], gas: '1000000' }), 'Invalid ratio provided');
+    });
+
+    it('should not allow transfers, issuance, burning or migration while a split is in progress', async () => {
+        let result = await tokenContract.startSplit(2, 1, { from: accounts[0], gas: '1000000' });
+        let code = await tokenContract.detectTransferRestriction.call(accounts[1], accounts[2], 10);
+
+        assert.strictEqual(result.logs[0].event, 'SplitStarted');
+        assert.strictEqual(code.toString(), '8');
+
+        await assertRevert(tokenContract.transfer(accounts[2], 10, { from: accounts[1], gas: '1000000' }), 'A split is in progress');
+
+        await assertRevert(tokenContract.issue(accounts[4], 10, { from: accounts[0], gas: '1000000' }), 'A split is in progress');
+
+        await assertRevert(tokenContract.burn(accounts[1], 10, { from: accounts[0], gas: '1000000' }), 'A split is in progress');
+
+        await assertRevert(tokenContract.migrate({ from: accounts[0], gas: '1000000' }), 'A split is in progress');
+    });
+
+    it('should split balances in batches', async () => {
+        await tokenContract.processSplit(2, { from: accounts[0], gas: '1000000' });
+        let balance1 = await tokenContract.balanceOf.call(accounts[1]);
+        let balance3 = await tokenContract.balanceOf.call(accounts[3]);
+        let denominator = await tokenContract.splitDenominator();
+
+        assert.strictEqual(balance1.toString(), '200');
+        assert.strictEqual(balance3.toString(), '3');
+        assert.strictEqual(denominator.toString(), '1');
+
+        let result = await tokenContract.processSplit(2, { from: accounts[0], gas: '1000000' });
+        let supply = await tokenContract.totalSupply();
+        balance3 = await tokenContract.balanceOf.call(accounts[3]);
+        denominator = await tokenContract.splitDenominator();
+
+        let completed = result.logs.filter(log => log.event === 'SplitCompleted');
+        assert.strictEqual(completed.length, 1);
+        assert.strictEqual(balance3.toString(), '6');
+        assert.strictEqual(supply.toString(), '616');
+        assert.strictEqual(denominator.toString(), '0');
+    });
+
+    it('should allow transfers again once the split is completed', async () => {
+        await tokenContract.transfer(accounts[4], 10, { from: accounts[1], gas: '1000000' });
+        let balance = await tokenContract.balanceOf.call(accounts[4]);
+
+        assert.strictEqual(balance.toString(), '10');
+    });
+
+    it('should report fractional remainders in a reverse split', async () => {
+        await tokenContract.startSplit(1, 10, { from: accounts[0], gas: '1000000' });
+        let result = await tokenContract.processSplit(10, { from: accounts[0], gas: '1000000' });
+
+        let remainders = result.logs.filter(log => log.event === 'SplitRemainder');
+        let reported = {};
+        remainders.forEach(log => reported[log.args.holder] = log.args.remainder.toString());
+
+        // 190 -> 19, 410 -> 41, 6 -> 0 (6/10 remaining), 10 -> 1
+        assert.deepEqual(reported, { [accounts[3]]: '6' });
+        assert.strictEqual((await tokenContract.balanceOf.call(accounts[1])).toString(), '19');
+        assert.strictEqual((await tokenContract.balanceOf.call(accounts[2])).toString(), '41');
+        assert.strictEqual((await tokenContract.balanceOf.call(accounts[4])).toString(), '1');
+        assert.strictEqual((await tokenContract.totalSupply()).toString(), '61');
+    });
+
+    it('should remove holders left without shares', async () => {
+        let holderCount = await tokenContract.holderCount();
+        let isHolder = await tokenContract.isHolder.call(accounts[3]);
+
+        assert.strictEqual(holderCount.toString(), '3');
+        assert(!isHolder);
+    });
+
+    it('should scale allowances and the amounts kept by the rule modules', async () => {
+        let lockupContract = await LockupRestriction.new(tokenContract.address, { from: accounts[0] });
+        let partitionsContract = await Partitions.new(tokenContract.address, { from: accounts[0] });
+        let redemptionsContract = await Redemptions.new(tokenContract.address, { from: accounts[0] });
+        let now = (await web3.eth.getBlock('latest')).timestamp;
+
+        await tokenContract.addIssuer(partitionsContract.address, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addTransferRestriction(lockupContract.address, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addTransferRestriction(partitionsContract.address, { from: accounts[0], gas: '1000000' });
+        await tokenContract.addTransferRestriction(redemptionsContract.address, { from: accounts[0], gas: '1000000' });
+
+        await lockupContract.addLockup(accounts[1], 10, now + 86400, { from: accounts[0], gas: '1000000' });
+        await partitionsContract.issueByPartition(RESTRICTED, accounts[2], 9, { from: accounts[0], gas: '1000000' });
+        await redemptionsContract.requestRedemption(3, { from: accounts[1], gas: '1000000' });
+        await tokenContract.approve(accounts[2], 7, { from: accounts[1], gas: '1000000' });
+
+        await tokenContract.startSplit(3, 2, { from: accounts[0], gas: '1000000' });
+        await tokenContract.processSplit(10, { from: accounts[0], gas: '1000000' });
+
+        // 19 -> 28, 50 -> 75, 1 -> 1
+        let lockup = await lockupContract.getLockup(accounts[1], 0);
+        let restricted = await partitionsContract.balanceOfByPartition(RESTRICTED, accounts[2]);
+        let plain = await partitionsContract.balanceOfByPartition(DEFAULT, accounts[2]);
+        let pending = await redemptionsContract.pendingRedemptionOf(accounts[1]);
+        let request = await redemptionsContract.getRedemption(0);
+        let allowance = await tokenContract.allowance(accounts[1], accounts[2]);
+
+        assert.strictEqual((await tokenContract.balanceOf.call(accounts[2])).toString(), '75');
+        assert.strictEqual(lockup[0].toString(), '15');
+        assert.strictEqual(restricted.toString(), '13');
+        assert.strictEqual(plain.toString(), '62');
+        assert.strictEqual((await partitionsContract.totalSupplyByPartition(RESTRICTED)).toString(), '13');
+        assert.strictEqual(pending.toString(), '4');
+        assert.strictEqual(request[1].toString(), '4');
+        assert.strictEqual(allowance.toString(), '10');
+
+        await tokenContract.transferFrom(accounts[1], accounts[4], 10, { from: accounts[2], gas: '1000000' });
+        allowance = await tokenContract.allowance(accounts[1], accounts[2]);
+        assert.strictEqual(allowance.toString(), '0');
+
+        await assertRevert(lockupContract.afterSplit(accounts[1], 2, 1, { from: accounts[0], gas: '1000000' }), 'Caller is not the token');
+    });
+
+    it('should split holders with many withdrawn redemption requests without more gas', async () => {
+        let splitContract = await SecurityToken.new('Test', 'TST', { from: accounts[0] });
+        let redemptionsContract = await Redemptions.new(splitContract.address, { from: accounts[0] });
+        await splitContract.addVerified(accounts[1], hash('Test'), { from: accounts[0], gas: '1000000' });
+        await splitContract.issue(accounts[1], 100, { from: accounts[0], gas: '1000000' });
+        await splitContract.addTransferRestriction(redemptionsContract.address, { from: accounts[0], gas: '1000000' });
+
+        await redemptionsContract.requestRedemption(10, { from: accounts[1], gas: '1000000' });
+        await splitContract.startSplit(2, 1, { from: accounts[0], gas: '1000000' });
+        let first = await splitContract.processSplit(1, { from: accounts[0], gas: '1000000' });
+
+        for (let i = 1; i <= 40; i++) {
+            await redemptionsContract.requestRedemption(1, { from: accounts[1], gas: '1000000' });
+            await redemptionsContract.withdrawRedemption(i, { from: accounts[1], gas: '1000000' });
+        }
+        // Settled requests take no gas in a split, which would otherwise run out of it
+        await splitContract.startSplit(2, 1, { from: accounts[0], gas: '1000000' });
+        await splitContract.processSplit(1, { from: accounts[0], gas: first.receipt.gasUsed + 100000 });
+
+        assert.strictEqual((await redemptionsContract.pendingRedemptionOf(accounts[1])).toString(), '40');
+        assert.strictEqual((await redemptionsContract.getRedemption(0))[1].toString(), '40');
+        assert.strictEqual((await redemptionsContract.getRedemption(40))[1].toString(), '1');
+
+        await redemptionsContract.withdrawRedemption(0, { from: accounts[1], gas: '1000000' });
+        await splitContract.startSplit(2, 1, { from: accounts[0], gas: '1000000' });
+        await splitContract.processSplit(1, { from: accounts[0], gas: '1000000' });
+
+        assert.strictEqual((await redemptionsContract.pendingRedemptionOf(accounts[1])).toString(), '0');
+        assert.strictEqual((await redemptionsContract.getRedemption(0))[1].toString(), '40');
+    });
+});
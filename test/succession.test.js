@@ -0,0 +1,144 @@
+'use strict';
+
+const SecurityToken = artifacts.require('SecurityToken');
+let tokenContract;
+let successorContract;
+
+const assertRevert = require('./helpers/assertRevert');
+const hash = require('./helpers/hash');
+
+contract('Succession', async (accounts) => {
+    before(async () => {
+        tokenContract = await SecurityToken.deployed();
+
+        // Whitelist accounts
+        for (let i = 1; i <= 5; i++) {
+            await tokenContract.addVerified(accounts[i], hash('Test ' + i), { from: accounts[0], gas: '1000000' });
+        }
+
+        // Issue shares
+        await tokenContract.issue(accounts[1], 100, { from: accounts[0], gas: '1000000' });
+        await tokenContract.issue(accounts[2], 200, { from: accounts[0], gas: '1000000' });
+        await tokenContract.issue(accounts[3], 300, { from: accounts[0], gas: '1000000' });
+
+        // Lock, cancel and migrate
+        await tokenContract.lock(accounts[3], { from: accounts[0], gas: '1000000' });
+        await tokenContract.cancelAndReissue(accounts[2], accounts[5], { from: accounts[0], gas: '1000000' });
+        await tokenContract.migrate({ from: accounts[0], gas: '1000000' });
+
+        successorContract = await SecurityToken.new('Test', 'TST', { from: accounts[0] });
+    });
+
+    it('should not allow a non-admin to set the successor', async () => {
+        await assertRevert(tokenContract.setSuccessor(successorContract.address, { from: accounts[1], gas: '1000000' }), 'Caller is not a super-admin');
+    });
+
+    it('should allow the owner to set the successor after migration', async () => {
+        await tokenContract.setSuccessor(successorContract.address, { from: accounts[0], gas: '1000000' });
+        let successor = await tokenContract.successor();
+
+        assert.strictEqual(successor, successorContract.address);
+    });
+
+    it('should not allow the owner to set the successor twice', async () => {
+        await assertRevert(tokenContract.setSuccessor(accounts[9], { from: accounts[0], gas: '1000000' }), 'Successor has been set already');
+    });
+
+    it('should not allow importing from a contract that does not point to the successor', async () => {
+        const otherContract = await SecurityToken.new('Other', 'OTH', { from: accounts[0] });
+
+        await assertRevert(successorContract.setPredecessor(otherContract.address, { from: accounts[0], gas: '1000000' }), 'Predecessor has not been migrated');
+    });
+
+    it('should allow the owner to set the predecessor', async () => {
+        await successorContract.setPredecessor(tokenContract.address, { from: accounts[0], gas: '1000000' });
+        let predecessor = await successorContract.predecessor();
+
+        assert.strictEqual(predecessor, tokenContract.address);
+    });
+
+    it('should not allow issuance while importing', async () => {
+        await successorContract.addVerified(accounts[6], hash('Test 6'), { from: accounts[0], gas: '1000000' });
+        await assertRevert(successorContract.issue(accounts[6], 100, { from: accounts[0], gas: '1000000' }), 'Token contract is still importing a register');
+    });
+
+    it('should not import holders with a mismatching hash', async () => {
+        await assertRevert(successorContract.importHolders([hash('Wrong')], { from: accounts[0], gas: '1000000' }), 'Hash does not match the predecessor');
+    });
+
+    it('should not allow sealing before all holders have been imported', async () => {
+        await assertRevert(successorContract.sealImport({ from: accounts[0], gas: '1000000' }), 'Not all shareholders have been imported');
+    });
+
+    it('should import holders in chunks', async () => {
+        let holderCount = await tokenContract.holderCount();
+        let hashes = [];
+        for (let i = 0; i < holderCount; i++) {
+            let holder = await tokenContract.holderAt(i);
+            hashes.push(hash('Test ' + accounts.indexOf(holder)));
+        }
+
+        await successorContract.importHolders(hashes.slice(0, 2), { from: accounts[0], gas: '1000000' });
+        await successorContract.importHolders(hashes.slice(2), { from: accounts[0], gas: '1000000' });
+
+        for (let i = 0; i < holderCount; i++) {
+            let holder = await tokenContract.holderAt(i);
+            let importedHolder = await successorContract.holderAt(i);
+            let balance = await tokenContract.balanceOf(holder);
+            let importedBalance = await successorContract.balanceOf(holder);
+
+            assert.strictEqual(importedHolder, holder);
+            assert.strictEqual(importedBalance.toString(), balance.toString());
+        }
+    });
+
+    it('should not import more holders than the predecessor has', async () => {
+        await assertRevert(successorContract.importHolders([hash('Test 1')], { from: accounts[0], gas: '1000000' }), 'Chunk exceeds the predecessor\'s shareholders');
+    });
+
+    it('should carry over locks', async () => {
+        let locked = await successorContract.isLocked(accounts[3]);
+
+        assert(locked);
+    });
+
+    it('should not import shareholders as verified addresses', async () => {
+        await assertRevert(successorContract.importVerifiedAddresses([accounts[1]], [hash('Test 1')], { from: accounts[0], gas: '1000000' }), 'Shareholders have to be imported through importHolders');
+    });
+
+    it('should import verified addresses without tokens', async () => {
+        await successorContract.importVerifiedAddresses([accounts[4]], [hash('Test 4')], { from: accounts[0], gas: '1000000' });
+        let check = await successorContract.hasHash(accounts[4], hash('Test 4'));
+
+        assert(check);
+    });
+
+    it('should import cancellations', async () => {
+        await successorContract.importCancellations([accounts[2]], { from: accounts[0], gas: '1000000' });
+        let superseded = await successorContract.isSuperseded(accounts[2]);
+        let current = await successorContract.getCurrentFor(accounts[2]);
+
+        assert(superseded);
+        assert.strictEqual(current, accounts[5]);
+    });
+
+    it('should allow the owner to seal the import', async () => {
+        await successorContract.sealImport({ from: accounts[0], gas: '1000000' });
+        let sealed = await successorContract.importSealed();
+        let totalSupply = await successorContract.totalSupply();
+
+        assert(sealed);
+        assert.strictEqual(totalSupply.toString(), '600');
+    });
+
+    it('should not allow importing after the import is sealed', async () => {
+        await assertRevert(successorContract.importVerifiedAddresses([accounts[6]], [hash('Test 6')], { from: accounts[0], gas: '1000000' }), 'Token contract is not importing a register');
+    });
+
+    it('should allow transfers after the import is sealed', async () => {
+        await successorContract.transfer(accounts[4], 50, { from: accounts[1], gas: '1000000' });
+        let balance = await successorContract.balanceOf(accounts[4]);
+
+        assert.strictEqual(balance.toString(), '50');
+    });
+});
@@ -3,6 +3,7 @@
 const SecurityToken = artifacts.require('SecurityToken');
 let tokenContract;
 
+const assertRevert = require('./helpers/assertRevert');
 const hash = require('./helpers/hash');
 
 contract('Transfers', async (accounts) => {
@@ -22,21 +23,11 @@ contract('Transfers', async (accounts) => {
     });
 
     it('should reject standard payments', async () => {
-        try {
-            await tokenContract.sendTransaction({ from: accounts[0], value: '1000000' });
-            assert(false);
-        } catch (e) {
-            assert(true);
-        }
+        await assertRevert(tokenContract.sendTransaction({ from: accounts[0], value: '1000000' }), 'This contract does not accept payments');
     });
 
     it('should allow transfers between verified accounts', async () => {
-        try {
-            await tokenContract.transfer(accounts[3], 50, { from: accounts[2], gas: '1000000' });
-            assert(true);
-        } catch (e) {
-            assert(false);
-        }
+        await tokenContract.transfer(accounts[3], 50, { from: accounts[2], gas: '1000000' });
     });
 
     it('should update holders after transfer', async () => {
@@ -53,12 +44,7 @@ contract('Transfers', async (accounts) => {
     });
 
     it('should not allow transfers to unverified accounts', async () => {
-        try {
-            await tokenContract.transfer(accounts[9], 50, { from: accounts[2], gas: '1000000' });
-            assert(false);
-        } catch (e) {
-            assert(true);
-        }
+        await assertRevert(tokenContract.transfer(accounts[9], 50, { from: accounts[2], gas: '1000000' }), 'Receiver is not a verified address');
     });
 
     it('should allow transferFrom functionality', async () => {
@@ -3,6 +3,7 @@
 const SecurityToken = artifacts.require('SecurityToken');
 let tokenContract;
 
+const assertRevert = require('./helpers/assertRevert');
 const hash = require('./helpers/hash');
 
 contract('Whitelisting', async (accounts) => {
@@ -69,14 +70,9 @@ contract('Whitelisting', async (accounts) => {
     });
 
     it('should throw when providing an empty hash', async () => {
-        let emptyHash = hash('');
-
-        try {
-            await tokenContract.updateVerified(accounts[1], emptyHash, { from: accounts[0], gas: '1000000' });
-            assert(false);
-        } catch (e) {
-            assert(true);
-        }
+        let emptyHash = '0x' + '0'.repeat(64);
+
+        await assertRevert(tokenContract.updateVerified(accounts[1], emptyHash, { from: accounts[0], gas: '1000000' }), 'Invalid data hash provided');
     });
 
     it('should correctly remove accounts from the whitelist', async () => {
@@ -87,22 +83,12 @@ contract('Whitelisting', async (accounts) => {
     });
 
     it('should not allow the admin to whitelist an account multiple times', async () => {
-        try {
-            const infoHash = hash('Test');
-            await tokenContract.addVerified(accounts[1], infoHash, { from: accounts[0], gas: '1000000' });
-            assert(false);
-        } catch (e) {
-            assert(true);
-        }
+        const infoHash = hash('Test');
+        await assertRevert(tokenContract.addVerified(accounts[1], infoHash, { from: accounts[0], gas: '1000000' }), 'Address has been verified already');
     });
 
     it('should not allow the admin to remove an account while it is still a shareholder', async () => {
-        try {
-            await tokenContract.removeVerified(accounts[1], { from: accounts[0], gas: '1000000' });
-            assert(false);
-        } catch (e) {
-            assert(true);
-        }
+        await assertRevert(tokenContract.removeVerified(accounts[1], { from: accounts[0], gas: '1000000' }), 'Address still holds tokens - please empty the account before removing it from the list');
     });
 
     it('should list the correct address with holderAt', async () => {
@@ -113,11 +99,6 @@ contract('Whitelisting', async (accounts) => {
     });
 
     it('should should throw on calling holderAt with an index that is out of range', async () => {
-        try {
-            let address = await tokenContract.holderAt.call(25);
-            assert(false);
-        } catch (e) {
-            assert(true);
-        }
+        await assertRevert(tokenContract.holderAt.call(25), 'Index out of range of shareholders array');
     });
 });
@@ -15,7 +15,13 @@ module.exports = {
     },
     compilers: {
         solc: {
-            version: "0.4.25"
+            version: "0.4.25",
+            settings: {
+                optimizer: {
+                    enabled: true,
+                    runs: 1 // <-- Optimize for size, test/size.test.js checks the contract size limit
+                }
+            }
         }
     }
 };
\ No newline at end of file